@@ -0,0 +1,63 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Geometry, Graph } from '../../src';
+import ManhattanRouter from '../../src/view/style/ManhattanRouter';
+
+describe('Graph.invalidateObstacleRoutes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not check the edges if no edge is routed around obstacles', () => {
+    const graph = new Graph(document.createElement('div'));
+    const parent = graph.getDefaultParent();
+    const v1 = graph.insertVertex(parent, null, 'A', 0, 0, 80, 30);
+    const v2 = graph.insertVertex(parent, null, 'B', 200, 0, 80, 30);
+    graph.insertEdge(parent, null, '', v1, v2);
+
+    const isAffected = jest.spyOn(ManhattanRouter, 'isAffected');
+    graph.getDataModel().setGeometry(v2, new Geometry(200, 100, 80, 30));
+
+    expect(graph.getView().manhattanEdges.size).toBe(0);
+    expect(isAffected).not.toHaveBeenCalled();
+  });
+
+  test('invalidates the edges around a moved vertex', () => {
+    const graph = new Graph(document.createElement('div'));
+    const parent = graph.getDefaultParent();
+    const v1 = graph.insertVertex(parent, null, 'A', 0, 0, 80, 30);
+    const v2 = graph.insertVertex(parent, null, 'B', 300, 0, 80, 30);
+    const v3 = graph.insertVertex(parent, null, 'C', 150, 200, 80, 30);
+    const edge = graph.insertEdge(parent, null, '', v1, v2, {
+      edgeStyle: 'manhattanEdgeStyle',
+    });
+
+    const view = graph.getView();
+    expect(view.manhattanEdges.has(edge)).toBe(true);
+    const before = view.getState(edge)!.absolutePoints.map((p) => [p?.x, p?.y]);
+
+    // Moves the vertex onto the straight route of the edge
+    graph.getDataModel().setGeometry(v3, new Geometry(150, -20, 80, 70));
+    const after = view.getState(edge)!.absolutePoints.map((p) => [p?.x, p?.y]);
+
+    expect(after).not.toEqual(before);
+
+    graph.removeCells([edge]);
+    graph.getDataModel().setGeometry(v3, new Geometry(150, 200, 80, 30));
+    expect(view.manhattanEdges.size).toBe(0);
+  });
+});
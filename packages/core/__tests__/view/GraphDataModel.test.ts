@@ -0,0 +1,51 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Codec, GraphDataModel, JsonCodec } from '../../src';
+
+describe('GraphDataModel', () => {
+  const createModel = () => {
+    const model = new GraphDataModel();
+    model.addGuideLine('vertical', 100);
+    return model;
+  };
+
+  test('replaces the guide lines when a model is decoded from XML', () => {
+    const source = createModel();
+    const node = new Codec().encode(source)!;
+
+    const model = createModel();
+    model.addGuideLine('horizontal', 50);
+    new Codec().decode(node, model);
+    expect(model.getGuideLines()).toEqual(source.getGuideLines());
+
+    new Codec().decode(new Codec().encode(new GraphDataModel())!, model);
+    expect(model.getGuideLines()).toEqual([]);
+  });
+
+  test('replaces the guide lines when a model is decoded from JSON', () => {
+    const source = createModel();
+    const json = new JsonCodec().encode(source)!;
+
+    const model = createModel();
+    model.addGuideLine('horizontal', 50);
+    new JsonCodec().decode(json, model);
+    expect(model.getGuideLines()).toEqual(source.getGuideLines());
+
+    new JsonCodec().decode(new JsonCodec().encode(new GraphDataModel())!, model);
+    expect(model.getGuideLines()).toEqual([]);
+  });
+});
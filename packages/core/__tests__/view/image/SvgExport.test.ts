@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { JSDOM } from 'jsdom';
+import { Codec, DomEnvironment, Graph, SvgExport, xmlUtils } from '../../../src';
+
+const xml = `<GraphDataModel>
+  <root>
+    <Cell id="0" />
+    <Cell id="1" parent="0" />
+    <Cell id="2" value="Hello" vertex="1" parent="1">
+      <Geometry _x="20" _y="20" _width="80" _height="30" as="geometry" />
+    </Cell>
+    <Cell id="3" value="World" vertex="1" parent="1">
+      <Geometry _x="200" _y="150" _width="80" _height="30" as="geometry" />
+    </Cell>
+    <Cell id="4" edge="1" parent="1" source="2" target="3">
+      <Geometry relative="1" as="geometry" />
+    </Cell>
+  </root>
+</GraphDataModel>`;
+
+describe('SvgExport', () => {
+  afterEach(() => {
+    DomEnvironment.reset();
+  });
+
+  test('exports a stored diagram without a global document', () => {
+    expect(typeof document).toBe('undefined');
+
+    const { document: doc, DOMParser, XMLSerializer } = new JSDOM().window;
+    DomEnvironment.configure({
+      document: doc,
+      DOMParser,
+      XMLSerializer,
+      textMeasurer: DomEnvironment.approximateTextMeasurer,
+    });
+
+    const graph = new Graph(doc.createElement('div'), undefined, []);
+    const node = xmlUtils.parseXml(xml);
+    new Codec(node.ownerDocument).decode(node, graph.getDataModel());
+
+    const svg = new SvgExport(graph).getSvg();
+    graph.destroy();
+
+    expect(svg).toMatch(/^<\?xml/);
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('Hello');
+    expect(svg).toContain('World');
+    expect(svg).toContain('<path');
+  });
+});
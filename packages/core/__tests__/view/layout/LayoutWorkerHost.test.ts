@@ -0,0 +1,66 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Graph, HierarchicalLayout, LayoutWorkerHost, WorkerLayout } from '../../../src';
+import type { LayoutWorkerRequest, LayoutWorkerResponse } from '../../../src';
+
+const createGraph = (): Graph => {
+  const graph = new Graph(document.createElement('div'));
+  const parent = graph.getDefaultParent();
+
+  graph.batchUpdate(() => {
+    const v1 = graph.insertVertex(parent, null, 'A', 0, 0, 80, 30);
+    const v2 = graph.insertVertex(parent, null, 'B', 0, 0, 80, 30);
+    const v3 = graph.insertVertex(parent, null, 'C', 0, 0, 80, 30);
+    graph.insertEdge(parent, null, '', v1, v2);
+    graph.insertEdge(parent, null, '', v2, v3);
+  });
+
+  return graph;
+};
+
+describe('LayoutWorkerHost', () => {
+  test('executes a request with the default graph', () => {
+    const graph = createGraph();
+    const responses: LayoutWorkerResponse[] = [];
+    let listener: ((evt: MessageEvent) => void) | null = null;
+
+    const host = new LayoutWorkerHost({
+      postMessage: (message) => responses.push(message),
+      addEventListener: (type, l) => {
+        listener = l;
+      },
+    });
+    host.register('hierarchical', (g) => new HierarchicalLayout(g));
+
+    const layout = new WorkerLayout(graph, () => <Worker>(<unknown>null), 'hierarchical');
+    const request: LayoutWorkerRequest = {
+      type: 'execute',
+      id: 1,
+      layout: 'hierarchical',
+      parent: <string>graph.getDefaultParent().getId(),
+      options: {},
+      snapshot: layout.createSnapshot(),
+    };
+
+    // Messages are cloned when they are sent to a worker
+    listener!(<MessageEvent>{ data: JSON.parse(JSON.stringify(request)) });
+
+    const response = responses[responses.length - 1];
+    expect(response).toMatchObject({ type: 'result', id: 1 });
+    expect(response.type === 'result' && response.changes.length).toBeGreaterThan(0);
+  });
+});
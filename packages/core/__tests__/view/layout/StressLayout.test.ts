@@ -0,0 +1,45 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { FastOrganicLayout, Graph, StressLayout } from '../../../src';
+
+describe('StressLayout', () => {
+  test('executes the fallback layout for more than maxVertexCount vertices', () => {
+    const graph = new Graph(document.createElement('div'));
+    const parent = graph.getDefaultParent();
+    const v1 = graph.insertVertex(parent, null, 'A', 0, 0, 40, 30);
+    const v2 = graph.insertVertex(parent, null, 'B', 0, 0, 40, 30);
+    const v3 = graph.insertVertex(parent, null, 'C', 0, 0, 40, 30);
+    graph.insertEdge(parent, null, '', v1, v2);
+    graph.insertEdge(parent, null, '', v2, v3);
+
+    const layout = new StressLayout(graph);
+    layout.maxVertexCount = 2;
+    const computeDistances = jest.spyOn(layout, 'computeDistances');
+    const execute = jest.spyOn(FastOrganicLayout.prototype, 'execute');
+
+    layout.execute(parent);
+    expect(computeDistances).not.toHaveBeenCalled();
+    expect(execute).toHaveBeenCalledWith(parent);
+
+    execute.mockClear();
+    layout.maxVertexCount = 3;
+    layout.execute(parent);
+    expect(computeDistances).toHaveBeenCalledTimes(1);
+    expect(execute).not.toHaveBeenCalled();
+    execute.mockRestore();
+  });
+});
@@ -0,0 +1,71 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  EventObject,
+  EventSource,
+  Graph,
+  InternalEvent,
+  Rectangle,
+  SwimlaneManager,
+  UndoManager,
+} from '../../../src';
+
+describe('SwimlaneManager', () => {
+  test('resizes the sibling swimlanes in the local edit of the user', () => {
+    const graph = new Graph(document.createElement('div'));
+    const manager = new SwimlaneManager(graph);
+    const undoManager = new UndoManager();
+    undoManager.selective = true;
+
+    const pool = graph.insertVertex(
+      graph.getDefaultParent(),
+      null,
+      'Pool',
+      0,
+      0,
+      320,
+      200,
+      {
+        shape: 'swimlane',
+        startSize: 20,
+      }
+    );
+    const lane1 = graph.insertVertex(pool, null, 'Lane 1', 20, 0, 300, 100, {
+      shape: 'swimlane',
+    });
+    const lane2 = graph.insertVertex(pool, null, 'Lane 2', 20, 100, 300, 100, {
+      shape: 'swimlane',
+    });
+
+    graph
+      .getDataModel()
+      .addListener(InternalEvent.UNDO, (sender: EventSource, evt: EventObject) => {
+        undoManager.undoableEditHappened(evt.getProperty('edit'));
+      });
+    graph.resizeCell(lane1, new Rectangle(20, 0, 300, 150));
+
+    expect(lane2.getGeometry()!.height).toBe(150);
+    expect(undoManager.history.length).toBe(1);
+    expect(undoManager.history[0].origin).toBeNull();
+
+    undoManager.undo();
+    expect(lane1.getGeometry()!.height).toBe(100);
+    expect(lane2.getGeometry()!.height).toBe(100);
+
+    manager.destroy();
+  });
+});
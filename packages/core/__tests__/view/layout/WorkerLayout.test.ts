@@ -0,0 +1,53 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Graph, WorkerLayout } from '../../../src';
+
+class FakeWorker extends EventTarget {
+  terminated = false;
+
+  postMessage(): void {}
+
+  terminate(): void {
+    this.terminated = true;
+  }
+}
+
+describe('WorkerLayout', () => {
+  test.each(['error', 'messageerror'])(
+    'rejects the pending execution on %s',
+    async (type) => {
+      const graph = new Graph(document.createElement('div'));
+      const workers: FakeWorker[] = [];
+      const layout = new WorkerLayout(
+        graph,
+        () => {
+          workers.push(new FakeWorker());
+          return <Worker>(<unknown>workers[workers.length - 1]);
+        },
+        'hierarchical'
+      );
+
+      const result = layout.execute(graph.getDefaultParent());
+      workers[0].dispatchEvent(new Event(type));
+
+      await expect(result).rejects.toThrow(type);
+      expect(layout.isRunning()).toBe(false);
+      expect(layout.worker).toBeNull();
+      expect(workers[0].terminated).toBe(true);
+    }
+  );
+});
@@ -0,0 +1,57 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Graph } from '../../../src';
+
+describe('StyleRulesMixin', () => {
+  test('tracks the hovered cell only for rules with a hovered condition', () => {
+    const graph = new Graph(document.createElement('div'));
+    const listeners = graph.mouseListeners.length;
+
+    graph.insertVertex(graph.getDefaultParent(), null, 'A', 0, 0, 80, 30);
+    expect(graph.hoverMouseListener).toBeNull();
+
+    graph.getStylesheet().addRule({ hovered: true, style: { fillColor: 'red' } });
+    graph.refresh();
+    const listener = graph.hoverMouseListener;
+    expect(graph.mouseListeners.length).toBe(listeners + 1);
+
+    graph.destroy();
+    expect(graph.hoverMouseListener).toBeNull();
+    expect(graph.mouseListeners).not.toContain(listener);
+  });
+
+  test('updates selection styles at the end of a model update', () => {
+    const graph = new Graph(document.createElement('div'));
+    const cell = graph.insertVertex(graph.getDefaultParent(), null, 'A', 0, 0, 80, 30);
+    graph.getStylesheet().addRule({ selected: true, style: { fillColor: 'red' } });
+    graph.refresh();
+
+    const validate = jest.spyOn(graph.getView(), 'validate');
+
+    graph.batchUpdate(() => {
+      graph.setSelectionCell(cell);
+      expect(validate).not.toHaveBeenCalled();
+    });
+
+    expect(validate).toHaveBeenCalledTimes(1);
+    expect(graph.getView().getState(cell)?.style.fillColor).toBe('red');
+
+    graph.clearSelection();
+    expect(graph.getView().getState(cell)?.style.fillColor).not.toBe('red');
+    graph.destroy();
+  });
+});
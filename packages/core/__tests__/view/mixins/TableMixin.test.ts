@@ -0,0 +1,49 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Cell, Graph } from '../../../src';
+
+const getListeners = (graph: Graph) =>
+  graph.getDataModel().eventListeners.map((listener) => listener.funct);
+
+describe('TableMixin', () => {
+  test('arranges the tables of a new root once the graph uses tables', () => {
+    const graph = new Graph(document.createElement('div'));
+    expect(graph.tableRootListener).toBeNull();
+
+    graph.insertTable(null, 1, 2, 0, 0);
+    const listener = graph.tableRootListener;
+    expect(getListeners(graph)).toContain(listener);
+
+    // Builds a new root with a table whose second row is narrower than the first
+    const root = new Cell();
+    const layer = new Cell();
+    root.insert(layer);
+    const table = graph.createTable(2, 2, 60, 30);
+    table.getChildAt(1).getChildAt(1).getGeometry()!.width = 20;
+    layer.insert(table);
+
+    graph.getDataModel().setRoot(root);
+    const [first, second] = graph.getTableRows(table);
+    expect(second.getChildAt(1).getGeometry()!.width).toBe(
+      first.getChildAt(1).getGeometry()!.width
+    );
+
+    graph.destroy();
+    expect(graph.tableRootListener).toBeNull();
+    expect(getListeners(graph)).not.toContain(listener);
+  });
+});
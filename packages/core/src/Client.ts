@@ -183,7 +183,9 @@ class Client {
   /**
    * True if the current browser is Firefox.
    */
-  static IS_FF = navigator.userAgent.toLowerCase().indexOf('firefox') > -1;
+  static IS_FF =
+    typeof window !== 'undefined' &&
+    navigator.userAgent.toLowerCase().indexOf('firefox') > -1;
 
   /**
    * True if -moz-transform is available as a CSS style. This is the case
@@ -418,7 +418,7 @@ export class Editor extends EventSource {
 
     // Executes the following only if a document has been instanciated.
     // That is, don't execute when the editorcodec is setup.
-    if (document.body != null) {
+    if (typeof document !== 'undefined' && document.body != null) {
       // Defines instance fields
       this.cycleAttributeValues = [];
       this.popupHandler = new EditorPopupMenu();
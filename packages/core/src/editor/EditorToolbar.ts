@@ -67,6 +67,10 @@ export class EditorToolbar {
     if (container != null && editor != null) {
       this.init(container);
     }
+
+    // Updates the titles after the language has been changed
+    this.languageHandler = () => this.updateTitles();
+    Translations.eventSource.addListener(InternalEvent.LANGUAGE, this.languageHandler);
   }
 
   /**
@@ -84,6 +88,18 @@ export class EditorToolbar {
    */
   resetHandler: Function | null = null;
 
+  /**
+   * Reference to the function used to update the titles after the language
+   * has been changed.
+   */
+  languageHandler: Function | null = null;
+
+  /**
+   * Maps from the elements of the toolbar to the resource keys of their
+   * titles. This is used in {@link updateTitles}.
+   */
+  titleResources: Map<HTMLElement, string> = new Map();
+
   /**
    * Defines the spacing between existing and new vertices in gridSize units when a new vertex is dropped on an existing cell.  Default is 4 (40 pixels).
    *
@@ -138,6 +154,47 @@ export class EditorToolbar {
     }
   }
 
+  /**
+   * Returns the translation for the given title. If no resource exists for
+   * the title then the title is returned.
+   *
+   * @param title - String that represents the resource key or the title.
+   */
+  getTitle(title: string): string {
+    return Translations.get(title) ?? title;
+  }
+
+  /**
+   * Stores the given title as the resource key of the given element so that
+   * the element is updated in {@link updateTitles}. Returns the element.
+   *
+   * @param elt - DOM node that represents the toolbar element.
+   * @param title - String that represents the resource key or the title.
+   */
+  addTitleResource<T extends HTMLElement>(elt: T, title: string | null): T {
+    if (elt != null && title != null && title.length > 0) {
+      this.titleResources.set(elt, title);
+    }
+    return elt;
+  }
+
+  /**
+   * Updates the titles of all elements in {@link titleResources} using the
+   * translations of the current language. Elements with a title attribute
+   * get a new tooltip, all other elements get a new text content.
+   */
+  updateTitles(): void {
+    for (const [elt, key] of this.titleResources) {
+      const title = this.getTitle(key);
+
+      if (elt.hasAttribute('title')) {
+        elt.setAttribute('title', title);
+      } else {
+        elt.textContent = title;
+      }
+    }
+  }
+
   /**
    * Adds a new item that executes the given action in {@link editor}. The title,
    * icon and pressedIcon are used to display the toolbar item.
@@ -153,7 +210,15 @@ export class EditorToolbar {
         (<Editor>this.editor).execute(action);
       }
     };
-    return (<MaxToolbar>this.toolbar).addItem(title, icon, clickHandler, pressed);
+    return this.addTitleResource(
+      (<MaxToolbar>this.toolbar).addItem(
+        this.getTitle(title),
+        icon,
+        clickHandler,
+        pressed
+      ),
+      title
+    );
   }
 
   /**
@@ -180,7 +245,9 @@ export class EditorToolbar {
    * @param title String that represents the title of the combo.
    */
   addActionCombo(title: string) {
-    return (<MaxToolbar>this.toolbar).addActionCombo(title);
+    const combo = (<MaxToolbar>this.toolbar).addActionCombo(this.getTitle(title));
+    this.addTitleResource(combo.options[0], title);
+    return combo;
   }
 
   /**
@@ -210,7 +277,10 @@ export class EditorToolbar {
     title: string,
     value: string | ((evt: any) => void) | null
   ): HTMLElement {
-    return (<MaxToolbar>this.toolbar).addOption(combo, title, value);
+    return this.addTitleResource(
+      (<MaxToolbar>this.toolbar).addOption(combo, this.getTitle(title), value),
+      title
+    );
   }
 
   /**
@@ -237,7 +307,15 @@ export class EditorToolbar {
         funct(<Editor>this.editor);
       }
     };
-    return (<MaxToolbar>this.toolbar).addSwitchMode(title, icon, clickHandler, pressed);
+    return this.addTitleResource(
+      (<MaxToolbar>this.toolbar).addSwitchMode(
+        this.getTitle(title),
+        icon,
+        clickHandler,
+        pressed
+      ),
+      title
+    );
   }
 
   /**
@@ -296,7 +374,7 @@ export class EditorToolbar {
     };
 
     const img = (<MaxToolbar>this.toolbar).addMode(
-      title,
+      this.getTitle(title),
       icon,
       clickHandler,
       pressed,
@@ -315,7 +393,7 @@ export class EditorToolbar {
     };
 
     this.installDropHandler(img, dropHandler);
-    return img;
+    return this.addTitleResource(img, title);
   }
 
   /**
@@ -471,6 +549,13 @@ export class EditorToolbar {
    * This does normally not need to be called, the {@link toolbar} is destroyed automatically when the window unloads (in IE) by {@link Editor}.
    */
   destroy(): void {
+    if (this.languageHandler != null) {
+      Translations.eventSource.removeListener(this.languageHandler);
+      this.languageHandler = null;
+    }
+
+    this.titleResources.clear();
+
     if (this.resetHandler != null) {
       (<Editor>this.editor).graph.removeListener(this.resetHandler);
       (<Editor>this.editor).removeListener(this.resetHandler);
@@ -607,8 +692,7 @@ export class EditorToolbarCodec extends ObjectCodec {
             } else if (node.nodeName === 'hr') {
               into.toolbar.addLine();
             } else if (node.nodeName === 'add') {
-              let as = <string>node.getAttribute('as');
-              as = Translations.get(as) || as;
+              const as = <string>node.getAttribute('as');
               const icon = node.getAttribute('icon');
               const pressedIcon = node.getAttribute('pressedIcon');
               const action = node.getAttribute('action');
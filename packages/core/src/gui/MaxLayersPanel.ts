@@ -0,0 +1,409 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Client from '../Client';
+import Cell from '../view/cell/Cell';
+import InternalEvent from '../view/event/InternalEvent';
+import { Graph } from '../view/Graph';
+import Translations from '../util/Translations';
+import MaxWindow from './MaxWindow';
+
+/**
+ * Implements a panel in a {@link MaxWindow} that lists the layers of a graph
+ * and allows to add, remove, rename, reorder, hide and lock layers and to move
+ * the selection cells to a layer. All operations use the layer functions of
+ * {@link GraphDataModel} so that they can be undone.
+ *
+ * The layers are listed top to bottom, that is, the layer that is painted on
+ * top is the first entry. Clicking an entry makes the layer the default parent
+ * of the graph so that new cells are inserted into it.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * const panel = new MaxLayersPanel(graph, 20, 20);
+ * panel.setVisible(true);
+ * ```
+ *
+ * @class MaxLayersPanel
+ */
+class MaxLayersPanel {
+  constructor(
+    graph: Graph,
+    x: number,
+    y: number,
+    width: number = 200,
+    height: number | null = null
+  ) {
+    this.graph = graph;
+
+    this.div = document.createElement('div');
+    this.div.style.padding = '4px';
+
+    this.list = document.createElement('div');
+    this.div.appendChild(this.list);
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.style.paddingTop = '4px';
+    this.div.appendChild(this.toolbar);
+
+    this.window = new MaxWindow(
+      this.getResource(this.layersResource, 'Layers'),
+      this.div,
+      x,
+      y,
+      width,
+      height
+    );
+    this.window.setClosable(true);
+    this.window.destroyOnClose = false;
+
+    this.addButton(this.getResource(this.addLayerResource, 'Add'), () => this.addLayer());
+    this.addButton(this.getResource(this.removeLayerResource, 'Delete'), () =>
+      this.removeLayer()
+    );
+    this.addButton(this.getResource(this.moveLayerUpResource, 'Up'), () =>
+      this.moveLayer(1)
+    );
+    this.addButton(this.getResource(this.moveLayerDownResource, 'Down'), () =>
+      this.moveLayer(-1)
+    );
+    this.addButton(this.getResource(this.moveSelectionResource, 'Move selection'), () =>
+      this.moveSelection()
+    );
+
+    // Updates the list after changes of the model or the current root
+    this.refreshHandler = () => this.refresh();
+    this.graph.getDataModel().addListener(InternalEvent.CHANGE, this.refreshHandler);
+    this.graph.addListener(InternalEvent.ROOT, this.refreshHandler);
+
+    this.refresh();
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * The {@link MaxWindow} that contains the panel.
+   */
+  window: MaxWindow;
+
+  /**
+   * The content of the window.
+   */
+  div: HTMLElement;
+
+  /**
+   * Holds the entries for the layers.
+   */
+  list: HTMLElement;
+
+  /**
+   * Holds the buttons of the panel.
+   */
+  toolbar: HTMLElement;
+
+  /**
+   * Background color of the entry for the current layer.
+   * @default '#E5F1FB'
+   */
+  currentLayerColor = '#E5F1FB';
+
+  refreshHandler: () => void;
+
+  // Resources for the labels of the panel
+  layersResource = Client.language !== 'none' ? 'layers' : '';
+  layerResource = Client.language !== 'none' ? 'layer' : '';
+  addLayerResource = Client.language !== 'none' ? 'addLayer' : '';
+  removeLayerResource = Client.language !== 'none' ? 'removeLayer' : '';
+  moveLayerUpResource = Client.language !== 'none' ? 'moveLayerUp' : '';
+  moveLayerDownResource = Client.language !== 'none' ? 'moveLayerDown' : '';
+  moveSelectionResource = Client.language !== 'none' ? 'moveSelectionToLayer' : '';
+  renameLayerResource = Client.language !== 'none' ? 'renameLayer' : '';
+  visibleResource = Client.language !== 'none' ? 'visible' : '';
+  lockedResource = Client.language !== 'none' ? 'locked' : '';
+
+  /**
+   * Returns the translated resource for the given key or the default value
+   * with the placeholders replaced.
+   */
+  getResource(key: string, defaultValue: string, params: any[] | null = null): string {
+    return Translations.get(key, params, defaultValue) ?? defaultValue;
+  }
+
+  /**
+   * Shows or hides the panel.
+   */
+  setVisible(visible: boolean): void {
+    if (visible) {
+      this.refresh();
+    }
+
+    this.window.setVisible(visible);
+  }
+
+  /**
+   * Returns true if the panel is visible.
+   */
+  isVisible(): boolean {
+    return this.window.isVisible();
+  }
+
+  /**
+   * Adds a button with the given label and function to the toolbar.
+   */
+  addButton(label: string, funct: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.setAttribute('type', 'button');
+    button.style.marginRight = '2px';
+    button.style.marginBottom = '2px';
+    button.textContent = label;
+
+    InternalEvent.addListener(button, 'click', () => {
+      if (this.graph.isEnabled()) {
+        funct();
+      }
+    });
+
+    this.toolbar.appendChild(button);
+
+    return button;
+  }
+
+  /**
+   * Returns the layer that new cells are inserted into.
+   */
+  getCurrentLayer(): Cell | null {
+    const model = this.graph.getDataModel();
+    const parent = this.graph.getDefaultParent();
+
+    return parent != null ? model.getLayerForCell(parent) : null;
+  }
+
+  /**
+   * Makes the given layer the default parent of the graph.
+   */
+  setCurrentLayer(layer: Cell): void {
+    this.graph.setDefaultParent(layer);
+    this.refresh();
+  }
+
+  /**
+   * Returns the label for the given layer.
+   */
+  getLayerName(layer: Cell): string {
+    const value = layer.getValue();
+
+    if (value != null && String(value) !== '') {
+      return String(value);
+    }
+    return this.getResource(this.layerResource, 'Layer {1}', [
+      this.graph.getDataModel().getLayers().indexOf(layer) + 1,
+    ]);
+  }
+
+  /**
+   * Replaces the entries of the list with the current layers of the model.
+   */
+  refresh(): void {
+    const model = this.graph.getDataModel();
+
+    // Resets the default parent if the layer has been removed
+    const defaultParent = this.graph.defaultParent;
+
+    if (defaultParent != null && !model.contains(defaultParent)) {
+      this.graph.setDefaultParent(null);
+    }
+
+    // Releases and removes the existing entries
+    while (this.list.firstChild != null) {
+      InternalEvent.release(this.list.firstChild);
+      this.list.removeChild(this.list.firstChild);
+    }
+
+    const current = this.getCurrentLayer();
+    const layers = model.getLayers();
+
+    for (let i = layers.length - 1; i >= 0; i--) {
+      this.list.appendChild(this.createEntry(layers[i], layers[i] === current));
+    }
+  }
+
+  /**
+   * Creates the entry for the given layer.
+   *
+   * @param layer {@link Cell} that represents the layer.
+   * @param current Specifies if the layer is the current layer.
+   */
+  createEntry(layer: Cell, current: boolean): HTMLElement {
+    const model = this.graph.getDataModel();
+    const entry = document.createElement('div');
+    entry.style.display = 'flex';
+    entry.style.alignItems = 'center';
+    entry.style.padding = '2px';
+    entry.style.cursor = 'pointer';
+
+    if (current) {
+      entry.style.backgroundColor = this.currentLayerColor;
+    }
+
+    const visible = document.createElement('input');
+    visible.setAttribute('type', 'checkbox');
+    visible.setAttribute('title', this.getResource(this.visibleResource, 'Visible'));
+    visible.checked = model.isLayerVisible(layer);
+    entry.appendChild(visible);
+
+    InternalEvent.addListener(visible, 'click', (evt: MouseEvent) => {
+      if (this.graph.isEnabled()) {
+        model.setLayerVisible(layer, visible.checked);
+      } else {
+        visible.checked = !visible.checked;
+      }
+
+      evt.stopPropagation();
+    });
+
+    const locked = document.createElement('input');
+    locked.setAttribute('type', 'checkbox');
+    locked.setAttribute('title', this.getResource(this.lockedResource, 'Locked'));
+    locked.checked = model.isLayerLocked(layer);
+    entry.appendChild(locked);
+
+    InternalEvent.addListener(locked, 'click', (evt: MouseEvent) => {
+      if (this.graph.isEnabled()) {
+        this.setLayerLocked(layer, locked.checked);
+      } else {
+        locked.checked = !locked.checked;
+      }
+
+      evt.stopPropagation();
+    });
+
+    const name = document.createElement('span');
+    name.style.flexGrow = '1';
+    name.style.marginLeft = '4px';
+    name.style.whiteSpace = 'nowrap';
+    name.style.overflow = 'hidden';
+    name.style.textOverflow = 'ellipsis';
+    name.textContent = this.getLayerName(layer);
+    entry.appendChild(name);
+
+    InternalEvent.addListener(entry, 'click', () => this.setCurrentLayer(layer));
+    InternalEvent.addListener(entry, 'dblclick', () => {
+      if (this.graph.isEnabled()) {
+        this.renameLayer(layer);
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Adds a new layer on top of the current layer and makes it the current
+   * layer.
+   */
+  addLayer(): void {
+    const model = this.graph.getDataModel();
+    const current = this.getCurrentLayer();
+    const index = current != null ? model.getLayers().indexOf(current) + 1 : null;
+    const name = this.getResource(this.layerResource, 'Layer {1}', [
+      model.getLayers().length + 1,
+    ]);
+
+    this.graph.setDefaultParent(model.addLayer(name, index));
+    this.refresh();
+  }
+
+  /**
+   * Removes the current layer. The last remaining layer cannot be removed.
+   */
+  removeLayer(): void {
+    const model = this.graph.getDataModel();
+    const layer = this.getCurrentLayer();
+
+    if (layer != null && model.getLayers().length > 1) {
+      this.graph.setDefaultParent(null);
+      model.removeLayer(layer);
+    }
+  }
+
+  /**
+   * Moves the current layer up or down by the given number of positions.
+   */
+  moveLayer(delta: number): void {
+    const model = this.graph.getDataModel();
+    const layer = this.getCurrentLayer();
+
+    if (layer != null) {
+      model.setLayerIndex(layer, model.getLayers().indexOf(layer) + delta);
+    }
+  }
+
+  /**
+   * Moves the selection cells into the current layer.
+   */
+  moveSelection(): void {
+    const layer = this.getCurrentLayer();
+
+    if (layer != null && !this.graph.isSelectionEmpty()) {
+      this.graph.getDataModel().moveCellsToLayer(this.graph.getSelectionCells(), layer);
+    }
+  }
+
+  /**
+   * Locks or unlocks the given layer. The cells of the layer are removed from
+   * the selection if the layer is locked.
+   */
+  setLayerLocked(layer: Cell, locked: boolean): void {
+    this.graph.getDataModel().setLayerLocked(layer, locked);
+
+    if (locked) {
+      this.graph.removeSelectionCells(
+        this.graph
+          .getSelectionCells()
+          .filter((cell) => this.graph.getDataModel().getLayerForCell(cell) === layer)
+      );
+    }
+  }
+
+  /**
+   * Prompts for a new name of the given layer and renames it.
+   */
+  renameLayer(layer: Cell): void {
+    const name = prompt(
+      this.getResource(this.renameLayerResource, 'Rename'),
+      this.getLayerName(layer)
+    );
+
+    if (name != null && name.length > 0) {
+      this.graph.getDataModel().renameLayer(layer, name);
+    }
+  }
+
+  /**
+   * Removes the listeners and destroys the window.
+   */
+  destroy(): void {
+    this.graph.getDataModel().removeListener(this.refreshHandler);
+    this.graph.removeListener(this.refreshHandler);
+    InternalEvent.release(this.div);
+    this.window.destroy();
+  }
+}
+
+export default MaxLayersPanel;
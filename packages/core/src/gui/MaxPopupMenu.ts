@@ -22,6 +22,7 @@ import EventObject from '../view/event/EventObject';
 import Client from '../Client';
 import InternalEvent from '../view/event/InternalEvent';
 import { write } from '../util/domUtils';
+import Translations from '../util/Translations';
 import { isLeftMouseButton } from '../util/EventUtils';
 import Cell from '../view/cell/Cell';
 import InternalMouseEvent from '../view/event/InternalMouseEvent';
@@ -75,6 +76,16 @@ class MaxPopupMenu extends EventSource implements Partial<PopupMenuItem> {
 
     // Disables the context menu on the outer div
     InternalEvent.disableContextMenu(this.div);
+
+    // Recreates the menu after the language has been changed
+    this.languageHandler = () => {
+      if (this.isMenuShowing() && this.lastPopup != null) {
+        const { x, y, cell, evt } = this.lastPopup;
+        this.hideSubmenu(<PopupMenuItem>(<unknown>this));
+        this.popup(x, y, cell, evt);
+      }
+    };
+    Translations.eventSource.addListener(InternalEvent.LANGUAGE, this.languageHandler);
   }
 
   div: HTMLElement;
@@ -135,6 +146,14 @@ class MaxPopupMenu extends EventSource implements Partial<PopupMenuItem> {
   willAddSeparator = false;
   containsItems = false;
 
+  /**
+   * Holds the arguments of the last call to <popup> for recreating the menu
+   * after the language has been changed.
+   */
+  lastPopup: { x: number; y: number; cell: Cell | null; evt: MouseEvent } | null = null;
+
+  languageHandler: Function;
+
   /**
    * Returns true if events are handled. This implementation
    * returns <enabled>.
@@ -448,6 +467,7 @@ class MaxPopupMenu extends EventSource implements Partial<PopupMenuItem> {
       }
 
       this.itemCount = 0;
+      this.lastPopup = { x, y, cell, evt };
       this.factoryMethod(<PopupMenuItem>(<unknown>this), cell, evt);
 
       if (this.itemCount > 0) {
@@ -509,6 +529,8 @@ class MaxPopupMenu extends EventSource implements Partial<PopupMenuItem> {
    * Destroys the handler and all its resources and DOM nodes.
    */
   destroy(): void {
+    Translations.eventSource.removeListener(this.languageHandler);
+
     if (this.div != null) {
       InternalEvent.release(this.div);
 
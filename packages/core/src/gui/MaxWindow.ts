@@ -203,6 +203,10 @@ class MaxWindow extends EventSource {
       this.setMinimizable(minimizable);
       this.setTitle(title);
 
+      // Translates the title after the language has been changed
+      this.languageHandler = () => this.updateTitle();
+      Translations.eventSource.addListener(InternalEvent.LANGUAGE, this.languageHandler);
+
       if (movable) {
         this.installMoveHandler();
       }
@@ -354,6 +358,19 @@ class MaxWindow extends EventSource {
    */
   title!: HTMLElement;
 
+  /**
+   * Resource key of the title or null if the title is not translated. See
+   * {@link setTitleResource}.
+   */
+  titleResource: string | null = null;
+
+  /**
+   * Title to be used if no resource exists for {@link titleResource}.
+   */
+  titleDefault: string | null = null;
+
+  languageHandler: Function | null = null;
+
   /**
    * Reference to the DOM node that represents the window content.
    */
@@ -381,6 +398,34 @@ class MaxWindow extends EventSource {
     this.title.appendChild(this.buttons);
   }
 
+  /**
+   * Sets the resource key of the title. The title is translated with
+   * {@link Translations.get} and updated when the language is changed with
+   * {@link Translations.setLanguage}.
+   *
+   * @param key Resource key of the title.
+   * @param defaultValue Optional title to be used if the resource does not
+   * exist. Default is the key.
+   */
+  setTitleResource(key: string | null, defaultValue: string | null = null): void {
+    this.titleResource = key;
+    this.titleDefault = defaultValue;
+    this.updateTitle();
+  }
+
+  /**
+   * Updates the title for the current language if {@link titleResource} is
+   * not null.
+   */
+  updateTitle(): void {
+    if (this.titleResource != null && this.title != null) {
+      const defaultValue = this.titleDefault ?? this.titleResource;
+      this.setTitle(
+        Translations.get(this.titleResource, null, defaultValue) ?? defaultValue
+      );
+    }
+  }
+
   /**
    * Sets if the window contents should be scrollable.
    */
@@ -939,6 +984,11 @@ class MaxWindow extends EventSource {
   destroy(): void {
     this.fireEvent(new EventObject(InternalEvent.DESTROY));
 
+    if (this.languageHandler != null) {
+      Translations.eventSource.removeListener(this.languageHandler);
+      this.languageHandler = null;
+    }
+
     if (this.div != null) {
       InternalEvent.release(this.div);
       // @ts-ignore
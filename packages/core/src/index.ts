@@ -35,9 +35,15 @@ import './view/mixins/TooltipMixin';
 import './view/mixins/TerminalMixin';
 import './view/mixins/DragDropMixin';
 import './view/mixins/SwimlaneMixin';
+import './view/mixins/TableMixin';
 import './view/mixins/PageBreaksMixin';
 import './view/mixins/GroupingMixin';
 import './view/mixins/OrderMixin';
+import './view/mixins/SearchMixin';
+import './view/mixins/DiffMixin';
+import './view/mixins/ThemeMixin';
+import './view/mixins/StyleRulesMixin';
+import './view/mixins/AnimationMixin';
 
 // GraphCodec
 export { Graph } from './view/Graph';
@@ -55,6 +61,7 @@ export { ChildChange, ChildChangeCodec } from './view/undoable_changes/ChildChan
 export { default as CollapseChange } from './view/undoable_changes/CollapseChange';
 export { default as CurrentRootChange } from './view/undoable_changes/CurrentRootChange';
 export { default as GeometryChange } from './view/undoable_changes/GeometryChange';
+export { default as GuideLinesChange } from './view/undoable_changes/GuideLinesChange';
 export { RootChange, RootChangeCodec } from './view/undoable_changes/RootChange';
 export { default as SelectionChange } from './view/undoable_changes/SelectionChange';
 export { default as StyleChange } from './view/undoable_changes/StyleChange';
@@ -84,6 +91,7 @@ export { default as EdgeSegmentHandler } from './view/handler/EdgeSegmentHandler
 export { default as ElbowEdgeHandler } from './view/handler/ElbowEdgeHandler';
 export { default as SelectionHandler } from './view/handler/SelectionHandler';
 export { default as VertexHandle } from './view/cell/VertexHandle';
+export { default as TableHandle } from './view/cell/TableHandle';
 export { default as KeyHandler } from './view/handler/KeyHandler';
 export { default as PanningHandler } from './view/handler/PanningHandler';
 export { default as PopupMenuHandler } from './view/handler/PopupMenuHandler';
@@ -91,6 +99,9 @@ export { default as RubberBandHandler } from './view/handler/RubberBandHandler';
 export { default as SelectionCellsHandler } from './view/handler/SelectionCellsHandler';
 export { default as TooltipHandler } from './view/handler/TooltipHandler';
 export { default as VertexHandler } from './view/handler/VertexHandler';
+export { default as AccessibilityHandler } from './view/handler/AccessibilityHandler';
+export type { FocusDirection } from './view/handler/AccessibilityHandler';
+export { default as SearchHandler } from './view/handler/SearchHandler';
 
 export { default as CircleLayout } from './view/layout/CircleLayout';
 export { default as CompactTreeLayout } from './view/layout/CompactTreeLayout';
@@ -102,6 +113,17 @@ export { default as ParallelEdgeLayout } from './view/layout/ParallelEdgeLayout'
 export { default as PartitionLayout } from './view/layout/PartitionLayout';
 export { default as RadialTreeLayout } from './view/layout/RadialTreeLayout';
 export { default as StackLayout } from './view/layout/StackLayout';
+export { default as StressLayout } from './view/layout/StressLayout';
+export type { StressLayoutAlignment } from './view/layout/StressLayout';
+export { default as TableLayout } from './view/layout/TableLayout';
+export { default as WorkerLayout } from './view/layout/WorkerLayout';
+export type {
+  LayoutSnapshot,
+  LayoutWorkerRequest,
+  LayoutWorkerResponse,
+} from './view/layout/WorkerLayout';
+export { default as LayoutWorkerHost } from './view/layout/LayoutWorkerHost';
+export type { LayoutWorkerScope } from './view/layout/LayoutWorkerHost';
 
 export { default as HierarchicalEdgeStyle } from './view/layout/datatypes/HierarchicalEdgeStyle';
 export { default as HierarchicalLayout } from './view/layout/HierarchicalLayout';
@@ -123,6 +145,22 @@ export { default as Codec } from './serialization/Codec';
 export { default as CodecRegistry } from './serialization/CodecRegistry';
 export { default as GenericChangeCodec } from './view/undoable_changes/GenericChangeCodec';
 export { default as ObjectCodec } from './serialization/ObjectCodec';
+export { default as JsonCodec } from './serialization/JsonCodec';
+export { default as JsonCodecRegistry } from './serialization/JsonCodecRegistry';
+export { default as JsonObjectCodec } from './serialization/JsonObjectCodec';
+export type { JsonObject } from './serialization/JsonObjectCodec';
+export {
+  JsonCellCodec,
+  JsonChildChangeCodec,
+  JsonGenericChangeCodec,
+  JsonModelCodec,
+  JsonRootChangeCodec,
+  JsonTerminalChangeCodec,
+} from './serialization/JsonModelCodecs';
+export { default as GraphMLCodec } from './serialization/GraphMLCodec';
+export type { GraphMLKey } from './serialization/GraphMLCodec';
+export { default as GexfCodec } from './serialization/GexfCodec';
+export type { GexfAttribute } from './serialization/GexfCodec';
 
 export { default as ActorShape } from './view/geometry/ActorShape';
 export { default as LabelShape } from './view/geometry/node/LabelShape';
@@ -148,10 +186,17 @@ export { default as RectangleShape } from './view/geometry/node/RectangleShape';
 export { default as RhombusShape } from './view/geometry/node/RhombusShape';
 export { default as StencilShape } from './view/geometry/node/StencilShape';
 export { default as StencilShapeRegistry } from './view/geometry/node/StencilShapeRegistry';
+export { default as TableShape } from './view/geometry/node/TableShape';
+export { default as TableRowShape } from './view/geometry/node/TableRowShape';
+export { default as TableCellShape } from './view/geometry/node/TableCellShape';
 
 export * as constants from './util/Constants';
 export { default as Guide } from './view/other/Guide';
+export type { GuideSpacing } from './view/other/Guide';
+export { default as Ruler } from './view/other/Ruler';
+export type { RulerOrientation, RulerUnit } from './view/other/Ruler';
 export { default as Translations } from './util/Translations';
+export type { TranslationBundle, TranslationParams } from './util/Translations';
 export * as utils from './util/Utils';
 export * as cloneUtils from './util/cloneUtils';
 export * as domUtils from './util/domUtils';
@@ -160,16 +205,23 @@ export * as gestureUtils from './util/gestureUtils';
 export * as stringUtils from './util/StringUtils';
 export * as xmlUtils from './util/xmlUtils';
 export * as styleUtils from './util/styleUtils';
+export * as htmlUtils from './util/htmlUtils';
+export * as markdownUtils from './util/markdownUtils';
+export type { HtmlSchema, RichTextLine, RichTextRun } from './util/htmlUtils';
 export * as mathUtils from './util/mathUtils';
 export * as cellArrayUtils from './util/cellArrayUtils';
 
 export { default as Animation } from './view/animate/Animation';
 export { default as Effects } from './view/animate/Effects';
 export { default as Morphing } from './view/animate/Morphing';
+export { default as ChangeAnimation } from './view/animate/ChangeAnimation';
+export { default as Easing } from './view/animate/Easing';
+export type { EasingFunction } from './view/animate/Easing';
 
 export { default as AbstractCanvas2D } from './view/canvas/AbstractCanvas2D';
 export { default as SvgCanvas2D } from './view/canvas/SvgCanvas2D';
 export { default as XmlCanvas2D } from './view/canvas/XmlCanvas2D';
+export { default as HtmlCanvas2D } from './view/canvas/HtmlCanvas2D';
 
 export { default as Dictionary } from './util/Dictionary';
 export { default as Geometry } from './view/geometry/Geometry';
@@ -185,6 +237,7 @@ export { default as StyleRegistry } from './view/style/StyleRegistry';
 // [ERROR] No matching export in "../core/dist/esm/view/style/Stylesheet.js" for import "StylesheetCodec"
 // export { Stylesheet, StylesheetCodec } from './view/style/Stylesheet';
 export { Stylesheet } from './view/style/Stylesheet';
+export { LightTheme, DarkTheme } from './view/style/Themes';
 
 export * as DomHelpers from './util/domHelpers';
 
@@ -197,6 +250,7 @@ export { default as EventSource } from './view/event/EventSource';
 export { default as InternalMouseEvent } from './view/event/InternalMouseEvent';
 
 export { default as MaxForm } from './gui/MaxForm';
+export { default as MaxLayersPanel } from './gui/MaxLayersPanel';
 export { default as MaxLog } from './gui/MaxLog';
 export { default as MaxPopupMenu } from './gui/MaxPopupMenu';
 export { default as MaxToolbar } from './gui/MaxToolbar';
@@ -206,22 +260,50 @@ export { popup, error } from './gui/MaxWindow';
 export { default as ImageBox } from './view/image/ImageBox';
 export { default as ImageBundle } from './view/image/ImageBundle';
 export { default as ImageExport } from './view/image/ImageExport';
+export { default as SvgExport } from './view/image/SvgExport';
 
 export { default as UrlConverter } from './util/UrlConverter';
 export { default as MaxXmlRequest } from './util/MaxXmlRequest';
 export { load, get, getAll, post, submit } from './util/MaxXmlRequest';
 
 export { default as AutoSaveManager } from './view/other/AutoSaveManager';
+export { default as CollaborationManager } from './view/other/CollaborationManager';
+export type {
+  CollaborationMessage,
+  CollaborationOperation,
+  CollaborationProperty,
+  CollaborationTransport,
+} from './view/other/CollaborationManager';
+export { default as InMemoryCollaborationHub } from './view/other/InMemoryCollaborationHub';
+export { default as ValidationManager } from './view/other/ValidationManager';
+export type {
+  ValidationResult,
+  ValidationRule,
+  ValidationRuleKind,
+  ValidationSeverity,
+} from './view/other/ValidationManager';
+export { default as ModelDiff } from './view/other/ModelDiff';
+export type {
+  ModelDiffFilter,
+  ModelDiffProperty,
+  ModelDiffStatus,
+  ModelMergeConflict,
+  ModelMergeResult,
+} from './view/other/ModelDiff';
 export { default as Clipboard } from './util/Clipboard';
+export { default as DomEnvironment } from './util/DomEnvironment';
+export type { TextMeasurer } from './util/DomEnvironment';
 
 export { default as UndoableEdit } from './view/undoable_changes/UndoableEdit';
 export { default as UndoManager } from './view/undoable_changes/UndoManager';
 
 export { Cell, CellCodec } from './view/cell/Cell';
 export { default as CellEditorHandler } from './view/handler/CellEditorHandler';
+export type { RichTextCommand } from './view/handler/CellEditorHandler';
 export { default as CellOverlay } from './view/cell/CellOverlay';
 export { default as CellPath } from './view/cell/CellPath';
 export { default as CellRenderer } from './view/cell/CellRenderer';
+export { default as HtmlCanvasCellRenderer } from './view/cell/HtmlCanvasCellRenderer';
 export { default as CellState } from './view/cell/CellState';
 export { default as CellStatePreview } from './view/cell/CellStatePreview';
 export { default as TemporaryCellStates } from './view/cell/TemporaryCellStates';
@@ -358,12 +358,14 @@ class Codec {
 
       try {
         // @ts-ignore
-        ctor = window[node.nodeName];
+        ctor = globalThis[node.nodeName];
       } catch (err) {
         // ignore
       }
 
-      const dec = CodecRegistry.getCodec(ctor);
+      // Falls back to the codec that is registered for the node name, as the
+      // classes of the library are not defined in the global scope
+      const dec = CodecRegistry.getCodec(ctor) ?? CodecRegistry.codecs[node.nodeName];
 
       if (dec != null) {
         obj = dec.decode(this, node, into);
@@ -0,0 +1,677 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Cell from '../view/cell/Cell';
+import Geometry from '../view/geometry/Geometry';
+import GraphDataModel from '../view/GraphDataModel';
+import { createXmlDocument } from '../util/xmlUtils';
+import {
+  createUserObject,
+  getAbsoluteOrigin,
+  getChildElement,
+  getChildElements,
+  getDocumentElement,
+  getNumberAttribute,
+  getUserObjectAttributes,
+} from './exchangeUtils';
+import type { CellStyle } from '../types';
+
+/**
+ * Definition of a GEXF `attribute` element.
+ */
+export type GexfAttribute = {
+  id: string;
+  /**
+   * Class of the attribute, ie. `node` or `edge`.
+   */
+  class: string;
+  title: string;
+  type: string;
+  default: string | null;
+};
+
+const GEXF_NS = 'http://gexf.net/1.3';
+const VIZ_NS = 'http://gexf.net/1.3/viz';
+
+/**
+ * Imports and exports graphs in the GEXF 1.3 format, eg. for exchanging
+ * graphs with Gephi.
+ *
+ * Nodes are mapped to vertices and edges to edges. Hierarchies are read from
+ * nested `nodes` elements or `pid` attributes and written as nested `nodes`
+ * elements. The `attvalues` of nodes and edges are stored as attributes of
+ * the value of the cell (see {@link createUserObject}), using the `title` of
+ * the attribute as the attribute name. The `label` and `weight` attributes
+ * are stored in the same way.
+ *
+ * The visualization module is used for positions, sizes, colors and
+ * thicknesses. GEXF positions are the centers of the nodes with the y-axis
+ * pointing upwards, so the y-coordinates are inverted.
+ *
+ * ```javascript
+ * const codec = new GexfCodec();
+ * codec.decode(xmlString, graph.getDataModel());
+ *
+ * const xml = getXml(codec.encode(graph.getDataModel()));
+ * ```
+ *
+ * @class GexfCodec
+ */
+class GexfCodec {
+  /**
+   * Holds the attributes of the last decoded document.
+   */
+  attributes: GexfAttribute[] = [];
+
+  /**
+   * Name of the attribute that is used as the label.
+   * @default 'label'
+   */
+  labelAttribute = 'label';
+
+  /**
+   * Name of the XML node that is used for values with attributes.
+   * @default 'UserObject'
+   */
+  userObjectName = 'UserObject';
+
+  /**
+   * Specifies if the visualization module should be written by
+   * {@link encode}.
+   * @default true
+   */
+  viz = true;
+
+  /**
+   * Default size of vertices without a `viz:size`.
+   * @default 40
+   */
+  defaultSize = 40;
+
+  /**
+   * Decodes the given GEXF document into the given model and returns the
+   * cells that were inserted into the parent. The cells are inserted in a
+   * single transaction.
+   *
+   * @param xml GEXF document as a string, document or element.
+   * @param model {@link GraphDataModel} to insert the cells into.
+   * @param parent Optional parent {@link Cell}. Default is the first child of
+   * the root of the model.
+   */
+  decode(xml: string | Document | Element, model: GraphDataModel, parent?: Cell | null) {
+    const root = getDocumentElement(xml);
+    const graph = getChildElement(root, 'graph');
+    const target = parent ?? model.getRoot()?.getChildAt(0);
+
+    if (!target) {
+      throw new Error('GexfCodec.decode: No parent');
+    }
+
+    const result: Cell[] = [];
+
+    if (!graph) {
+      return result;
+    }
+
+    this.attributes = [];
+
+    for (const attributes of getChildElements(graph, 'attributes')) {
+      const cls = attributes.getAttribute('class') ?? 'node';
+
+      for (const attribute of getChildElements(attributes, 'attribute')) {
+        this.attributes.push(this.decodeAttribute(attribute, cls));
+      }
+    }
+
+    const directed = graph.getAttribute('defaultedgetype') !== 'undirected';
+    const nodes: { [id: string]: Cell } = {};
+    const parents: { [id: string]: string } = {};
+    const edges: Element[] = [];
+
+    model.beginUpdate();
+    try {
+      this.decodeNodes(graph, model, target, nodes, parents, edges);
+
+      // Moves nodes with a pid into their parent
+      for (const id of Object.keys(parents)) {
+        const cell = nodes[id];
+        const pid = nodes[parents[id]];
+
+        if (cell && pid && cell !== pid) {
+          const geo = <Geometry>cell.getGeometry();
+          const origin = getAbsoluteOrigin(pid);
+          geo.x -= origin.x;
+          geo.y -= origin.y;
+          model.add(pid, cell);
+        }
+      }
+
+      result.push(...Object.values(nodes).filter((cell) => cell.getParent() === target));
+
+      for (const edge of edges) {
+        const cell = this.decodeEdge(edge, model, nodes, directed);
+
+        if (cell && cell.getParent() === target) {
+          result.push(cell);
+        }
+      }
+    } finally {
+      model.endUpdate();
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the {@link GexfAttribute} for the given `attribute` element.
+   */
+  decodeAttribute(node: Element, cls: string): GexfAttribute {
+    const id = node.getAttribute('id') ?? '';
+    const def = getChildElement(node, 'default');
+
+    return {
+      id,
+      class: cls,
+      title: node.getAttribute('title') ?? id,
+      type: node.getAttribute('type') ?? 'string',
+      default: def ? def.textContent : null,
+    };
+  }
+
+  /**
+   * Inserts the nodes in the `nodes` elements of the given element into the
+   * given parent and collects the edges of the `edges` elements.
+   */
+  decodeNodes(
+    node: Element,
+    model: GraphDataModel,
+    parent: Cell,
+    nodes: { [id: string]: Cell },
+    parents: { [id: string]: string },
+    edges: Element[]
+  ) {
+    const origin = getAbsoluteOrigin(parent);
+
+    for (const tmp of getChildElements(node, 'nodes')) {
+      for (const child of getChildElements(tmp, 'node')) {
+        const cell = this.decodeNode(child, model, parent);
+        const geo = <Geometry>cell.getGeometry();
+        geo.x -= origin.x;
+        geo.y -= origin.y;
+
+        const id = child.getAttribute('id');
+
+        if (id != null) {
+          nodes[id] = cell;
+
+          if (child.hasAttribute('pid')) {
+            parents[id] = <string>child.getAttribute('pid');
+          }
+        }
+        this.decodeNodes(child, model, cell, nodes, parents, edges);
+      }
+    }
+
+    for (const tmp of getChildElements(node, 'edges')) {
+      edges.push(...getChildElements(tmp, 'edge'));
+    }
+  }
+
+  /**
+   * Reads the label and `attvalues` of the given node or edge.
+   */
+  decodeAttValues(node: Element, cls: string) {
+    const attributes: { [name: string]: string } = {};
+
+    for (const attribute of this.attributes) {
+      if (attribute.class === cls && attribute.default != null) {
+        attributes[attribute.title] = attribute.default;
+      }
+    }
+
+    if (node.hasAttribute('label')) {
+      attributes[this.labelAttribute] = <string>node.getAttribute('label');
+    }
+
+    for (const tmp of getChildElements(node, 'attvalues')) {
+      for (const attvalue of getChildElements(tmp, 'attvalue')) {
+        const id = attvalue.getAttribute('for') ?? attvalue.getAttribute('id');
+        const attribute = this.attributes.find((a) => a.class === cls && a.id === id);
+        attributes[attribute?.title ?? id ?? 'value'] =
+          attvalue.getAttribute('value') ?? '';
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Creates a vertex for the given `node` element and inserts it into the
+   * given parent. The geometry of the vertex is absolute.
+   */
+  decodeNode(node: Element, model: GraphDataModel, parent: Cell) {
+    const attributes = this.decodeAttValues(node, 'node');
+    const style: CellStyle = {};
+    const position = getChildElement(node, 'position');
+    const size = getChildElement(node, 'size');
+    const color = getChildElement(node, 'color');
+
+    // The size is the radius of the node
+    const d = size
+      ? getNumberAttribute(size, 'value', this.defaultSize / 2) * 2
+      : this.defaultSize;
+    const geo = new Geometry(0, 0, d, d);
+
+    if (position) {
+      geo.x = getNumberAttribute(position, 'x') - d / 2;
+      geo.y = -getNumberAttribute(position, 'y') - d / 2;
+    }
+
+    if (color) {
+      style.fillColor = this.decodeColor(color);
+    }
+
+    if (getChildElement(node, 'nodes')) {
+      style.verticalAlign = 'top';
+    } else {
+      const shape = getChildElement(node, 'shape')?.getAttribute('value');
+      style.shape =
+        shape === 'square'
+          ? 'rectangle'
+          : shape === 'diamond'
+          ? 'rhombus'
+          : shape === 'triangle'
+          ? 'triangle'
+          : 'ellipse';
+    }
+
+    const cell = new Cell(
+      createUserObject(attributes, this.labelAttribute, this.userObjectName),
+      geo,
+      style
+    );
+    cell.setVertex(true);
+
+    if (node.hasAttribute('id')) {
+      cell.setId(<string>node.getAttribute('id'));
+    }
+    model.add(parent, cell);
+
+    return cell;
+  }
+
+  /**
+   * Creates an edge for the given `edge` element and inserts it into the
+   * nearest common ancestor of its terminals. Returns null if a terminal does
+   * not exist.
+   */
+  decodeEdge(
+    node: Element,
+    model: GraphDataModel,
+    nodes: { [id: string]: Cell },
+    directed: boolean
+  ) {
+    const source = nodes[node.getAttribute('source') ?? ''];
+    const target = nodes[node.getAttribute('target') ?? ''];
+
+    if (!source || !target) {
+      return null;
+    }
+
+    const attributes = this.decodeAttValues(node, 'edge');
+    const style: CellStyle = {};
+    const color = getChildElement(node, 'color');
+    const thickness = getChildElement(node, 'thickness');
+
+    if (node.hasAttribute('weight')) {
+      attributes.weight = <string>node.getAttribute('weight');
+    }
+
+    const type = node.getAttribute('type');
+
+    if (type === 'undirected' || (type == null && !directed)) {
+      style.endArrow = 'none';
+    }
+
+    if (color) {
+      style.strokeColor = this.decodeColor(color);
+    }
+
+    if (thickness) {
+      style.strokeWidth = getNumberAttribute(thickness, 'value', 1);
+    }
+
+    const geo = new Geometry();
+    geo.relative = true;
+
+    const cell = new Cell(
+      createUserObject(attributes, this.labelAttribute, this.userObjectName),
+      geo,
+      style
+    );
+    cell.setEdge(true);
+
+    if (node.hasAttribute('id')) {
+      cell.setId(<string>node.getAttribute('id'));
+    }
+    model.add(source.getNearestCommonAncestor(target) ?? source.getParent(), cell);
+    model.setTerminals(cell, source, target);
+
+    return cell;
+  }
+
+  /**
+   * Returns the CSS color for the given `viz:color` element.
+   */
+  decodeColor(node: Element) {
+    if (node.hasAttribute('hex')) {
+      return <string>node.getAttribute('hex');
+    }
+
+    const hex = (name: string) =>
+      Math.max(0, Math.min(255, getNumberAttribute(node, name)))
+        .toString(16)
+        .padStart(2, '0');
+
+    return `#${hex('r')}${hex('g')}${hex('b')}`;
+  }
+
+  /**
+   * Returns a GEXF document for the descendants of the given parent. Edges
+   * whose terminals are not exported are ignored.
+   *
+   * @param model {@link GraphDataModel} that contains the cells.
+   * @param parent Optional parent {@link Cell}. Default is the first child of
+   * the root of the model.
+   */
+  encode(model: GraphDataModel, parent?: Cell | null): Element {
+    const doc = createXmlDocument();
+    const root = doc.createElementNS(GEXF_NS, 'gexf');
+    root.setAttribute('version', '1.3');
+    doc.appendChild(root);
+
+    if (this.viz) {
+      root.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:viz', VIZ_NS);
+    }
+
+    const source = parent ?? model.getRoot()?.getChildAt(0);
+    const graph = doc.createElementNS(GEXF_NS, 'graph');
+    graph.setAttribute('defaultedgetype', 'directed');
+    root.appendChild(graph);
+
+    if (!source) {
+      return root;
+    }
+
+    const vertices = source.filterDescendants((cell) => cell.isVertex());
+    const edges = source
+      .filterDescendants((cell) => cell.isEdge())
+      .filter((edge) => {
+        const src = edge.getTerminal(true);
+        const trg = edge.getTerminal(false);
+        return src && trg && vertices.includes(src) && vertices.includes(trg);
+      });
+
+    const attributes = [
+      ...this.createAttributes(vertices, 'node'),
+      ...this.createAttributes(edges, 'edge'),
+    ];
+
+    for (const cls of ['node', 'edge']) {
+      const tmp = attributes.filter((a) => a.class === cls);
+
+      if (tmp.length > 0) {
+        graph.appendChild(this.encodeAttributes(doc, cls, tmp));
+      }
+    }
+
+    graph.appendChild(this.encodeNodes(doc, source, attributes));
+
+    const edgesNode = doc.createElementNS(GEXF_NS, 'edges');
+
+    for (const edge of edges) {
+      edgesNode.appendChild(this.encodeEdge(doc, edge, attributes));
+    }
+    graph.appendChild(edgesNode);
+
+    return root;
+  }
+
+  /**
+   * Returns the attributes for the values of the given cells. Existing
+   * {@link attributes} are reused so that their types and defaults are kept.
+   */
+  createAttributes(cells: Cell[], cls: string) {
+    const result: GexfAttribute[] = [];
+    const values: { [title: string]: string[] } = {};
+    const reserved = [this.labelAttribute, ...(cls === 'edge' ? ['weight'] : [])];
+
+    for (const cell of cells) {
+      const attributes = getUserObjectAttributes(cell, this.labelAttribute);
+
+      for (const title of Object.keys(attributes)) {
+        if (!reserved.includes(title)) {
+          if (!values[title]) {
+            const existing = this.attributes.find(
+              (a) => a.class === cls && a.title === title
+            );
+            result.push(
+              existing ?? { id: '', class: cls, title, type: '', default: null }
+            );
+            values[title] = [];
+          }
+          values[title].push(attributes[title]);
+        }
+      }
+    }
+
+    result.forEach((attribute, index) => {
+      if (attribute.type === '') {
+        const tmp = values[attribute.title];
+        attribute.type = tmp.every((v) => v === 'true' || v === 'false')
+          ? 'boolean'
+          : tmp.every((v) => v.trim() !== '' && !isNaN(Number(v)))
+          ? 'double'
+          : 'string';
+      }
+
+      if (
+        attribute.id === '' ||
+        result.some((a, i) => i < index && a.id === attribute.id)
+      ) {
+        attribute.id = String(index);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Returns the `attributes` element for the given attributes.
+   */
+  encodeAttributes(doc: XMLDocument, cls: string, attributes: GexfAttribute[]) {
+    const node = doc.createElementNS(GEXF_NS, 'attributes');
+    node.setAttribute('class', cls);
+
+    for (const attribute of attributes) {
+      const tmp = doc.createElementNS(GEXF_NS, 'attribute');
+      tmp.setAttribute('id', attribute.id);
+      tmp.setAttribute('title', attribute.title);
+      tmp.setAttribute('type', attribute.type);
+
+      if (attribute.default != null) {
+        const def = doc.createElementNS(GEXF_NS, 'default');
+        def.textContent = attribute.default;
+        tmp.appendChild(def);
+      }
+      node.appendChild(tmp);
+    }
+    return node;
+  }
+
+  /**
+   * Writes the label and `attvalues` of the given cell into the given
+   * element. Values that are equal to the default of the attribute are
+   * skipped.
+   */
+  encodeAttValues(
+    doc: XMLDocument,
+    node: Element,
+    cell: Cell,
+    attributes: GexfAttribute[]
+  ) {
+    const cls = cell.isEdge() ? 'edge' : 'node';
+    const values = getUserObjectAttributes(cell, this.labelAttribute);
+    const attvalues = doc.createElementNS(GEXF_NS, 'attvalues');
+
+    for (const title of Object.keys(values)) {
+      if (title === this.labelAttribute) {
+        node.setAttribute('label', values[title]);
+      } else if (cls === 'edge' && title === 'weight') {
+        node.setAttribute('weight', values[title]);
+      } else {
+        const attribute = attributes.find((a) => a.class === cls && a.title === title);
+
+        if (attribute && values[title] !== attribute.default) {
+          const attvalue = doc.createElementNS(GEXF_NS, 'attvalue');
+          attvalue.setAttribute('for', attribute.id);
+          attvalue.setAttribute('value', values[title]);
+          attvalues.appendChild(attvalue);
+        }
+      }
+    }
+
+    if (attvalues.firstChild) {
+      node.appendChild(attvalues);
+    }
+  }
+
+  /**
+   * Returns the `nodes` element for the vertices in the given parent.
+   */
+  encodeNodes(doc: XMLDocument, parent: Cell, attributes: GexfAttribute[]) {
+    const node = doc.createElementNS(GEXF_NS, 'nodes');
+    const origin = getAbsoluteOrigin(parent);
+
+    for (const child of parent.getChildren()) {
+      if (child.isVertex()) {
+        node.appendChild(this.encodeNode(doc, child, attributes, origin.x, origin.y));
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `node` element for the given vertex.
+   */
+  encodeNode(
+    doc: XMLDocument,
+    cell: Cell,
+    attributes: GexfAttribute[],
+    dx: number,
+    dy: number
+  ) {
+    const node = doc.createElementNS(GEXF_NS, 'node');
+    node.setAttribute('id', String(cell.getId()));
+    this.encodeAttValues(doc, node, cell, attributes);
+
+    const geo = cell.getGeometry();
+    const style = cell.getStyle();
+
+    if (this.viz && geo) {
+      const position = doc.createElementNS(VIZ_NS, 'viz:position');
+      position.setAttribute('x', String(geo.x + dx + geo.width / 2));
+      position.setAttribute('y', String(-(geo.y + dy + geo.height / 2)));
+      position.setAttribute('z', '0');
+      node.appendChild(position);
+
+      const size = doc.createElementNS(VIZ_NS, 'viz:size');
+      size.setAttribute('value', String(Math.max(geo.width, geo.height) / 2));
+      node.appendChild(size);
+    }
+
+    if (this.viz && style.fillColor && style.fillColor !== 'none') {
+      const color = this.encodeColor(doc, style.fillColor);
+
+      if (color) {
+        node.appendChild(color);
+      }
+    }
+
+    if (cell.getChildren().some((child) => child.isVertex())) {
+      node.appendChild(this.encodeNodes(doc, cell, attributes));
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `edge` element for the given edge.
+   */
+  encodeEdge(doc: XMLDocument, cell: Cell, attributes: GexfAttribute[]) {
+    const style = cell.getStyle();
+    const node = doc.createElementNS(GEXF_NS, 'edge');
+    node.setAttribute('id', String(cell.getId()));
+    node.setAttribute('source', String(cell.getTerminal(true)?.getId()));
+    node.setAttribute('target', String(cell.getTerminal(false)?.getId()));
+
+    if (style.endArrow === 'none' && (style.startArrow ?? 'none') === 'none') {
+      node.setAttribute('type', 'undirected');
+    }
+    this.encodeAttValues(doc, node, cell, attributes);
+
+    if (this.viz && style.strokeColor && style.strokeColor !== 'none') {
+      const color = this.encodeColor(doc, style.strokeColor);
+
+      if (color) {
+        node.appendChild(color);
+      }
+    }
+
+    if (this.viz && style.strokeWidth != null) {
+      const thickness = doc.createElementNS(VIZ_NS, 'viz:thickness');
+      thickness.setAttribute('value', String(style.strokeWidth));
+      node.appendChild(thickness);
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `viz:color` element for the given hex color or null if the
+   * color is not a hex color.
+   */
+  encodeColor(doc: XMLDocument, value: string) {
+    let hex = value.startsWith('#') ? value.substring(1) : '';
+
+    if (hex.length === 3) {
+      hex = hex
+        .split('')
+        .map((c) => c + c)
+        .join('');
+    }
+
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+      return null;
+    }
+
+    const node = doc.createElementNS(VIZ_NS, 'viz:color');
+    node.setAttribute('r', String(parseInt(hex.substring(0, 2), 16)));
+    node.setAttribute('g', String(parseInt(hex.substring(2, 4), 16)));
+    node.setAttribute('b', String(parseInt(hex.substring(4, 6), 16)));
+
+    return node;
+  }
+}
+
+export default GexfCodec;
@@ -0,0 +1,944 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Cell from '../view/cell/Cell';
+import Geometry from '../view/geometry/Geometry';
+import Point from '../view/geometry/Point';
+import GraphDataModel from '../view/GraphDataModel';
+import { createXmlDocument } from '../util/xmlUtils';
+import {
+  createUserObject,
+  getAbsoluteOrigin,
+  getChildElement,
+  getChildElements,
+  getDocumentElement,
+  getNumberAttribute,
+  getUserObjectAttributes,
+} from './exchangeUtils';
+import type { ArrowType, CellStyle, ShapeValue } from '../types';
+
+/**
+ * Definition of a GraphML `key` element.
+ */
+export type GraphMLKey = {
+  id: string;
+  /**
+   * Domain of the key, ie. `node`, `edge`, `graph` or `all`.
+   */
+  for: string;
+  /**
+   * Name of the attribute. This is the ID of the key if the key has no
+   * `attr.name`.
+   */
+  name: string;
+  /**
+   * One of `boolean`, `int`, `long`, `float`, `double` or `string`.
+   */
+  type: string;
+  default: string | null;
+  /**
+   * Value of the `yfiles.type` attribute, eg. `nodegraphics`.
+   */
+  yfilesType: string | null;
+};
+
+type DecodeContext = {
+  nodes: { [id: string]: Cell };
+  edges: { node: Element; parent: Cell; directed: boolean; origin: Point }[];
+};
+
+const GRAPHML_NS = 'http://graphml.graphdrawing.org/xmlns';
+const YFILES_NS = 'http://www.yworks.com/xml/graphml';
+
+/**
+ * Maps from yFiles shape types to shapes.
+ */
+const YFILES_SHAPES: { [type: string]: ShapeValue } = {
+  ellipse: 'ellipse',
+  diamond: 'rhombus',
+  hexagon: 'hexagon',
+  triangle: 'triangle',
+};
+
+/**
+ * Maps from yFiles arrow types to arrows and fill flags.
+ */
+const YFILES_ARROWS: { [type: string]: [ArrowType, boolean] } = {
+  none: ['none', true],
+  standard: ['classic', true],
+  concave: ['classic', true],
+  delta: ['block', true],
+  convex: ['block', true],
+  white_delta: ['block', false],
+  short: ['open', true],
+  plain: ['open', true],
+  diamond: ['diamond', true],
+  white_diamond: ['diamond', false],
+  circle: ['oval', true],
+  transparent_circle: ['oval', false],
+};
+
+/**
+ * Imports and exports graphs in the GraphML format, eg. for exchanging
+ * graphs with yEd.
+ *
+ * Nodes are mapped to vertices, edges to edges and nested `graph` elements to
+ * the children of the enclosing vertex. The `data` elements are stored as
+ * attributes of the value of the cell (see {@link createUserObject}), using
+ * the `attr.name` of the key as the attribute name. If a cell only has a
+ * label, then the value is a string. The yFiles extensions for geometry,
+ * colors, labels and edge points are used if they exist.
+ *
+ * ```javascript
+ * const codec = new GraphMLCodec();
+ * codec.decode(xmlString, graph.getDataModel());
+ *
+ * const xml = getXml(codec.encode(graph.getDataModel()));
+ * ```
+ *
+ * The keys of the last decoded document are stored in {@link keys} and used
+ * for encoding, so that the types and defaults of the attributes are kept.
+ *
+ * @class GraphMLCodec
+ */
+class GraphMLCodec {
+  /**
+   * Holds the keys of the last decoded document.
+   */
+  keys: GraphMLKey[] = [];
+
+  /**
+   * Name of the attribute that is used as the label.
+   * @default 'label'
+   */
+  labelAttribute = 'label';
+
+  /**
+   * Name of the XML node that is used for values with attributes.
+   * @default 'UserObject'
+   */
+  userObjectName = 'UserObject';
+
+  /**
+   * Specifies if the yFiles extensions should be written by {@link encode}.
+   * @default true
+   */
+  yFiles = true;
+
+  /**
+   * Default size of vertices without geometry.
+   */
+  defaultWidth = 80;
+
+  defaultHeight = 30;
+
+  /**
+   * Spacing between vertices without geometry, which are placed in a grid.
+   * @default 20
+   */
+  spacing = 20;
+
+  /**
+   * Reads the given GraphML document into the given model and returns the
+   * cells that were inserted into the parent. The cells are inserted in a
+   * single transaction.
+   *
+   * @param xml GraphML document as a string, document or element.
+   * @param model {@link GraphDataModel} to insert the cells into.
+   * @param parent Optional parent {@link Cell}. Default is the first child of
+   * the root of the model.
+   */
+  decode(xml: string | Document | Element, model: GraphDataModel, parent?: Cell | null) {
+    const root = getDocumentElement(xml);
+    const target = parent ?? model.getRoot()?.getChildAt(0);
+
+    if (!target) {
+      throw new Error('GraphMLCodec.decode: No parent');
+    }
+
+    this.keys = getChildElements(root, 'key').map((key) => this.decodeKey(key));
+    const ctx: DecodeContext = { nodes: {}, edges: [] };
+    const result: Cell[] = [];
+
+    model.beginUpdate();
+    try {
+      for (const graph of getChildElements(root, 'graph')) {
+        result.push(...this.decodeGraph(graph, model, target, ctx));
+      }
+
+      for (const edge of ctx.edges) {
+        const cell = this.decodeEdge(edge.node, model, edge.parent, ctx, edge);
+
+        if (cell && edge.parent === target) {
+          result.push(cell);
+        }
+      }
+    } finally {
+      model.endUpdate();
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the {@link GraphMLKey} for the given `key` element.
+   */
+  decodeKey(node: Element): GraphMLKey {
+    const id = node.getAttribute('id') ?? '';
+    const def = getChildElement(node, 'default');
+
+    return {
+      id,
+      for: node.getAttribute('for') ?? 'all',
+      name: node.getAttribute('attr.name') ?? id,
+      type: node.getAttribute('attr.type') ?? 'string',
+      default: def ? def.textContent : null,
+      yfilesType: node.getAttribute('yfiles.type'),
+    };
+  }
+
+  /**
+   * Returns the key with the given ID.
+   */
+  getKey(id: string | null) {
+    return this.keys.find((key) => key.id === id) ?? null;
+  }
+
+  /**
+   * Inserts the nodes of the given `graph` element into the given parent and
+   * stores its edges in the context. Returns the inserted vertices.
+   */
+  decodeGraph(graph: Element, model: GraphDataModel, parent: Cell, ctx: DecodeContext) {
+    const directed = graph.getAttribute('edgedefault') !== 'undirected';
+    const origin = getAbsoluteOrigin(parent);
+    const result: Cell[] = [];
+
+    for (const node of getChildElements(graph)) {
+      if (node.localName === 'node') {
+        result.push(this.decodeNode(node, model, parent, ctx, origin, result.length));
+      } else if (node.localName === 'edge') {
+        ctx.edges.push({ node, parent, directed, origin });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Reads the `data` elements of the given node or edge. Returns the
+   * attributes and the yFiles graphics element, if one exists.
+   */
+  decodeData(node: Element, domain: string) {
+    const attributes: { [name: string]: string } = {};
+    let graphics: Element | null = null;
+
+    for (const key of this.keys) {
+      if ((key.for === domain || key.for === 'all') && key.default != null) {
+        attributes[key.name] = key.default;
+      }
+    }
+
+    for (const data of getChildElements(node, 'data')) {
+      const keyId = data.getAttribute('key');
+      const key = this.getKey(keyId);
+
+      if (key?.yfilesType === `${domain}graphics`) {
+        graphics = getChildElements(data)[0] ?? null;
+      } else if (key?.yfilesType == null) {
+        attributes[key?.name ?? keyId ?? 'data'] = data.textContent ?? '';
+      }
+    }
+    return { attributes, graphics };
+  }
+
+  /**
+   * Creates a vertex for the given `node` element and inserts it into the
+   * given parent. Nested graphs are inserted as children of the vertex.
+   */
+  decodeNode(
+    node: Element,
+    model: GraphDataModel,
+    parent: Cell,
+    ctx: DecodeContext,
+    origin: Point,
+    index: number
+  ) {
+    const { attributes, graphics } = this.decodeData(node, 'node');
+    const style: CellStyle = {};
+    let geo: Geometry | null = null;
+
+    if (graphics) {
+      geo = this.decodeNodeGraphics(this.getRealizer(graphics), attributes, style);
+    }
+
+    if (geo) {
+      geo.x -= origin.x;
+      geo.y -= origin.y;
+    } else {
+      // Places vertices without geometry in a grid
+      const columns = 8;
+      geo = new Geometry(
+        this.spacing + (index % columns) * (this.defaultWidth + this.spacing),
+        this.spacing + Math.floor(index / columns) * (this.defaultHeight + this.spacing),
+        this.defaultWidth,
+        this.defaultHeight
+      );
+    }
+
+    const cell = new Cell(
+      createUserObject(attributes, this.labelAttribute, this.userObjectName),
+      geo,
+      style
+    );
+    cell.setVertex(true);
+
+    const id = node.getAttribute('id');
+
+    if (id != null) {
+      cell.setId(id);
+      ctx.nodes[id] = cell;
+    }
+    model.add(parent, cell);
+
+    for (const graph of getChildElements(node, 'graph')) {
+      const children = this.decodeGraph(graph, model, cell, ctx);
+      style.verticalAlign = 'top';
+
+      if (!graphics && children.length > 0) {
+        this.resizeToChildren(cell, children);
+      }
+    }
+    return cell;
+  }
+
+  /**
+   * Returns the active realizer for yFiles group nodes or the given element.
+   */
+  getRealizer(graphics: Element) {
+    const realizers = getChildElement(graphics, 'Realizers');
+
+    if (realizers) {
+      const active = getNumberAttribute(realizers, 'active');
+      return getChildElements(realizers)[active] ?? graphics;
+    }
+    return graphics;
+  }
+
+  /**
+   * Reads the geometry, colors and label of the given yFiles node realizer,
+   * eg. `y:ShapeNode`, into the given attributes and style. Returns the
+   * absolute geometry or null if the realizer has no geometry.
+   */
+  decodeNodeGraphics(
+    realizer: Element,
+    attributes: { [name: string]: string },
+    style: CellStyle
+  ) {
+    const geometry = getChildElement(realizer, 'Geometry');
+    const fill = getChildElement(realizer, 'Fill');
+    const border = getChildElement(realizer, 'BorderStyle');
+    const label = getChildElement(realizer, 'NodeLabel');
+    const shape = getChildElement(realizer, 'Shape');
+
+    if (fill) {
+      style.fillColor =
+        fill.getAttribute('hasColor') === 'false' ||
+        fill.getAttribute('transparent') === 'true'
+          ? 'none'
+          : this.decodeColor(fill.getAttribute('color')) ?? style.fillColor;
+    }
+
+    if (border) {
+      this.decodeLineStyle(border, style);
+    }
+
+    if (label) {
+      this.decodeLabel(label, attributes, style);
+    }
+
+    const type = shape?.getAttribute('type');
+
+    if (type === 'roundrectangle') {
+      style.rounded = true;
+    } else if (type && YFILES_SHAPES[type]) {
+      style.shape = YFILES_SHAPES[type];
+    }
+
+    return geometry
+      ? new Geometry(
+          getNumberAttribute(geometry, 'x'),
+          getNumberAttribute(geometry, 'y'),
+          getNumberAttribute(geometry, 'width', this.defaultWidth),
+          getNumberAttribute(geometry, 'height', this.defaultHeight)
+        )
+      : null;
+  }
+
+  /**
+   * Reads the text and font of the given yFiles label into the given
+   * attributes and style. Existing label attributes are not replaced.
+   */
+  decodeLabel(label: Element, attributes: { [name: string]: string }, style: CellStyle) {
+    const text = (label.textContent ?? '').trim();
+
+    if (text.length > 0 && attributes[this.labelAttribute] == null) {
+      attributes[this.labelAttribute] = text;
+    }
+
+    if (label.hasAttribute('fontSize')) {
+      style.fontSize = getNumberAttribute(label, 'fontSize');
+    }
+
+    const color = this.decodeColor(label.getAttribute('textColor'));
+
+    if (color) {
+      style.fontColor = color;
+    }
+  }
+
+  /**
+   * Reads the given yFiles `BorderStyle` or `LineStyle` element into the
+   * given style.
+   */
+  decodeLineStyle(node: Element, style: CellStyle) {
+    style.strokeColor =
+      node.getAttribute('hasColor') === 'false'
+        ? 'none'
+        : this.decodeColor(node.getAttribute('color')) ?? style.strokeColor;
+
+    if (node.hasAttribute('width')) {
+      style.strokeWidth = getNumberAttribute(node, 'width', 1);
+    }
+
+    const type = node.getAttribute('type');
+
+    if (type && type !== 'line') {
+      style.dashed = true;
+    }
+  }
+
+  /**
+   * Returns the given yFiles color without the alpha component.
+   */
+  decodeColor(color: string | null) {
+    return color && color.startsWith('#') ? color.substring(0, 7) : null;
+  }
+
+  /**
+   * Sets the size of the given vertex so that it contains the given children.
+   */
+  resizeToChildren(cell: Cell, children: Cell[]) {
+    const geo = <Geometry>cell.getGeometry();
+    let width = geo.width;
+    let height = geo.height;
+
+    for (const child of children) {
+      const tmp = child.getGeometry();
+
+      if (tmp) {
+        width = Math.max(width, tmp.x + tmp.width + this.spacing);
+        height = Math.max(height, tmp.y + tmp.height + this.spacing);
+      }
+    }
+
+    geo.width = width;
+    geo.height = height;
+  }
+
+  /**
+   * Creates an edge for the given `edge` element and inserts it into the given
+   * parent. Returns null if a terminal of the edge does not exist.
+   */
+  decodeEdge(
+    node: Element,
+    model: GraphDataModel,
+    parent: Cell,
+    ctx: DecodeContext,
+    options: { directed: boolean; origin: Point }
+  ) {
+    const source = ctx.nodes[node.getAttribute('source') ?? ''];
+    const target = ctx.nodes[node.getAttribute('target') ?? ''];
+
+    if (!source || !target) {
+      return null;
+    }
+
+    const { attributes, graphics } = this.decodeData(node, 'edge');
+    const style: CellStyle = {};
+    const geo = new Geometry();
+    geo.relative = true;
+
+    const directed = node.hasAttribute('directed')
+      ? node.getAttribute('directed') === 'true'
+      : options.directed;
+
+    if (!directed) {
+      style.endArrow = 'none';
+    }
+
+    if (graphics) {
+      this.decodeEdgeGraphics(graphics, attributes, style, geo, options.origin);
+    }
+
+    const cell = new Cell(
+      createUserObject(attributes, this.labelAttribute, this.userObjectName),
+      geo,
+      style
+    );
+    cell.setEdge(true);
+
+    if (node.hasAttribute('id')) {
+      cell.setId(<string>node.getAttribute('id'));
+    }
+    model.add(parent, cell);
+    model.setTerminals(cell, source, target);
+
+    return cell;
+  }
+
+  /**
+   * Reads the points, colors, arrows and label of the given yFiles edge
+   * realizer, eg. `y:PolyLineEdge`, into the given attributes, style and
+   * geometry.
+   */
+  decodeEdgeGraphics(
+    realizer: Element,
+    attributes: { [name: string]: string },
+    style: CellStyle,
+    geo: Geometry,
+    origin: Point
+  ) {
+    const path = getChildElement(realizer, 'Path');
+    const line = getChildElement(realizer, 'LineStyle');
+    const arrows = getChildElement(realizer, 'Arrows');
+    const label = getChildElement(realizer, 'EdgeLabel');
+
+    if (path) {
+      const points = getChildElements(path, 'Point').map(
+        (pt) =>
+          new Point(
+            getNumberAttribute(pt, 'x') - origin.x,
+            getNumberAttribute(pt, 'y') - origin.y
+          )
+      );
+
+      if (points.length > 0) {
+        geo.points = points;
+      }
+    }
+
+    if (line) {
+      this.decodeLineStyle(line, style);
+    }
+
+    if (arrows) {
+      const start = YFILES_ARROWS[arrows.getAttribute('source') ?? 'none'];
+      const end = YFILES_ARROWS[arrows.getAttribute('target') ?? 'none'];
+
+      if (start) {
+        style.startArrow = start[0];
+        style.startFill = start[1];
+      }
+
+      if (end) {
+        style.endArrow = end[0];
+        style.endFill = end[1];
+      }
+    }
+
+    if (label) {
+      this.decodeLabel(label, attributes, style);
+    }
+  }
+
+  /**
+   * Returns a GraphML document for the descendants of the given parent.
+   * Edges whose terminals are not exported are ignored.
+   *
+   * @param model {@link GraphDataModel} that contains the cells.
+   * @param parent Optional parent {@link Cell}. Default is the first child of
+   * the root of the model.
+   */
+  encode(model: GraphDataModel, parent?: Cell | null): Element {
+    const doc = createXmlDocument();
+    const root = doc.createElementNS(GRAPHML_NS, 'graphml');
+    const source = parent ?? model.getRoot()?.getChildAt(0);
+    doc.appendChild(root);
+
+    if (this.yFiles) {
+      root.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:y', YFILES_NS);
+    }
+
+    const vertices = new Set<Cell>();
+    const cells = source ? this.getCells(source, vertices) : [];
+    const keys = this.createKeys(cells);
+
+    for (const key of keys) {
+      root.appendChild(this.encodeKey(doc, key));
+    }
+
+    const graph = doc.createElementNS(GRAPHML_NS, 'graph');
+    graph.setAttribute('id', 'G');
+    graph.setAttribute('edgedefault', 'directed');
+    root.appendChild(graph);
+
+    if (source) {
+      this.encodeGraph(doc, graph, source, keys, vertices);
+    }
+    return root;
+  }
+
+  /**
+   * Returns all descendants of the given parent that are vertices or edges
+   * and adds the vertices to the given set.
+   */
+  getCells(parent: Cell, vertices: Set<Cell>) {
+    return parent.filterDescendants((cell) => {
+      if (cell.isVertex()) {
+        vertices.add(cell);
+      }
+      return cell !== parent && (cell.isVertex() || cell.isEdge());
+    });
+  }
+
+  /**
+   * Returns the keys for the attributes of the given cells. Existing
+   * {@link keys} are reused so that their types and defaults are kept.
+   */
+  createKeys(cells: Cell[]) {
+    const result: GraphMLKey[] = [];
+    const values: { [id: string]: string[] } = {};
+
+    const findKey = (name: string, domain: string) =>
+      result.find((key) => key.name === name && key.for === domain);
+
+    for (const cell of cells) {
+      const domain = cell.isEdge() ? 'edge' : 'node';
+      const attributes = getUserObjectAttributes(cell, this.labelAttribute);
+
+      for (const name of Object.keys(attributes)) {
+        let key = findKey(name, domain);
+
+        if (!key) {
+          const existing = this.keys.find(
+            (k) => k.name === name && (k.for === domain || k.for === 'all')
+          );
+          key = existing
+            ? { ...existing, for: domain }
+            : {
+                id: '',
+                for: domain,
+                name,
+                type: '',
+                default: null,
+                yfilesType: null,
+              };
+          result.push(key);
+          values[`${domain}.${name}`] = [];
+        }
+        values[`${domain}.${name}`].push(attributes[name]);
+      }
+    }
+
+    // Infers the types of new keys from the values
+    for (const key of result) {
+      if (key.type === '') {
+        const tmp = values[`${key.for}.${key.name}`];
+        key.type = tmp.every((v) => v === 'true' || v === 'false')
+          ? 'boolean'
+          : tmp.every((v) => v.trim() !== '' && !isNaN(Number(v)))
+          ? 'double'
+          : 'string';
+      }
+    }
+
+    if (this.yFiles) {
+      for (const domain of ['node', 'edge']) {
+        result.push({
+          id: '',
+          for: domain,
+          name: `${domain}graphics`,
+          type: '',
+          default: null,
+          yfilesType: `${domain}graphics`,
+        });
+      }
+    }
+
+    // Assigns unique IDs
+    const ids = new Set<string>();
+
+    for (const key of result) {
+      if (key.id === '' || ids.has(key.id)) {
+        let i = ids.size;
+
+        while (ids.has(`d${i}`)) {
+          i++;
+        }
+        key.id = `d${i}`;
+      }
+      ids.add(key.id);
+    }
+    return result;
+  }
+
+  /**
+   * Returns the `key` element for the given {@link GraphMLKey}.
+   */
+  encodeKey(doc: XMLDocument, key: GraphMLKey) {
+    const node = doc.createElementNS(GRAPHML_NS, 'key');
+    node.setAttribute('id', key.id);
+    node.setAttribute('for', key.for);
+
+    if (key.yfilesType) {
+      node.setAttribute('yfiles.type', key.yfilesType);
+    } else {
+      node.setAttribute('attr.name', key.name);
+      node.setAttribute('attr.type', key.type);
+
+      if (key.default != null) {
+        const def = doc.createElementNS(GRAPHML_NS, 'default');
+        def.textContent = key.default;
+        node.appendChild(def);
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Writes the vertices and edges that are children of the given parent into
+   * the given `graph` element.
+   */
+  encodeGraph(
+    doc: XMLDocument,
+    graph: Element,
+    parent: Cell,
+    keys: GraphMLKey[],
+    vertices: Set<Cell>
+  ) {
+    const origin = getAbsoluteOrigin(parent);
+    const edges: Cell[] = [];
+
+    for (const child of parent.getChildren()) {
+      if (child.isVertex()) {
+        graph.appendChild(this.encodeNode(doc, child, keys, vertices, origin));
+      } else if (child.isEdge()) {
+        edges.push(child);
+      }
+    }
+
+    for (const edge of edges) {
+      const source = edge.getTerminal(true);
+      const target = edge.getTerminal(false);
+
+      if (source && target && vertices.has(source) && vertices.has(target)) {
+        graph.appendChild(this.encodeEdge(doc, edge, keys, origin));
+      }
+    }
+  }
+
+  /**
+   * Writes the `data` elements for the attributes of the given cell into the
+   * given node. Values that are equal to the default of the key are skipped.
+   */
+  encodeData(doc: XMLDocument, node: Element, cell: Cell, keys: GraphMLKey[]) {
+    const domain = cell.isEdge() ? 'edge' : 'node';
+    const attributes = getUserObjectAttributes(cell, this.labelAttribute);
+
+    for (const name of Object.keys(attributes)) {
+      const key = keys.find((k) => k.name === name && k.for === domain && !k.yfilesType);
+
+      if (key && attributes[name] !== key.default) {
+        const data = doc.createElementNS(GRAPHML_NS, 'data');
+        data.setAttribute('key', key.id);
+        data.textContent = attributes[name];
+        node.appendChild(data);
+      }
+    }
+  }
+
+  /**
+   * Returns the `node` element for the given vertex.
+   */
+  encodeNode(
+    doc: XMLDocument,
+    cell: Cell,
+    keys: GraphMLKey[],
+    vertices: Set<Cell>,
+    origin: Point
+  ) {
+    const node = doc.createElementNS(GRAPHML_NS, 'node');
+    node.setAttribute('id', String(cell.getId()));
+    this.encodeData(doc, node, cell, keys);
+
+    const graphics = keys.find((k) => k.yfilesType === 'nodegraphics');
+    const geo = cell.getGeometry();
+
+    if (graphics && geo) {
+      const data = doc.createElementNS(GRAPHML_NS, 'data');
+      data.setAttribute('key', graphics.id);
+      data.appendChild(this.encodeNodeGraphics(doc, cell, geo, origin));
+      node.appendChild(data);
+    }
+
+    if (cell.getChildren().some((child) => child.isVertex())) {
+      const graph = doc.createElementNS(GRAPHML_NS, 'graph');
+      graph.setAttribute('id', `${cell.getId()}:`);
+      graph.setAttribute('edgedefault', 'directed');
+      this.encodeGraph(doc, graph, cell, keys, vertices);
+      node.appendChild(graph);
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `y:ShapeNode` element for the given vertex.
+   */
+  encodeNodeGraphics(doc: XMLDocument, cell: Cell, geo: Geometry, origin: Point) {
+    const style = cell.getStyle();
+    const node = doc.createElementNS(YFILES_NS, 'y:ShapeNode');
+
+    const geometry = doc.createElementNS(YFILES_NS, 'y:Geometry');
+    geometry.setAttribute('x', String(geo.x + origin.x));
+    geometry.setAttribute('y', String(geo.y + origin.y));
+    geometry.setAttribute('width', String(geo.width));
+    geometry.setAttribute('height', String(geo.height));
+    node.appendChild(geometry);
+
+    const fill = doc.createElementNS(YFILES_NS, 'y:Fill');
+
+    if (style.fillColor === 'none') {
+      fill.setAttribute('transparent', 'true');
+    } else if (style.fillColor) {
+      fill.setAttribute('color', style.fillColor);
+    }
+    node.appendChild(fill);
+    node.appendChild(this.encodeLineStyle(doc, 'y:BorderStyle', style));
+    node.appendChild(this.encodeLabel(doc, 'y:NodeLabel', cell, style));
+
+    const shape = doc.createElementNS(YFILES_NS, 'y:Shape');
+    const type = Object.keys(YFILES_SHAPES).find((k) => YFILES_SHAPES[k] === style.shape);
+    shape.setAttribute('type', type ?? (style.rounded ? 'roundrectangle' : 'rectangle'));
+    node.appendChild(shape);
+
+    return node;
+  }
+
+  /**
+   * Returns the yFiles element with the given name for the stroke of the
+   * given style.
+   */
+  encodeLineStyle(doc: XMLDocument, name: string, style: CellStyle) {
+    const node = doc.createElementNS(YFILES_NS, name);
+
+    if (style.strokeColor === 'none') {
+      node.setAttribute('hasColor', 'false');
+    } else if (style.strokeColor) {
+      node.setAttribute('color', style.strokeColor);
+    }
+    node.setAttribute('type', style.dashed ? 'dashed' : 'line');
+    node.setAttribute('width', String(style.strokeWidth ?? 1));
+
+    return node;
+  }
+
+  /**
+   * Returns the yFiles label element with the given name for the given cell.
+   */
+  encodeLabel(doc: XMLDocument, name: string, cell: Cell, style: CellStyle) {
+    const node = doc.createElementNS(YFILES_NS, name);
+    node.textContent =
+      getUserObjectAttributes(cell, this.labelAttribute)[this.labelAttribute] ?? '';
+
+    if (style.fontSize != null) {
+      node.setAttribute('fontSize', String(style.fontSize));
+    }
+
+    if (style.fontColor) {
+      node.setAttribute('textColor', style.fontColor);
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `edge` element for the given edge.
+   */
+  encodeEdge(doc: XMLDocument, cell: Cell, keys: GraphMLKey[], origin: Point) {
+    const style = cell.getStyle();
+    const node = doc.createElementNS(GRAPHML_NS, 'edge');
+    node.setAttribute('id', String(cell.getId()));
+    node.setAttribute('source', String(cell.getTerminal(true)?.getId()));
+    node.setAttribute('target', String(cell.getTerminal(false)?.getId()));
+
+    if (style.endArrow === 'none' && (style.startArrow ?? 'none') === 'none') {
+      node.setAttribute('directed', 'false');
+    }
+    this.encodeData(doc, node, cell, keys);
+
+    const graphics = keys.find((k) => k.yfilesType === 'edgegraphics');
+
+    if (graphics) {
+      const data = doc.createElementNS(GRAPHML_NS, 'data');
+      data.setAttribute('key', graphics.id);
+      data.appendChild(this.encodeEdgeGraphics(doc, cell, style, origin));
+      node.appendChild(data);
+    }
+    return node;
+  }
+
+  /**
+   * Returns the `y:PolyLineEdge` element for the given edge.
+   */
+  encodeEdgeGraphics(doc: XMLDocument, cell: Cell, style: CellStyle, origin: Point) {
+    const node = doc.createElementNS(YFILES_NS, 'y:PolyLineEdge');
+    const path = doc.createElementNS(YFILES_NS, 'y:Path');
+    path.setAttribute('sx', '0');
+    path.setAttribute('sy', '0');
+    path.setAttribute('tx', '0');
+    path.setAttribute('ty', '0');
+
+    for (const pt of cell.getGeometry()?.points ?? []) {
+      const point = doc.createElementNS(YFILES_NS, 'y:Point');
+      point.setAttribute('x', String(pt.x + origin.x));
+      point.setAttribute('y', String(pt.y + origin.y));
+      path.appendChild(point);
+    }
+    node.appendChild(path);
+    node.appendChild(this.encodeLineStyle(doc, 'y:LineStyle', style));
+
+    const arrows = doc.createElementNS(YFILES_NS, 'y:Arrows');
+    arrows.setAttribute('source', this.encodeArrow(style.startArrow, style.startFill));
+    arrows.setAttribute(
+      'target',
+      this.encodeArrow(style.endArrow ?? 'classic', style.endFill)
+    );
+    node.appendChild(arrows);
+    node.appendChild(this.encodeLabel(doc, 'y:EdgeLabel', cell, style));
+
+    return node;
+  }
+
+  /**
+   * Returns the yFiles arrow type for the given arrow and fill flag.
+   */
+  encodeArrow(arrow: ArrowType | undefined, filled = true) {
+    const type = Object.keys(YFILES_ARROWS).find(
+      (k) => YFILES_ARROWS[k][0] === arrow && YFILES_ARROWS[k][1] === filled
+    );
+    return type ?? (arrow && arrow !== 'none' ? 'standard' : 'none');
+  }
+}
+
+export default GraphMLCodec;
@@ -0,0 +1,458 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import CellPath from '../view/cell/CellPath';
+import Cell from '../view/cell/Cell';
+import MaxLog from '../gui/MaxLog';
+import { getFunctionName } from '../util/StringUtils';
+import { isNode } from '../util/domUtils';
+import { getXml, parseXml } from '../util/xmlUtils';
+import JsonCodecRegistry from './JsonCodecRegistry';
+import type { JsonObject } from './JsonObjectCodec';
+import type GraphDataModel from '../view/GraphDataModel';
+import './JsonModelCodecs';
+
+/**
+ * JSON codec for JavaScript object graphs. This is the counterpart of
+ * {@link Codec} that produces plain JavaScript objects which can be passed
+ * to `JSON.stringify` instead of XML nodes. It uses the codecs registered in
+ * {@link JsonCodecRegistry} for encoding/decoding each object, see
+ * {@link JsonObjectCodec} for a description of the encoding scheme.
+ *
+ * ### Examples
+ *
+ * The following code is used to encode a graph model.
+ *
+ * ```javascript
+ * const enc = new JsonCodec();
+ * const json = JSON.stringify(enc.encode(graph.getDataModel()));
+ * ```
+ *
+ * Using the code below, a JSON string is decoded into an existing model.
+ *
+ * ```javascript
+ * const doc = JSON.parse(json);
+ * new JsonCodec(doc).decode(doc, graph.getDataModel());
+ * ```
+ *
+ * For decoding changes that reference cells of an existing model, eg. for
+ * the changes of an {@link UndoableEdit}, the model is passed to the codec so
+ * that the cells can be resolved via {@link lookup}:
+ *
+ * ```javascript
+ * const enc = new JsonCodec();
+ * const changes = edit.changes.map((change) => enc.encode(change));
+ *
+ * const dec = new JsonCodec(changes, model);
+ * const decoded = changes.map((change) => dec.decode(change));
+ * ```
+ *
+ * ### References
+ *
+ * In order to resolve references, especially forward references, the codec
+ * must be given the document (ie. the JSON value) that contains the
+ * referenced objects. All objects in the document with an `id` property are
+ * indexed in {@link elements}.
+ *
+ * ### Values
+ *
+ * Values are converted in {@link encodeValue} and {@link decodeValue}:
+ * primitive values are kept as is, arrays and plain objects (eg. a
+ * {@link CellStyle} or a user object) are copied recursively, XML nodes are
+ * stored as strings and instances of classes are encoded with their codec.
+ *
+ * @class JsonCodec
+ */
+class JsonCodec {
+  constructor(document: any = null, model: GraphDataModel | null = null) {
+    this.document = document;
+    this.model = model;
+    this.objects = {};
+  }
+
+  /**
+   * The JSON value that contains the objects to be decoded. This is used to
+   * resolve references in {@link getObject}.
+   */
+  document: any;
+
+  /**
+   * Optional model that is used in {@link lookup} to resolve the IDs of cells
+   * that are not contained in {@link document}. This is also assigned to the
+   * decoded changes.
+   */
+  model: GraphDataModel | null;
+
+  /**
+   * Name of the property that contains the name of the codec in the JSON
+   * objects.
+   * @default '$type'
+   */
+  TYPE_KEY = '$type';
+
+  /**
+   * Name of the codec for XML nodes. XML nodes are stored as strings in the
+   * `xml` property of the JSON object.
+   * @default 'XmlNode'
+   */
+  XML_NODE_TYPE = 'XmlNode';
+
+  /**
+   * Maps from IDs to objects.
+   */
+  objects: { [key: string]: any };
+
+  /**
+   * Lookup table for resolving IDs to JSON objects.
+   */
+  elements: { [key: string]: JsonObject } | null = null;
+
+  /**
+   * Specifies if default values should be encoded.
+   * @default false
+   */
+  encodeDefaults = false;
+
+  /**
+   * Associates the given object with the given ID and returns the given object.
+   *
+   * @param id ID for the object to be associated with.
+   * @param obj Object to be associated with the ID.
+   */
+  putObject(id: string, obj: any): any {
+    this.objects[id] = obj;
+    return obj;
+  }
+
+  /**
+   * Returns the decoded object for the JSON object with the specified ID in
+   * {@link document}. If the object is not known then {@link lookup} is used to
+   * find an object. If no object is found, then the JSON object with the
+   * respective ID from the document is decoded using {@link decode}.
+   */
+  getObject(id: string): any {
+    let obj = null;
+
+    if (id != null) {
+      obj = this.objects[id];
+
+      if (obj == null) {
+        obj = this.lookup(id);
+
+        if (obj == null) {
+          const json = this.getElementById(id);
+
+          if (json != null) {
+            obj = this.decode(json);
+          }
+        }
+      }
+    }
+
+    return obj;
+  }
+
+  /**
+   * Hook for subclassers to implement a custom lookup mechanism for cell IDs.
+   * This implementation returns the cell with the given ID from {@link model}.
+   *
+   * @param id ID of the object to be returned.
+   */
+  lookup(id: string): any {
+    return this.model?.getCell(id) ?? null;
+  }
+
+  /**
+   * Returns the JSON object with the given ID from {@link document}.
+   *
+   * @param id String that contains the ID.
+   */
+  getElementById(id: string): JsonObject | null {
+    this.updateElements();
+    return (<{ [key: string]: JsonObject }>this.elements)[id] ?? null;
+  }
+
+  /**
+   * Builds {@link elements} from {@link document} if it does not exist.
+   */
+  updateElements(): void {
+    if (this.elements == null) {
+      this.elements = {};
+
+      if (this.document != null) {
+        this.addElement(this.document);
+      }
+    }
+  }
+
+  /**
+   * Adds the given JSON value and all nested JSON objects with an ID to
+   * {@link elements}.
+   */
+  addElement(value: any): void {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        this.addElement(item);
+      }
+    } else if (value != null && typeof value === 'object') {
+      const elements = <{ [key: string]: JsonObject }>this.elements;
+      const { id } = value;
+
+      if (id != null && value[this.TYPE_KEY] != null) {
+        if (elements[id] == null) {
+          elements[id] = value;
+        } else if (elements[id] !== value) {
+          throw new Error(`${id}: Duplicate ID`);
+        }
+      }
+
+      for (const key of Object.keys(value)) {
+        this.addElement(value[key]);
+      }
+    }
+  }
+
+  /**
+   * Returns the ID of the specified object. This implementation calls
+   * {@link reference} first and if that returns null handles the object as an
+   * {@link Cell} by returning their IDs using {@link Cell.getId}. If no ID
+   * exists for the given cell, then an on-the-fly ID is generated using
+   * {@link CellPath.create}.
+   *
+   * @param obj Object to return the ID for.
+   */
+  getId(obj: any): string | null {
+    let id = null;
+
+    if (obj != null) {
+      id = this.reference(obj);
+
+      if (id == null && obj instanceof Cell) {
+        id = obj.getId();
+
+        if (id == null) {
+          // Uses an on-the-fly Id
+          id = CellPath.create(obj);
+
+          if (id.length === 0) {
+            id = 'root';
+          }
+        }
+      }
+    }
+    return id;
+  }
+
+  /**
+   * Hook for subclassers to implement a custom method for retrieving IDs from
+   * objects. This implementation always returns null.
+   *
+   * @param obj Object whose ID should be returned.
+   */
+  reference(obj: any): any {
+    return null;
+  }
+
+  /**
+   * Encodes the specified object using the codec that is registered for its
+   * constructor and returns the resulting JSON object.
+   *
+   * @param obj Object to be encoded.
+   */
+  encode(obj: any): JsonObject | null {
+    let json = null;
+
+    if (obj != null && obj.constructor != null) {
+      const enc = JsonCodecRegistry.getCodec(obj.constructor);
+
+      if (enc != null) {
+        json = enc.encode(this, obj);
+      } else {
+        MaxLog.warn(`JsonCodec.encode: No codec for ${getFunctionName(obj.constructor)}`);
+      }
+    }
+    return json;
+  }
+
+  /**
+   * Decodes the given JSON object using the codec that is registered for the
+   * name in {@link TYPE_KEY}. The optional "into" argument specifies an existing
+   * object to be used. If no object is given, then a new instance is created
+   * using the constructor from the codec.
+   *
+   * @param json JSON object to be decoded.
+   * @param into Optional object to be decoded into.
+   */
+  decode(json: JsonObject, into?: any): any {
+    this.updateElements();
+    let obj = null;
+
+    if (json != null && typeof json === 'object') {
+      const name = json[this.TYPE_KEY];
+      const dec = name != null ? JsonCodecRegistry.getCodecByName(name) : null;
+
+      if (dec != null) {
+        obj = dec.decode(this, json, into);
+      } else {
+        MaxLog.warn(`JsonCodec.decode: No codec for ${name}`);
+      }
+    }
+    return obj;
+  }
+
+  /**
+   * Converts the given value into a JSON value. Arrays and plain objects are
+   * converted recursively, XML nodes are converted to strings and all other
+   * objects are encoded using {@link encode}.
+   *
+   * @param value Value to be converted.
+   */
+  encodeValue(value: any): any {
+    if (value == null) {
+      return null;
+    } else if (typeof value === 'function') {
+      return undefined;
+    } else if (typeof value !== 'object') {
+      return value;
+    } else if (Array.isArray(value)) {
+      return value.map((item) => this.encodeValue(item) ?? null);
+    } else if (isNode(value)) {
+      return { [this.TYPE_KEY]: this.XML_NODE_TYPE, xml: getXml(value) };
+    } else if (this.isPlainObject(value)) {
+      const result: JsonObject = {};
+
+      for (const key of Object.keys(value)) {
+        const tmp = this.encodeValue(value[key]);
+
+        if (tmp !== undefined) {
+          result[key] = tmp;
+        }
+      }
+      return result;
+    }
+    return this.encode(value);
+  }
+
+  /**
+   * Converts the given JSON value into an object. This is the inverse of
+   * {@link encodeValue}.
+   *
+   * @param value JSON value to be converted.
+   */
+  decodeValue(value: any): any {
+    if (value == null || typeof value !== 'object') {
+      return value;
+    } else if (Array.isArray(value)) {
+      return value.map((item) => this.decodeValue(item));
+    } else if (value[this.TYPE_KEY] === this.XML_NODE_TYPE) {
+      return parseXml(value.xml);
+    } else if (value[this.TYPE_KEY] != null) {
+      return this.decode(value);
+    }
+
+    const result: JsonObject = {};
+
+    for (const key of Object.keys(value)) {
+      result[key] = this.decodeValue(value[key]);
+    }
+    return result;
+  }
+
+  /**
+   * Returns true if the given object is a plain object, ie. an object literal
+   * or an object without prototype.
+   */
+  isPlainObject(value: any): boolean {
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype;
+  }
+
+  /**
+   * Writes the given cell and its descendants as a (flat) sequence of JSON
+   * objects into the given array. The children are not encoded if the
+   * optional includeChildren is false.
+   *
+   * @param cell {@link Cell} to be encoded.
+   * @param cells Array to add the encoded cells into.
+   * @param includeChildren Optional boolean indicating if the
+   * function should include all descendents. Default is true.
+   */
+  encodeCell(cell: Cell, cells: JsonObject[], includeChildren = true): void {
+    const json = this.encode(cell);
+
+    if (json) {
+      cells.push(json);
+    }
+
+    if (includeChildren) {
+      for (const child of cell.getChildren()) {
+        this.encodeCell(child, cells);
+      }
+    }
+  }
+
+  /**
+   * Decodes the given JSON object into a {@link Cell} and restores the group
+   * and graph structure using {@link insertIntoGraph} if restoreStructures is
+   * true.
+   *
+   * @param json JSON object that contains the cell data.
+   * @param restoreStructures Optional boolean indicating whether
+   * the graph structure should be restored by calling insert
+   * and insertEdge on the parent and terminals, respectively.
+   * Default is true.
+   */
+  decodeCell(json: JsonObject, restoreStructures = true): Cell {
+    const cell = <Cell>this.decode(json);
+
+    if (cell != null && restoreStructures) {
+      this.insertIntoGraph(cell);
+    }
+    return cell;
+  }
+
+  /**
+   * Inserts the given cell into its parent and terminal cells.
+   */
+  insertIntoGraph(cell: Cell): void {
+    const { parent } = cell;
+    const source = cell.getTerminal(true);
+    const target = cell.getTerminal(false);
+
+    // Fixes possible inconsistencies during insert into graph
+    cell.setTerminal(null, false);
+    cell.setTerminal(null, true);
+    cell.parent = null;
+
+    if (parent != null) {
+      if (parent === cell) {
+        throw new Error(`${parent.id}: Self Reference`);
+      } else {
+        parent.insert(cell);
+      }
+    }
+
+    if (source != null) {
+      source.insertEdge(cell, true);
+    }
+
+    if (target != null) {
+      target.insertEdge(cell, false);
+    }
+  }
+}
+
+export default JsonCodec;
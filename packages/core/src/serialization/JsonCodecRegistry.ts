@@ -0,0 +1,121 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import JsonObjectCodec from './JsonObjectCodec';
+
+/**
+ * Singleton class that acts as a global registry for the codecs used by
+ * {@link JsonCodec}. This works like {@link CodecRegistry} for XML.
+ *
+ * ### Adding a codec:
+ *
+ * ```javascript
+ * class MyObjectCodec extends JsonObjectCodec {
+ *   constructor() {
+ *     super(new MyObject(), ['transientField'], ['cell']);
+ *   }
+ *
+ *   afterDecode(dec, json, obj) {
+ *     obj.init();
+ *     return obj;
+ *   }
+ * }
+ *
+ * JsonCodecRegistry.register(new MyObjectCodec());
+ * ```
+ *
+ * @class JsonCodecRegistry
+ */
+class JsonCodecRegistry {
+  static codecs: { [key: string]: JsonObjectCodec } = {};
+
+  /**
+   * Maps from classnames to codecnames.
+   * @static
+   */
+  static aliases: { [key: string]: string } = {};
+
+  /**
+   * Registers a new codec and associates the name of the template
+   * constructor in the codec with the codec object.
+   *
+   * @static
+   *
+   * @param codec - {@link JsonObjectCodec} to be registered.
+   */
+  static register(codec: JsonObjectCodec): JsonObjectCodec {
+    if (codec != null) {
+      const name = codec.getName();
+      JsonCodecRegistry.codecs[name] = codec;
+
+      const classname = codec.template.constructor.name;
+      if (classname !== name) {
+        JsonCodecRegistry.addAlias(classname, name);
+      }
+    }
+    return codec;
+  }
+
+  /**
+   * Adds an alias for mapping a classname to a codecname.
+   * @static
+   */
+  static addAlias(classname: string, codecname: string): void {
+    JsonCodecRegistry.aliases[classname] = codecname;
+  }
+
+  /**
+   * Returns the codec that is registered under the given name.
+   *
+   * @static
+   *
+   * @param name - Name of the codec, ie. the value of {@link JsonCodec.TYPE_KEY}.
+   */
+  static getCodecByName(name: string): JsonObjectCodec | null {
+    return JsonCodecRegistry.codecs[JsonCodecRegistry.aliases[name] ?? name] ?? null;
+  }
+
+  /**
+   * Returns a codec that handles objects that are constructed
+   * using the given constructor. A default codec is registered if
+   * no codec has been registered for the constructor.
+   *
+   * @static
+   *
+   * @param ctor - JavaScript constructor function.
+   */
+  static getCodec(constructor_: any): JsonObjectCodec | null {
+    let codec = null;
+
+    if (constructor_ != null) {
+      codec = JsonCodecRegistry.getCodecByName(constructor_.name);
+
+      // Registers a new default codec for the given constructor
+      // if no codec has been previously defined.
+      if (codec == null) {
+        try {
+          codec = new JsonObjectCodec(new constructor_());
+          JsonCodecRegistry.register(codec);
+        } catch (e) {
+          // ignore
+        }
+      }
+    }
+    return codec;
+  }
+}
+
+export default JsonCodecRegistry;
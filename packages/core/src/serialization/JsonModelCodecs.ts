@@ -0,0 +1,400 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import JsonObjectCodec from './JsonObjectCodec';
+import type { JsonObject } from './JsonObjectCodec';
+import JsonCodecRegistry from './JsonCodecRegistry';
+import Cell from '../view/cell/Cell';
+import Geometry from '../view/geometry/Geometry';
+import Point from '../view/geometry/Point';
+import Rectangle from '../view/geometry/Rectangle';
+import GraphDataModel from '../view/GraphDataModel';
+import ChildChange from '../view/undoable_changes/ChildChange';
+import RootChange from '../view/undoable_changes/RootChange';
+import TerminalChange from '../view/undoable_changes/TerminalChange';
+import GeometryChange from '../view/undoable_changes/GeometryChange';
+import ValueChange from '../view/undoable_changes/ValueChange';
+import StyleChange from '../view/undoable_changes/StyleChange';
+import CollapseChange from '../view/undoable_changes/CollapseChange';
+import VisibleChange from '../view/undoable_changes/VisibleChange';
+import GuideLinesChange from '../view/undoable_changes/GuideLinesChange';
+import type JsonCodec from './JsonCodec';
+import type { GuideLine } from '../types';
+
+/**
+ * JSON codec for {@link Cell}s. The children and edges of a cell are not
+ * encoded, the structure is restored from the parent, source and target
+ * references when the cells are decoded using {@link JsonCodec.decodeCell}.
+ *
+ * Transient Fields:
+ *
+ * - children
+ * - edges
+ * - overlays
+ * - mxTransient
+ *
+ * Reference Fields:
+ *
+ * - parent
+ * - source
+ * - target
+ */
+export class JsonCellCodec extends JsonObjectCodec {
+  constructor() {
+    super(
+      new Cell(),
+      ['children', 'edges', 'overlays', 'mxTransient', 'invalidating', 'onInit'],
+      ['parent', 'source', 'target']
+    );
+  }
+
+  /**
+   * Returns true since this is a cell codec.
+   */
+  isCellCodec() {
+    return true;
+  }
+}
+
+/**
+ * JSON codec for {@link GraphDataModel}s. The cells are written as a (flat)
+ * sequence into the `cells` array of the JSON object.
+ */
+export class JsonModelCodec extends JsonObjectCodec {
+  constructor() {
+    super(new GraphDataModel());
+  }
+
+  /**
+   * Encodes the cells of the given model using {@link JsonCodec.encodeCell}.
+   */
+  encodeObject(enc: JsonCodec, obj: GraphDataModel, json: JsonObject) {
+    const cells: JsonObject[] = [];
+    const root = obj.getRoot();
+
+    if (root) {
+      enc.encodeCell(root, cells);
+    }
+    json.cells = cells;
+
+    if (obj.guideLines.length > 0) {
+      json.guideLines = obj.guideLines.map((line) => ({ ...line }));
+    }
+  }
+
+  /**
+   * Decodes the cells in the given JSON object into the given model.
+   */
+  decodeObject(dec: JsonCodec, json: JsonObject | null, obj: GraphDataModel) {
+    if (json) {
+      if (Array.isArray(json.cells)) {
+        this.decodeRoot(dec, json.cells, obj);
+      }
+
+      // Replaces the existing guide lines, also if the JSON object has none
+      const lines: GuideLine[] = Array.isArray(json.guideLines) ? json.guideLines : [];
+
+      if (lines.length > 0 || obj.getGuideLines().length > 0) {
+        obj.setGuideLines(lines.map((line) => ({ ...line })));
+      }
+    }
+  }
+
+  /**
+   * Reads the given cells into the model and sets the cell without a parent
+   * as the root of the model.
+   */
+  decodeRoot(dec: JsonCodec, cells: JsonObject[], model: GraphDataModel) {
+    let rootCell = null;
+
+    for (const json of cells) {
+      const cell = dec.decodeCell(json);
+
+      if (cell != null && cell.getParent() == null) {
+        rootCell = cell;
+      }
+    }
+
+    // Sets the root on the model if one has been decoded
+    if (rootCell != null) {
+      model.setRoot(rootCell);
+    }
+  }
+}
+
+/**
+ * JSON codec for {@link ChildChange}s. New cells are encoded recursively into
+ * the `cells` array of the JSON object, cells that were already in the model
+ * are written as references in the `child` property.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previousIndex
+ *
+ * Reference Fields:
+ *
+ * - parent
+ * - previous
+ * - child
+ */
+export class JsonChildChangeCodec extends JsonObjectCodec {
+  constructor() {
+    const __dummy: any = undefined;
+    super(
+      new ChildChange(__dummy, __dummy, __dummy),
+      ['model', 'child', 'previousIndex'],
+      ['parent', 'previous']
+    );
+  }
+
+  /**
+   * Excludes references to parent or previous if not in the model.
+   */
+  isExcluded(obj: any, attr: string, value: any, write?: boolean) {
+    return (
+      super.isExcluded(obj, attr, value, write) ||
+      (!!write &&
+        value != null &&
+        (attr === 'previous' || attr === 'parent') &&
+        !obj.model.contains(value))
+    );
+  }
+
+  /**
+   * Encodes the child as a reference if the cell had a previous parent or
+   * recursively otherwise.
+   */
+  afterEncode(enc: JsonCodec, obj: any, json: JsonObject) {
+    if (obj.model.contains(obj.previous)) {
+      json.child = enc.getId(obj.child);
+    } else {
+      // The encoder does not know which cells are new, so the complete cell
+      // hierarchy is encoded and the existing ones are ignored when decoding
+      const cells: JsonObject[] = [];
+      enc.encodeCell(obj.child, cells);
+      json.cells = cells;
+    }
+    return json;
+  }
+
+  /**
+   * Decodes the child cell and its descendants.
+   */
+  beforeDecode(dec: JsonCodec, json: JsonObject, obj: any) {
+    const { child, cells, ...result } = json;
+
+    if (Array.isArray(cells) && cells.length > 0) {
+      obj.child = dec.decodeCell(cells[0], false);
+
+      for (let i = 1; i < cells.length; i += 1) {
+        // Ignores all existing cells because those do not need to
+        // be re-inserted into the model
+        if (dec.lookup(cells[i].id) == null) {
+          dec.decodeCell(cells[i]);
+        }
+      }
+    } else if (child != null) {
+      obj.child = dec.getObject(child);
+    }
+    return result;
+  }
+
+  /**
+   * Restores object state in the child change.
+   */
+  afterDecode(dec: JsonCodec, json: JsonObject | null, obj: any) {
+    // The previous parent must be restored on the cell for the case where the
+    // cell was added so that the model identifies the cell as a new cell
+    if (obj.child != null) {
+      if (
+        obj.child.parent != null &&
+        obj.previous != null &&
+        obj.child.parent !== obj.previous
+      ) {
+        obj.previous = obj.child.parent;
+      }
+
+      obj.child.parent = obj.previous;
+      obj.previous = obj.parent;
+      obj.previousIndex = obj.index;
+    }
+
+    if (dec.model) {
+      obj.model = dec.model;
+    }
+    return obj;
+  }
+}
+
+/**
+ * JSON codec for {@link RootChange}s. The new root is encoded recursively
+ * into the `cells` array of the JSON object.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ * - root
+ */
+export class JsonRootChangeCodec extends JsonObjectCodec {
+  constructor() {
+    const __dummy: any = undefined;
+    super(new RootChange(__dummy, __dummy), ['model', 'previous', 'root']);
+  }
+
+  /**
+   * Encodes the root recursively.
+   */
+  afterEncode(enc: JsonCodec, obj: any, json: JsonObject) {
+    const cells: JsonObject[] = [];
+    enc.encodeCell(obj.root, cells);
+    json.cells = cells;
+
+    return json;
+  }
+
+  /**
+   * Decodes the root and its descendants.
+   */
+  beforeDecode(dec: JsonCodec, json: JsonObject, obj: any) {
+    const { cells, ...result } = json;
+
+    if (Array.isArray(cells) && cells.length > 0) {
+      obj.root = dec.decodeCell(cells[0], false);
+
+      for (let i = 1; i < cells.length; i += 1) {
+        dec.decodeCell(cells[i]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Restores the state by assigning the previous value.
+   */
+  afterDecode(dec: JsonCodec, json: JsonObject | null, obj: any) {
+    obj.previous = obj.root;
+
+    if (dec.model) {
+      obj.model = dec.model;
+    }
+    return obj;
+  }
+}
+
+/**
+ * JSON codec for {@link TerminalChange}s.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ *
+ * Reference Fields:
+ *
+ * - cell
+ * - terminal
+ */
+export class JsonTerminalChangeCodec extends JsonObjectCodec {
+  constructor() {
+    const __dummy: any = undefined;
+    super(
+      new TerminalChange(__dummy, __dummy, __dummy, __dummy),
+      ['model', 'previous'],
+      ['cell', 'terminal']
+    );
+  }
+
+  /**
+   * Restores the state by assigning the previous value.
+   */
+  afterDecode(dec: JsonCodec, json: JsonObject | null, obj: any) {
+    obj.previous = obj.terminal;
+
+    if (dec.model) {
+      obj.model = dec.model;
+    }
+    return obj;
+  }
+}
+
+/**
+ * JSON codec for {@link ValueChange}s, {@link StyleChange}s,
+ * {@link GeometryChange}s, {@link CollapseChange}s, {@link VisibleChange}s and
+ * {@link GuideLinesChange}s.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ *
+ * Reference Fields:
+ *
+ * - cell
+ */
+export class JsonGenericChangeCodec extends JsonObjectCodec {
+  constructor(obj: any, variable: string) {
+    super(obj, ['model', 'previous'], ['cell']);
+    this.variable = variable;
+  }
+
+  /**
+   * Name of the field that contains the change data.
+   */
+  variable: string;
+
+  /**
+   * Restores the state by assigning the previous value.
+   */
+  afterDecode(dec: JsonCodec, json: JsonObject | null, obj: any) {
+    obj.previous = obj[this.variable];
+
+    if (dec.model) {
+      obj.model = dec.model;
+    }
+    return obj;
+  }
+}
+
+const __dummy: any = undefined;
+
+JsonCodecRegistry.register(new JsonObjectCodec(new Point()));
+JsonCodecRegistry.register(new JsonObjectCodec(new Rectangle()));
+JsonCodecRegistry.register(new JsonObjectCodec(new Geometry()));
+JsonCodecRegistry.register(new JsonCellCodec());
+JsonCodecRegistry.register(new JsonModelCodec());
+JsonCodecRegistry.register(new JsonChildChangeCodec());
+JsonCodecRegistry.register(new JsonRootChangeCodec());
+JsonCodecRegistry.register(new JsonTerminalChangeCodec());
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new GeometryChange(__dummy, __dummy, __dummy), 'geometry')
+);
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new ValueChange(__dummy, __dummy, __dummy), 'value')
+);
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new StyleChange(__dummy, __dummy, __dummy), 'style')
+);
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new CollapseChange(__dummy, __dummy, __dummy), 'collapsed')
+);
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new VisibleChange(__dummy, __dummy, __dummy), 'visible')
+);
+JsonCodecRegistry.register(
+  new JsonGenericChangeCodec(new GuideLinesChange(__dummy, []), 'guideLines')
+);
@@ -0,0 +1,319 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import ObjectIdentity from '../util/ObjectIdentity';
+import MaxLog from '../gui/MaxLog';
+import type JsonCodec from './JsonCodec';
+
+/**
+ * Object that is produced by a {@link JsonObjectCodec}. The name of the codec
+ * is stored in {@link JsonCodec.TYPE_KEY} so that the object can be decoded
+ * using the codec that is registered under this name in
+ * {@link JsonCodecRegistry}.
+ */
+export type JsonObject = { [key: string]: any };
+
+/**
+ * JSON counterpart of {@link ObjectCodec}. Encodes all fields of an object
+ * into a plain JavaScript object that can be passed to `JSON.stringify` and
+ * decodes such objects into instances of the template of the codec.
+ *
+ * The encoding follows the same rules as the XML codec:
+ *
+ * - Fields in {@link exclude} are ignored.
+ * - Fields in {@link idrefs} are replaced with the ID of the object, see
+ * {@link JsonCodec.getId} and {@link JsonCodec.getObject}.
+ * - Primitive values that are equal to the value in {@link template} are not
+ * written unless {@link JsonCodec.encodeDefaults} is true.
+ * - All other values are converted using {@link JsonCodec.encodeValue}, ie.
+ * arrays and plain objects are copied and instances of classes are encoded
+ * with the codec registered for their constructor.
+ *
+ * For example, a {@link Point} is encoded as follows:
+ *
+ * ```javascript
+ * { "$type": "Point", "x": 10, "y": 20 }
+ * ```
+ *
+ * @class JsonObjectCodec
+ */
+class JsonObjectCodec {
+  constructor(template: any, exclude: string[] = [], idrefs: string[] = []) {
+    this.template = template;
+    this.exclude = exclude;
+    this.idrefs = idrefs;
+  }
+
+  /**
+   * Holds the template object associated with this codec.
+   */
+  template: any;
+
+  /**
+   * Array containing the variable names that should be
+   * ignored by the codec.
+   */
+  exclude: string[];
+
+  /**
+   * Array containing the variable names that should be
+   * turned into or converted from references. See
+   * {@link JsonCodec.getId} and {@link JsonCodec.getObject}.
+   */
+  idrefs: string[];
+
+  /**
+   * Returns the name that is written into {@link JsonCodec.TYPE_KEY} and used
+   * for the lookup of the codec in {@link JsonCodecRegistry}. The default
+   * implementation returns the classname of the template class.
+   */
+  getName(): string {
+    return this.template.constructor.name;
+  }
+
+  /**
+   * Returns a new instance of the template for this codec.
+   */
+  cloneTemplate(): any {
+    return new this.template.constructor();
+  }
+
+  /**
+   * Returns true if the given field is to be ignored by the codec. This
+   * implementation returns true if the given fieldname is in {@link exclude}
+   * or if the fieldname equals {@link ObjectIdentity.FIELD_NAME}.
+   *
+   * @param obj Object instance that contains the field.
+   * @param attr Fieldname of the field.
+   * @param value Value of the field.
+   * @param write Boolean indicating if the field is being encoded or decoded.
+   */
+  isExcluded(obj: any, attr: string, value: any, write?: boolean): boolean {
+    return attr == ObjectIdentity.FIELD_NAME || this.exclude.indexOf(attr) >= 0;
+  }
+
+  /**
+   * Returns true if the given fieldname is to be treated as a reference (ID).
+   * This implementation returns true if the given fieldname is in {@link idrefs}.
+   *
+   * @param obj Object instance that contains the field.
+   * @param attr Fieldname of the field.
+   * @param value Value of the field.
+   * @param write Boolean indicating if the field is being encoded or decoded.
+   */
+  isReference(obj: any, attr: string, value: any, write?: boolean): boolean {
+    return this.idrefs.indexOf(attr) >= 0;
+  }
+
+  /**
+   * Encodes the specified object and returns the resulting JSON object. Calls
+   * {@link beforeEncode} before and {@link afterEncode} after processing the
+   * fields using {@link encodeObject}.
+   *
+   * @param enc {@link JsonCodec} that controls the encoding process.
+   * @param obj Object to be encoded.
+   */
+  encode(enc: JsonCodec, obj: any): JsonObject {
+    const json: JsonObject = { [enc.TYPE_KEY]: this.getName() };
+
+    obj = this.beforeEncode(enc, obj, json);
+    this.encodeObject(enc, obj, json);
+
+    return this.afterEncode(enc, obj, json);
+  }
+
+  /**
+   * Encodes the value of each field of the given object into the given JSON
+   * object using {@link encodeValue}.
+   *
+   * @param enc {@link JsonCodec} that controls the encoding process.
+   * @param obj Object to be encoded.
+   * @param json JSON object that contains the encoded object.
+   */
+  encodeObject(enc: JsonCodec, obj: any, json: JsonObject): void {
+    const id = enc.getId(obj);
+
+    if (id != null) {
+      json.id = id;
+    }
+
+    for (const name of Object.keys(obj)) {
+      const value = obj[name];
+
+      if (value != null && !this.isExcluded(obj, name, value, true)) {
+        this.encodeValue(enc, obj, name, value, json);
+      }
+    }
+  }
+
+  /**
+   * Converts the given value according to the id-refs in this codec and
+   * writes it into the given JSON object.
+   *
+   * @param enc {@link JsonCodec} that controls the encoding process.
+   * @param obj Object whose field is going to be encoded.
+   * @param name Name of the field.
+   * @param value Value of the field to be encoded.
+   * @param json JSON object that contains the encoded object.
+   */
+  encodeValue(enc: JsonCodec, obj: any, name: string, value: any, json: JsonObject) {
+    if (this.isReference(obj, name, value, true)) {
+      const tmp = enc.getId(value);
+
+      if (tmp == null) {
+        MaxLog.warn(`JsonObjectCodec.encode: No ID for ${this.getName()}.${name}`);
+        return; // exit
+      }
+
+      json[name] = tmp;
+    } else if (
+      typeof value === 'object' ||
+      enc.encodeDefaults ||
+      this.template[name] !== value
+    ) {
+      json[name] = enc.encodeValue(value);
+    }
+  }
+
+  /**
+   * Hook for subclassers to pre-process the object before encoding. This
+   * returns the input object.
+   *
+   * @param enc {@link JsonCodec} that controls the encoding process.
+   * @param obj Object to be encoded.
+   * @param json JSON object to encode the object into.
+   */
+  beforeEncode(enc: JsonCodec, obj: any, json: JsonObject): any {
+    return obj;
+  }
+
+  /**
+   * Hook for subclassers to post-process the JSON object after encoding. This
+   * returns the input JSON object.
+   *
+   * @param enc {@link JsonCodec} that controls the encoding process.
+   * @param obj Object to be encoded.
+   * @param json JSON object that represents the default encoding.
+   */
+  afterEncode(enc: JsonCodec, obj: any, json: JsonObject): JsonObject {
+    return json;
+  }
+
+  /**
+   * Parses the given JSON object into the object or returns a new object
+   * representing the given JSON object.
+   *
+   * If the JSON object has an ID then the object cache of the decoder is
+   * checked for the object. If the object is not yet in the cache then it is
+   * created using {@link cloneTemplate} and stored in {@link JsonCodec.objects}.
+   *
+   * @param dec {@link JsonCodec} that controls the decoding process.
+   * @param json JSON object to be decoded.
+   * @param into Optional object to decode the JSON object into.
+   */
+  decode(dec: JsonCodec, json: JsonObject, into?: any): any {
+    const { id } = json;
+    let obj = id != null ? dec.objects[id] : null;
+
+    if (obj == null) {
+      obj = into ?? this.cloneTemplate();
+
+      if (id != null) {
+        dec.putObject(id, obj);
+      }
+    }
+
+    const tmp = this.beforeDecode(dec, json, obj);
+    this.decodeObject(dec, tmp, obj);
+
+    return this.afterDecode(dec, tmp, obj);
+  }
+
+  /**
+   * Reads all fields of the given JSON object into the given object using
+   * {@link decodeField}.
+   *
+   * @param dec {@link JsonCodec} that controls the decoding process.
+   * @param json JSON object to be decoded.
+   * @param obj Object to decode the JSON object into.
+   */
+  decodeObject(dec: JsonCodec, json: JsonObject | null, obj: any): void {
+    if (json != null) {
+      for (const name of Object.keys(json)) {
+        if (name !== dec.TYPE_KEY) {
+          this.decodeField(dec, name, json[name], obj);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reads the given field into the specified object. References are resolved
+   * using {@link JsonCodec.getObject} and all other values are converted using
+   * {@link JsonCodec.decodeValue}.
+   *
+   * @param dec {@link JsonCodec} that controls the decoding process.
+   * @param name Name of the field.
+   * @param value Encoded value of the field.
+   * @param obj Object to decode the field into.
+   */
+  decodeField(dec: JsonCodec, name: string, value: any, obj: any): void {
+    if (this.isReference(obj, name, value, false)) {
+      const tmp = value != null ? dec.getObject(value) : null;
+
+      if (tmp == null) {
+        MaxLog.warn(`JsonObjectCodec.decode: No object for ${this.getName()}.${name}`);
+        return; // exit
+      }
+
+      value = tmp;
+    } else {
+      value = dec.decodeValue(value);
+    }
+
+    if (!this.isExcluded(obj, name, value, false)) {
+      obj[name] = value;
+    }
+  }
+
+  /**
+   * Hook for subclassers to pre-process the JSON object before decoding. This
+   * returns the input JSON object. If null is returned then no further
+   * decoding takes place.
+   *
+   * @param dec {@link JsonCodec} that controls the decoding process.
+   * @param json JSON object to be decoded.
+   * @param obj Object to decode the JSON object into.
+   */
+  beforeDecode(dec: JsonCodec, json: JsonObject, obj: any): JsonObject | null {
+    return json;
+  }
+
+  /**
+   * Hook for subclassers to post-process the object after decoding. This
+   * returns the given object. The return value of this method is returned to
+   * the decoder from {@link decode}.
+   *
+   * @param dec {@link JsonCodec} that controls the decoding process.
+   * @param json JSON object that was decoded.
+   * @param obj Object that represents the default decoding.
+   */
+  afterDecode(dec: JsonCodec, json: JsonObject | null, obj: any): any {
+    return obj;
+  }
+}
+
+export default JsonObjectCodec;
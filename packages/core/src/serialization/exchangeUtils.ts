@@ -0,0 +1,147 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Cell from '../view/cell/Cell';
+import Point from '../view/geometry/Point';
+import { isNode } from '../util/domUtils';
+import { createXmlDocument, parseXml } from '../util/xmlUtils';
+import { NODETYPE } from '../util/Constants';
+
+/**
+ * Helper functions that are shared by the codecs which exchange graphs with
+ * other applications, ie. {@link GraphMLCodec} and {@link GexfCodec}.
+ */
+
+/**
+ * Returns the document element for the given XML string, document or element.
+ */
+export const getDocumentElement = (xml: string | Document | Element): Element => {
+  if (typeof xml === 'string') {
+    return parseXml(xml);
+  }
+  return (<Document>xml).documentElement ?? <Element>xml;
+};
+
+/**
+ * Returns the child elements of the given element. If a local name is given
+ * then only elements with this local name are returned. Namespaces are
+ * ignored.
+ */
+export const getChildElements = (node: Element, localName: string | null = null) => {
+  const result: Element[] = [];
+  let tmp = node.firstChild;
+
+  while (tmp != null) {
+    if (
+      tmp.nodeType === NODETYPE.ELEMENT &&
+      (localName == null || (<Element>tmp).localName === localName)
+    ) {
+      result.push(<Element>tmp);
+    }
+    tmp = tmp.nextSibling;
+  }
+  return result;
+};
+
+/**
+ * Returns the first child element of the given element with the given local
+ * name or null if no such element exists.
+ */
+export const getChildElement = (node: Element, localName: string): Element | null => {
+  return getChildElements(node, localName)[0] ?? null;
+};
+
+/**
+ * Returns the value for a cell with the given attributes. If there are no
+ * attributes other than the label then the label is returned as a string,
+ * otherwise an XML node with the given name and attributes is returned (see
+ * {@link Cell} for how to display the label of such nodes).
+ *
+ * @param attributes Map from attribute names to values.
+ * @param labelAttribute Name of the attribute that contains the label.
+ * @param nodeName Name of the XML node.
+ */
+export const createUserObject = (
+  attributes: { [name: string]: string },
+  labelAttribute: string,
+  nodeName: string
+): string | Element => {
+  const names = Object.keys(attributes);
+
+  if (names.length === 0 || (names.length === 1 && names[0] === labelAttribute)) {
+    return attributes[labelAttribute] ?? '';
+  }
+
+  const node = createXmlDocument().createElement(nodeName);
+
+  for (const name of names) {
+    node.setAttribute(name, attributes[name]);
+  }
+  return node;
+};
+
+/**
+ * Returns the attributes of the value of the given cell. For XML nodes, all
+ * attributes are returned. For other values, the string representation of
+ * the value is returned as the label.
+ *
+ * @param cell {@link Cell} whose attributes should be returned.
+ * @param labelAttribute Name of the attribute that contains the label.
+ */
+export const getUserObjectAttributes = (cell: Cell, labelAttribute: string) => {
+  const { value } = cell;
+  const result: { [name: string]: string } = {};
+
+  if (isNode(value)) {
+    const attrs = (<Element>value).attributes;
+
+    for (let i = 0; i < attrs.length; i += 1) {
+      result[attrs[i].nodeName] = attrs[i].nodeValue ?? '';
+    }
+  } else if (value != null && String(value).length > 0) {
+    result[labelAttribute] = String(value);
+  }
+  return result;
+};
+
+/**
+ * Returns the absolute position of the origin of the given cell, ie. the sum
+ * of the positions of the given cell and all its ancestors with absolute
+ * geometries.
+ */
+export const getAbsoluteOrigin = (cell: Cell | null) => {
+  const origin = new Point();
+
+  while (cell != null) {
+    const geo = cell.getGeometry();
+
+    if (geo != null && !geo.relative) {
+      origin.x += geo.x;
+      origin.y += geo.y;
+    }
+    cell = cell.getParent();
+  }
+  return origin;
+};
+
+/**
+ * Returns the given numeric attribute of the given element or the default
+ * value if the attribute does not exist or is not a number.
+ */
+export const getNumberAttribute = (node: Element, name: string, defaultValue = 0) => {
+  const value = parseFloat(node.getAttribute(name) ?? '');
+  return isNaN(value) ? defaultValue : value;
+};
@@ -35,6 +35,215 @@ export type UndoableChange = {
   redo?: () => void;
 };
 
+/**
+ * Guide line that is stored in the {@link GraphDataModel}, eg. a guide line
+ * that has been dragged out of a {@link Ruler}. Horizontal guide lines are
+ * placed at the given y-coordinate and vertical guide lines at the given
+ * x-coordinate. The position is in model coordinates.
+ */
+export type GuideLine = {
+  id: string;
+  direction: 'horizontal' | 'vertical';
+  position: number;
+};
+
+/**
+ * Options for {@link Graph.findInCells} and {@link Graph.replaceInCells}.
+ */
+export type SearchOptions = {
+  /**
+   * Specifies if the pattern is a regular expression. Default is false.
+   */
+  regex?: boolean;
+  /**
+   * Specifies if the case of letters must match. Default is false.
+   */
+  caseSensitive?: boolean;
+  /**
+   * Specifies if only whole words should match. Default is false.
+   */
+  wholeWord?: boolean;
+  /**
+   * Specifies if labels should be searched. Default is true.
+   */
+  labels?: boolean;
+  /**
+   * Specifies if the attributes of XML user objects should be searched.
+   * Default is true.
+   */
+  attributes?: boolean;
+  /**
+   * Specifies if the values in the styles of the cells should be searched.
+   * Default is false.
+   */
+  styles?: boolean;
+  /**
+   * Cells to be searched. Default is all vertices and edges in the model.
+   */
+  cells?: Cell[];
+};
+
+/**
+ * Match of a search in a cell, see {@link Graph.findInCells}. The field is
+ * `label` for labels, `attribute` for the attributes of XML user objects and
+ * `style` for style values, in which case the name is the name of the
+ * attribute or style.
+ */
+export type SearchResult = {
+  cell: Cell;
+  field: 'label' | 'attribute' | 'style';
+  name: string | null;
+  value: string;
+};
+
+/**
+ * Names of the colors of a {@link Theme}. If a color is not defined in the
+ * theme then the corresponding value in {@link Constants} is used.
+ */
+export type ThemeColorName =
+  | 'handleFillColor'
+  | 'handleStrokeColor'
+  | 'labelHandleFillColor'
+  | 'connectHandleFillColor'
+  | 'lockedHandleFillColor'
+  | 'vertexSelectionColor'
+  | 'edgeSelectionColor'
+  | 'highlightColor'
+  | 'outlineHighlightColor'
+  | 'validColor'
+  | 'invalidColor'
+  | 'dropTargetColor'
+  | 'guideColor'
+  | 'pageBackgroundColor'
+  | 'pageBorderColor';
+
+/**
+ * Bundles the appearance of a graph, see {@link Graph.setTheme}.
+ */
+export type Theme = {
+  /**
+   * Name of the theme.
+   */
+  name: string;
+  /**
+   * Specifies if the theme uses light colors on a dark background.
+   */
+  dark?: boolean;
+  /**
+   * Maps from names of styles in the {@link Stylesheet} to the entries that
+   * the theme adds to these styles, eg. `defaultVertex` and `defaultEdge`.
+   */
+  styles?: { [name: string]: CellStateStyle };
+  /**
+   * Colors for handles, highlights, guides and the background page.
+   */
+  colors?: { [name in ThemeColorName]?: ColorValue };
+  /**
+   * Background color of the container.
+   */
+  background?: ColorValue | null;
+  /**
+   * Color of the grid lines in the background of the container. No grid is
+   * painted if this is null.
+   */
+  gridColor?: ColorValue | null;
+  /**
+   * Maps from the names of CSS custom properties, eg. `--mx-popup-menu-background`,
+   * to their values. These are used in `common.css` for the UI elements
+   * such as popup menus, tooltips, windows and the rubberband.
+   */
+  ui?: { [property: string]: string };
+};
+
+/**
+ * Describes the cell that a {@link StyleRule} is evaluated for, see
+ * {@link Graph.getStyleRuleContext}.
+ */
+export type StyleRuleContext = {
+  cell: Cell;
+  graph: Graph;
+  /**
+   * User object of the cell.
+   */
+  value: any;
+  /**
+   * Attributes of the user object if it is an XML node. The `label` entry
+   * holds the label of the cell unless the user object has such an attribute.
+   */
+  attributes: { [name: string]: string };
+  /**
+   * Number of edges that are connected to the cell.
+   */
+  degree: number;
+  parent: Cell | null;
+  selected: boolean;
+  hovered: boolean;
+  collapsed: boolean;
+};
+
+/**
+ * Declarative rule in a {@link Stylesheet} that adds style entries to the
+ * cells that match all of the given conditions, see {@link Stylesheet.addRule}.
+ */
+export type StyleRule = {
+  /**
+   * Optional name of the rule.
+   */
+  name?: string;
+  /**
+   * Applies the rule to vertices or edges only.
+   */
+  cellType?: 'vertex' | 'edge';
+  /**
+   * Applies the rule to cells with one of the given baseStyleNames only.
+   */
+  baseStyleNames?: string[];
+  /**
+   * Maps from the names of attributes in {@link StyleRuleContext.attributes}
+   * to the values or the regular expressions that the attributes must match.
+   */
+  attributes?: { [name: string]: string | RegExp };
+  /**
+   * Minimum number of connected edges.
+   */
+  minDegree?: number;
+  /**
+   * Maximum number of connected edges.
+   */
+  maxDegree?: number;
+  /**
+   * Applies the rule to cells whose parent has one of the given
+   * baseStyleNames only.
+   */
+  parentStyleNames?: string[];
+  /**
+   * Applies the rule to selected or unselected cells only. The styles are
+   * updated after changes of the selection only if a rule of the stylesheet
+   * has this condition.
+   */
+  selected?: boolean;
+  /**
+   * Applies the rule to cells that are under the mouse or not only. The cell
+   * under the mouse is tracked only if a rule of the stylesheet has this
+   * condition.
+   */
+  hovered?: boolean;
+  /**
+   * Applies the rule to collapsed or expanded cells only.
+   */
+  collapsed?: boolean;
+  /**
+   * Optional function that returns true if the rule applies.
+   */
+  condition?: (context: StyleRuleContext) => boolean;
+  /**
+   * Style entries to be added to the style of the cell or a function that
+   * computes the entries from the context, eg. to bind a color to an
+   * attribute of the user object.
+   */
+  style: CellStateStyle | ((context: StyleRuleContext) => CellStateStyle | null);
+};
+
 export type StyleValue = string | number;
 
 export type Properties = {
@@ -113,7 +322,9 @@ export type CellStateStyle = {
   labelWidth?: number;
   loop?: Function;
   loopStyle?: Function;
+  locked?: boolean;
   margin?: number;
+  markdown?: boolean;
   movable?: boolean;
   noEdgeStyle?: boolean;
   noLabel?: boolean;
@@ -206,7 +417,10 @@ export type ShapeValue =
   | 'actor'
   | 'cloud'
   | 'triangle'
-  | 'hexagon';
+  | 'hexagon'
+  | 'table'
+  | 'tableRow'
+  | 'tableCell';
 
 export type CanvasState = {
   dx: number;
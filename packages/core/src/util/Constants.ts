@@ -597,6 +597,7 @@ export const enum EDGESTYLE {
     TOPTOBOTTOM = 'topToBottomEdgeStyle',
     ORTHOGONAL = 'orthogonalEdgeStyle',
     SEGMENT = 'segmentEdgeStyle',
+    MANHATTAN = 'manhattanEdgeStyle',
 };
 
 /**
@@ -706,4 +707,22 @@ export const enum SHAPE {
      * Default is hexagon.
      */
     HEXAGON = 'hexagon',
+
+    /**
+     * Name under which {@link TableShape} is registered in {@link CellRenderer}.
+     * Default is table.
+     */
+    TABLE = 'table',
+
+    /**
+     * Name under which {@link TableRowShape} is registered in {@link CellRenderer}.
+     * Default is tableRow.
+     */
+    TABLE_ROW = 'tableRow',
+
+    /**
+     * Name under which {@link TableCellShape} is registered in {@link CellRenderer}.
+     * Default is tableCell.
+     */
+    TABLE_CELL = 'tableCell',
 };
@@ -0,0 +1,240 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Rectangle from '../view/geometry/Rectangle';
+import { DEFAULT_FONTFAMILY, DEFAULT_FONTSIZE, FONT, LINE_HEIGHT } from './Constants';
+
+/**
+ * Function that returns the size of the given text as a {@link Rectangle} with
+ * x and y set to 0.
+ *
+ * @param text String whose size should be returned.
+ * @param fontSize Font size in pixels.
+ * @param fontFamily Name of the font family.
+ * @param textWidth Optional width for text wrapping.
+ * @param fontStyle Optional font style, see {@link FONT}.
+ * @param html Specifies if the text contains HTML markup.
+ */
+export type TextMeasurer = (
+  text: string,
+  fontSize: number,
+  fontFamily: string,
+  textWidth: number | null,
+  fontStyle: number | null,
+  html: boolean
+) => Rectangle;
+
+/**
+ * Holds the DOM implementation and the text measuring strategy that are used
+ * to create the nodes of the view and the exported documents.
+ *
+ * By default the global `document`, `DOMParser` and `XMLSerializer` of the
+ * browser are used and text is measured by the browser. In environments
+ * without a browser, eg. in Node, a DOM implementation and a
+ * {@link TextMeasurer} must be configured before a {@link Graph} is created:
+ *
+ * ```javascript
+ * import { JSDOM } from 'jsdom';
+ *
+ * const { document, DOMParser, XMLSerializer } = new JSDOM().window;
+ * DomEnvironment.configure({
+ *   document,
+ *   DOMParser,
+ *   XMLSerializer,
+ *   textMeasurer: DomEnvironment.approximateTextMeasurer,
+ * });
+ *
+ * const graph = new Graph(document.createElement('div'), undefined, []);
+ * ```
+ *
+ * See {@link SvgExport} for creating SVG strings for a graph.
+ *
+ * @class DomEnvironment
+ */
+class DomEnvironment {
+  /**
+   * The document to be used for creating DOM nodes. If this is null then the
+   * global document is used. Default is null.
+   */
+  static document: Document | null = null;
+
+  /**
+   * The constructor of the DOM parser. If this is null then the global
+   * `DOMParser` is used. Default is null.
+   */
+  static DOMParser: { new (): DOMParser } | null = null;
+
+  /**
+   * The constructor of the XML serializer. If this is null then the global
+   * `XMLSerializer` is used. Default is null.
+   */
+  static XMLSerializer: { new (): XMLSerializer } | null = null;
+
+  /**
+   * The {@link TextMeasurer} to be used instead of measuring text in the
+   * DOM. This is required if the DOM implementation does not compute a
+   * layout. Default is null.
+   */
+  static textMeasurer: TextMeasurer | null = null;
+
+  /**
+   * Sets the given properties of the environment.
+   */
+  static configure(options: {
+    document?: Document | null;
+    DOMParser?: { new (): DOMParser } | null;
+    XMLSerializer?: { new (): XMLSerializer } | null;
+    textMeasurer?: TextMeasurer | null;
+  }): void {
+    if (options.document !== undefined) {
+      DomEnvironment.document = options.document;
+    }
+
+    if (options.DOMParser !== undefined) {
+      DomEnvironment.DOMParser = options.DOMParser;
+    }
+
+    if (options.XMLSerializer !== undefined) {
+      DomEnvironment.XMLSerializer = options.XMLSerializer;
+    }
+
+    if (options.textMeasurer !== undefined) {
+      DomEnvironment.textMeasurer = options.textMeasurer;
+    }
+  }
+
+  /**
+   * Restores the browser environment.
+   */
+  static reset(): void {
+    DomEnvironment.document = null;
+    DomEnvironment.DOMParser = null;
+    DomEnvironment.XMLSerializer = null;
+    DomEnvironment.textMeasurer = null;
+  }
+
+  /**
+   * Returns the document to be used for creating DOM nodes.
+   */
+  static getDocument(): Document {
+    if (DomEnvironment.document != null) {
+      return DomEnvironment.document;
+    }
+
+    if (typeof document === 'undefined') {
+      throw new Error('No document available, use DomEnvironment.configure');
+    }
+    return document;
+  }
+
+  /**
+   * Returns true if the given document is the document of the browser page,
+   * which means that the nodes in the document are rendered and can be
+   * measured.
+   *
+   * @param doc Document to be checked.
+   */
+  static isBrowserDocument(doc: Document | null | undefined): boolean {
+    return typeof document !== 'undefined' && doc === document;
+  }
+
+  /**
+   * Returns a new DOM parser.
+   */
+  static createDomParser(): DOMParser {
+    const Parser = DomEnvironment.DOMParser ?? DOMParser;
+    return new Parser();
+  }
+
+  /**
+   * Returns a new XML serializer.
+   */
+  static createXmlSerializer(): XMLSerializer {
+    const Serializer = DomEnvironment.XMLSerializer ?? XMLSerializer;
+    return new Serializer();
+  }
+
+  /**
+   * {@link TextMeasurer} that estimates the size of text based on average
+   * character widths. This does not require any font metrics and is meant
+   * for environments without a layout engine. HTML markup is removed and
+   * line breaks are taken into account.
+   */
+  static approximateTextMeasurer: TextMeasurer = (
+    text,
+    fontSize = DEFAULT_FONTSIZE,
+    fontFamily = DEFAULT_FONTFAMILY,
+    textWidth = null,
+    fontStyle = null,
+    html = false
+  ) => {
+    const bold = fontStyle != null && (fontStyle & FONT.BOLD) === FONT.BOLD;
+    const monospace = /mono|courier/i.test(fontFamily);
+    const charWidth = fontSize * (monospace ? 0.6 : bold ? 0.58 : 0.53);
+
+    if (html) {
+      text = text
+        .replace(/<br\s*\/?>|<\/(div|p|li|h\d)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+    }
+
+    let lineCount = 0;
+    let width = 0;
+
+    for (const line of text.replace(/\n$/, '').split('\n')) {
+      if (textWidth != null && line.length * charWidth > textWidth) {
+        // Greedy word wrapping
+        let current = 0;
+        lineCount += 1;
+
+        for (const word of line.split(' ')) {
+          const w = word.length * charWidth;
+
+          if (current > 0 && current + charWidth + w > textWidth) {
+            width = Math.max(width, current);
+            lineCount += 1;
+            current = w;
+          } else {
+            current += (current > 0 ? charWidth : 0) + w;
+          }
+        }
+
+        width = Math.max(width, current);
+      } else {
+        width = Math.max(width, line.length * charWidth);
+        lineCount += 1;
+      }
+    }
+
+    if (textWidth != null) {
+      width = Math.min(width, textWidth);
+    }
+
+    return new Rectangle(
+      0,
+      0,
+      Math.ceil(width),
+      Math.ceil(Math.max(lineCount, 1) * fontSize * LINE_HEIGHT)
+    );
+  };
+}
+
+export default DomEnvironment;
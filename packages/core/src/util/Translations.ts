@@ -19,6 +19,21 @@ limitations under the License.
 import Client from '../Client';
 import { NONE } from './Constants';
 import MaxXmlRequest, { get, load } from './MaxXmlRequest';
+import EventSource from '../view/event/EventSource';
+import EventObject from '../view/event/EventObject';
+
+/**
+ * Object that maps from keys to messages. Nested objects are flattened, ie.
+ * the message for the key `menu.edit` may be stored as `{ menu: { edit: '...' } }`.
+ */
+export type TranslationBundle = { [key: string]: string | TranslationBundle };
+
+/**
+ * Values for the placeholders of a message. An array holds the values for the
+ * positional placeholders {1}...{n}, an object holds the values for named
+ * placeholders, eg. {count}.
+ */
+export type TranslationParams = any[] | { [name: string]: any };
 
 /**
  * Implements internationalization. You can provide any number of
@@ -70,6 +85,39 @@ import MaxXmlRequest, { get, load } from './MaxXmlRequest';
  * By default, the core adds two resource files synchronously at load time.
  * To load these files asynchronously, set {@link LoadResources} to false
  * before loading Client.js and use {@link Resources#loadResources} instead.
+ *
+ * Bundles
+ *
+ * In addition to the resources above, translations can be stored per
+ * language in {@link bundles}. Bundles are loaded asynchronously with
+ * {@link load} and {@link loadBundle}, which accept text files of the form
+ * key=value as well as JSON files (if the URL ends with .json), or added from
+ * objects with {@link addBundle}. The language of the default bundle of a
+ * basename is {@link Client.defaultLanguage}.
+ *
+ * ```javascript
+ * Translations.addBundle({ items: '{count, plural, =0 {No items} one {# item} other {# items}}' }, 'en');
+ * await Translations.load('resources/app', 'de');
+ * await Translations.setLanguage('de-CH');
+ * ```
+ *
+ * Messages are looked up in the bundles of the languages returned by
+ * {@link getFallbackChain} for {@link Client.language}, eg. de-ch, de and en,
+ * before the resources are used.
+ *
+ * Message format
+ *
+ * In addition to {1}...{n}, messages may contain named placeholders and the
+ * plural, selectordinal, select and number arguments of the ICU MessageFormat,
+ * see {@link format}. {@link get} uses the ICU MessageFormat if the parameters
+ * are given as an object. For an array of parameters, only the placeholders
+ * {1}...{n} are replaced as in previous versions, so that existing resources
+ * are not affected by the quoting rules of the ICU MessageFormat.
+ *
+ * Event: mxEvent.LANGUAGE
+ *
+ * Fires on {@link eventSource} after the language has been changed with
+ * {@link setLanguage}. The `language` property contains the new language.
  */
 class Translations {
   /*
@@ -77,6 +125,37 @@ class Translations {
    */
   static resources: { [key: string]: string } = {};
 
+  /**
+   * Maps from lowercase languages to the messages of the language.
+   */
+  static bundles: { [lan: string]: { [key: string]: string } } = {};
+
+  /**
+   * Maps from lowercase languages to the languages that should be used if a
+   * message does not exist in the language, eg. `{ 'pt-br': ['pt-pt'] }`. The
+   * language without region and {@link Client.defaultLanguage} are always
+   * appended, see {@link getFallbackChain}.
+   */
+  static fallbacks: { [lan: string]: string[] } = {};
+
+  /**
+   * Holds the basenames that have been loaded with {@link load}. These are
+   * loaded for the new language in {@link setLanguage}.
+   */
+  static basenames: string[] = [];
+
+  /**
+   * Maps from the URLs of the loaded bundles to the pending or finished
+   * requests.
+   */
+  static requests: { [url: string]: Promise<void> } = {};
+
+  /**
+   * {@link EventSource} that fires the language event. Use
+   * {@link InternalEvent.LANGUAGE} as the event name.
+   */
+  static eventSource = new EventSource();
+
   /**
    * Specifies the extension used for language files.
    * @default '.txt'
@@ -261,8 +340,12 @@ class Translations {
   /**
    * Parses the key, value pairs in the specified
    * text and stores them as local resources.
+   *
+   * @param text String that contains the key, value pairs.
+   * @param resources Optional object to store the pairs in. Default is
+   * {@link resources}.
    */
-  static parse = (text: string): void => {
+  static parse = (text: string, resources: { [key: string]: string } = Translations.resources): void => {
     if (text != null) {
       const lines = text.split('\n');
 
@@ -282,9 +365,9 @@ class Translations {
 
             if (Translations.resourcesEncoded) {
               value = value.replace(/\\(?=u[a-fA-F\d]{4})/g, '%');
-              Translations.resources[key] = unescape(value);
+              resources[key] = unescape(value);
             } else {
-              Translations.resources[key] = value;
+              resources[key] = value;
             }
           }
         }
@@ -312,24 +395,450 @@ class Translations {
    *
    * @param key String that represents the key of the resource to be returned.
    * @param params Array of the values for the placeholders of the form {1}...{n}
-   * to be replaced with in the resulting string.
+   * to be replaced with in the resulting string or object that maps from the
+   * names of the arguments to the values, see {@link format}.
    * @param defaultValue Optional string that specifies the default return value.
    */
-  static get = (key: string, params: any[] | null=null, defaultValue: string | null=null): string | null => {
-    let value: string | null = Translations.resources[key];
+  static get = (key: string, params: TranslationParams | null=null, defaultValue: string | null=null): string | null => {
+    let value: string | null = Translations.getMessage(key);
 
     // Applies the default value if no resource was found
     if (value == null) {
       value = defaultValue;
     }
 
-    // Replaces the placeholders with the values in the array
+    // Replaces the placeholders with the values in the array or formats the
+    // message with the named parameters
     if (value != null && params != null) {
-      value = Translations.replacePlaceholders(value, params);
+      value = Array.isArray(params)
+        ? Translations.replacePlaceholders(value, params.map(String))
+        : Translations.format(value, params);
     }
     return value;
   };
 
+  /**
+   * Returns the message for the given key from the {@link bundles} of the
+   * current language and its fallbacks or from the {@link resources}.
+   *
+   * @param key String that represents the key of the message.
+   */
+  static getMessage = (key: string): string | null => {
+    for (const lan of Translations.getFallbackChain(Translations.getLanguage())) {
+      const value = Translations.bundles[lan]?.[key];
+
+      if (value != null) {
+        return value;
+      }
+    }
+    return Translations.resources[key] ?? null;
+  };
+
+  /**
+   * Returns the current language in lowercase.
+   */
+  static getLanguage = (): string => {
+    return (Client.language ?? NONE).toLowerCase();
+  };
+
+  /**
+   * Returns the languages whose bundles are used for the given language in
+   * the order in which they are used. These are the language, the languages
+   * in {@link fallbacks}, the language without the region and
+   * {@link Client.defaultLanguage}.
+   *
+   * @param lan The language for which the languages should be returned.
+   */
+  static getFallbackChain = (lan: string): string[] => {
+    const result: string[] = [];
+    const add = (value: string) => {
+      value = value.toLowerCase();
+
+      if (result.indexOf(value) < 0) {
+        result.push(value);
+
+        for (const fallback of Translations.fallbacks[value] ?? []) {
+          add(fallback);
+        }
+
+        const dash = value.indexOf('-');
+
+        if (dash > 0) {
+          add(value.substring(0, dash));
+        }
+      }
+    };
+
+    if (lan !== NONE) {
+      add(lan);
+    }
+    add(Client.defaultLanguage);
+
+    return result;
+  };
+
+  /**
+   * Adds the messages in the given bundle to the {@link bundles} of the given
+   * language. Existing messages are overridden.
+   *
+   * @param bundle {@link TranslationBundle} that contains the messages.
+   * @param lan Optional language of the bundle. Default is
+   * {@link Client.defaultLanguage}.
+   */
+  static addBundle = (bundle: TranslationBundle, lan: string | null=null): void => {
+    lan = (lan ?? Client.defaultLanguage).toLowerCase();
+    const messages = (Translations.bundles[lan] = Translations.bundles[lan] ?? {});
+
+    const add = (obj: TranslationBundle, prefix: string) => {
+      for (const key of Object.keys(obj)) {
+        const value = obj[key];
+
+        if (typeof value === 'object' && value != null) {
+          add(value, `${prefix}${key}.`);
+        } else if (value != null) {
+          messages[prefix + key] = String(value);
+        }
+      }
+    };
+
+    add(bundle, '');
+  };
+
+  /**
+   * Loads the bundle from the given URL into the {@link bundles} of the given
+   * language and returns a promise that resolves when the bundle has been
+   * added. Files whose URL ends with .json are parsed as JSON, all other files
+   * are parsed as key=value pairs as in {@link parse}. The promise also
+   * resolves if the file does not exist. Each URL is only requested once.
+   *
+   * @param url URL of the bundle.
+   * @param lan Optional language of the bundle. Default is
+   * {@link Client.defaultLanguage}.
+   */
+  static loadBundle = (url: string, lan: string | null=null): Promise<void> => {
+    const key = `${(lan ?? Client.defaultLanguage).toLowerCase()}:${url}`;
+
+    if (Translations.requests[key] == null) {
+      Translations.requests[key] = new Promise<void>((resolve) => {
+        get(
+          url,
+          (req: MaxXmlRequest) => {
+            const status = req.getStatus();
+
+            if (status >= 200 && status <= 299) {
+              try {
+                const text = req.getText();
+                Translations.addBundle(
+                  /\.json(\?.*)?$/i.test(url)
+                    ? JSON.parse(text)
+                    : Translations.parseBundle(text),
+                  lan
+                );
+              } catch (e) {
+                // ignore
+              }
+            }
+            resolve();
+          },
+          () => {
+            resolve();
+          }
+        );
+      });
+    }
+    return Translations.requests[key];
+  };
+
+  /**
+   * Returns the key, value pairs in the given text as a
+   * {@link TranslationBundle}. See {@link parse}.
+   */
+  static parseBundle = (text: string): TranslationBundle => {
+    const result: { [key: string]: string } = {};
+    Translations.parse(text, result);
+
+    return result;
+  };
+
+  /**
+   * Loads the bundles for the given basename and all languages of the
+   * {@link getFallbackChain} of the given language asynchronously. The URLs
+   * of the bundles are created with {@link getDefaultBundle} and
+   * {@link getSpecialBundle}. The basename is loaded again for the new
+   * language in {@link setLanguage}.
+   *
+   * @param basename The basename for which the files should be loaded.
+   * @param lan Optional language. Default is {@link Client.language}.
+   */
+  static load = (basename: string, lan: string | null=null): Promise<void> => {
+    lan = (lan ?? Translations.getLanguage()).toLowerCase();
+
+    if (Translations.basenames.indexOf(basename) < 0) {
+      Translations.basenames.push(basename);
+    }
+
+    if (lan === NONE) {
+      return Promise.resolve();
+    }
+
+    const requests: Promise<void>[] = [];
+    const defaultBundle = Translations.getDefaultBundle(basename, lan);
+
+    if (defaultBundle != null) {
+      requests.push(Translations.loadBundle(defaultBundle, Client.defaultLanguage));
+    }
+
+    for (const tmp of Translations.getFallbackChain(lan)) {
+      const specialBundle = Translations.getSpecialBundle(basename, tmp);
+
+      if (specialBundle != null) {
+        requests.push(Translations.loadBundle(specialBundle, tmp));
+      }
+    }
+
+    return Promise.all(requests).then(() => undefined);
+  };
+
+  /**
+   * Changes {@link Client.language}, loads the basenames in {@link basenames}
+   * for the new language and fires a language event on {@link eventSource}
+   * so that the user interface can be updated without reloading.
+   *
+   * @param lan The new language.
+   */
+  static setLanguage = (lan: string): Promise<void> => {
+    Client.setLanguage(lan);
+
+    return Promise.all(
+      Translations.basenames.map((basename) => Translations.load(basename, lan))
+    ).then(() => {
+      // Same as InternalEvent.LANGUAGE, which would create a circular import
+      Translations.eventSource.fireEvent(new EventObject('language', { language: lan }));
+    });
+  };
+
+  /**
+   * Formats the given message with the given parameters. In addition to the
+   * positional placeholders {1}...{n} of {@link replacePlaceholders}, the
+   * following arguments of the ICU MessageFormat are supported, where an
+   * array of parameters is accessed with the 1-based index as the name:
+   *
+   * - `{name}` is replaced with the parameter.
+   * - `{name, number}` is replaced with the formatted number.
+   * - `{name, plural, =0 {none} one {# item} other {# items}}` selects the
+   * message for the exact value or the plural category of the language. An
+   * optional `offset:n` is subtracted from the value. Inside the messages, #
+   * is replaced with the formatted value.
+   * - `{name, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}` uses
+   * the ordinal categories.
+   * - `{name, select, male {He} female {She} other {They}}` selects the
+   * message for the value.
+   *
+   * Single quotes escape braces and # as in the ICU MessageFormat, eg.
+   * `'{'` and `''` for a single quote.
+   *
+   * @param message String that contains the placeholders.
+   * @param params {@link TranslationParams} for the placeholders.
+   * @param lan Optional language. Default is {@link Client.language}.
+   */
+  static format = (message: string, params: TranslationParams, lan: string | null=null): string => {
+    return Translations.formatMessage(message, params, lan ?? Translations.getLanguage(), null);
+  };
+
+  /**
+   * Implements {@link format}. The given value replaces # in plural messages.
+   */
+  static formatMessage = (
+    message: string,
+    params: TranslationParams,
+    lan: string,
+    value: number | null
+  ): string => {
+    let result = '';
+    let i = 0;
+
+    while (i < message.length) {
+      const c = message.charAt(i);
+
+      if (c === "'") {
+        const next = message.charAt(i + 1);
+
+        if (next === "'") {
+          result += "'";
+          i += 2;
+        } else if (next === '{' || next === '}' || (next === '#' && value != null)) {
+          let end = message.indexOf("'", i + 1);
+          end = end < 0 ? message.length : end;
+          result += message.substring(i + 1, end);
+          i = end + 1;
+        } else {
+          result += c;
+          i++;
+        }
+      } else if (c === '{') {
+        const end = Translations.findClosingBrace(message, i);
+
+        if (end < 0) {
+          result += message.substring(i);
+          break;
+        }
+
+        result += Translations.formatArgument(message.substring(i + 1, end), params, lan);
+        i = end + 1;
+      } else if (c === '#' && value != null) {
+        result += Translations.formatNumber(value, lan);
+        i++;
+      } else {
+        result += c;
+        i++;
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Returns the index of the brace that closes the brace at the given index
+   * or -1 if the brace is not closed. As in {@link formatMessage}, a single
+   * quote only starts a quoted section if it is followed by a brace or #, and
+   * two single quotes are an escaped single quote.
+   */
+  static findClosingBrace = (message: string, start: number): number => {
+    let depth = 0;
+    let quoted = false;
+
+    for (let i = start; i < message.length; i++) {
+      const c = message.charAt(i);
+
+      if (c === "'") {
+        const next = message.charAt(i + 1);
+
+        if (next === "'") {
+          i++;
+        } else if (quoted || next === '{' || next === '}' || next === '#') {
+          quoted = !quoted;
+        }
+      } else if (!quoted && c === '{') {
+        depth++;
+      } else if (!quoted && c === '}') {
+        depth--;
+
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * Returns the formatted value of the given argument, ie. the content of a
+   * placeholder without the outer braces.
+   */
+  static formatArgument = (argument: string, params: TranslationParams, lan: string): string => {
+    const first = argument.indexOf(',');
+    const name = (first < 0 ? argument : argument.substring(0, first)).trim();
+    const value = Array.isArray(params) ? params[parseInt(name) - 1] : params[name];
+
+    if (first < 0) {
+      return value != null ? String(value) : '';
+    }
+
+    const second = argument.indexOf(',', first + 1);
+    const type = (second < 0 ? argument.substring(first + 1) : argument.substring(first + 1, second)).trim();
+    const style = second < 0 ? '' : argument.substring(second + 1);
+
+    if (type === 'number') {
+      return Translations.formatNumber(Number(value), lan);
+    } else if (type === 'plural' || type === 'selectordinal') {
+      const options = Translations.parseOptions(style);
+      const offset = parseFloat(options['offset:'] ?? '0') || 0;
+      const n = Number(value) - offset;
+      const option =
+        options[`=${Number(value)}`] ??
+        options[Translations.getPluralCategory(n, lan, type === 'selectordinal')] ??
+        options.other ??
+        '';
+
+      return Translations.formatMessage(option, params, lan, n);
+    } else if (type === 'select') {
+      const options = Translations.parseOptions(style);
+      const option = options[String(value)] ?? options.other ?? '';
+
+      return Translations.formatMessage(option, params, lan, null);
+    }
+    return value != null ? String(value) : '';
+  };
+
+  /**
+   * Returns the options of a plural or select argument as a map from the
+   * selectors to the messages. An offset is stored under `offset:`.
+   */
+  static parseOptions = (style: string): { [selector: string]: string } => {
+    const result: { [selector: string]: string } = {};
+    let i = 0;
+
+    while (i < style.length) {
+      while (i < style.length && /\s/.test(style.charAt(i))) {
+        i++;
+      }
+
+      let selector = '';
+
+      while (i < style.length && !/[\s{]/.test(style.charAt(i))) {
+        selector += style.charAt(i);
+        i++;
+      }
+
+      if (selector.substring(0, 7) === 'offset:') {
+        result['offset:'] = selector.substring(7);
+        continue;
+      }
+
+      while (i < style.length && /\s/.test(style.charAt(i))) {
+        i++;
+      }
+
+      if (style.charAt(i) !== '{') {
+        break;
+      }
+
+      const end = Translations.findClosingBrace(style, i);
+
+      if (end < 0) {
+        break;
+      }
+
+      result[selector] = style.substring(i + 1, end);
+      i = end + 1;
+    }
+    return result;
+  };
+
+  /**
+   * Returns the plural category of the given number in the given language,
+   * eg. one or other.
+   */
+  static getPluralCategory = (n: number, lan: string, ordinal = false): string => {
+    try {
+      return new Intl.PluralRules(lan, { type: ordinal ? 'ordinal' : 'cardinal' }).select(n);
+    } catch (e) {
+      return new Intl.PluralRules(Client.defaultLanguage, {
+        type: ordinal ? 'ordinal' : 'cardinal',
+      }).select(n);
+    }
+  };
+
+  /**
+   * Returns the given number formatted for the given language.
+   */
+  static formatNumber = (n: number, lan: string): string => {
+    try {
+      return new Intl.NumberFormat(lan).format(n);
+    } catch (e) {
+      return String(n);
+    }
+  };
+
   /**
    * Replaces the given placeholders with the given parameters.
    *
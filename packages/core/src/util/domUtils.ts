@@ -15,6 +15,7 @@ limitations under the License.
 */
 
 import { NODETYPE } from './Constants';
+import DomEnvironment from './DomEnvironment';
 
 /**
  * Returns the text content of the specified node.
@@ -114,7 +115,7 @@ export const setTextContent = (node: HTMLElement | Text, text: string) => {
  */
 export const getInnerHtml = (node: Element) => {
   if (node != null) {
-    const serializer = new XMLSerializer();
+    const serializer = DomEnvironment.createXmlSerializer();
     return serializer.serializeToString(node);
   }
 
@@ -130,7 +131,7 @@ export const getInnerHtml = (node: Element) => {
  */
 export const getOuterHtml = (node: Element) => {
   if (node != null) {
-    const serializer = new XMLSerializer();
+    const serializer = DomEnvironment.createXmlSerializer();
     return serializer.serializeToString(node);
   }
 
@@ -0,0 +1,443 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { NODETYPE } from './Constants';
+import DomEnvironment from './DomEnvironment';
+import { htmlEntities } from './StringUtils';
+
+/**
+ * Describes the markup that is kept by {@link sanitizeHtml}.
+ */
+export type HtmlSchema = {
+  /**
+   * Maps from the allowed lowercase tag names to the names of the allowed
+   * attributes of the tag. The `style` attribute is filtered using
+   * {@link styles}.
+   */
+  tags: { [tagName: string]: string[] };
+
+  /**
+   * Maps from tag names to the tag names that are used in the output, eg.
+   * `strong` to `b`.
+   */
+  aliases: { [tagName: string]: string };
+
+  /**
+   * Names of the tags that are removed with their content. All other tags
+   * that are not in {@link tags} are replaced with their content.
+   */
+  removedTags: string[];
+
+  /**
+   * Names of the allowed CSS properties in style attributes.
+   */
+  styles: string[];
+
+  /**
+   * Allowed protocols of URLs in `href` attributes. Relative URLs are always
+   * allowed.
+   */
+  protocols: string[];
+};
+
+/**
+ * Formatting of a run of text in {@link RichTextLine}.
+ */
+export type RichTextRun = {
+  text: string;
+  bold: boolean;
+  italic: boolean;
+  underline: boolean;
+  strikethrough: boolean;
+  color: string | null;
+  fontFamily: string | null;
+  fontSize: number | null;
+};
+
+/**
+ * A line of formatted text as returned by {@link parseRichText}.
+ */
+export type RichTextLine = RichTextRun[];
+
+/**
+ * The markup of rich text labels. This allows bold, italic, underlined and
+ * struck through text, subscript and superscript, code, lists, links, line
+ * breaks and paragraphs as well as font families, font sizes, colors and the
+ * text alignment of paragraphs.
+ */
+export const RICH_TEXT_SCHEMA: HtmlSchema = {
+  tags: {
+    a: ['href', 'title'],
+    b: [],
+    br: [],
+    code: [],
+    div: ['style'],
+    i: [],
+    li: [],
+    ol: [],
+    p: ['style'],
+    s: [],
+    span: ['style'],
+    sub: [],
+    sup: [],
+    u: [],
+    ul: [],
+  },
+  aliases: {
+    strong: 'b',
+    em: 'i',
+    strike: 's',
+    del: 's',
+    ins: 'u',
+    font: 'span',
+  },
+  removedTags: [
+    'script',
+    'style',
+    'iframe',
+    'object',
+    'embed',
+    'link',
+    'meta',
+    'title',
+    'head',
+    'template',
+    'svg',
+    'math',
+    'input',
+    'textarea',
+    'select',
+    'button',
+  ],
+  styles: [
+    'color',
+    'background-color',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-decoration',
+    'text-decoration-line',
+    'text-align',
+  ],
+  protocols: ['http', 'https', 'mailto'],
+};
+
+/**
+ * Font sizes in pixels for the size attribute of font tags.
+ */
+const FONT_TAG_SIZES = [10, 13, 16, 18, 24, 32, 48];
+
+/**
+ * Returns true if the given URL is relative or uses one of the given
+ * protocols.
+ *
+ * @param url String that represents the URL.
+ * @param protocols Array of allowed protocols. Default is the protocols of
+ * {@link RICH_TEXT_SCHEMA}.
+ */
+export const isSafeUrl = (url: string, protocols = RICH_TEXT_SCHEMA.protocols) => {
+  // Ignores whitespace and control characters used for obfuscation
+  const value = url.replace(/[\u0000- ]/g, '');
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+
+  return match == null || protocols.includes(match[1].toLowerCase());
+};
+
+/**
+ * Returns the CSS declarations of the style attribute of the given element.
+ */
+const getStyles = (elt: Element): [string, string][] => {
+  const result: [string, string][] = [];
+
+  for (const decl of (elt.getAttribute('style') ?? '').split(';')) {
+    const index = decl.indexOf(':');
+
+    if (index > 0) {
+      result.push([
+        decl.substring(0, index).trim().toLowerCase(),
+        decl.substring(index + 1).trim(),
+      ]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns the CSS declarations for the attributes of the given font element.
+ */
+const getFontStyles = (elt: Element): [string, string][] => {
+  const result: [string, string][] = [];
+  const color = elt.getAttribute('color');
+  const face = elt.getAttribute('face');
+  const size = parseInt(elt.getAttribute('size') ?? '');
+
+  if (color) {
+    result.push(['color', color]);
+  }
+
+  if (face) {
+    result.push(['font-family', face]);
+  }
+
+  if (!isNaN(size)) {
+    result.push(['font-size', `${FONT_TAG_SIZES[Math.max(1, Math.min(7, size)) - 1]}px`]);
+  }
+  return result;
+};
+
+/**
+ * Returns the sanitized style attribute value for the given declarations.
+ */
+const sanitizeStyles = (styles: [string, string][], schema: HtmlSchema) =>
+  styles
+    .filter(
+      ([name, value]) =>
+        schema.styles.includes(name) &&
+        value.length > 0 &&
+        !/url\s*\(|expression\s*\(|[<>\\]/i.test(value)
+    )
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('; ');
+
+/**
+ * Returns the sanitized markup for the children of the given node.
+ */
+const sanitizeChildren = (node: Node, schema: HtmlSchema): string =>
+  Array.from(node.childNodes)
+    .map((child) => sanitizeNode(child, schema))
+    .join('');
+
+/**
+ * Returns the sanitized markup for the given node.
+ */
+const sanitizeNode = (node: Node, schema: HtmlSchema): string => {
+  if (node.nodeType === NODETYPE.TEXT) {
+    return htmlEntities(node.nodeValue ?? '', false);
+  } else if (node.nodeType !== NODETYPE.ELEMENT) {
+    return '';
+  }
+
+  const elt = <Element>node;
+  const nodeName = elt.nodeName.toLowerCase();
+
+  if (schema.removedTags.includes(nodeName)) {
+    return '';
+  }
+
+  const content = sanitizeChildren(elt, schema);
+  const name = schema.aliases[nodeName] ?? nodeName;
+  const allowed = schema.tags[name];
+
+  if (allowed == null) {
+    return content;
+  } else if (name === 'br') {
+    return '<br>';
+  }
+
+  let attrs = '';
+
+  for (const attr of allowed) {
+    let value: string | null = null;
+
+    if (attr === 'style') {
+      const styles = getStyles(elt);
+      value = sanitizeStyles(
+        nodeName === 'font' ? getFontStyles(elt).concat(styles) : styles,
+        schema
+      );
+    } else if (attr === 'href') {
+      value = elt.getAttribute(attr);
+
+      if (value != null && !isSafeUrl(value, schema.protocols)) {
+        value = null;
+      }
+    } else {
+      value = elt.getAttribute(attr);
+    }
+
+    if (value) {
+      attrs += ` ${attr}="${htmlEntities(value, false)}"`;
+    }
+  }
+
+  // Removes spans without formatting
+  if (name === 'span' && attrs.length === 0) {
+    return content;
+  }
+  return `<${name}${attrs}>${content}</${name}>`;
+};
+
+/**
+ * Returns the given HTML markup with all tags, attributes, CSS properties and
+ * URLs removed that are not allowed in the given schema. The result is
+ * serialized in a canonical form so that the same markup is rendered in the
+ * same way in the browser, in exported images and in the in-place editor.
+ *
+ * Tags that are not allowed are replaced with their content, except for the
+ * tags in {@link HtmlSchema.removedTags}, eg. scripts, which are removed with
+ * their content. Font tags are converted to spans.
+ *
+ * @param html String that contains the HTML markup.
+ * @param schema {@link HtmlSchema} that defines the allowed markup. Default is
+ * {@link RICH_TEXT_SCHEMA}.
+ */
+export const sanitizeHtml = (html: string, schema: HtmlSchema = RICH_TEXT_SCHEMA) => {
+  const doc = DomEnvironment.createDomParser().parseFromString(
+    `<!DOCTYPE html><html><body>${html}</body></html>`,
+    'text/html'
+  );
+
+  return doc.body != null ? sanitizeChildren(doc.body, schema) : '';
+};
+
+/**
+ * Returns the lines of formatted text for the given HTML markup. This is used
+ * to render rich text labels where HTML markup is not supported, eg. in SVG
+ * without foreignObjects. Line breaks, paragraphs and list items start new
+ * lines, list items are prefixed with a bullet or their number and
+ * whitespace is collapsed as in HTML.
+ *
+ * @param html String that contains the HTML markup.
+ * @param schema {@link HtmlSchema} that is used to sanitize the markup.
+ * Default is {@link RICH_TEXT_SCHEMA}.
+ */
+export const parseRichText = (
+  html: string,
+  schema: HtmlSchema = RICH_TEXT_SCHEMA
+): RichTextLine[] => {
+  const doc = DomEnvironment.createDomParser().parseFromString(
+    `<!DOCTYPE html><html><body>${sanitizeHtml(html, schema)}</body></html>`,
+    'text/html'
+  );
+  const lines: RichTextLine[] = [[]];
+
+  const addText = (text: string, format: RichTextRun) => {
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+
+    // Collapses whitespace across runs
+    if (last == null || /[ ]$/.test(last.text)) {
+      text = text.replace(/^ /, '');
+    }
+
+    if (text.length > 0) {
+      line.push({ ...format, text });
+    }
+  };
+
+  const newLine = (force: boolean) => {
+    if (force || lines[lines.length - 1].length > 0) {
+      lines.push([]);
+    }
+  };
+
+  const visit = (node: Node, format: RichTextRun, counter: number[] | null) => {
+    if (node.nodeType === NODETYPE.TEXT) {
+      addText((node.nodeValue ?? '').replace(/[ \t\n\r\f]+/g, ' '), format);
+      return;
+    } else if (node.nodeType !== NODETYPE.ELEMENT) {
+      return;
+    }
+
+    const elt = <Element>node;
+    const name = elt.nodeName.toLowerCase();
+    const next = { ...format };
+
+    if (name === 'br') {
+      newLine(true);
+      return;
+    } else if (name === 'b') {
+      next.bold = true;
+    } else if (name === 'i') {
+      next.italic = true;
+    } else if (name === 'u') {
+      next.underline = true;
+    } else if (name === 's') {
+      next.strikethrough = true;
+    } else if (name === 'code') {
+      next.fontFamily = 'monospace';
+    }
+
+    for (const [key, value] of getStyles(elt)) {
+      if (key === 'color') {
+        next.color = value;
+      } else if (key === 'font-family') {
+        next.fontFamily = value;
+      } else if (key === 'font-size' && /^\d+(\.\d+)?(px)?$/.test(value)) {
+        next.fontSize = parseFloat(value);
+      } else if (key === 'font-weight') {
+        next.bold = value === 'bold' || parseInt(value) >= 600;
+      } else if (key === 'font-style') {
+        next.italic = value === 'italic' || value === 'oblique';
+      } else if (key === 'text-decoration' || key === 'text-decoration-line') {
+        next.underline = next.underline || value.includes('underline');
+        next.strikethrough = next.strikethrough || value.includes('line-through');
+      }
+    }
+
+    const block = ['div', 'p', 'li', 'ul', 'ol'].includes(name);
+
+    if (block) {
+      newLine(false);
+    }
+
+    if (name === 'li') {
+      addText(counter != null ? `${++counter[0]}. ` : '• ', next);
+    }
+
+    const childCounter = name === 'ol' ? [0] : name === 'ul' ? null : counter;
+
+    for (const child of Array.from(elt.childNodes)) {
+      visit(child, next, childCounter);
+    }
+
+    if (block) {
+      newLine(false);
+    }
+  };
+
+  if (doc.body != null) {
+    const format: RichTextRun = {
+      text: '',
+      bold: false,
+      italic: false,
+      underline: false,
+      strikethrough: false,
+      color: null,
+      fontFamily: null,
+      fontSize: null,
+    };
+
+    for (const child of Array.from(doc.body.childNodes)) {
+      visit(child, format, null);
+    }
+  }
+
+  // Trims the whitespace at the start and end of each line
+  for (const line of lines) {
+    if (line.length > 0) {
+      line[0].text = line[0].text.replace(/^\s+/, '');
+      line[line.length - 1].text = line[line.length - 1].text.replace(/\s+$/, '');
+    }
+  }
+
+  // Removes the empty line after a trailing block
+  if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+  return lines;
+};
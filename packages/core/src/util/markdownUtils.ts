@@ -0,0 +1,216 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { htmlEntities } from './StringUtils';
+import { isSafeUrl } from './htmlUtils';
+
+/**
+ * Font sizes of the headings relative to the font size of the label.
+ */
+const HEADING_SIZES = ['1.6em', '1.4em', '1.2em', '1.1em', '1em', '1em'];
+
+/**
+ * Returns the HTML markup for the inline formatting in the given line of
+ * Markdown, that is, code spans, links, bold, italic and struck through text.
+ * Backslashes escape the following punctuation character.
+ */
+const inlineToHtml = (text: string): string => {
+  const tokens: string[] = [];
+  const token = (html: string) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  // Escapes HTML and removes characters that are used for tokens
+  let result = htmlEntities(text.replace(/\u0000/g, ''), false);
+
+  result = result.replace(/\\([\\`*_{}[\]()#+\-.!~])/g, (_, c) => token(c));
+  result = result.replace(/`([^`]+)`/g, (_, code) => token(`<code>${code}</code>`));
+
+  const format = (value: string) =>
+    value
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<i>$1</i>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<i>$2</i>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+
+  result = result.replace(
+    /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;([^)]*?)&quot;)?\)/g,
+    (_, label: string, url: string, title?: string) => {
+      if (!isSafeUrl(url)) {
+        return token(format(label));
+      }
+
+      const attrs = title != null ? ` title="${title}"` : '';
+      return token(`<a href="${url}"${attrs}>${format(label)}</a>`);
+    }
+  );
+
+  result = format(result);
+
+  // Restores the tokens, which may contain other tokens
+  while (/\u0000\d+\u0000/.test(result)) {
+    result = result.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[parseInt(i)]);
+  }
+  return result;
+};
+
+/**
+ * Returns the HTML markup for the given Markdown source. This supports a
+ * safe subset of Markdown that is suitable for labels:
+ *
+ * - Headings (`#` to `######`)
+ * - Bold (`**text**` or `__text__`), italic (`*text*` or `_text_`) and struck
+ *   through (`~~text~~`) text
+ * - Code spans (`` `code` ``) and fenced code blocks (` ``` `)
+ * - Unordered (`-`, `*` or `+`) and ordered (`1.`) lists, which are nested
+ *   by indentation
+ * - Links (`[text](url "title")`), where URLs with unsafe protocols, eg.
+ *   `javascript:`, are removed, see {@link isSafeUrl}
+ *
+ * HTML in the source is escaped. Unlike in other Markdown renderers, line
+ * breaks inside paragraphs are kept as in plain text labels. The result only
+ * contains markup of {@link RICH_TEXT_SCHEMA}.
+ *
+ * @param source String that contains the Markdown source.
+ */
+export const markdownToHtml = (source: string): string => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const html: string[] = [];
+  const lists: { tag: string; indent: number }[] = [];
+  let paragraph: string[] = [];
+  let blank = false;
+
+  const closeLists = (indent: number) => {
+    while (lists.length > 0 && lists[lists.length - 1].indent > indent) {
+      html.push(`</li></${lists.pop()!.tag}>`);
+    }
+  };
+
+  const addBlock = (block: string) => {
+    // Adds an empty line between blocks that are separated by empty lines
+    if (blank && html.length > 0) {
+      html.push('<div><br></div>');
+    }
+
+    html.push(block);
+    blank = false;
+  };
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      addBlock(`<div>${paragraph.map(inlineToHtml).join('<br>')}</div>`);
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const fence = /^\s*(```|~~~)/.exec(line);
+    const heading = /^\s*(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+
+    if (line.trim().length === 0) {
+      flushParagraph();
+
+      if (lists.length === 0) {
+        blank = true;
+      }
+    } else if (item != null) {
+      flushParagraph();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+      closeLists(indent);
+      const current = lists[lists.length - 1];
+
+      if (current != null && current.indent === indent && current.tag !== tag) {
+        html.push(`</li></${lists.pop()!.tag}>`);
+      }
+
+      const open = lists[lists.length - 1];
+
+      if (open == null || open.indent < indent) {
+        if (open == null) {
+          addBlock(`<${tag}><li>`);
+        } else {
+          html.push(`<${tag}><li>`);
+        }
+
+        lists.push({ tag, indent });
+      } else {
+        html.push('</li><li>');
+      }
+
+      html.push(inlineToHtml(item[3]));
+    } else if (lists.length > 0 && !blank && /^\s+/.test(line)) {
+      // Continuation of a list item
+      html.push(`<br>${inlineToHtml(line.trim())}`);
+    } else {
+      closeLists(-1);
+
+      if (fence != null) {
+        flushParagraph();
+        const code: string[] = [];
+
+        for (i += 1; i < lines.length; i += 1) {
+          if (lines[i].trim().startsWith(fence[1])) {
+            break;
+          }
+
+          code.push(
+            htmlEntities(lines[i], false).replace(/^ +/, (spaces) =>
+              '&nbsp;'.repeat(spaces.length)
+            )
+          );
+        }
+
+        addBlock(`<div><code>${code.join('<br>')}</code></div>`);
+      } else if (heading != null) {
+        flushParagraph();
+        const size = HEADING_SIZES[heading[1].length - 1];
+        addBlock(
+          `<div style="font-size: ${size}; font-weight: bold">${inlineToHtml(
+            heading[2]
+          )}</div>`
+        );
+      } else {
+        paragraph.push(line.trim());
+      }
+    }
+  }
+
+  flushParagraph();
+  closeLists(-1);
+
+  return html.join('');
+};
+
+/**
+ * Returns the plain text for the given Markdown source, that is, the text of
+ * {@link markdownToHtml} without the markup. This is used for accessible
+ * names.
+ *
+ * @param source String that contains the Markdown source.
+ */
+export const markdownToText = (source: string): string =>
+  markdownToHtml(source)
+    .replace(/<br>|<(div|li)[^>]*>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n+/g, '\n')
+    .trim();
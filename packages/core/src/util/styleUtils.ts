@@ -30,6 +30,7 @@ import CellPath from '../view/cell/CellPath';
 import Rectangle from '../view/geometry/Rectangle';
 import Cell from '../view/cell/Cell';
 import GraphDataModel from '../view/GraphDataModel';
+import DomEnvironment from './DomEnvironment';
 
 import type { CellStateStyle, CellStyle, NumericCellStateStyleKeys } from '../types';
 
@@ -63,7 +64,11 @@ export const removeCursors = (element: HTMLElement) => {
  * @param element DOM node whose current style should be returned.
  */
 export const getCurrentStyle = (element: HTMLElement) => {
-  return element ? window.getComputedStyle(element, '') : null;
+  const view = element?.ownerDocument?.defaultView;
+
+  return element && view && typeof view.getComputedStyle === 'function'
+    ? view.getComputedStyle(element, '')
+    : null;
 };
 
 /**
@@ -90,6 +95,63 @@ export const parseCssNumber = (value: string) => {
   return n;
 };
 
+/**
+ * Replaces the references to CSS custom properties of the form `var(--name)`
+ * or `var(--name, fallback)` in the given value with the values of the
+ * properties for the given element. The fallback, which may contain further
+ * references, is used if the property is not defined for the element.
+ *
+ * @param value String that contains the references.
+ * @param element DOM node whose computed style defines the properties.
+ */
+export const resolveCssVariables = (value: string, element: HTMLElement | null) => {
+  let computed: CSSStyleDeclaration | null | undefined;
+  let index = value.lastIndexOf('var(');
+
+  // Resolves the references from right to left so that references in
+  // fallbacks are resolved before the enclosing reference
+  while (index >= 0) {
+    let depth = 0;
+    let end = -1;
+
+    for (let i = index + 4; i < value.length && end < 0; i += 1) {
+      const c = value.charAt(i);
+
+      if (c === '(') {
+        depth += 1;
+      } else if (c === ')') {
+        if (depth === 0) {
+          end = i;
+        } else {
+          depth -= 1;
+        }
+      }
+    }
+
+    if (end < 0) {
+      break;
+    }
+
+    if (computed === undefined) {
+      computed = element != null ? getCurrentStyle(element) : null;
+    }
+
+    const args = value.substring(index + 4, end);
+    const comma = args.indexOf(',');
+    const name = (comma >= 0 ? args.substring(0, comma) : args).trim();
+    const property = computed?.getPropertyValue(name).trim() ?? '';
+    const fallback = comma >= 0 ? args.substring(comma + 1).trim() : '';
+
+    value =
+      value.substring(0, index) +
+      (property.length > 0 ? property : fallback) +
+      value.substring(end + 1);
+    index = index > 0 ? value.lastIndexOf('var(', index - 1) : -1;
+  }
+
+  return value;
+};
+
 /**
  * Function: setPrefixedStyle
  *
@@ -604,6 +666,9 @@ export const setOpacity = (node: HTMLElement | SVGElement, value: number) => {
  * converted to <br> before calling this method. The caller is responsible
  * for sanitizing the HTML markup.
  *
+ * If {@link DomEnvironment.textMeasurer} is defined then it is used instead of
+ * measuring the string in the DOM.
+ *
  * Example:
  *
  * ```javascript
@@ -626,6 +691,17 @@ export const getSizeForString = (
   textWidth: number | null = null,
   fontStyle: number | null = null
 ) => {
+  if (DomEnvironment.textMeasurer != null) {
+    return DomEnvironment.textMeasurer(
+      text,
+      fontSize,
+      fontFamily,
+      textWidth,
+      fontStyle,
+      true
+    );
+  }
+
   const div = document.createElement('div');
 
   // Sets the font size and family
@@ -26,16 +26,18 @@ import TemporaryCellStates from '../view/cell/TemporaryCellStates';
 import type { StyleValue } from '../types';
 import { getTextContent } from './domUtils';
 import Codec from '../serialization/Codec';
+import DomEnvironment from './DomEnvironment';
 
 /**
  * Returns a new, empty XML document.
  */
 export const createXmlDocument = () => {
-  return document.implementation.createDocument('', '', null);
+  return DomEnvironment.getDocument().implementation.createDocument('', '', null);
 };
 
 export const parseXml = (xmlString: string): HTMLElement => {
-  return new DOMParser().parseFromString(xmlString, 'text/xml').documentElement;
+  return DomEnvironment.createDomParser().parseFromString(xmlString, 'text/xml')
+    .documentElement;
 };
 
 export const getViewXml = (
@@ -64,11 +66,11 @@ export const getViewXml = (
   const { overlayPane } = view;
 
   if (graph.dialect === DIALECT.SVG) {
-    view.drawPane = document.createElementNS(NS_SVG, 'g');
+    view.drawPane = DomEnvironment.getDocument().createElementNS(NS_SVG, 'g');
     view.canvas.appendChild(view.drawPane);
 
     // Redirects cell overlays into temporary container
-    view.overlayPane = document.createElementNS(NS_SVG, 'g');
+    view.overlayPane = DomEnvironment.getDocument().createElementNS(NS_SVG, 'g');
     view.canvas.appendChild(view.overlayPane);
   } else {
     view.drawPane = <SVGElement>view.drawPane.cloneNode(false);
@@ -112,7 +114,7 @@ export const getViewXml = (
  * &#xa;
  */
 export const getXml = (node: Element, linefeed: string = '&#xa;'): string => {
-  const xmlSerializer = new XMLSerializer();
+  const xmlSerializer = DomEnvironment.createXmlSerializer();
   let xml = xmlSerializer.serializeToString(node);
 
   // Replaces linefeeds with HTML Entities.
@@ -47,6 +47,7 @@ import ValueChange from './undoable_changes/ValueChange';
 import CellState from './cell/CellState';
 import { isNode } from '../util/domUtils';
 import EdgeStyle from './style/EdgeStyle';
+import ManhattanRouter from './style/ManhattanRouter';
 import EdgeHandler from './handler/EdgeHandler';
 import VertexHandler from './handler/VertexHandler';
 import EdgeSegmentHandler from './handler/EdgeSegmentHandler';
@@ -59,6 +60,7 @@ import type { GraphPlugin, GraphPluginConstructor, MouseListenerSet } from '../t
 import Multiplicity from './other/Multiplicity';
 import ImageBundle from './image/ImageBundle';
 import GraphSelectionModel from './GraphSelectionModel';
+import DomEnvironment from '../util/DomEnvironment';
 
 export const defaultPlugins: GraphPluginConstructor[] = [
   CellEditorHandler,
@@ -93,6 +95,7 @@ class Graph extends EventSource {
   destroyed: boolean = false;
 
   graphModelChangeListener: Function | null = null;
+
   paintBackground: Function | null = null;
   foldingEnabled: null | boolean = null;
   isConstrainedMoving: boolean = false;
@@ -420,7 +423,7 @@ class Graph extends EventSource {
   ) {
     super();
 
-    this.container = container ?? document.createElement('div');
+    this.container = container ?? DomEnvironment.getDocument().createElement('div');
     this.model = model ?? new GraphDataModel();
     this.plugins = plugins;
     this.cellRenderer = this.createCellRenderer();
@@ -544,18 +547,81 @@ class Graph extends EventSource {
 
   /**
    * Called when the graph model changes. Invokes {@link processChange} on each
-   * item of the given array to update the view accordingly.
+   * item of the given array to update the view accordingly. The changes are
+   * animated if {@link animationEnabled} is true.
    *
    * @param changes Array that contains the individual changes.
    */
   graphModelChanged(changes: any[]) {
+    const animation = this.prepareChangeAnimation(changes);
+
     for (const change of changes) {
       this.processChange(change);
     }
 
+    this.invalidateObstacleRoutes(changes);
+    this.invalidateStyleRules(changes);
     this.updateSelection();
     this.view.validate();
     this.sizeDidChange();
+    animation?.startAnimation();
+  }
+
+  /**
+   * Invalidates the edges that use {@link EdgeStyle.ManhattanConnector} if
+   * the given changes add, remove, move or resize vertices in their search
+   * area, since the routes of these edges depend on the vertices around them
+   * and not only on their terminals. See {@link ManhattanRouter.isAffected}.
+   * The edges are looked up in {@link GraphView.manhattanEdges}.
+   *
+   * @param changes Array of changes of the model.
+   */
+  invalidateObstacleRoutes(changes: any[]): void {
+    const { manhattanEdges } = this.view;
+
+    if (manhattanEdges.size === 0) {
+      return;
+    }
+
+    const bounds: Rectangle[] = [];
+
+    for (const change of changes) {
+      if (change instanceof ChildChange && change.child.isVertex()) {
+        for (const parent of [change.parent, change.previous]) {
+          bounds.push(
+            ...ManhattanRouter.getObstacleBounds(
+              this.view,
+              change.child,
+              parent,
+              change.child.getGeometry()
+            )
+          );
+        }
+      } else if (change instanceof GeometryChange && change.cell.isVertex()) {
+        bounds.push(
+          ...ManhattanRouter.getObstacleBounds(
+            this.view,
+            change.cell,
+            change.cell.getParent(),
+            change.geometry
+          )
+        );
+      }
+    }
+
+    if (bounds.length > 0) {
+      const model = this.getDataModel();
+
+      for (const edge of manhattanEdges) {
+        const state = this.view.getState(edge);
+
+        if (state == null || !model.contains(edge)) {
+          manhattanEdges.delete(edge);
+        } else if (ManhattanRouter.isAffected(state, bounds)) {
+          this.view.invalidate(edge, false, false);
+        }
+      }
+    }
   }
 
   /**
@@ -1225,7 +1291,8 @@ class Graph extends EventSource {
       tmp === EdgeStyle.SideToSide ||
       tmp === EdgeStyle.TopToBottom ||
       tmp === EdgeStyle.EntityRelation ||
-      tmp === EdgeStyle.OrthConnector
+      tmp === EdgeStyle.OrthConnector ||
+      tmp === EdgeStyle.ManhattanConnector
     );
   }
 
@@ -1465,12 +1532,24 @@ class Graph extends EventSource {
 
       Object.values(this.pluginsMap).forEach((p) => p.onDestroy());
 
+      this.setFollowColorScheme(false);
+      this.setAnimationEnabled(false);
+      this.removeHoverListeners();
       this.view.destroy();
 
       if (this.model && this.graphModelChangeListener) {
         this.getDataModel().removeListener(this.graphModelChangeListener);
         this.graphModelChangeListener = null;
       }
+
+      if (this.model && this.styleValidationHandler) {
+        this.getDataModel().removeListener(this.styleValidationHandler);
+        this.styleValidationHandler = null;
+      }
+
+      if (this.model) {
+        this.removeTableListener();
+      }
     }
   }
 }
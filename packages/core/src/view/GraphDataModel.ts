@@ -31,12 +31,13 @@ import StyleChange from './undoable_changes/StyleChange';
 import TerminalChange from './undoable_changes/TerminalChange';
 import ValueChange from './undoable_changes/ValueChange';
 import VisibleChange from './undoable_changes/VisibleChange';
+import GuideLinesChange from './undoable_changes/GuideLinesChange';
 import Geometry from './geometry/Geometry';
 import ObjectCodec from '../serialization/ObjectCodec';
 import CodecRegistry from '../serialization/CodecRegistry';
 import { cloneCells, filterCells } from '../util/cellArrayUtils';
 
-import type { CellStyle, FilterFunction } from '../types';
+import type { CellStyle, FilterFunction, GuideLine } from '../types';
 
 /**
  * Extends {@link EventSource} to implement a graph model. The graph model acts as
@@ -286,6 +287,24 @@ export class GraphDataModel extends EventSource {
    */
   endingUpdate: boolean = false;
 
+  /**
+   * Origin that is assigned to the {@link currentEdit} when a transaction is
+   * started, see {@link UndoableEdit.origin}. Default is null, which means the
+   * edits are made by the local user.
+   */
+  origin: string | null = null;
+
+  /**
+   * Holds the {@link GuideLine}s of the model. Use {@link setGuideLines} to
+   * change the guide lines.
+   */
+  guideLines: GuideLine[] = [];
+
+  /**
+   * Counter for the IDs of new guide lines.
+   */
+  nextGuideLineId: number = 0;
+
   constructor(root: Cell | null = null) {
     super();
 
@@ -935,6 +954,235 @@ export class GraphDataModel extends EventSource {
     return previous;
   }
 
+  /**
+   * Returns the layers of the model, that is, the children of the root, in the
+   * order in which they are painted.
+   */
+  getLayers(): Cell[] {
+    return this.root ? this.root.getChildren() : [];
+  }
+
+  /**
+   * Returns the layer that contains the given {@link Cell} or the cell if it
+   * is a layer. Returns null if the cell is not contained in a layer.
+   *
+   * @param {Cell} cell  whose layer should be returned.
+   */
+  getLayerForCell(cell: Cell): Cell | null {
+    let current: Cell | null = cell;
+
+    while (current != null && !this.isLayer(current)) {
+      current = current.getParent();
+    }
+    return current;
+  }
+
+  /**
+   * Adds a new layer with the given name to the root using {@link ChildChange}
+   * and returns the new layer. If no index is specified then the layer is
+   * added on top of the existing layers.
+   *
+   * @param name  String that specifies the name of the layer.
+   * @param index  Optional integer that specifies the index of the layer.
+   */
+  addLayer(name: string, index: number | null = null): Cell {
+    return <Cell>this.add(this.root, new Cell(name), index);
+  }
+
+  /**
+   * Removes the given layer and all cells in it using {@link ChildChange}.
+   *
+   * @param {Cell} layer  that specifies the layer to be removed.
+   */
+  removeLayer(layer: Cell): void {
+    if (this.isLayer(layer)) {
+      this.remove(layer);
+    }
+  }
+
+  /**
+   * Sets the name of the given layer using {@link ValueChange}.
+   *
+   * @param {Cell} layer  that specifies the layer to be renamed.
+   * @param name  String that specifies the new name.
+   */
+  renameLayer(layer: Cell, name: string): void {
+    if (this.isLayer(layer) && name !== layer.getValue()) {
+      this.setValue(layer, name);
+    }
+  }
+
+  /**
+   * Moves the given layer to the given index in the order of the layers using
+   * {@link ChildChange}. Layers with a higher index are painted on top.
+   *
+   * @param {Cell} layer  that specifies the layer to be moved.
+   * @param index  Integer that specifies the new index of the layer.
+   */
+  setLayerIndex(layer: Cell, index: number): void {
+    const root = this.root;
+
+    if (root != null && this.isLayer(layer)) {
+      index = Math.max(0, Math.min(index, root.getChildCount() - 1));
+
+      if (index !== root.getIndex(layer)) {
+        this.add(root, layer, index);
+      }
+    }
+  }
+
+  /**
+   * Returns true if the given layer is locked. The cells of a locked layer
+   * cannot be selected, moved, resized or edited. The locked state is stored
+   * in the `locked` style of the layer.
+   *
+   * @param {Cell} layer  that specifies the layer.
+   */
+  isLayerLocked(layer: Cell): boolean {
+    return !!layer.getStyle().locked;
+  }
+
+  /**
+   * Sets the locked state of the given layer using {@link StyleChange}.
+   *
+   * @param {Cell} layer  that specifies the layer.
+   * @param locked  Boolean that specifies the new locked state.
+   */
+  setLayerLocked(layer: Cell, locked: boolean): void {
+    if (this.isLayer(layer) && locked !== this.isLayerLocked(layer)) {
+      this.setStyle(layer, { ...layer.getStyle(), locked });
+    }
+  }
+
+  /**
+   * Returns true if the given layer is visible.
+   *
+   * @param {Cell} layer  that specifies the layer.
+   */
+  isLayerVisible(layer: Cell): boolean {
+    return layer.isVisible();
+  }
+
+  /**
+   * Sets the visible state of the given layer using {@link VisibleChange}.
+   *
+   * @param {Cell} layer  that specifies the layer.
+   * @param visible  Boolean that specifies the new visible state.
+   */
+  setLayerVisible(layer: Cell, visible: boolean): void {
+    if (this.isLayer(layer)) {
+      this.setVisible(layer, visible);
+    }
+  }
+
+  /**
+   * Moves the given cells to the given layer in a single transaction using
+   * {@link ChildChange}. Cells whose ancestors are in the given array and
+   * layers are ignored. Returns the cells that have been moved.
+   *
+   * @param {Cell[]} cells  that should be moved.
+   * @param {Cell} layer  that specifies the target layer.
+   */
+  moveCellsToLayer(cells: Cell[], layer: Cell): Cell[] {
+    const result: Cell[] = [];
+
+    if (this.isLayer(layer)) {
+      const set = new Set(cells);
+
+      for (const cell of cells) {
+        let parent = cell.getParent();
+
+        while (parent != null && !set.has(parent)) {
+          parent = parent.getParent();
+        }
+
+        if (parent == null && !this.isLayer(cell) && !this.isRoot(cell)) {
+          result.push(cell);
+        }
+      }
+
+      this.beginUpdate();
+      try {
+        for (const cell of result) {
+          this.add(layer, cell);
+        }
+      } finally {
+        this.endUpdate();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the {@link GuideLine}s of the model.
+   */
+  getGuideLines(): GuideLine[] {
+    return this.guideLines;
+  }
+
+  /**
+   * Sets the {@link GuideLine}s of the model using a {@link GuideLinesChange}.
+   *
+   * @param guideLines Array of {@link GuideLine}s to be used.
+   */
+  setGuideLines(guideLines: GuideLine[]): void {
+    this.execute(new GuideLinesChange(this, guideLines));
+  }
+
+  /**
+   * Inner callback to change the guide lines of the model. Returns the
+   * previous guide lines.
+   *
+   * @param guideLines Array of {@link GuideLine}s to be used.
+   */
+  guideLinesChanged(guideLines: GuideLine[]): GuideLine[] {
+    const previous = this.guideLines;
+    this.guideLines = guideLines;
+
+    for (const line of guideLines) {
+      const id = parseInt(line.id);
+
+      if (isNumeric(id) && id >= this.nextGuideLineId) {
+        this.nextGuideLineId = id + 1;
+      }
+    }
+    return previous;
+  }
+
+  /**
+   * Adds a new {@link GuideLine} and returns it.
+   *
+   * @param direction Direction of the new guide line.
+   * @param position Position of the new guide line in model coordinates.
+   */
+  addGuideLine(direction: GuideLine['direction'], position: number): GuideLine {
+    const line = { id: String(this.nextGuideLineId), direction, position };
+    this.setGuideLines([...this.guideLines, line]);
+
+    return line;
+  }
+
+  /**
+   * Moves the {@link GuideLine} with the given ID to the given position.
+   *
+   * @param id ID of the guide line to be moved.
+   * @param position New position of the guide line in model coordinates.
+   */
+  moveGuideLine(id: string, position: number): void {
+    this.setGuideLines(
+      this.guideLines.map((line) => (line.id === id ? { ...line, position } : line))
+    );
+  }
+
+  /**
+   * Removes the {@link GuideLine} with the given ID.
+   *
+   * @param id ID of the guide line to be removed.
+   */
+  removeGuideLine(id: string): void {
+    this.setGuideLines(this.guideLines.filter((line) => line.id !== id));
+  }
+
   /**
    * Executes the given edit and fires events if required. The edit object
    * requires an execute function which is invoked. The edit is added to the
@@ -998,6 +1246,12 @@ export class GraphDataModel extends EventSource {
     this.fireEvent(new EventObject(InternalEvent.BEGIN_UPDATE));
 
     if (this.updateLevel === 1) {
+      // Keeps the origin of changes that have not been dispatched yet, eg. if
+      // this is called from a listener of the before undo event
+      if (this.currentEdit.isEmpty()) {
+        this.currentEdit.origin = this.origin;
+      }
+
       this.fireEvent(new EventObject(InternalEvent.START_EDIT));
     }
   }
@@ -1043,6 +1297,35 @@ export class GraphDataModel extends EventSource {
     }
   }
 
+  /**
+   * Executes the given function in a transaction whose edit has the given
+   * {@link UndoableEdit.origin}. If a transaction is already in progress or
+   * the current edit has not been dispatched yet, eg. in a listener of the
+   * {@link InternalEvent.BEFORE_UNDO} event, then the changes are added to
+   * that edit and keep its origin.
+   *
+   * ```javascript
+   * model.updateWithOrigin('layout', () => {
+   *   layout.execute(parent);
+   * });
+   * ```
+   *
+   * @param origin Origin of the edit.
+   * @param fn Function that changes the model.
+   */
+  updateWithOrigin(origin: string | null, fn: () => void): void {
+    const previous = this.origin;
+    this.origin = origin;
+    this.beginUpdate();
+
+    try {
+      fn();
+    } finally {
+      this.endUpdate();
+      this.origin = previous;
+    }
+  }
+
   /**
    * Creates a new {@link UndoableEdit} that implements the
    * notify function to fire a {@link change} and {@link notify} event
@@ -1190,10 +1473,34 @@ export class ModelCodec extends ObjectCodec {
    * cell nodes as produced by the <CellCodec>. The sequence is
    * wrapped-up in a node with the name root.
    */
-  encodeObject(enc: any, obj: Cell, node: Element) {
+  encodeObject(enc: any, obj: GraphDataModel, node: Element) {
     const rootNode = enc.document.createElement('root');
     enc.encodeCell(obj.getRoot(), rootNode);
     node.appendChild(rootNode);
+
+    if (obj.guideLines.length > 0) {
+      const guidesNode = enc.document.createElement('guideLines');
+
+      for (const line of obj.guideLines) {
+        const lineNode = enc.document.createElement('guideLine');
+        lineNode.setAttribute('id', line.id);
+        lineNode.setAttribute('direction', line.direction);
+        lineNode.setAttribute('position', String(line.position));
+        guidesNode.appendChild(lineNode);
+      }
+      node.appendChild(guidesNode);
+    }
+  }
+
+  /**
+   * Removes the guide lines of the given model, so that the model only
+   * contains the guide lines of the node after decoding.
+   */
+  beforeDecode(dec: any, node: Element, obj: GraphDataModel) {
+    if (obj.getGuideLines().length > 0) {
+      obj.setGuideLines([]);
+    }
+    return super.beforeDecode(dec, node, obj);
   }
 
   /**
@@ -1202,9 +1509,33 @@ export class ModelCodec extends ObjectCodec {
   decodeChild(dec: any, child: Element, obj: Cell | GraphDataModel) {
     if (child.nodeName === 'root') {
       this.decodeRoot(dec, child, <GraphDataModel>obj);
+    } else if (child.nodeName === 'guideLines') {
+      this.decodeGuideLines(child, <GraphDataModel>obj);
     } else {
-      this.decodeChild.apply(this, [dec, child, obj]);
+      super.decodeChild(dec, child, obj);
+    }
+  }
+
+  /**
+   * Reads the guide lines into the graph model.
+   */
+  decodeGuideLines(node: Element, model: GraphDataModel) {
+    const lines: GuideLine[] = [];
+    let tmp = node.firstChild;
+
+    while (tmp != null) {
+      if (tmp.nodeName === 'guideLine') {
+        const elt = <Element>tmp;
+        lines.push({
+          id: elt.getAttribute('id') ?? String(lines.length),
+          direction:
+            elt.getAttribute('direction') === 'vertical' ? 'vertical' : 'horizontal',
+          position: parseFloat(elt.getAttribute('position') ?? '0'),
+        });
+      }
+      tmp = tmp.nextSibling;
     }
+    model.setGuideLines(lines);
   }
 
   /**
@@ -26,7 +26,13 @@ import { ALIGN } from '../util/Constants';
 import Client from '../Client';
 import InternalEvent from './event/InternalEvent';
 import { convertPoint, getCurrentStyle, getOffset } from '../util/styleUtils';
-import { getRotatedPoint, ptSegDistSq, relativeCcw, toRadians } from '../util/mathUtils';
+import {
+  getRotatedPoint,
+  intersects,
+  ptSegDistSq,
+  relativeCcw,
+  toRadians,
+} from '../util/mathUtils';
 import MaxLog from '../gui/MaxLog';
 import Translations from '../util/Translations';
 import CellState from './cell/CellState';
@@ -49,6 +55,9 @@ import { MouseEventListener } from '../types';
 
 import ObjectCodec from '../serialization/ObjectCodec';
 import CodecRegistry from '../serialization/CodecRegistry';
+import DomEnvironment from '../util/DomEnvironment';
+import RoutingIndex from './style/RoutingIndex';
+import EdgeStyle from './style/EdgeStyle';
 
 /**
  * @class GraphView
@@ -152,6 +161,54 @@ export class GraphView extends EventSource {
    */
   rendering = true;
 
+  /**
+   * Specifies if only the states that intersect the visible part of the
+   * container, plus {@link virtualizationMargin}, should have shapes. The
+   * states of all other cells are still created and updated so that bounds,
+   * hit detection and {@link getGraphBounds} work for the complete model.
+   * The shapes are updated when the container is scrolled or resized. Use
+   * {@link setVirtualized} to change this at runtime.
+   * @default false
+   */
+  virtualized = false;
+
+  /**
+   * Specifies the margin in pixels around the visible part of the container
+   * for which shapes are created if {@link virtualized} is true.
+   * @default 200
+   */
+  virtualizationMargin = 200;
+
+  /**
+   * Holds the listener that updates the shapes when the container is scrolled
+   * or resized in virtualized mode.
+   */
+  virtualizationHandler: (() => void) | null = null;
+
+  /**
+   * Holds the observer that invokes {@link virtualizationHandler} when the
+   * container is resized.
+   */
+  virtualizationObserver: ResizeObserver | null = null;
+
+  /**
+   * Holds the handle of the pending update of the virtualized shapes.
+   */
+  virtualizationThread: number | null = null;
+
+  /**
+   * Holds the {@link RoutingIndex} that is used by
+   * {@link EdgeStyle.ManhattanConnector} while the view is validated.
+   */
+  routingIndex: RoutingIndex | null = null;
+
+  /**
+   * Holds the edges that are routed with {@link EdgeStyle.ManhattanConnector},
+   * so that {@link Graph.invalidateObstacleRoutes} does not have to check all
+   * states.
+   */
+  manhattanEdges: Set<Cell> = new Set();
+
   /**
    * Reference to the enclosing {@link graph}.
    */
@@ -254,6 +311,109 @@ export class GraphView extends EventSource {
     this.rendering = value;
   }
 
+  isVirtualized() {
+    return this.virtualized;
+  }
+
+  /**
+   * Enables or disables the virtualized mode and revalidates the view. See
+   * {@link virtualized}.
+   */
+  setVirtualized(value: boolean) {
+    if (this.virtualized !== value) {
+      this.virtualized = value;
+      this.revalidate();
+    }
+  }
+
+  /**
+   * Returns the rectangle of the container, in view coordinates, for which
+   * shapes are created in virtualized mode. This is the visible part of the
+   * container grown by {@link virtualizationMargin}. Returns null if the view
+   * is not virtualized.
+   */
+  getVirtualizationBounds(): Rectangle | null {
+    const { container } = this.graph;
+
+    if (!this.virtualized || !container) {
+      return null;
+    }
+
+    const rect = new Rectangle(
+      container.scrollLeft,
+      container.scrollTop,
+      container.clientWidth,
+      container.clientHeight
+    );
+    rect.grow(this.virtualizationMargin);
+
+    return rect;
+  }
+
+  /**
+   * Returns true if the given state should have shapes. This returns false if
+   * the view is virtualized and the state is outside of the given bounds,
+   * unless the cell is selected, since handlers require the shape of the state.
+   *
+   * @param state {@link CellState} to be checked.
+   * @param bounds Optional {@link Rectangle} returned by
+   * {@link getVirtualizationBounds}.
+   */
+  isCellStateRendered(
+    state: CellState,
+    bounds: Rectangle | null = this.getVirtualizationBounds()
+  ) {
+    return (
+      !bounds ||
+      intersects(bounds, state) ||
+      (state.text?.boundingBox != null && intersects(bounds, state.text.boundingBox)) ||
+      this.graph.isCellSelected(state.cell)
+    );
+  }
+
+  /**
+   * Creates the shapes for the states that have been moved into the visible
+   * part of the container and destroys the shapes of the states that have
+   * been moved out of it. This is invoked if the container is scrolled in
+   * virtualized mode. The states themselves are not updated.
+   */
+  updateVirtualization() {
+    const root = this.currentRoot ?? this.graph.getDataModel().getRoot();
+
+    if (root) {
+      this.resetValidationState();
+      this.updateVirtualCellState(root, this.getVirtualizationBounds());
+      this.resetValidationState();
+    }
+  }
+
+  /**
+   * Creates or destroys the shapes of the state of the given cell and its
+   * descendants for the given bounds. See {@link updateVirtualization}.
+   */
+  updateVirtualCellState(cell: Cell, bounds: Rectangle | null) {
+    const state = this.getState(cell);
+
+    if (state && !state.invalid) {
+      if (cell !== this.currentRoot) {
+        if (!this.isCellStateRendered(state, bounds)) {
+          this.graph.cellRenderer.destroy(state);
+        } else if (!state.shape && this.isRendering()) {
+          this.graph.cellRenderer.redraw(state, true);
+          state.updateCachedBounds();
+        }
+
+        if (state.shape) {
+          this.stateValidated(state);
+        }
+      }
+
+      for (const child of cell.getChildren()) {
+        this.updateVirtualCellState(child, bounds);
+      }
+    }
+  }
+
   /**
    * Sets the translation and fires a {@link translate} event before calling
    * {@link revalidate} followed by {@link graph.sizeDidChange}. The translation is the
@@ -533,10 +693,13 @@ export class GraphView extends EventSource {
    */
   validate(cell: Cell | null = null) {
     const t0 = MaxLog.enter('mxGraphView.validate');
-    window.status =
-      Translations.get(this.updatingDocumentResource) || this.updatingDocumentResource;
+    if (typeof window !== 'undefined') {
+      window.status =
+        Translations.get(this.updatingDocumentResource) || this.updatingDocumentResource;
+    }
 
     this.resetValidationState();
+    this.routingIndex = new RoutingIndex(this);
 
     const c = cell || (this.currentRoot ?? this.graph.getDataModel().getRoot());
 
@@ -551,7 +714,11 @@ export class GraphView extends EventSource {
       this.resetValidationState();
     }
 
-    window.status = Translations.get(this.doneResource) || this.doneResource;
+    this.routingIndex = null;
+
+    if (typeof window !== 'undefined') {
+      window.status = Translations.get(this.doneResource) || this.doneResource;
+    }
     MaxLog.leave('mxGraphView.validate', <number>t0);
   }
 
@@ -577,6 +744,13 @@ export class GraphView extends EventSource {
     if (state) {
       if (state.shape && state.shape.boundingBox) {
         bbox = state.shape.boundingBox.clone();
+      } else if (
+        this.virtualized &&
+        state.cell !== this.currentRoot &&
+        (state.cell.isVertex() || state.cell.isEdge())
+      ) {
+        // Uses the bounds of the state for cells without shapes
+        bbox = Rectangle.fromRectangle(state);
       }
 
       // Adds label bounding box to graph bounds
@@ -614,7 +788,11 @@ export class GraphView extends EventSource {
    * @param bounds {@link mxRectangle} that represents the bounds of the shape.
    */
   createBackgroundPageShape(bounds: Rectangle) {
-    return new RectangleShape(bounds, 'white', 'black');
+    return new RectangleShape(
+      bounds,
+      this.graph.getThemeColor('pageBackgroundColor', 'white'),
+      this.graph.getThemeColor('pageBorderColor', 'black')
+    );
   }
 
   /**
@@ -838,7 +1016,12 @@ export class GraphView extends EventSource {
 
           // Repaint happens immediately after the cell is validated
           if (cell !== this.currentRoot && !state.invalid) {
-            this.graph.cellRenderer.redraw(state, false, this.isRendering());
+            if (this.isCellStateRendered(state)) {
+              this.graph.cellRenderer.redraw(state, false, this.isRendering());
+            } else {
+              // Off-screen states have no shapes in virtualized mode
+              this.graph.cellRenderer.destroy(state);
+            }
 
             // Handles changes to invertex paintbounds after update of rendering shape
             state.updateCachedBounds();
@@ -1226,6 +1409,12 @@ export class GraphView extends EventSource {
     pts.push((<Point[]>edge.absolutePoints)[0]);
     const edgeStyle = this.getEdgeStyle(edge, points, source, target);
 
+    if (edgeStyle === EdgeStyle.ManhattanConnector) {
+      this.manhattanEdges.add(edge.cell);
+    } else {
+      this.manhattanEdges.delete(edge.cell);
+    }
+
     if (edgeStyle && source) {
       // target can be null
       const src = this.getTerminalPort(edge, source, true);
@@ -1996,6 +2185,7 @@ export class GraphView extends EventSource {
    */
   removeState(cell: Cell) {
     let state: CellState | null = this.states.remove(cell);
+    this.manhattanEdges.delete(cell);
 
     if (state) {
       this.graph.cellRenderer.destroy(state);
@@ -2078,6 +2268,22 @@ export class GraphView extends EventSource {
     const graph = this.graph;
     const { container } = graph;
 
+    // Updates the shapes of the visible cells in virtualized mode
+    this.virtualizationHandler = () => {
+      if (this.virtualized && this.virtualizationThread == null) {
+        this.virtualizationThread = window.requestAnimationFrame(() => {
+          this.virtualizationThread = null;
+          this.updateVirtualization();
+        });
+      }
+    };
+    InternalEvent.addListener(container, 'scroll', this.virtualizationHandler);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.virtualizationObserver = new ResizeObserver(this.virtualizationHandler);
+      this.virtualizationObserver.observe(container);
+    }
+
     // Support for touch device gestures (eg. pinch to zoom)
     // Double-tap handling is implemented in mxGraph.fireMouseEvent
     if (Client.IS_TOUCH) {
@@ -2137,7 +2343,15 @@ export class GraphView extends EventSource {
     // does not change during the double click
     InternalEvent.addListener(container, 'dblclick', ((evt: MouseEvent) => {
       if (this.isContainerEvent(evt)) {
-        graph.dblClick(evt);
+        let cell = null;
+
+        // Finds the cell under the mouse if shapes do not receive events
+        if (!graph.cellRenderer.isNativeHitDetection()) {
+          const pt = convertPoint(container, getClientX(evt), getClientY(evt));
+          cell = graph.getCellAt(pt.x, pt.y);
+        }
+
+        graph.dblClick(evt, cell);
       }
     }) as EventListener);
 
@@ -2216,7 +2430,12 @@ export class GraphView extends EventSource {
       }
     };
 
-    InternalEvent.addGestureListeners(document, null, this.moveHandler, this.endHandler);
+    InternalEvent.addGestureListeners(
+      container.ownerDocument,
+      null,
+      this.moveHandler,
+      this.endHandler
+    );
   }
 
   /**
@@ -2224,26 +2443,24 @@ export class GraphView extends EventSource {
    */
   createSvg(): void {
     const { container } = this.graph;
-    const canvas = (this.canvas = document.createElementNS(
-      'http://www.w3.org/2000/svg',
-      'g'
-    ));
+    const doc = container?.ownerDocument ?? DomEnvironment.getDocument();
+    const canvas = (this.canvas = doc.createElementNS('http://www.w3.org/2000/svg', 'g'));
 
     // For background image
-    this.backgroundPane = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.backgroundPane = doc.createElementNS('http://www.w3.org/2000/svg', 'g');
     canvas.appendChild(this.backgroundPane);
 
     // Adds two layers (background is early feature)
-    this.drawPane = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.drawPane = doc.createElementNS('http://www.w3.org/2000/svg', 'g');
     canvas.appendChild(this.drawPane);
 
-    this.overlayPane = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.overlayPane = doc.createElementNS('http://www.w3.org/2000/svg', 'g');
     canvas.appendChild(this.overlayPane);
 
-    this.decoratorPane = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.decoratorPane = doc.createElementNS('http://www.w3.org/2000/svg', 'g');
     canvas.appendChild(this.decoratorPane);
 
-    const root = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const root = doc.createElementNS('http://www.w3.org/2000/svg', 'svg');
     root.style.left = '0px';
     root.style.top = '0px';
     root.style.width = '100%';
@@ -2320,7 +2537,9 @@ export class GraphView extends EventSource {
    * Creates and returns a drawing pane in HTML (DIV).
    */
   createHtmlPane(width: string, height: string) {
-    var pane = document.createElement('DIV');
+    var pane = (
+      this.graph.container?.ownerDocument ?? DomEnvironment.getDocument()
+    ).createElement('DIV');
 
     if (width != null && height != null) {
       pane.style.position = 'absolute';
@@ -2358,8 +2577,8 @@ export class GraphView extends EventSource {
   destroy() {
     let root: SVGElement | HTMLElement | null = null;
 
-    if (this.canvas && this.canvas instanceof SVGElement) {
-      root = this.canvas.ownerSVGElement as SVGElement;
+    if (this.canvas && (<SVGElement>this.canvas).ownerSVGElement != null) {
+      root = (<SVGElement>this.canvas).ownerSVGElement as SVGElement;
     }
 
     if (!root) {
@@ -2369,11 +2588,21 @@ export class GraphView extends EventSource {
     if (root && root.parentNode) {
       this.clear(this.currentRoot, true);
       InternalEvent.removeGestureListeners(
-        document,
+        this.graph.container.ownerDocument,
         null,
         this.moveHandler,
         this.endHandler
       );
+      this.graph.cellRenderer.destroyView(this);
+
+      if (this.virtualizationThread != null) {
+        window.cancelAnimationFrame(this.virtualizationThread);
+        this.virtualizationThread = null;
+      }
+
+      this.virtualizationObserver?.disconnect();
+      this.virtualizationObserver = null;
+      this.virtualizationHandler = null;
       InternalEvent.release(this.graph.container);
       root.parentNode.removeChild(root);
 
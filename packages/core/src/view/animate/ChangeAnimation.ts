@@ -0,0 +1,646 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Animation from './Animation';
+import Easing from './Easing';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import Cell from '../cell/Cell';
+import CellState from '../cell/CellState';
+import Point from '../geometry/Point';
+import Rectangle from '../geometry/Rectangle';
+import ChildChange from '../undoable_changes/ChildChange';
+import CollapseChange from '../undoable_changes/CollapseChange';
+import VisibleChange from '../undoable_changes/VisibleChange';
+import { setOpacity } from '../../util/styleUtils';
+import { Graph } from '../Graph';
+
+import type { EasingFunction } from './Easing';
+import type SelectionCellsHandler from '../handler/SelectionCellsHandler';
+import type { CellStateStyle } from '../../types';
+
+/**
+ * Copy of a DOM node of a removed cell that is faded out.
+ */
+type GhostNode = {
+  node: HTMLElement | SVGElement;
+  parent: Node;
+  next: Node | null;
+};
+
+/**
+ * Rendered values of a {@link CellState} at the start or the end of a
+ * {@link ChangeAnimation}.
+ */
+type StateSnapshot = {
+  bounds: Rectangle;
+  points: (Point | null)[];
+  offset: Point;
+  style: CellStateStyle;
+  alpha: number;
+  ghosts: GhostNode[] | null;
+};
+
+/**
+ * Animated cell of a {@link ChangeAnimation}.
+ */
+type AnimationEntry = {
+  cell: Cell;
+  state: CellState | null;
+  from: StateSnapshot | null;
+  to: StateSnapshot | null;
+  styles: string[];
+};
+
+/**
+ * Default values of the numeric {@link ChangeAnimation.animatedStyles}.
+ */
+const defaultStyleValues: Record<string, number> = {
+  opacity: 100,
+  fillOpacity: 100,
+  strokeOpacity: 100,
+  textOpacity: 100,
+  strokeWidth: 1,
+};
+
+const interpolate = (from: number, to: number, e: number) => from + (to - from) * e;
+
+/**
+ * Returns the red, green, blue and alpha components of the given hex or rgb
+ * color or null if the value is not such a color.
+ */
+const parseColor = (value: unknown): number[] | null => {
+  if (typeof value === 'string') {
+    const color = value.trim();
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+
+    if (hex != null) {
+      let digits = hex[1];
+
+      if (digits.length === 3) {
+        digits = digits.replace(/./g, '$&$&');
+      }
+
+      const rgb = parseInt(digits, 16);
+      return [(rgb >> 16) & 255, (rgb >> 8) & 255, rgb & 255, 1];
+    }
+
+    const fn = /^rgba?\(([^)]*)\)$/i.exec(color);
+
+    if (fn != null) {
+      const values = fn[1]
+        .split(/[\s,/]+/)
+        .filter((v) => v !== '')
+        .map(parseFloat);
+
+      if (values.length >= 3 && values.every((v) => !isNaN(v))) {
+        return [values[0], values[1], values[2], values[3] ?? 1];
+      }
+    }
+  }
+
+  return null;
+};
+
+const formatColor = (rgba: number[]) => {
+  const [r, g, b] = rgba
+    .slice(0, 3)
+    .map((v) => Math.round(Math.min(255, Math.max(0, v))));
+
+  if (rgba[3] < 1) {
+    return `rgba(${r},${g},${b},${rgba[3]})`;
+  }
+
+  return `#${((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1)}`;
+};
+
+/**
+ * Returns the given number of points that are evenly distributed along the
+ * given polyline.
+ */
+const resample = (points: Point[], count: number): Point[] => {
+  const lengths = [0];
+
+  for (let i = 1; i < points.length; i += 1) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+  }
+
+  const total = lengths[lengths.length - 1];
+  const result: Point[] = [];
+  let segment = 1;
+
+  for (let i = 0; i < count; i += 1) {
+    const length = count > 1 ? (total * i) / (count - 1) : 0;
+
+    while (segment < points.length - 1 && lengths[segment] < length) {
+      segment += 1;
+    }
+
+    const p0 = points[Math.max(0, segment - 1)];
+    const p1 = points[Math.min(segment, points.length - 1)];
+    const delta = lengths[segment] - lengths[segment - 1];
+    const f = delta > 0 ? (length - lengths[segment - 1]) / delta : 0;
+    result.push(new Point(interpolate(p0.x, p1.x, f), interpolate(p0.y, p1.y, f)));
+  }
+
+  return result;
+};
+
+/**
+ * Animates the changes of a transaction of a {@link GraphDataModel} from the
+ * rendered state before the changes to the rendered state after the changes.
+ * The bounds of vertices, the points of edges, the positions of the labels
+ * and the {@link animatedStyles} are interpolated using {@link easing},
+ * inserted cells are faded and scaled in and removed cells are faded out.
+ *
+ * The cells are added with {@link addChanges} before the changes are
+ * processed by the view and the animation is started with
+ * {@link startAnimation} after the view has been validated. This is done in
+ * {@link Graph.graphModelChanged} if animations are enabled with
+ * {@link Graph.setAnimationEnabled}. An animation that is still running when
+ * the next changes arrive is interrupted and its cells continue from their
+ * current rendered state in the animation of the new changes.
+ *
+ * In contrast to {@link Morphing} and {@link Effects.animateChanges}, which
+ * only move cells, this animates any change of the model, including undo and
+ * redo.
+ *
+ * Event: mxEvent.EXECUTE
+ *
+ * Fires for each step of the animation.
+ *
+ * Event: mxEvent.DONE
+ *
+ * Fires after the animation has finished or has been interrupted. The
+ * `interrupted` property is true if the animation has been interrupted.
+ *
+ * @class ChangeAnimation
+ * @extends Animation
+ */
+class ChangeAnimation extends Animation {
+  constructor(
+    graph: Graph,
+    duration: number = 300,
+    easing: EasingFunction = Easing.easeInOut,
+    delay?: number
+  ) {
+    super(delay);
+    this.graph = graph;
+    this.duration = duration;
+    this.easing = easing;
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * Duration of the animation in milliseconds.
+   */
+  duration: number;
+
+  /**
+   * Maps the elapsed time of the animation to its progress, see {@link Easing}.
+   */
+  easing: EasingFunction;
+
+  /**
+   * Keys of the styles that are interpolated. Numeric values and hex or rgb
+   * colors are interpolated, other values change at the start of the
+   * animation.
+   */
+  animatedStyles: (keyof CellStateStyle)[] = [
+    'fillColor',
+    'strokeColor',
+    'fontColor',
+    'opacity',
+    'fillOpacity',
+    'strokeOpacity',
+    'textOpacity',
+    'strokeWidth',
+  ];
+
+  /**
+   * Initial size of inserted vertices relative to their final size.
+   * @default 0.6
+   */
+  insertScale = 0.6;
+
+  /**
+   * Time when the animation was started.
+   */
+  startTime = 0;
+
+  /**
+   * Maps from the animated cells to their {@link AnimationEntry}.
+   */
+  entries: Map<Cell, AnimationEntry> = new Map();
+
+  /**
+   * Returns the cells of the animation.
+   */
+  getCells(): Cell[] {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Adds the cells that are affected by the given changes. This must be
+   * called before the changes are processed by the view.
+   *
+   * @param changes Array of changes of the model.
+   */
+  addChanges(changes: any[]): void {
+    for (const change of changes) {
+      if (change instanceof ChildChange) {
+        this.addCell(change.child, true);
+      } else if (change instanceof VisibleChange || change instanceof CollapseChange) {
+        this.addCell(change.cell, true);
+      } else if (change.cell instanceof Cell) {
+        this.addCell(change.cell);
+      }
+    }
+  }
+
+  /**
+   * Adds the given cell, its descendants and their connected edges. This
+   * must be called before the cell is changed in the view.
+   *
+   * @param cell {@link Cell} to be added.
+   * @param removable Specifies if the cell may be removed from the view so
+   * that a copy of its DOM nodes is needed for fading it out.
+   */
+  addCell(cell: Cell, removable = false): void {
+    const entry = this.entries.get(cell);
+
+    if (entry == null) {
+      const state = this.graph.getView().getState(cell);
+
+      this.entries.set(cell, {
+        cell,
+        state: null,
+        from: state != null ? this.createSnapshot(state, removable) : null,
+        to: null,
+        styles: [],
+      });
+    } else if (!removable || entry.from == null || entry.from.ghosts != null) {
+      return;
+    } else {
+      const state = this.graph.getView().getState(cell);
+      entry.from.ghosts = state != null ? this.createGhosts(state) : null;
+    }
+
+    for (let i = 0; i < cell.getChildCount(); i += 1) {
+      this.addCell(cell.getChildAt(i), removable);
+    }
+
+    for (let i = 0; i < cell.getEdgeCount(); i += 1) {
+      this.addCell(cell.getEdgeAt(i), removable);
+    }
+  }
+
+  /**
+   * Returns the current rendered values of the given state.
+   *
+   * @param state {@link CellState} whose values should be returned.
+   * @param removable Specifies if a copy of the DOM nodes should be created.
+   */
+  createSnapshot(state: CellState, removable = false): StateSnapshot {
+    const opacity = state.shape?.node.style.opacity;
+
+    return {
+      bounds: new Rectangle(state.x, state.y, state.width, state.height),
+      points: state.absolutePoints.map((p) => (p != null ? p.clone() : null)),
+      offset: state.absoluteOffset.clone(),
+      style: state.style,
+      alpha: opacity ? parseFloat(opacity) : 1,
+      ghosts: removable ? this.createGhosts(state) : null,
+    };
+  }
+
+  /**
+   * Returns the values that an inserted cell is animated from. Vertices are
+   * scaled around their center using {@link insertScale}.
+   *
+   * @param cell {@link Cell} that has been inserted.
+   * @param to {@link StateSnapshot} that represents the final values.
+   */
+  createInsertSnapshot(cell: Cell, to: StateSnapshot): StateSnapshot {
+    const bounds = to.bounds.clone();
+    const offset = to.offset.clone();
+
+    if (cell.isVertex()) {
+      const s = this.insertScale;
+      bounds.x += (bounds.width * (1 - s)) / 2;
+      bounds.y += (bounds.height * (1 - s)) / 2;
+      bounds.width *= s;
+      bounds.height *= s;
+      offset.x *= s;
+      offset.y *= s;
+    }
+
+    return { ...to, bounds, offset, alpha: 0 };
+  }
+
+  /**
+   * Returns copies of the DOM nodes of the given state.
+   */
+  createGhosts(state: CellState): GhostNode[] {
+    const ghosts: GhostNode[] = [];
+
+    for (const node of [state.shape?.node, state.text?.node]) {
+      if (node?.parentNode != null) {
+        ghosts.push({
+          node: <HTMLElement | SVGElement>node.cloneNode(true),
+          parent: node.parentNode,
+          next: node.nextSibling,
+        });
+      }
+    }
+
+    return ghosts;
+  }
+
+  /**
+   * Returns the keys of the {@link animatedStyles} that are different in the
+   * given styles.
+   */
+  getChangedStyles(from: CellStateStyle, to: CellStateStyle): string[] {
+    if (from === to) {
+      return [];
+    }
+
+    return this.animatedStyles.filter((key) => from[key] !== to[key]);
+  }
+
+  /**
+   * Returns the value of the given style key for the given progress.
+   *
+   * @param key Key of the style.
+   * @param from Value at the start of the animation.
+   * @param to Value at the end of the animation.
+   * @param e Progress of the animation between 0 and 1.
+   */
+  interpolateStyle(key: string, from: unknown, to: unknown, e: number): unknown {
+    const a = from ?? defaultStyleValues[key];
+    const b = to ?? defaultStyleValues[key];
+
+    if (typeof a === 'number' && typeof b === 'number') {
+      return interpolate(a, b, e);
+    }
+
+    const c0 = parseColor(a);
+    const c1 = parseColor(b);
+
+    if (c0 != null && c1 != null) {
+      return formatColor(c0.map((c, i) => interpolate(c, c1[i], e)));
+    }
+
+    return to;
+  }
+
+  /**
+   * Returns the points of an edge for the given progress. If the number of
+   * points is different then both polylines are resampled.
+   *
+   * @param from Points at the start of the animation.
+   * @param to Points at the end of the animation.
+   * @param e Progress of the animation between 0 and 1.
+   */
+  interpolatePoints(from: Point[], to: Point[], e: number): Point[] {
+    if (from.length !== to.length) {
+      const count = Math.max(from.length, to.length);
+      from = resample(from, count);
+      to = resample(to, count);
+    }
+
+    return to.map(
+      (p, i) => new Point(interpolate(from[i].x, p.x, e), interpolate(from[i].y, p.y, e))
+    );
+  }
+
+  /**
+   * Collects the final values of the cells, shows the copies of the removed
+   * cells and starts the animation. This must be called after the view has
+   * been validated.
+   */
+  startAnimation(): void {
+    if (this.thread == null) {
+      const view = this.graph.getView();
+
+      for (const entry of this.entries.values()) {
+        const state = view.getState(entry.cell);
+
+        if (state?.shape != null) {
+          entry.state = state;
+          entry.to = this.createSnapshot(state);
+          entry.to.alpha = 1;
+        }
+
+        if (entry.to == null) {
+          if (entry.from?.ghosts == null || entry.from.ghosts.length === 0) {
+            this.entries.delete(entry.cell);
+          } else {
+            for (const ghost of entry.from.ghosts) {
+              const next = ghost.next?.parentNode === ghost.parent ? ghost.next : null;
+              ghost.parent.insertBefore(ghost.node, next);
+            }
+          }
+        } else if (entry.from == null) {
+          entry.from = this.createInsertSnapshot(entry.cell, entry.to);
+        } else {
+          entry.styles = this.getChangedStyles(entry.from.style, entry.to.style);
+
+          if (
+            entry.styles.length === 0 &&
+            entry.from.alpha === entry.to.alpha &&
+            entry.from.offset.equals(entry.to.offset) &&
+            entry.from.bounds.equals(entry.to.bounds) &&
+            entry.from.points.length === entry.to.points.length &&
+            entry.from.points.every((p, i) => p?.equals(entry.to?.points[i] ?? null))
+          ) {
+            this.entries.delete(entry.cell);
+          }
+        }
+      }
+
+      this.startTime = Date.now();
+      super.startAnimation();
+      this.updateAnimation();
+    }
+  }
+
+  /**
+   * Shows the next step of the animation and stops the animation after
+   * {@link duration}.
+   */
+  updateAnimation(): void {
+    super.updateAnimation();
+    const t =
+      this.duration > 0 ? Math.min(1, (Date.now() - this.startTime) / this.duration) : 1;
+
+    if (t >= 1 || this.entries.size === 0) {
+      this.stopAnimation();
+    } else {
+      this.show(this.easing(t));
+    }
+  }
+
+  /**
+   * Shows the cells for the given progress of the animation.
+   *
+   * @param e Progress of the animation between 0 and 1.
+   */
+  show(e: number): void {
+    for (const entry of this.entries.values()) {
+      const { state, from, to } = entry;
+
+      if (from == null) {
+        continue;
+      } else if (state == null || to == null) {
+        for (const ghost of from.ghosts ?? []) {
+          setOpacity(ghost.node, 100 * from.alpha * (1 - e));
+        }
+      } else {
+        state.x = interpolate(from.bounds.x, to.bounds.x, e);
+        state.y = interpolate(from.bounds.y, to.bounds.y, e);
+        state.width = interpolate(from.bounds.width, to.bounds.width, e);
+        state.height = interpolate(from.bounds.height, to.bounds.height, e);
+        state.absoluteOffset = new Point(
+          interpolate(from.offset.x, to.offset.x, e),
+          interpolate(from.offset.y, to.offset.y, e)
+        );
+
+        const p0 = from.points.filter((p) => p != null) as Point[];
+        const p1 = to.points.filter((p) => p != null) as Point[];
+
+        if (p0.length > 0 && p1.length > 0) {
+          state.absolutePoints = this.interpolatePoints(p0, p1, e);
+        }
+
+        if (entry.styles.length > 0) {
+          const style: Record<string, unknown> = { ...to.style };
+
+          for (const key of entry.styles) {
+            style[key] = this.interpolateStyle(
+              key,
+              from.style[key as keyof CellStateStyle],
+              to.style[key as keyof CellStateStyle],
+              e
+            );
+          }
+
+          state.style = <CellStateStyle>style;
+        }
+
+        this.graph.cellRenderer.redraw(state);
+        this.setAlpha(state, interpolate(from.alpha, to.alpha, e));
+      }
+    }
+  }
+
+  /**
+   * Sets the opacity of the shape and label of the given state.
+   *
+   * @param state {@link CellState} whose nodes should be changed.
+   * @param alpha Opacity between 0 and 1.
+   */
+  setAlpha(state: CellState, alpha: number): void {
+    for (const node of [state.shape?.node, state.text?.node]) {
+      if (node != null) {
+        if (alpha < 1) {
+          setOpacity(node, 100 * alpha);
+        } else {
+          node.style.opacity = '';
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes the copies of the removed cells.
+   */
+  removeGhosts(): void {
+    for (const entry of this.entries.values()) {
+      for (const ghost of entry.from?.ghosts ?? []) {
+        ghost.node.parentNode?.removeChild(ghost.node);
+      }
+    }
+  }
+
+  /**
+   * Shows the final values of the cells and stops the animation.
+   */
+  stopAnimation(): void {
+    if (this.thread != null) {
+      this.removeGhosts();
+
+      for (const { state, to } of this.entries.values()) {
+        if (state != null && to != null) {
+          state.setRect(to.bounds.x, to.bounds.y, to.bounds.width, to.bounds.height);
+          state.absolutePoints = to.points;
+          state.absoluteOffset = to.offset;
+
+          if (state.style !== to.style) {
+            state.style = to.style;
+            state.shape?.resetStyles();
+            this.graph.cellRenderer.configureShape(state);
+          }
+
+          this.graph.cellRenderer.redraw(state, true);
+          this.setAlpha(state, 1);
+        }
+      }
+
+      if (this.entries.size > 0) {
+        const handler = this.graph.getPlugin(
+          'SelectionCellsHandler'
+        ) as SelectionCellsHandler | null;
+        handler?.refresh();
+      }
+
+      super.stopAnimation();
+    }
+  }
+
+  /**
+   * Stops the animation without showing the final values. The cells are
+   * invalidated in the view so that the next validation of the view shows
+   * their final values. This is used if new changes arrive while the
+   * animation is running.
+   */
+  interrupt(): void {
+    if (this.thread != null) {
+      window.clearInterval(this.thread);
+      this.thread = null;
+      this.removeGhosts();
+
+      for (const { cell, state, to } of this.entries.values()) {
+        if (state != null && to != null) {
+          state.style = to.style;
+          this.setAlpha(state, 1);
+          this.graph.getView().invalidate(cell, false, false);
+        }
+      }
+
+      this.fireEvent(new EventObject(InternalEvent.DONE, { interrupted: true }));
+    }
+  }
+}
+
+export default ChangeAnimation;
@@ -0,0 +1,58 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * Function that maps the elapsed time of an animation, a number between 0
+ * and 1, to the progress of the animation.
+ */
+export type EasingFunction = (t: number) => number;
+
+/**
+ * Provides easing functions for animations, see {@link ChangeAnimation}.
+ *
+ * ```javascript
+ * graph.animationEasing = Easing.easeOut;
+ * ```
+ */
+const Easing = {
+  /**
+   * Constant speed.
+   */
+  linear: (t: number) => t,
+
+  /**
+   * Starts slow and accelerates.
+   */
+  easeIn: (t: number) => t * t * t,
+
+  /**
+   * Starts fast and decelerates.
+   */
+  easeOut: (t: number) => 1 - Math.pow(1 - t, 3),
+
+  /**
+   * Starts slow, accelerates and decelerates at the end.
+   */
+  easeInOut: (t: number) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+  /**
+   * Decelerates and overshoots the target slightly before settling.
+   */
+  easeOutBack: (t: number) =>
+    1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+};
+
+export default Easing;
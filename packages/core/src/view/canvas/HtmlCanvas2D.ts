@@ -0,0 +1,702 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import AbstractCanvas2D from './AbstractCanvas2D';
+import {
+  ABSOLUTE_LINE_HEIGHT,
+  ALIGN,
+  DIRECTION,
+  FONT,
+  LINE_HEIGHT,
+  NONE,
+} from '../../util/Constants';
+import Rectangle from '../geometry/Rectangle';
+import { isNode } from '../../util/domUtils';
+import type {
+  AlignValue,
+  ColorValue,
+  DirectionValue,
+  OverflowValue,
+  TextDirectionValue,
+  VAlignValue,
+} from '../../types';
+
+/**
+ * Extends {@link AbstractCanvas2D} to implement a canvas for a HTML5
+ * `canvas` element. All calls are painted immediately into the given
+ * `CanvasRenderingContext2D`, so the output cannot be updated in-place and
+ * must be repainted as a whole when the diagram changes.
+ *
+ * ```javascript
+ * const node = document.createElement('canvas');
+ * const canvas = new HtmlCanvas2D(node.getContext('2d'));
+ *
+ * new ImageExport().drawState(graph.getView().getState(graph.model.root), canvas);
+ * ```
+ *
+ * Coordinates are scaled and translated in the canvas state, just like in
+ * {@link SvgCanvas2D}. Any transform of the context that exists when painting
+ * starts (eg. for the device pixel ratio or scrolling) is preserved.
+ */
+class HtmlCanvas2D extends AbstractCanvas2D {
+  constructor(ctx: CanvasRenderingContext2D) {
+    super();
+
+    this.ctx = ctx;
+  }
+
+  /**
+   * Holds the rendering context of the canvas.
+   */
+  ctx: CanvasRenderingContext2D;
+
+  /**
+   * Specifies if text output should be enabled.
+   * @default true
+   */
+  textEnabled = true;
+
+  /**
+   * Minimum stroke width for output.
+   * @default 1
+   */
+  minStrokeWidth = 1;
+
+  /**
+   * Holds the scaled bounds of the current gradient.
+   */
+  gradientBounds: Rectangle | null = null;
+
+  /**
+   * Cache of the images that have been painted, keyed by their URL.
+   */
+  images: { [src: string]: HTMLImageElement } = {};
+
+  /**
+   * Optional function that is invoked when an image that was requested in
+   * {@link image} has been loaded. This is used to repaint the canvas since
+   * images are loaded asynchronously.
+   */
+  imageLoaded: ((src: string) => void) | null = null;
+
+  /**
+   * Does not round numbers to keep the output smooth when zooming.
+   */
+  format(value: number) {
+    return value;
+  }
+
+  /**
+   * Extends superclass to save the state of the rendering context.
+   */
+  save() {
+    super.save();
+    this.ctx.save();
+  }
+
+  /**
+   * Extends superclass to restore the state of the rendering context.
+   */
+  restore() {
+    super.restore();
+    this.ctx.restore();
+  }
+
+  /**
+   * Applies the rotation and flipping to the rendering context. Note that
+   * the rotation is applied to the context, so it is reverted in
+   * {@link restore}.
+   */
+  rotate(theta: number, flipH: boolean, flipV: boolean, cx: number, cy: number) {
+    if (theta !== 0 || flipH || flipV) {
+      const s = this.state;
+      cx = (cx + s.dx) * s.scale;
+      cy = (cy + s.dy) * s.scale;
+
+      this.ctx.translate(cx, cy);
+
+      if (flipH || flipV) {
+        this.ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+      }
+
+      if (flipH ? !flipV : flipV) {
+        theta *= -1;
+      }
+
+      this.ctx.rotate((theta * Math.PI) / 180);
+      this.ctx.translate(-cx, -cy);
+
+      s.rotation += theta;
+      s.rotationCx = cx;
+      s.rotationCy = cy;
+    }
+  }
+
+  /**
+   * Extends superclass to store the scaled bounds of the gradient.
+   */
+  setGradient(
+    color1: ColorValue,
+    color2: ColorValue,
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    direction: DirectionValue,
+    alpha1 = 1,
+    alpha2 = 1
+  ) {
+    super.setGradient(color1, color2, x, y, w, h, direction, alpha1, alpha2);
+
+    const s = this.state;
+    this.gradientBounds = new Rectangle(
+      (x + s.dx) * s.scale,
+      (y + s.dy) * s.scale,
+      w * s.scale,
+      h * s.scale
+    );
+  }
+
+  /**
+   * Adds a rectangle to the current path.
+   */
+  rect(x: number, y: number, w: number, h: number) {
+    this.begin();
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.close();
+  }
+
+  /**
+   * Adds a rounded rectangle to the current path.
+   */
+  roundrect(x: number, y: number, w: number, h: number, dx: number, dy: number) {
+    this.begin();
+    this.moveTo(x + dx, y);
+    this.lineTo(x + w - dx, y);
+    this.quadTo(x + w, y, x + w, y + dy);
+    this.lineTo(x + w, y + h - dy);
+    this.quadTo(x + w, y + h, x + w - dx, y + h);
+    this.lineTo(x + dx, y + h);
+    this.quadTo(x, y + h, x, y + h - dy);
+    this.lineTo(x, y + dy);
+    this.quadTo(x, y, x + dx, y);
+    this.close();
+  }
+
+  /**
+   * Adds an ellipse to the current path using four bezier curves.
+   */
+  ellipse(x: number, y: number, w: number, h: number) {
+    // Distance of the control points for a quarter circle
+    const k = 0.5522847498;
+    const rx = w / 2;
+    const ry = h / 2;
+    const cx = x + rx;
+    const cy = y + ry;
+
+    this.begin();
+    this.moveTo(cx, y);
+    this.curveTo(cx + k * rx, y, x + w, cy - k * ry, x + w, cy);
+    this.curveTo(x + w, cy + k * ry, cx + k * rx, y + h, cx, y + h);
+    this.curveTo(cx - k * rx, y + h, x, cy + k * ry, x, cy);
+    this.curveTo(x, cy - k * ry, cx - k * rx, y, cx, y);
+    this.close();
+  }
+
+  /**
+   * Adds the operations in {@link path} to the path of the rendering context.
+   * Returns false if the path is empty.
+   */
+  tracePath() {
+    const { ctx, path } = this;
+
+    if (path.length === 0) {
+      return false;
+    }
+
+    ctx.beginPath();
+
+    let i = 0;
+    const next = () => <number>path[++i];
+
+    while (i < path.length) {
+      const op = path[i];
+
+      if (op === this.moveOp) {
+        ctx.moveTo(next(), next());
+      } else if (op === this.lineOp) {
+        ctx.lineTo(next(), next());
+      } else if (op === this.quadOp) {
+        ctx.quadraticCurveTo(next(), next(), next(), next());
+      } else if (op === this.curveOp) {
+        ctx.bezierCurveTo(next(), next(), next(), next(), next(), next());
+      } else if (op === this.closeOp) {
+        ctx.closePath();
+      }
+
+      i++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the given color with the given alpha as a CSS color. Only
+   * hexadecimal colors are converted, all other colors are returned as is.
+   */
+  getColor(color: ColorValue, alpha = 1) {
+    if (alpha < 1 && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+      let hex = color.substring(1);
+
+      if (hex.length === 3) {
+        hex = hex.replace(/(.)/g, '$1$1');
+      }
+
+      const value = parseInt(hex, 16);
+
+      return `rgba(${(value >> 16) & 255},${(value >> 8) & 255},${value & 255},${alpha})`;
+    }
+
+    return color;
+  }
+
+  /**
+   * Returns the current stroke width, which is at least {@link minStrokeWidth}.
+   */
+  getCurrentStrokeWidth() {
+    return Math.max(this.minStrokeWidth, this.state.strokeWidth * this.state.scale);
+  }
+
+  /**
+   * Creates the fill style for the current state.
+   */
+  createFillStyle(): string | CanvasGradient {
+    const s = this.state;
+
+    if (s.gradientColor !== NONE && this.gradientBounds) {
+      const b = this.gradientBounds;
+      const d = s.gradientDirection;
+      let x1 = b.x;
+      let y1 = b.y;
+      let x2 = b.x;
+      let y2 = b.y;
+
+      if (d == null || d === DIRECTION.SOUTH) {
+        y2 += b.height;
+      } else if (d === DIRECTION.EAST) {
+        x2 += b.width;
+      } else if (d === DIRECTION.NORTH) {
+        y1 += b.height;
+      } else if (d === DIRECTION.WEST) {
+        x1 += b.width;
+      }
+
+      const gradient = this.ctx.createLinearGradient(x1, y1, x2, y2);
+      gradient.addColorStop(0, this.getColor(s.fillColor, s.gradientFillAlpha));
+      gradient.addColorStop(1, this.getColor(s.gradientColor, s.gradientAlpha));
+
+      return gradient;
+    }
+
+    return s.fillColor;
+  }
+
+  /**
+   * Transfers the stroke attributes from {@link state} to the rendering context.
+   */
+  updateStroke() {
+    const { ctx } = this;
+    const s = this.state;
+
+    ctx.strokeStyle = s.strokeColor;
+    ctx.lineWidth = this.getCurrentStrokeWidth();
+    ctx.lineJoin = <CanvasLineJoin>(s.lineJoin || 'miter');
+    ctx.lineCap = <CanvasLineCap>(
+      (s.lineCap === 'flat' || !s.lineCap ? 'butt' : s.lineCap)
+    );
+    ctx.miterLimit = s.miterLimit;
+    ctx.setLineDash(
+      s.dashed ? this.createDashPattern((s.fixDash ? 1 : s.strokeWidth) * s.scale) : []
+    );
+  }
+
+  /**
+   * Creates the dash pattern for the given scale.
+   */
+  createDashPattern(scale: number) {
+    const pat: number[] = [];
+
+    if (typeof this.state.dashPattern === 'string') {
+      const dash = this.state.dashPattern.split(' ');
+
+      for (let i = 0; i < dash.length; i += 1) {
+        if (dash[i].length > 0) {
+          pat.push(Number(dash[i]) * scale);
+        }
+      }
+    }
+
+    return pat;
+  }
+
+  /**
+   * Paints the shadow for the current path using the given flags.
+   */
+  paintShadow(filled: boolean, stroked: boolean) {
+    const { ctx } = this;
+    const s = this.state;
+
+    ctx.save();
+    ctx.translate(s.shadowDx * s.scale, s.shadowDy * s.scale);
+    ctx.globalAlpha = s.shadowAlpha;
+
+    if (filled) {
+      ctx.fillStyle = s.shadowColor;
+      ctx.fill();
+    }
+
+    if (stroked) {
+      this.updateStroke();
+      ctx.strokeStyle = s.shadowColor;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Paints the current path using the given flags.
+   */
+  paintPath(filled: boolean, stroked: boolean) {
+    const s = this.state;
+    filled = filled && s.fillColor !== NONE;
+    stroked = stroked && s.strokeColor !== NONE;
+
+    if ((filled || stroked) && this.tracePath()) {
+      const { ctx } = this;
+
+      if (s.shadow && s.shadowColor !== NONE) {
+        this.paintShadow(filled, stroked);
+      }
+
+      if (filled) {
+        ctx.globalAlpha = s.alpha * s.fillAlpha;
+        ctx.fillStyle = this.createFillStyle();
+        ctx.fill();
+      }
+
+      if (stroked) {
+        ctx.globalAlpha = s.alpha * s.strokeAlpha;
+        this.updateStroke();
+        ctx.stroke();
+      }
+    }
+  }
+
+  /**
+   * Paints the outline of the current path.
+   */
+  stroke() {
+    this.paintPath(false, true);
+  }
+
+  /**
+   * Fills the current path.
+   */
+  fill() {
+    this.paintPath(true, false);
+  }
+
+  /**
+   * Fills and paints the outline of the current path.
+   */
+  fillAndStroke() {
+    this.paintPath(true, true);
+  }
+
+  /**
+   * Returns the image for the given URL. If the image has not yet been
+   * loaded then {@link imageLoaded} is invoked once it is available.
+   */
+  getImage(src: string) {
+    let img = this.images[src];
+
+    if (!img) {
+      img = new Image();
+      img.onload = () => {
+        this.imageLoaded?.(src);
+      };
+      img.src = src;
+      this.images[src] = img;
+    }
+
+    return img;
+  }
+
+  /**
+   * Paints the given image. The image is skipped if it has not been loaded.
+   */
+  image(
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    src: string,
+    aspect = true,
+    flipH = false,
+    flipV = false
+  ) {
+    const img = this.getImage(this.converter.convert(src));
+
+    if (img.complete && img.naturalWidth > 0) {
+      const { ctx } = this;
+      const s = this.state;
+      x = (x + s.dx) * s.scale;
+      y = (y + s.dy) * s.scale;
+      w *= s.scale;
+      h *= s.scale;
+
+      ctx.save();
+      ctx.globalAlpha = s.alpha * s.fillAlpha;
+
+      if (flipH || flipV) {
+        ctx.translate(flipH ? 2 * x + w : 0, flipV ? 2 * y + h : 0);
+        ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+      }
+
+      if (aspect) {
+        const f = Math.min(w / img.naturalWidth, h / img.naturalHeight);
+        const iw = img.naturalWidth * f;
+        const ih = img.naturalHeight * f;
+
+        ctx.drawImage(img, x + (w - iw) / 2, y + (h - ih) / 2, iw, ih);
+      } else {
+        ctx.drawImage(img, x, y, w, h);
+      }
+
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Returns the CSS font for the current state.
+   */
+  getFont() {
+    const s = this.state;
+    let font = '';
+
+    if ((s.fontStyle & FONT.ITALIC) === FONT.ITALIC) {
+      font += 'italic ';
+    }
+
+    if ((s.fontStyle & FONT.BOLD) === FONT.BOLD) {
+      font += 'bold ';
+    }
+
+    return `${font}${s.fontSize * s.scale}px ${s.fontFamily}`;
+  }
+
+  /**
+   * Converts the given HTML markup to plain text with linefeeds for line
+   * breaks and block elements.
+   */
+  convertHtml(str: string) {
+    const markup = str
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li|h[1-6])>/gi, '\n');
+    const doc = new DOMParser().parseFromString(markup, 'text/html');
+
+    return (doc.body.textContent ?? '').replace(/\n+$/, '');
+  }
+
+  /**
+   * Splits the given text into lines that fit into the given scaled width.
+   */
+  wrapText(str: string, width: number) {
+    const lines: string[] = [];
+
+    for (const line of str.split('\n')) {
+      const words = line.split(' ');
+      let current = '';
+
+      for (const word of words) {
+        const tmp = current.length > 0 ? `${current} ${word}` : word;
+
+        if (current.length > 0 && this.ctx.measureText(tmp).width > width) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = tmp;
+        }
+      }
+
+      lines.push(current);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Paints the given text. HTML markup is painted as plain text.
+   */
+  text(
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    str: string | HTMLElement,
+    align: AlignValue,
+    valign: VAlignValue,
+    wrap: boolean,
+    format: string,
+    overflow: OverflowValue,
+    clip: boolean,
+    rotation = 0,
+    dir: TextDirectionValue
+  ) {
+    if (!this.textEnabled || str == null || this.state.fontSize <= 0) {
+      return;
+    }
+
+    const { ctx } = this;
+    const s = this.state;
+    let value: string;
+
+    if (isNode(str)) {
+      value = (<HTMLElement>str).innerText ?? (<HTMLElement>str).textContent ?? '';
+    } else if (format === 'html') {
+      value = this.convertHtml(<string>str);
+    } else {
+      value = String(str);
+    }
+
+    x = (x + s.dx) * s.scale;
+    y = (y + s.dy) * s.scale;
+    w *= s.scale;
+    h *= s.scale;
+
+    ctx.save();
+    ctx.font = this.getFont();
+    ctx.globalAlpha = s.alpha;
+    ctx.textBaseline = 'top';
+    ctx.textAlign =
+      align === ALIGN.RIGHT ? 'right' : align === ALIGN.LEFT ? 'left' : 'center';
+
+    if (dir === 'ltr' || dir === 'rtl') {
+      ctx.direction = dir;
+    }
+
+    if (rotation !== 0) {
+      ctx.translate(x, y);
+      ctx.rotate((rotation * Math.PI) / 180);
+      ctx.translate(-x, -y);
+    }
+
+    const size = s.fontSize * s.scale;
+    const lh = ABSOLUTE_LINE_HEIGHT ? size * LINE_HEIGHT : Math.round(size * LINE_HEIGHT);
+    const lines = wrap && w > 0 ? this.wrapText(value, w) : value.split('\n');
+    const textHeight = lines.length * lh;
+    let textWidth = 0;
+
+    for (const line of lines) {
+      textWidth = Math.max(textWidth, ctx.measureText(line).width);
+    }
+
+    // Box of the block of text and the area for alignment
+    const bw = overflow === 'fill' || overflow === 'width' ? w : textWidth;
+    const bh = overflow === 'fill' ? h : textHeight;
+    const bx = align === ALIGN.RIGHT ? x - bw : align === ALIGN.LEFT ? x : x - bw / 2;
+    const by = valign === ALIGN.BOTTOM ? y - bh : valign === ALIGN.TOP ? y : y - bh / 2;
+
+    if (clip && w > 0 && h > 0) {
+      const cx = align === ALIGN.RIGHT ? x - w : align === ALIGN.LEFT ? x : x - w / 2;
+      const cy = valign === ALIGN.BOTTOM ? y - h : valign === ALIGN.TOP ? y : y - h / 2;
+
+      ctx.beginPath();
+      ctx.rect(cx - 2, cy - 2, w + 4, h + 4);
+      ctx.clip();
+    }
+
+    if (s.fontBackgroundColor !== NONE || s.fontBorderColor !== NONE) {
+      if (s.fontBackgroundColor !== NONE) {
+        ctx.fillStyle = s.fontBackgroundColor;
+        ctx.fillRect(bx - 1, by - 1, bw + 2, bh + 2);
+      }
+
+      if (s.fontBorderColor !== NONE) {
+        ctx.strokeStyle = s.fontBorderColor;
+        ctx.lineWidth = Math.max(1, s.scale);
+        ctx.setLineDash([]);
+        ctx.strokeRect(bx - 1, by - 1, bw + 2, bh + 2);
+      }
+    }
+
+    ctx.fillStyle = s.fontColor;
+    let cy = valign === ALIGN.BOTTOM ? by + bh - textHeight : by;
+
+    if (valign === ALIGN.MIDDLE) {
+      cy = by + (bh - textHeight) / 2;
+    }
+
+    // Offsets the baseline within the line height
+    cy += (lh - size) / 2;
+
+    for (const line of lines) {
+      ctx.fillText(line, x, cy);
+      this.decorateLine(line, x, cy, size, align);
+      cy += lh;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Paints the underline and strikethrough for the given line of text.
+   */
+  decorateLine(line: string, x: number, y: number, size: number, align: AlignValue) {
+    const s = this.state;
+    const underline = (s.fontStyle & FONT.UNDERLINE) === FONT.UNDERLINE;
+    const strike = (s.fontStyle & FONT.STRIKETHROUGH) === FONT.STRIKETHROUGH;
+
+    if ((underline || strike) && line.length > 0) {
+      const { ctx } = this;
+      const lw = ctx.measureText(line).width;
+      const x0 = align === ALIGN.RIGHT ? x - lw : align === ALIGN.LEFT ? x : x - lw / 2;
+
+      ctx.strokeStyle = s.fontColor;
+      ctx.lineWidth = Math.max(1, size / 14);
+      ctx.setLineDash([]);
+      ctx.beginPath();
+
+      if (underline) {
+        ctx.moveTo(x0, y + size);
+        ctx.lineTo(x0 + lw, y + size);
+      }
+
+      if (strike) {
+        ctx.moveTo(x0, y + size / 2);
+        ctx.lineTo(x0 + lw, y + size / 2);
+      }
+
+      ctx.stroke();
+    }
+  }
+}
+
+export default HtmlCanvas2D;
@@ -39,6 +39,8 @@ import AbstractCanvas2D from './AbstractCanvas2D';
 import { getXml } from '../../util/xmlUtils';
 import { isNode, write } from '../../util/domUtils';
 import { htmlEntities, trim } from '../../util/StringUtils';
+import DomEnvironment from '../../util/DomEnvironment';
+import { parseRichText } from '../../util/htmlUtils';
 import {
   AlignValue,
   ColorValue,
@@ -55,6 +57,7 @@ const useAbsoluteIds =
   typeof DOMParser === 'function' &&
   !Client.IS_CHROMEAPP &&
   !Client.IS_EDGE &&
+  typeof document !== 'undefined' &&
   document.getElementsByTagName('base').length > 0;
 
 /**
@@ -120,7 +123,7 @@ class SvgCanvas2D extends AbstractCanvas2D {
     let svg = null;
 
     // Adds optional defs section for export
-    if (root.ownerDocument !== document) {
+    if (!DomEnvironment.isBrowserDocument(root.ownerDocument)) {
       let node: HTMLElement | SVGElement | null = root;
 
       // Finds owner SVG element in XML DOM
@@ -188,6 +191,14 @@ class SvgCanvas2D extends AbstractCanvas2D {
    */
   foEnabled = true;
 
+  /**
+   * Specifies if HTML markup should be rendered as formatted text if
+   * {@link foEnabled} is false, see {@link richText}. If this is false then
+   * the markup is rendered as plain text.
+   * @default true
+   */
+  richTextEnabled = true;
+
   /**
    * Specifies the fallback text for unsupported foreignObjects in exported documents.
    * If this is set to `null` then no fallback text is added to the exported document.
@@ -739,7 +750,10 @@ class SvgCanvas2D extends AbstractCanvas2D {
           s.gradientDirection
         );
 
-        if (this.root?.ownerDocument === document && useAbsoluteIds) {
+        if (
+          DomEnvironment.isBrowserDocument(this.root?.ownerDocument) &&
+          useAbsoluteIds
+        ) {
           // Workaround for no fill with base tag in page (escape brackets)
           const base = this.getBaseUrl().replace(/([\(\)])/g, '\\$1');
           this.node!.setAttribute('fill', `url(${base}#${id})`);
@@ -905,7 +919,10 @@ class SvgCanvas2D extends AbstractCanvas2D {
 
       // Workaround for implicit namespace handling in HTML5 export, IE adds NS1 namespace so use code below
       // in all IE versions except quirks mode. KNOWN: Adds xlink namespace to each image tag in output.
-      if (node.setAttributeNS == null || this.root!.ownerDocument !== document) {
+      if (
+        node.setAttributeNS == null ||
+        !DomEnvironment.isBrowserDocument(this.root!.ownerDocument)
+      ) {
         node.setAttribute('xlink:href', link);
       } else {
         node.setAttributeNS(NS_XLINK, 'xlink:href', link);
@@ -1091,10 +1108,10 @@ class SvgCanvas2D extends AbstractCanvas2D {
    * Converts the given HTML string to XHTML.
    */
   convertHtml(val: string) {
-    const doc = new DOMParser().parseFromString(val, 'text/html');
+    const doc = DomEnvironment.createDomParser().parseFromString(val, 'text/html');
 
     if (doc != null) {
-      val = new XMLSerializer().serializeToString(doc.body);
+      val = DomEnvironment.createXmlSerializer().serializeToString(doc.body);
 
       // Extracts body content from DOM
       if (val.substring(0, 5) === '<body') {
@@ -1120,17 +1137,19 @@ class SvgCanvas2D extends AbstractCanvas2D {
       val = `<div><div>${this.convertHtml(val as string)}</div></div>`;
     }
 
-    if (document.createElementNS) {
-      const div = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+    const doc = DomEnvironment.getDocument();
+
+    if (doc.createElementNS) {
+      const div = doc.createElementNS('http://www.w3.org/1999/xhtml', 'div');
 
       if (isNode(val)) {
         const n = val as HTMLElement;
 
-        const div2 = document.createElement('div');
+        const div2 = doc.createElement('div');
         const div3 = div2.cloneNode(false);
 
         // Creates a copy for export
-        if (this.root!.ownerDocument !== document) {
+        if (!DomEnvironment.isBrowserDocument(this.root!.ownerDocument)) {
           div2.appendChild(n.cloneNode(true));
         } else {
           div2.appendChild(n);
@@ -1151,7 +1170,8 @@ class SvgCanvas2D extends AbstractCanvas2D {
     val = `<div xmlns="http://www.w3.org/1999/xhtml">${val}</div>`;
 
     // NOTE: FF 3.6 crashes if content CSS contains "height:100%"
-    return new DOMParser().parseFromString(val, 'text/xml').documentElement;
+    return DomEnvironment.createDomParser().parseFromString(val, 'text/xml')
+      .documentElement;
   }
 
   /**
@@ -1232,7 +1252,7 @@ class SvgCanvas2D extends AbstractCanvas2D {
     );
 
     // Alternate content if foreignObject not supported
-    if (this.root?.ownerDocument !== document) {
+    if (!DomEnvironment.isBrowserDocument(this.root?.ownerDocument)) {
       const alt = this.createAlternateContent(
         fo,
         x,
@@ -1457,6 +1477,21 @@ class SvgCanvas2D extends AbstractCanvas2D {
             this.root!
           );
         }
+      } else if (this.richTextEnabled && format === 'html') {
+        this.richText(
+          x + this.state.dx,
+          y + this.state.dy,
+          w,
+          h,
+          str,
+          align,
+          valign,
+          wrap,
+          overflow,
+          clip,
+          rotation,
+          dir
+        );
       } else {
         this.plainText(
           x + this.state.dx,
@@ -1476,6 +1511,103 @@ class SvgCanvas2D extends AbstractCanvas2D {
     }
   }
 
+  /**
+   * Paints the given HTML markup as SVG text. The markup is converted to lines
+   * of formatted text with {@link parseRichText} so that bold, italic,
+   * underlined and struck through text, fonts, colors, line breaks and lists
+   * are rendered without foreignObjects. The lines are laid out as in
+   * {@link plainText}.
+   */
+  richText(
+    x: number,
+    y: number,
+    w: number,
+    h: number,
+    str: string,
+    align: AlignValue,
+    valign: VAlignValue,
+    wrap: boolean,
+    overflow: OverflowValue,
+    clip: boolean,
+    rotation = 0,
+    dir: TextDirectionValue
+  ) {
+    const lines = parseRichText(str).map((line) => ({
+      runs: line,
+      text: line.map((run) => run.text).join(''),
+    }));
+
+    this.plainText(
+      x,
+      y,
+      w,
+      h,
+      lines.map((line) => line.text).join('\n'),
+      align,
+      valign,
+      wrap,
+      overflow,
+      clip,
+      rotation,
+      dir
+    );
+
+    // Replaces the content of the text nodes with formatted spans
+    const node = <SVGElement>this.root!.lastChild;
+    const texts = Array.from(node.getElementsByTagName('text'));
+    const filled = lines.filter((line) => trim(line.text));
+
+    if (texts.length === filled.length) {
+      const s = this.state;
+
+      texts.forEach((text, i) => {
+        text.textContent = '';
+
+        for (const run of filled[i].runs) {
+          if (run.text.length > 0) {
+            const span = this.createElement('tspan');
+            const decoration = [];
+
+            if (run.bold) {
+              span.setAttribute('font-weight', 'bold');
+            }
+
+            if (run.italic) {
+              span.setAttribute('font-style', 'italic');
+            }
+
+            if (run.underline) {
+              decoration.push('underline');
+            }
+
+            if (run.strikethrough) {
+              decoration.push('line-through');
+            }
+
+            if (decoration.length > 0) {
+              span.setAttribute('text-decoration', decoration.join(' '));
+            }
+
+            if (run.color != null) {
+              span.setAttribute('fill', run.color);
+            }
+
+            if (run.fontFamily != null) {
+              span.setAttribute('font-family', run.fontFamily);
+            }
+
+            if (run.fontSize != null) {
+              span.setAttribute('font-size', `${run.fontSize * s.scale}px`);
+            }
+
+            write(span, run.text);
+            text.appendChild(span);
+          }
+        }
+      });
+    }
+  }
+
   /**
    * Creates a clip for the given coordinates.
    */
@@ -1491,7 +1623,7 @@ class SvgCanvas2D extends AbstractCanvas2D {
     let tmp = `${id}-${counter}`;
 
     // Resolves ID conflicts
-    while (document.getElementById(tmp) != null) {
+    while (DomEnvironment.getDocument().getElementById(tmp) != null) {
       tmp = `${id}-${++counter}`;
     }
 
@@ -1583,7 +1715,7 @@ class SvgCanvas2D extends AbstractCanvas2D {
       if (
         !Client.IS_CHROMEAPP &&
         !Client.IS_EDGE &&
-        this.root!.ownerDocument === document
+        DomEnvironment.isBrowserDocument(this.root!.ownerDocument)
       ) {
         // Workaround for potential base tag
         const base = this.getBaseUrl().replace(/([\(\)])/g, '\\$1');
@@ -1747,8 +1879,10 @@ class SvgCanvas2D extends AbstractCanvas2D {
           (w - 2) * s.scale,
           (h + 2) * s.scale
         );
-        // @ts-ignore check for getBBox
-      } else if (node.getBBox != null && this.root.ownerDocument === document) {
+      } else if (
+        (<SVGGraphicsElement>node).getBBox != null &&
+        DomEnvironment.isBrowserDocument(this.root?.ownerDocument)
+      ) {
         // Uses getBBox only if inside document for correct size
         try {
           // @ts-ignore getBBox exists
@@ -1761,34 +1895,50 @@ class SvgCanvas2D extends AbstractCanvas2D {
 
       if (bbox == null || bbox.width === 0 || bbox.height === 0) {
         // Computes size if not in document or no getBBox available
-        const div = document.createElement('div');
-
-        // Wrapping and clipping can be ignored here
-        div.style.lineHeight = ABSOLUTE_LINE_HEIGHT
-          ? `${s.fontSize * LINE_HEIGHT}px`
-          : String(LINE_HEIGHT);
-        div.style.fontSize = `${s.fontSize}px`;
-        div.style.fontFamily = s.fontFamily;
-        div.style.whiteSpace = 'nowrap';
-        div.style.position = 'absolute';
-        div.style.visibility = 'hidden';
-        div.style.display = 'inline-block';
-
-        if ((s.fontStyle & FONT.BOLD) === FONT.BOLD) {
-          div.style.fontWeight = 'bold';
-        }
+        let w: number;
+        let h: number;
 
-        if ((s.fontStyle & FONT.ITALIC) === FONT.ITALIC) {
-          div.style.fontStyle = 'italic';
-        }
+        if (DomEnvironment.textMeasurer != null) {
+          const size = DomEnvironment.textMeasurer(
+            str,
+            s.fontSize,
+            s.fontFamily,
+            null,
+            s.fontStyle,
+            false
+          );
+          w = size.width;
+          h = size.height;
+        } else {
+          const div = document.createElement('div');
+
+          // Wrapping and clipping can be ignored here
+          div.style.lineHeight = ABSOLUTE_LINE_HEIGHT
+            ? `${s.fontSize * LINE_HEIGHT}px`
+            : String(LINE_HEIGHT);
+          div.style.fontSize = `${s.fontSize}px`;
+          div.style.fontFamily = s.fontFamily;
+          div.style.whiteSpace = 'nowrap';
+          div.style.position = 'absolute';
+          div.style.visibility = 'hidden';
+          div.style.display = 'inline-block';
+
+          if ((s.fontStyle & FONT.BOLD) === FONT.BOLD) {
+            div.style.fontWeight = 'bold';
+          }
+
+          if ((s.fontStyle & FONT.ITALIC) === FONT.ITALIC) {
+            div.style.fontStyle = 'italic';
+          }
 
-        str = htmlEntities(str, false);
-        div.innerHTML = str.replace(/\n/g, '<br/>');
+          str = htmlEntities(str, false);
+          div.innerHTML = str.replace(/\n/g, '<br/>');
 
-        document.body.appendChild(div);
-        const w = div.offsetWidth;
-        const h = div.offsetHeight;
-        document.body.removeChild(div);
+          document.body.appendChild(div);
+          w = div.offsetWidth;
+          h = div.offsetHeight;
+          document.body.removeChild(div);
+        }
 
         if (align === ALIGN.CENTER) {
           x -= w / 2;
@@ -1823,7 +1973,10 @@ class SvgCanvas2D extends AbstractCanvas2D {
         n.setAttribute('stroke-width', String(sw));
 
         // Workaround for crisp rendering - only required if not exporting
-        if (this.root?.ownerDocument === document && mod(sw, 2) === 1) {
+        if (
+          DomEnvironment.isBrowserDocument(this.root?.ownerDocument) &&
+          mod(sw, 2) === 1
+        ) {
           n.setAttribute('transform', 'translate(0.5, 0.5)');
         }
 
@@ -1048,4 +1048,9 @@ export class CellCodec extends ObjectCodec {
 }
 
 CodecRegistry.register(new CellCodec());
+
+// Registers the codecs for the geometry of cells, so that they are found by
+// the node name in Codec.decode
+CodecRegistry.register(new ObjectCodec(new Geometry()));
+CodecRegistry.register(new ObjectCodec(new Point()));
 export default Cell;
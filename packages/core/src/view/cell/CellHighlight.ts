@@ -89,7 +89,8 @@ class CellHighlight {
     dashed?: boolean
   ) {
     this.graph = graph;
-    this.highlightColor = highlightColor ?? DEFAULT_VALID_COLOR;
+    this.highlightColor =
+      highlightColor ?? graph.getThemeColor('highlightColor', DEFAULT_VALID_COLOR);
     this.strokeWidth = strokeWidth ?? HIGHLIGHT_STROKEWIDTH;
     this.dashed = dashed ?? false;
     this.opacity = HIGHLIGHT_OPACITY;
@@ -63,10 +63,14 @@ import Cell from './Cell';
  * Constructs a new cell marker.
  *
  * @param graph Reference to the enclosing {@link Graph}.
- * @param validColor Optional marker color for valid states. Default is
+ * @param validColor Optional marker color for valid states. Default is the
+ * `validColor` of the {@link Theme} of the graph or
  * {@link Constants#DEFAULT_VALID_COLOR}.
- * @param invalidColor Optional marker color for invalid states. Default is
+ * @param invalidColor Optional marker color for invalid states. Default is the
+ * `invalidColor` of the {@link Theme} of the graph or
  * {@link Constants#DEFAULT_INVALID_COLOR}.
+ *
+ * Default colors are updated if the theme of the graph changes.
  * @param hotspot Portion of the width and hight where a state intersects a
  * given coordinate pair. A value of 0 means always highlight. Default is
  * {@link Constants#DEFAULT_HOTSPOT}.
@@ -122,19 +126,41 @@ class CellMarker extends EventSource {
 
   highlight: CellHighlight;
 
+  /**
+   * Holds the listener that updates the default colors if the theme of the
+   * graph changes.
+   */
+  themeHandler: Function | null = null;
+
   constructor(
     graph: Graph,
-    validColor: ColorValue = DEFAULT_VALID_COLOR,
-    invalidColor: ColorValue = DEFAULT_INVALID_COLOR,
+    validColor: ColorValue | null = null,
+    invalidColor: ColorValue | null = null,
     hotspot: number = DEFAULT_HOTSPOT
   ) {
     super();
 
     this.graph = graph;
-    this.validColor = validColor;
-    this.invalidColor = invalidColor;
+    this.validColor =
+      validColor ?? graph.getThemeColor('validColor', DEFAULT_VALID_COLOR);
+    this.invalidColor =
+      invalidColor ?? graph.getThemeColor('invalidColor', DEFAULT_INVALID_COLOR);
     this.hotspot = hotspot;
     this.highlight = new CellHighlight(graph);
+
+    if (validColor == null || invalidColor == null) {
+      this.themeHandler = () => {
+        if (validColor == null) {
+          this.validColor = graph.getThemeColor('validColor', DEFAULT_VALID_COLOR);
+        }
+
+        if (invalidColor == null) {
+          this.invalidColor = graph.getThemeColor('invalidColor', DEFAULT_INVALID_COLOR);
+        }
+      };
+
+      graph.addListener(InternalEvent.THEME, this.themeHandler);
+    }
   }
 
   /**
@@ -365,6 +391,11 @@ class CellMarker extends EventSource {
    * Destroys the handler and all its resources and DOM nodes.
    */
   destroy() {
+    if (this.themeHandler != null) {
+      this.graph.removeListener(this.themeHandler);
+      this.themeHandler = null;
+    }
+
     this.highlight.destroy();
   }
 }
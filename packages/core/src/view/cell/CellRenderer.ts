@@ -30,6 +30,9 @@ import ArrowShape from '../geometry/edge/ArrowShape';
 import ArrowConnectorShape from '../geometry/edge/ArrowConnectorShape';
 import DoubleEllipseShape from '../geometry/node/DoubleEllipseShape';
 import SwimlaneShape from '../geometry/node/SwimlaneShape';
+import TableShape from '../geometry/node/TableShape';
+import TableRowShape from '../geometry/node/TableRowShape';
+import TableCellShape from '../geometry/node/TableCellShape';
 import ImageShape from '../geometry/node/ImageShape';
 import LabelShape from '../geometry/node/LabelShape';
 import TextShape from '../geometry/node/TextShape';
@@ -60,9 +63,13 @@ import Cell from './Cell';
 import CellOverlay from './CellOverlay';
 import { getClientX, getClientY, getSource } from '../../util/EventUtils';
 import { isNode } from '../../util/domUtils';
+import { sanitizeHtml } from '../../util/htmlUtils';
+import type { HtmlSchema } from '../../util/htmlUtils';
+import { markdownToHtml } from '../../util/markdownUtils';
 import { CellStateStyle } from '../../types';
 import SelectionCellsHandler from '../handler/SelectionCellsHandler';
 import { Graph } from '../Graph';
+import type GraphView from '../GraphView';
 
 /**
  * Renders cells into a document object model. The <defaultShapes> is a global
@@ -144,6 +151,29 @@ class CellRenderer {
    */
   forceControlClickHandler = false;
 
+  /**
+   * Specifies if semantic CSS classes should be added to the DOM nodes of the
+   * shapes and labels, see {@link getCssClasses}. This allows to style the
+   * cells with CSS in the host page. Default is false.
+   */
+  cssClassesEnabled = false;
+
+  /**
+   * Prefix for the CSS classes that are derived from the baseStyleNames of
+   * the cells. Default is 'mxStyle-'.
+   */
+  cssClassPrefix = 'mxStyle-';
+
+  /**
+   * Maps from cell states to their last sanitized label value, so that HTML
+   * labels are only sanitized again if the value or the schema changes, see
+   * {@link getLabelValue}.
+   */
+  sanitizedLabels = new WeakMap<
+    CellState,
+    { value: string; schema: HtmlSchema; html: string }
+  >();
+
   /**
    * Registers the given constructor under the specified key in this instance of the renderer.
    * @example
@@ -349,13 +379,54 @@ class CellRenderer {
   }
 
   /**
-   * Returns the value to be used for the label.
+   * Returns the value to be used for the label. Markdown labels are converted
+   * to HTML, see {@link Graph.isMarkdownLabel}, and HTML labels are sanitized
+   * with the schema from {@link Graph.getLabelHtmlSchema}. The sanitized value
+   * is cached per state in {@link sanitizedLabels}.
    *
    * @param state <CellState> for which the label should be created.
    */
   getLabelValue(state: CellState) {
     const graph = <Graph>state.view.graph;
-    return graph.getLabel(state.cell);
+    const value = graph.getLabel(state.cell);
+
+    if (typeof value === 'string' && graph.isMarkdownLabel(state.cell)) {
+      return markdownToHtml(value);
+    }
+
+    const schema = graph.getLabelHtmlSchema(state.cell);
+
+    if (schema == null || typeof value !== 'string') {
+      return value;
+    }
+
+    const cached = this.sanitizedLabels.get(state);
+
+    if (cached != null && cached.value === value && cached.schema === schema) {
+      return cached.html;
+    }
+
+    const html = sanitizeHtml(value, schema);
+    this.sanitizedLabels.set(state, { value, schema, html });
+
+    return html;
+  }
+
+  /**
+   * Returns true if the given label value of the given state must be rendered
+   * as HTML. This returns true for HTML and Markdown labels and DOM nodes.
+   *
+   * @param state <CellState> whose label should be checked.
+   * @param value Value of the label, see {@link getLabelValue}.
+   */
+  isHtmlLabelValue(state: CellState, value: any) {
+    const graph = <Graph>state.view.graph;
+
+    return (
+      graph.isHtmlLabel(state.cell) ||
+      graph.isMarkdownLabel(state.cell) ||
+      (value != null && isNode(value))
+    );
   }
 
   /**
@@ -368,7 +439,7 @@ class CellRenderer {
 
     if ((state.style.fontSize || 0) > 0 || state.style.fontSize == null) {
       // Avoids using DOM node for empty labels
-      const isForceHtml = graph.isHtmlLabel(state.cell) || isNode(value);
+      const isForceHtml = this.isHtmlLabelValue(state, value);
 
       state.text = new this.defaultTextShape(
         value,
@@ -387,7 +458,8 @@ class CellRenderer {
         state.style.horizontal,
         state.style.labelBackgroundColor,
         state.style.labelBorderColor,
-        graph.isWrapping(state.cell) && graph.isHtmlLabel(state.cell),
+        graph.isWrapping(state.cell) &&
+          (graph.isHtmlLabel(state.cell) || graph.isMarkdownLabel(state.cell)),
         graph.isLabelClipped(state.cell),
         state.style.overflow,
         state.style.labelPadding,
@@ -820,7 +892,7 @@ class CellRenderer {
     const value = this.getLabelValue(state);
     const wrapping = graph.isWrapping(state.cell);
     const clipping = graph.isLabelClipped(state.cell);
-    const isForceHtml = graph.isHtmlLabel(state.cell) || (value && isNode(value));
+    const isForceHtml = this.isHtmlLabelValue(state, value);
     const dialect = isForceHtml ? DIALECT.STRICTHTML : graph.dialect;
     const overflow = state.style.overflow ?? 'visible';
 
@@ -1354,6 +1426,57 @@ class CellRenderer {
       this.redrawLabel(state, shapeChanged);
       this.redrawCellOverlays(state, shapeChanged);
       this.redrawControl(state, shapeChanged);
+
+      if (this.cssClassesEnabled) {
+        this.updateCssClasses(state);
+      }
+    }
+  }
+
+  /**
+   * Returns the semantic CSS classes for the given state. This returns
+   * `mxCell`, `mxVertex` or `mxEdge` and one class for each of the
+   * baseStyleNames of the cell using {@link cssClassPrefix}, eg.
+   * `mxStyle-rounded`. Characters that are not allowed in class names are
+   * replaced with underscores.
+   *
+   * @param state {@link CellState} whose classes should be returned.
+   */
+  getCssClasses(state: CellState): string[] {
+    const classes = ['mxCell', state.cell.isEdge() ? 'mxEdge' : 'mxVertex'];
+
+    for (const name of state.cell.getStyle().baseStyleNames ?? []) {
+      classes.push(this.cssClassPrefix + name.replace(/[^\w-]/g, '_'));
+    }
+
+    return classes;
+  }
+
+  /**
+   * Replaces the semantic CSS classes of the shape and label nodes of the
+   * given state with {@link getCssClasses}. Other classes of the nodes are
+   * kept.
+   *
+   * @param state {@link CellState} whose nodes should be updated.
+   */
+  updateCssClasses(state: CellState): void {
+    const classes = this.getCssClasses(state);
+
+    for (const node of [state.shape?.node, state.text?.node]) {
+      if (node != null) {
+        for (const name of Array.from(node.classList)) {
+          if (
+            name === 'mxCell' ||
+            name === 'mxVertex' ||
+            name === 'mxEdge' ||
+            name.startsWith(this.cssClassPrefix)
+          ) {
+            node.classList.remove(name);
+          }
+        }
+
+        node.classList.add(...classes);
+      }
     }
   }
 
@@ -1399,10 +1522,10 @@ class CellRenderer {
         this.installListeners(state);
 
         // Forces a refresh of the handler if one exists
-        const selectionCellsHandler = graph.getPlugin(
-          'SelectionCellsHandler'
-        ) as SelectionCellsHandler;
-        selectionCellsHandler.updateHandler(state);
+        const selectionCellsHandler = graph.getPlugin('SelectionCellsHandler') as
+          | SelectionCellsHandler
+          | undefined;
+        selectionCellsHandler?.updateHandler(state);
       }
     } else if (
       !force &&
@@ -1413,10 +1536,10 @@ class CellRenderer {
       state.shape.resetStyles();
       this.configureShape(state);
       // LATER: Ignore update for realtime to fix reset of current gesture
-      const selectionCellsHandler = graph.getPlugin(
-        'SelectionCellsHandler'
-      ) as SelectionCellsHandler;
-      selectionCellsHandler.updateHandler(state);
+      const selectionCellsHandler = graph.getPlugin('SelectionCellsHandler') as
+        | SelectionCellsHandler
+        | undefined;
+      selectionCellsHandler?.updateHandler(state);
       force = true;
     }
 
@@ -1490,6 +1613,26 @@ class CellRenderer {
     );
   }
 
+  /**
+   * Returns true if the shapes of the cells are DOM nodes that receive the
+   * mouse events. If this returns false then the cell under the mouse is
+   * found using {@link Graph.getCellAt}. This implementation returns true.
+   */
+  isNativeHitDetection(): boolean {
+    return true;
+  }
+
+  /**
+   * Hook to release the resources that are associated with the given view.
+   * This is called when the view is destroyed and is empty in this
+   * implementation.
+   *
+   * @param view {@link GraphView} that is being destroyed.
+   */
+  destroyView(view: GraphView): void {
+    // empty
+  }
+
   /**
    * Destroys the shapes associated with the given cell state.
    *
@@ -1537,6 +1680,9 @@ for (const [shapeName, shapeClass] of [
   [SHAPE.SWIMLANE, SwimlaneShape],
   [SHAPE.IMAGE, ImageShape],
   [SHAPE.LABEL, LabelShape],
+  [SHAPE.TABLE, TableShape],
+  [SHAPE.TABLE_ROW, TableRowShape],
+  [SHAPE.TABLE_CELL, TableCellShape],
 ]) {
   // @ts-ignore
   CellRenderer.registerShape(shapeName, shapeClass);
@@ -0,0 +1,365 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import CellRenderer from './CellRenderer';
+import CellState from './CellState';
+import Cell from './Cell';
+import Shape from '../geometry/Shape';
+import TextShape from '../geometry/node/TextShape';
+import Rectangle from '../geometry/Rectangle';
+import HtmlCanvas2D from '../canvas/HtmlCanvas2D';
+import ImageExport from '../image/ImageExport';
+import InternalEvent from '../event/InternalEvent';
+import { intersects } from '../../util/mathUtils';
+import type GraphView from '../GraphView';
+
+/**
+ * Extends {@link CellRenderer} to paint the shapes and labels of the cells
+ * into a HTML5 `canvas` element using {@link HtmlCanvas2D} instead of
+ * creating SVG nodes for each cell. This is faster for large diagrams since
+ * the DOM does not grow with the number of cells.
+ *
+ * The canvas is placed behind the SVG of the {@link GraphView}, which is still
+ * used for overlays, controls, handlers and previews. Since the shapes have no
+ * DOM nodes, the cell under the mouse is found using {@link Graph.getCellAt}
+ * (see {@link isNativeHitDetection}). Only the states inside the visible part of
+ * the container are painted.
+ *
+ * To use this renderer, override {@link Graph.createCellRenderer}:
+ *
+ * ```javascript
+ * class CanvasGraph extends Graph {
+ *   createCellRenderer() {
+ *     return new HtmlCanvasCellRenderer();
+ *   }
+ * }
+ * ```
+ */
+class HtmlCanvasCellRenderer extends CellRenderer {
+  /**
+   * Holds the `canvas` element that contains the cells.
+   */
+  canvas: HTMLCanvasElement | null = null;
+
+  /**
+   * Holds the {@link GraphView} that is painted into {@link canvas}.
+   */
+  view: GraphView | null = null;
+
+  /**
+   * Holds the handle of the scheduled repaint.
+   */
+  repaintHandle: number | null = null;
+
+  /**
+   * Holds the listener for scroll events of the container.
+   */
+  scrollHandler: (() => void) | null = null;
+
+  /**
+   * Specifies the size of the area around the visible rectangle that is also
+   * painted, in pixels.
+   * @default 0
+   */
+  repaintMargin = 0;
+
+  /**
+   * Holds the object that is used to paint shapes and labels of cell states.
+   */
+  imageExport = new ImageExport();
+
+  /**
+   * Returns false since shapes are not represented by DOM nodes.
+   */
+  isNativeHitDetection(): boolean {
+    return false;
+  }
+
+  /**
+   * Creates the `canvas` element for the given view if it does not exist.
+   * The SVG root of the view is positioned so that it appears on top of the
+   * canvas and the background pane is hidden since the page and background
+   * image are painted into the canvas.
+   */
+  installCanvas(view: GraphView) {
+    const { container } = view.graph;
+
+    if (!this.canvas && container) {
+      const canvas = document.createElement('canvas');
+      canvas.style.position = 'absolute';
+      canvas.style.pointerEvents = 'none';
+      canvas.style.left = '0px';
+      canvas.style.top = '0px';
+      container.insertBefore(canvas, container.firstChild);
+
+      const root = (<SVGElement>view.getCanvas()).ownerSVGElement;
+
+      if (root) {
+        root.style.position = 'relative';
+      }
+
+      view.getBackgroundPane().style.display = 'none';
+
+      this.scrollHandler = () => this.scheduleRepaint();
+      InternalEvent.addListener(container, 'scroll', this.scrollHandler);
+
+      this.canvas = canvas;
+      this.view = view;
+    }
+  }
+
+  /**
+   * Schedules a repaint of {@link canvas} for the next animation frame.
+   */
+  scheduleRepaint() {
+    if (this.repaintHandle == null && this.view) {
+      this.repaintHandle = window.requestAnimationFrame(() => {
+        this.repaintHandle = null;
+        this.repaint();
+      });
+    }
+  }
+
+  /**
+   * Returns the rectangle of the container that is visible, in the coordinate
+   * system of the cell states.
+   */
+  getVisibleRect(container: HTMLElement) {
+    return new Rectangle(
+      container.scrollLeft - this.repaintMargin,
+      container.scrollTop - this.repaintMargin,
+      container.clientWidth + 2 * this.repaintMargin,
+      container.clientHeight + 2 * this.repaintMargin
+    );
+  }
+
+  /**
+   * Paints the visible states of {@link view} into {@link canvas}.
+   */
+  repaint() {
+    const { canvas, view } = this;
+    const container = view?.graph.container;
+    const ctx = canvas?.getContext('2d');
+
+    if (!canvas || !view || !container || !ctx) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const w = container.clientWidth;
+    const h = container.clientHeight;
+
+    // Keeps the canvas in the visible area of the container
+    canvas.style.left = `${container.scrollLeft}px`;
+    canvas.style.top = `${container.scrollTop}px`;
+    canvas.style.width = `${w}px`;
+    canvas.style.height = `${h}px`;
+
+    if (
+      canvas.width !== Math.round(w * ratio) ||
+      canvas.height !== Math.round(h * ratio)
+    ) {
+      canvas.width = Math.round(w * ratio);
+      canvas.height = Math.round(h * ratio);
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(
+      ratio,
+      0,
+      0,
+      ratio,
+      -container.scrollLeft * ratio,
+      -container.scrollTop * ratio
+    );
+
+    const c = this.createCanvas(ctx);
+    const rect = this.getVisibleRect(container);
+
+    this.paintBackground(view, c);
+
+    const root = view.currentRoot ?? view.graph.getDataModel().getRoot();
+
+    if (root) {
+      this.paintCell(view, root, c, rect);
+    }
+  }
+
+  /**
+   * Creates the {@link HtmlCanvas2D} for the given rendering context.
+   */
+  createCanvas(ctx: CanvasRenderingContext2D) {
+    const c = new HtmlCanvas2D(ctx);
+    c.imageLoaded = () => this.scheduleRepaint();
+
+    return c;
+  }
+
+  /**
+   * Paints the page and background image of the given view.
+   */
+  paintBackground(view: GraphView, c: HtmlCanvas2D) {
+    for (const shape of [view.backgroundPageShape, view.backgroundImage]) {
+      if (shape) {
+        this.paintShape(shape, c);
+      }
+    }
+  }
+
+  /**
+   * Paints the given shape if it is visible.
+   */
+  paintShape(shape: Shape, c: HtmlCanvas2D) {
+    if (shape.visible && shape.checkBounds()) {
+      c.save();
+      shape.beforePaint(c);
+      shape.paint(c);
+      shape.afterPaint(c);
+      c.restore();
+    }
+  }
+
+  /**
+   * Paints the state of the given cell and its descendants in the order of
+   * the model. States that do not intersect the given rectangle are skipped.
+   */
+  paintCell(view: GraphView, cell: Cell, c: HtmlCanvas2D, rect: Rectangle) {
+    const state = view.getState(cell);
+
+    if (state) {
+      if (this.isStateVisible(state, rect)) {
+        this.paintState(state, c);
+      }
+
+      for (const child of cell.getChildren()) {
+        this.paintCell(view, child, c, rect);
+      }
+    }
+  }
+
+  /**
+   * Returns true if the shape or label of the given state intersects the
+   * given rectangle.
+   */
+  isStateVisible(state: CellState, rect: Rectangle) {
+    const box = state.shape?.boundingBox ?? state;
+    const textBox = state.text?.boundingBox;
+
+    return (
+      (state.shape != null && intersects(rect, box)) ||
+      (textBox != null && intersects(rect, textBox))
+    );
+  }
+
+  /**
+   * Paints the shape and label of the given state.
+   */
+  paintState(state: CellState, c: HtmlCanvas2D) {
+    this.imageExport.drawShape(state, c);
+
+    if (state.text?.visible) {
+      this.imageExport.drawText(state, c);
+    }
+  }
+
+  /**
+   * Configures the shape without adding it to the DOM.
+   */
+  initializeShape(state: CellState) {
+    if (state.shape) {
+      this.installCanvas(state.view);
+      state.shape.dialect = state.view.graph.dialect;
+      this.configureShape(state);
+    }
+  }
+
+  /**
+   * Does not add the label to the DOM. The size of the string is ignored for
+   * the bounding box since the label has no DOM node to measure.
+   */
+  initializeLabel(state: CellState, shape: Shape): void {
+    if (shape instanceof TextShape) {
+      shape.ignoreStringSize = true;
+    }
+  }
+
+  /**
+   * Updates the bounding box of the shape and schedules a repaint.
+   */
+  doRedrawShape(state: CellState): void {
+    if (state.shape) {
+      state.shape.updateBoundsFromPoints();
+      state.shape.updateBoundingBox();
+      this.scheduleRepaint();
+    }
+  }
+
+  /**
+   * Updates the bounding box of the label and schedules a repaint.
+   */
+  redrawLabelShape(shape: TextShape): void {
+    shape.updateBoundingBox();
+    this.scheduleRepaint();
+  }
+
+  /**
+   * Schedules a repaint since the order of the cells is given by the model.
+   */
+  insertStateAfter(
+    state: CellState,
+    node: HTMLElement | SVGElement | null,
+    htmlNode: HTMLElement | SVGElement | null
+  ) {
+    this.scheduleRepaint();
+
+    return [node, htmlNode];
+  }
+
+  /**
+   * Extends superclass to schedule a repaint.
+   */
+  destroy(state: CellState) {
+    if (state.shape) {
+      this.scheduleRepaint();
+    }
+
+    super.destroy(state);
+  }
+
+  /**
+   * Removes {@link canvas} and cancels any pending repaint.
+   */
+  destroyView(view: GraphView): void {
+    if (this.repaintHandle != null) {
+      window.cancelAnimationFrame(this.repaintHandle);
+      this.repaintHandle = null;
+    }
+
+    const container = this.view?.graph.container;
+
+    if (container && this.scrollHandler) {
+      InternalEvent.removeListener(container, 'scroll', this.scrollHandler);
+    }
+
+    this.canvas?.parentNode?.removeChild(this.canvas);
+    this.canvas = null;
+    this.scrollHandler = null;
+    this.view = null;
+  }
+}
+
+export default HtmlCanvasCellRenderer;
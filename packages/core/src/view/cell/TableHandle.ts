@@ -0,0 +1,184 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import VertexHandle from './VertexHandle';
+import CellState from './CellState';
+import Point from '../geometry/Point';
+import Rectangle from '../geometry/Rectangle';
+import RectangleShape from '../geometry/node/RectangleShape';
+import Shape from '../geometry/Shape';
+import InternalMouseEvent from '../event/InternalMouseEvent';
+import { HANDLE_STROKECOLOR, NONE } from '../../util/Constants';
+
+/**
+ * Implements a handle for the boundary between two rows or two columns of a
+ * table, see {@link Graph.insertTable}. Dragging the handle changes the height
+ * of the row above or the width of the column to the left of the boundary
+ * using {@link Graph.setTableRowHeight} or {@link Graph.setTableColumnWidth}.
+ *
+ * The handles are created in {@link VertexHandler.createCustomHandles}.
+ *
+ * @class TableHandle
+ */
+class TableHandle extends VertexHandle {
+  constructor(state: CellState, horizontal: boolean, index: number) {
+    super(state, horizontal ? 'row-resize' : 'col-resize');
+
+    this.horizontal = horizontal;
+    this.index = index;
+  }
+
+  /**
+   * Specifies if the handle is for the boundary between two rows.
+   */
+  horizontal: boolean;
+
+  /**
+   * Index of the row above or the column to the left of the boundary.
+   */
+  index: number;
+
+  /**
+   * Width of the handle in pixels.
+   */
+  handleSize = 6;
+
+  /**
+   * Position of the boundary in model coordinates while the handle is being
+   * dragged.
+   */
+  value: number | null = null;
+
+  /**
+   * Creates a transparent shape along the boundary.
+   */
+  createShape(html: boolean): Shape {
+    return new RectangleShape(new Rectangle(), NONE, NONE);
+  }
+
+  /**
+   * Returns the start of the row or column of the boundary in model
+   * coordinates.
+   */
+  getStart(bounds: Rectangle): number {
+    const layout = this.graph.createTableLayout();
+    const rows = this.graph.getTableRows(this.state.cell);
+    const sizes = this.horizontal
+      ? layout.getRowHeights(rows)
+      : layout.getColumnWidths(rows);
+
+    return (
+      (this.horizontal ? bounds.y : bounds.x) +
+      sizes.slice(0, this.index).reduce((sum, size) => sum + size, 0)
+    );
+  }
+
+  /**
+   * Returns the current size of the row or column of the boundary.
+   */
+  getSize(): number {
+    const layout = this.graph.createTableLayout();
+    const rows = this.graph.getTableRows(this.state.cell);
+    const sizes = this.horizontal
+      ? layout.getRowHeights(rows)
+      : layout.getColumnWidths(rows);
+
+    return sizes[this.index] ?? 0;
+  }
+
+  /**
+   * Returns the center of the boundary.
+   */
+  getPosition(bounds: Rectangle): Point {
+    const value = this.value ?? this.getStart(bounds) + this.getSize();
+
+    return this.horizontal
+      ? new Point(bounds.getCenterX(), value)
+      : new Point(value, bounds.getCenterY());
+  }
+
+  /**
+   * Stores the new position of the boundary.
+   */
+  setPosition(bounds: Rectangle, pt: Point, me: InternalMouseEvent): void {
+    const layout = this.graph.createTableLayout();
+    const min = this.horizontal ? layout.minRowHeight : layout.minColumnWidth;
+
+    this.value = Math.max(this.getStart(bounds) + min, this.horizontal ? pt.y : pt.x);
+
+    if (this.shape != null) {
+      this.shape.stroke = HANDLE_STROKECOLOR;
+    }
+  }
+
+  /**
+   * Changes the size of the row or column.
+   */
+  execute(me: InternalMouseEvent): void {
+    if (this.value != null) {
+      const size = this.value - this.getStart(<Rectangle>this.state.getCellBounds());
+
+      if (this.horizontal) {
+        this.graph.setTableRowHeight(this.state.cell, this.index, size);
+      } else {
+        this.graph.setTableColumnWidth(this.state.cell, this.index, size);
+      }
+    }
+
+    this.value = null;
+  }
+
+  /**
+   * Resets the position of the handle.
+   */
+  reset(): void {
+    this.value = null;
+
+    if (this.shape != null) {
+      this.shape.stroke = NONE;
+    }
+
+    super.reset();
+  }
+
+  /**
+   * Places the shape along the boundary across the table.
+   */
+  redraw(): void {
+    if (this.shape != null && this.shape.bounds != null) {
+      const { scale, translate } = this.graph.view;
+      const pt = this.getPosition(<Rectangle>this.state.getCellBounds());
+      const s = this.handleSize;
+
+      this.shape.bounds = this.horizontal
+        ? new Rectangle(
+            this.state.x,
+            Math.floor((pt.y + translate.y) * scale - s / 2),
+            this.state.width,
+            s
+          )
+        : new Rectangle(
+            Math.floor((pt.x + translate.x) * scale - s / 2),
+            this.state.y,
+            s,
+            this.state.height
+          );
+      this.shape.redraw();
+    }
+  }
+}
+
+export default TableHandle;
@@ -718,6 +718,21 @@ class InternalEvent {
    */
   static SAVE = 'save';
 
+  /**
+   * Specifies the event name for validate.
+   */
+  static VALIDATE = 'validate';
+
+  /**
+   * Specifies the event name for language.
+   */
+  static LANGUAGE = 'language';
+
+  /**
+   * Specifies the event name for theme.
+   */
+  static THEME = 'theme';
+
   /**
    * Specifies the event name for beforeAddVertex.
    */
@@ -738,6 +753,16 @@ class InternalEvent {
    */
   static DONE = 'done';
 
+  /**
+   * Specifies the event name for progress.
+   */
+  static PROGRESS = 'progress';
+
+  /**
+   * Specifies the event name for cancel.
+   */
+  static CANCEL = 'cancel';
+
   /**
    * Specifies the event name for execute.
    */
@@ -36,6 +36,7 @@ import CellState from '../cell/CellState';
 import StencilShape from './node/StencilShape';
 import CellOverlay from '../cell/CellOverlay';
 import ImageBox from '../image/ImageBox';
+import DomEnvironment from '../../util/DomEnvironment';
 
 import type {
   ArrowType,
@@ -325,7 +326,10 @@ class Shape {
    * @param container DOM node that will contain the shape.
    */
   create() {
-    return document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    return DomEnvironment.getDocument().createElementNS(
+      'http://www.w3.org/2000/svg',
+      'g'
+    );
   }
 
   /**
@@ -1130,7 +1134,10 @@ class Shape {
    * Adds a transparent rectangle that catches all events.
    */
   createTransparentSvgRectangle(x: number, y: number, w: number, h: number) {
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const rect = this.node.ownerDocument.createElementNS(
+      'http://www.w3.org/2000/svg',
+      'rect'
+    );
     rect.setAttribute('x', String(x));
     rect.setAttribute('y', String(y));
     rect.setAttribute('width', String(w));
@@ -22,6 +22,7 @@ import CellState from '../../cell/CellState';
 import AbstractCanvas2D from '../../canvas/SvgCanvas2D';
 import CellOverlay from '../../cell/CellOverlay';
 import { NONE } from '../../../util/Constants';
+import DomEnvironment from '../../../util/DomEnvironment';
 import { ColorValue } from '../../../types';
 
 /**
@@ -107,7 +108,7 @@ class ImageShape extends RectangleShape {
    * so that the HTML creation is optional.
    */
   createHtml() {
-    const node = document.createElement('div');
+    const node = DomEnvironment.getDocument().createElement('div');
     node.style.position = 'absolute';
     return node;
   }
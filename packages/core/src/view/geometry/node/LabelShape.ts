@@ -267,7 +267,7 @@ class LabelShape extends RectangleShape {
     }
 
     if (this.imageSrc && this.bounds) {
-      const node = document.createElement('img');
+      const node = this.node.ownerDocument.createElement('img');
       node.style.position = 'relative';
       node.setAttribute('border', '0');
 
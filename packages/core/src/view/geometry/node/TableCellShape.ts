@@ -0,0 +1,69 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import RectangleShape from './RectangleShape';
+import Rectangle from '../Rectangle';
+import AbstractCanvas2D from '../../canvas/AbstractCanvas2D';
+import { NONE } from '../../../util/Constants';
+import { ColorValue } from '../../../types';
+
+/**
+ * Extends {@link RectangleShape} to implement a cell of a table. A cell
+ * paints its background and the lines on its right and bottom side so that
+ * the lines between adjacent cells are not painted twice. The outer border
+ * is painted by {@link TableShape}.
+ *
+ * This shape is registered under {@link SHAPE.TABLE_CELL} in {@link CellRenderer}.
+ *
+ * @class TableCellShape
+ * @extends {RectangleShape}
+ */
+class TableCellShape extends RectangleShape {
+  constructor(
+    bounds: Rectangle,
+    fill: ColorValue,
+    stroke: ColorValue,
+    strokeWidth: number = 1
+  ) {
+    super(bounds, fill, stroke, strokeWidth);
+  }
+
+  /**
+   * Paints the background and the right and bottom lines of the cell.
+   */
+  paintBackground(c: AbstractCanvas2D, x: number, y: number, w: number, h: number) {
+    c.rect(x, y, w, h);
+    c.fill();
+
+    if (this.stroke !== NONE) {
+      c.setShadow(false);
+      c.begin();
+      c.moveTo(x + w, y);
+      c.lineTo(x + w, y + h);
+      c.lineTo(x, y + h);
+      c.stroke();
+    }
+  }
+
+  /**
+   * Returns false since the cells of a table have square corners.
+   */
+  isRoundable(c: AbstractCanvas2D, x: number, y: number, w: number, h: number) {
+    return false;
+  }
+}
+
+export default TableCellShape;
@@ -0,0 +1,61 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import RectangleShape from './RectangleShape';
+import Rectangle from '../Rectangle';
+import AbstractCanvas2D from '../../canvas/AbstractCanvas2D';
+import { NONE } from '../../../util/Constants';
+import { ColorValue } from '../../../types';
+
+/**
+ * Extends {@link RectangleShape} to implement a row of a table. A row paints
+ * its background but no border, the lines between the rows are painted by the
+ * cells, see {@link TableCellShape}.
+ *
+ * This shape is registered under {@link SHAPE.TABLE_ROW} in {@link CellRenderer}.
+ *
+ * @class TableRowShape
+ * @extends {RectangleShape}
+ */
+class TableRowShape extends RectangleShape {
+  constructor(
+    bounds: Rectangle,
+    fill: ColorValue,
+    stroke: ColorValue,
+    strokeWidth: number = 1
+  ) {
+    super(bounds, fill, stroke, strokeWidth);
+  }
+
+  /**
+   * Paints the background of the row without a border.
+   */
+  paintBackground(c: AbstractCanvas2D, x: number, y: number, w: number, h: number) {
+    if (this.fill !== NONE) {
+      c.rect(x, y, w, h);
+      c.fill();
+    }
+  }
+
+  /**
+   * Returns false since rows have square corners.
+   */
+  isRoundable(c: AbstractCanvas2D, x: number, y: number, w: number, h: number) {
+    return false;
+  }
+}
+
+export default TableRowShape;
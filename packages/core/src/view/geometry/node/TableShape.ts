@@ -0,0 +1,51 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import RectangleShape from './RectangleShape';
+import Rectangle from '../Rectangle';
+import AbstractCanvas2D from '../../canvas/AbstractCanvas2D';
+import { ColorValue } from '../../../types';
+
+/**
+ * Extends {@link RectangleShape} to implement the outline of a table. The
+ * rows of the table are painted with {@link TableRowShape} and the cells with
+ * {@link TableCellShape}, which paints the lines between the cells. The rows
+ * and cells are arranged by {@link TableLayout}.
+ *
+ * This shape is registered under {@link SHAPE.TABLE} in {@link CellRenderer}.
+ *
+ * @class TableShape
+ * @extends {RectangleShape}
+ */
+class TableShape extends RectangleShape {
+  constructor(
+    bounds: Rectangle,
+    fill: ColorValue,
+    stroke: ColorValue,
+    strokeWidth: number = 1
+  ) {
+    super(bounds, fill, stroke, strokeWidth);
+  }
+
+  /**
+   * Returns false since the cells of a table have square corners.
+   */
+  isRoundable(c: AbstractCanvas2D, x: number, y: number, w: number, h: number) {
+    return false;
+  }
+}
+
+export default TableShape;
@@ -52,6 +52,7 @@ import {
   VAlignValue,
 } from '../../../types';
 import SvgCanvas2D from '../../canvas/SvgCanvas2D';
+import DomEnvironment from '../../../util/DomEnvironment';
 
 /**
  * Extends mxShape to implement a text shape.
@@ -460,8 +461,25 @@ class TextShape extends Shape {
     ) {
       let ow = null;
       let oh = null;
+      const measurer = DomEnvironment.textMeasurer;
+
+      if (measurer != null) {
+        // Uses the configured text measurer if the DOM cannot be measured
+        const text = isNode(this.value)
+          ? (<Element>this.value).textContent ?? ''
+          : String(this.value ?? '');
+        const size = measurer(
+          text,
+          this.size,
+          this.family,
+          this.wrap && this.bounds.width > 0 ? this.bounds.width / this.scale : null,
+          this.fontStyle,
+          isNode(this.value) || this.dialect === DIALECT.STRICTHTML
+        );
 
-      if (
+        ow = size.width * this.scale;
+        oh = size.height * this.scale;
+      } else if (
         node.firstChild &&
         node.firstChild.firstChild &&
         node.firstChild.firstChild.nodeName === 'foreignObject'
@@ -898,7 +916,7 @@ class TextShape extends Shape {
         if (tmp === 0) {
           const prev = <HTMLElement>node.parentNode;
           node.style.visibility = 'hidden';
-          document.body.appendChild(node);
+          node.ownerDocument.body.appendChild(node);
           tmp = sizeDiv.offsetWidth;
           node.style.visibility = '';
           prev.appendChild(node);
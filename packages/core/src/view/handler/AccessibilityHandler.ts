@@ -0,0 +1,1273 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import InternalEvent from '../event/InternalEvent';
+import EventObject from '../event/EventObject';
+import Cell from '../cell/Cell';
+import CellState from '../cell/CellState';
+import CellHighlight from '../cell/CellHighlight';
+import Client from '../../Client';
+import Translations from '../../util/Translations';
+import {
+  isAltDown,
+  isConsumed,
+  isControlDown,
+  isMetaDown,
+  isShiftDown,
+} from '../../util/EventUtils';
+import { markdownToText } from '../../util/markdownUtils';
+import { Graph } from '../Graph';
+import ConnectionHandler from './ConnectionHandler';
+import SelectionCellsHandler from './SelectionCellsHandler';
+import SelectionHandler from './SelectionHandler';
+import VertexHandler from './VertexHandler';
+import ChildChange from '../undoable_changes/ChildChange';
+import CollapseChange from '../undoable_changes/CollapseChange';
+import GeometryChange from '../undoable_changes/GeometryChange';
+import RootChange from '../undoable_changes/RootChange';
+import TerminalChange from '../undoable_changes/TerminalChange';
+import VisibleChange from '../undoable_changes/VisibleChange';
+
+import type { ColorValue, GraphPlugin, UndoableChange } from '../../types';
+
+/**
+ * Directions for {@link AccessibilityHandler.getCellInDirection}.
+ */
+export type FocusDirection = 'left' | 'right' | 'up' | 'down';
+
+const DIRECTIONS: { [key: string]: FocusDirection } = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+};
+
+// Counter for unique IDs of the tree items of all graphs in the page
+let instanceCounter = 0;
+
+/**
+ * Hides the given element visually but keeps it in the accessibility tree.
+ */
+const setVisuallyHidden = (elt: HTMLElement) => {
+  elt.style.position = 'absolute';
+  elt.style.width = '1px';
+  elt.style.height = '1px';
+  elt.style.margin = '-1px';
+  elt.style.padding = '0';
+  elt.style.overflow = 'hidden';
+  elt.style.clip = 'rect(0 0 0 0)';
+  elt.style.whiteSpace = 'nowrap';
+  elt.style.border = '0';
+};
+
+/**
+ * Returns the given label without HTML markup.
+ */
+const getPlainText = (label: string, html: boolean) => {
+  if (html) {
+    label = label
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&');
+  }
+  return label.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Graph plugin that makes the graph usable with the keyboard and with screen
+ * readers. This plugin is not part of the default plugins and must be added
+ * to the plugins of the graph:
+ *
+ * ```javascript
+ * const graph = new Graph(container, undefined, [...defaultPlugins, AccessibilityHandler]);
+ * ```
+ *
+ * The container of the graph becomes focusable and gets the `tree` role. An
+ * invisible tree of `treeitem` elements mirrors the hierarchy of the
+ * {@link GraphDataModel} and the focused cell is referenced by the
+ * `aria-activedescendant` attribute of the container. The SVG of the view is
+ * hidden from assistive technologies. Changes of the focus and the
+ * selection are announced in a live region.
+ *
+ * The following keys are handled if the container has the focus:
+ *
+ * - Arrow keys: Focuses the next cell in the given direction. Vertices that
+ * are connected to the focused cell are preferred.
+ * - `]` and `[`: Focuses the next or previous edge of the focused vertex.
+ * - Enter: Focuses the other terminal of the focused edge or the first child
+ * of the focused vertex.
+ * - Escape: Focuses the parent of the focused cell or cancels connecting.
+ * - Space: Toggles the selection state of the focused cell.
+ * - Shift+Arrow keys: Moves the selection using {@link SelectionHandler}. The
+ * grid size is used as the step unless Alt is pressed.
+ * - Control+Arrow keys: Resizes the focused vertex using {@link VertexHandler}.
+ * - C: Starts connecting the focused vertex. The arrow keys then focus the
+ * target and Enter creates the edge using {@link ConnectionHandler}.
+ * - F2: Starts editing the label of the focused cell.
+ *
+ * By default the selection follows the focus, see {@link selectOnFocus}.
+ *
+ * @class AccessibilityHandler
+ */
+class AccessibilityHandler implements GraphPlugin {
+  static pluginId = 'AccessibilityHandler';
+
+  constructor(graph: Graph) {
+    this.graph = graph;
+    this.idPrefix = `mxAccessibility${instanceCounter++}-`;
+
+    const { container } = graph;
+    const doc = container.ownerDocument;
+
+    for (const name of ['role', 'tabindex', 'aria-label', 'aria-roledescription']) {
+      this.containerAttributes[name] = container.getAttribute(name);
+    }
+
+    container.setAttribute('role', 'tree');
+    container.setAttribute('aria-roledescription', this.roleDescription);
+
+    if (container.getAttribute('aria-label') == null) {
+      container.setAttribute('aria-label', this.label);
+    }
+
+    if (container.getAttribute('tabindex') == null) {
+      container.setAttribute('tabindex', '0');
+    }
+
+    this.items = doc.createElement('div');
+    this.items.setAttribute('role', 'presentation');
+    setVisuallyHidden(this.items);
+    container.appendChild(this.items);
+
+    this.liveRegion = doc.createElement('div');
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    setVisuallyHidden(this.liveRegion);
+    doc.body.appendChild(this.liveRegion);
+
+    this.highlight = new CellHighlight(graph, this.focusColor, 2, true);
+
+    this.refreshHandler = (sender: any, evt: EventObject) => {
+      const edit = evt.getProperty('edit');
+
+      if (edit != null) {
+        this.update(edit.changes);
+      } else {
+        this.refresh();
+      }
+    };
+    graph.getDataModel().addListener(InternalEvent.CHANGE, this.refreshHandler);
+    graph.getView().addListener(InternalEvent.UP, this.refreshHandler);
+    graph.getView().addListener(InternalEvent.DOWN, this.refreshHandler);
+
+    this.selectionHandler = () => {
+      this.selectionChanged();
+    };
+    graph.addListener(InternalEvent.CHANGE, this.selectionHandler);
+
+    this.keydownHandler = (evt: KeyboardEvent) => {
+      this.keyDown(evt);
+    };
+    InternalEvent.addListener(container, 'keydown', this.keydownHandler);
+
+    this.focusHandler = () => {
+      this.focusGained();
+    };
+    InternalEvent.addListener(container, 'focus', this.focusHandler);
+
+    this.blurHandler = () => {
+      this.highlight.hide();
+    };
+    InternalEvent.addListener(container, 'blur', this.blurHandler);
+
+    this.refresh();
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * Prefix for the IDs of the tree items.
+   */
+  idPrefix: string;
+
+  /**
+   * Invisible container of the tree items.
+   */
+  items: HTMLElement;
+
+  /**
+   * Invisible live region for the announcements.
+   */
+  liveRegion: HTMLElement;
+
+  /**
+   * {@link CellHighlight} that shows the focused cell.
+   */
+  highlight: CellHighlight;
+
+  /**
+   * Maps from cells to their tree items.
+   */
+  itemForCell: Map<Cell, HTMLElement> = new Map();
+
+  /**
+   * Maps from tree items to their cells.
+   */
+  cellForItem: Map<Element, Cell> = new Map();
+
+  /**
+   * Holds the attributes of the container that are restored in {@link onDestroy}.
+   */
+  containerAttributes: { [name: string]: string | null } = {};
+
+  /**
+   * The label of the graph for assistive technologies. This is only used if
+   * the container does not define an `aria-label`. Default is `Diagram`.
+   */
+  label = 'Diagram';
+
+  /**
+   * The role description of the container. Default is `diagram`.
+   */
+  roleDescription = 'diagram';
+
+  /**
+   * Color of the focus highlight. Default is `#0078D7`.
+   */
+  focusColor: ColorValue = '#0078D7';
+
+  /**
+   * Specifies if the focused cell should be selected. Default is true.
+   */
+  selectOnFocus = true;
+
+  /**
+   * Delay in milliseconds before a message is written to the live region.
+   * Clearing the region first makes screen readers repeat equal messages.
+   * Default is 50.
+   */
+  announceDelay = 50;
+
+  /**
+   * Specifies if events are handled. Default is true.
+   */
+  enabled = true;
+
+  /**
+   * The focused cell.
+   */
+  focusedCell: Cell | null = null;
+
+  /**
+   * The vertex whose edges are traversed with `]` and `[`.
+   */
+  anchor: Cell | null = null;
+
+  /**
+   * The source of the connection that is being created with the keyboard.
+   */
+  connectSource: Cell | null = null;
+
+  /**
+   * True while {@link focusCell} changes the selection.
+   */
+  focusing = false;
+
+  /**
+   * Timer of the pending announcement.
+   */
+  announceThread: number | null = null;
+
+  refreshHandler: (sender: any, evt: EventObject) => void;
+
+  selectionHandler: () => void;
+
+  keydownHandler: (evt: KeyboardEvent) => void;
+
+  focusHandler: () => void;
+
+  blurHandler: () => void;
+
+  // Resources for the announcements and descriptions of the cells
+  vertexResource = Client.language !== 'none' ? 'a11yVertex' : '';
+  edgeResource = Client.language !== 'none' ? 'a11yEdge' : '';
+  layerResource = Client.language !== 'none' ? 'a11yLayer' : '';
+  unnamedResource = Client.language !== 'none' ? 'a11yUnnamed' : '';
+  childrenResource = Client.language !== 'none' ? 'a11yChildren' : '';
+  selectedResource = Client.language !== 'none' ? 'a11ySelected' : '';
+  selectedCellsResource = Client.language !== 'none' ? 'a11ySelectedCells' : '';
+  selectionClearedResource = Client.language !== 'none' ? 'a11ySelectionCleared' : '';
+  movedResource = Client.language !== 'none' ? 'a11yMoved' : '';
+  resizedResource = Client.language !== 'none' ? 'a11yResized' : '';
+  connectFromResource = Client.language !== 'none' ? 'a11yConnectFrom' : '';
+  connectedResource = Client.language !== 'none' ? 'a11yConnected' : '';
+  notConnectedResource = Client.language !== 'none' ? 'a11yNotConnected' : '';
+  cancelledResource = Client.language !== 'none' ? 'a11yCancelled' : '';
+
+  /**
+   * Returns true if events are handled.
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Enables or disables event handling.
+   */
+  setEnabled(enabled: boolean) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Returns the translated resource for the given key or the default value
+   * with the placeholders replaced.
+   */
+  getResource(key: string, params: any[], defaultValue: string): string {
+    return Translations.get(key, params, defaultValue) ?? defaultValue;
+  }
+
+  /**
+   * Returns the root of the tree, which is the current root of the view or
+   * the root of the model.
+   */
+  getRoot(): Cell | null {
+    return this.graph.getView().currentRoot ?? this.graph.getDataModel().getRoot();
+  }
+
+  /**
+   * Returns the children of the given cell that are shown in the tree.
+   * Layers are skipped if the model contains only one layer.
+   */
+  getChildren(parent: Cell): Cell[] {
+    const model = this.graph.getDataModel();
+    const view = this.graph.getView();
+    const children = parent.getChildren();
+
+    if (model.isRoot(parent) && children.length === 1) {
+      return this.getChildren(children[0]);
+    }
+
+    return children.filter(
+      (child) => model.isLayer(child) || view.getState(child) != null
+    );
+  }
+
+  /**
+   * Returns true if the given cell can be focused.
+   */
+  isFocusable(cell: Cell): boolean {
+    return this.itemForCell.has(cell) && this.graph.getView().getState(cell) != null;
+  }
+
+  /**
+   * Returns the text of the label of the given cell.
+   */
+  getLabelText(cell: Cell | null): string {
+    if (cell == null) {
+      return '';
+    }
+
+    const label = this.graph.convertValueToString(cell);
+
+    if (this.graph.isMarkdownLabel(cell)) {
+      return markdownToText(label ?? '');
+    }
+    return getPlainText(label ?? '', this.graph.isHtmlLabel(cell));
+  }
+
+  /**
+   * Returns the description of the given cell for assistive technologies.
+   *
+   * @param cell {@link Cell} to be described.
+   */
+  getDescription(cell: Cell): string {
+    const model = this.graph.getDataModel();
+
+    if (model.isLayer(cell)) {
+      return this.getLabelText(cell) || this.getResource(this.layerResource, [], 'Layer');
+    }
+
+    const label = this.getLabelText(cell);
+    let description = '';
+
+    if (cell.isEdge()) {
+      description = this.getResource(
+        this.edgeResource,
+        [
+          this.getLabelText(cell.getTerminal(true)),
+          this.getLabelText(cell.getTerminal(false)),
+        ],
+        'connection from {1} to {2}'
+      );
+    } else {
+      description = this.getResource(
+        this.vertexResource,
+        [String(this.graph.getEdges(cell).length)],
+        'node with {1} connections'
+      );
+    }
+
+    description = `${
+      label || this.getResource(this.unnamedResource, [], 'Unnamed')
+    }, ${description}`;
+    const count = this.getChildren(cell).length;
+
+    if (count > 0) {
+      description += `, ${this.getResource(
+        this.childrenResource,
+        [String(count)],
+        '{1} children'
+      )}`;
+    }
+    return description;
+  }
+
+  /**
+   * Returns the ID of the tree item for the given cell.
+   */
+  getItemId(cell: Cell): string {
+    return `${this.idPrefix}${cell.getId()}`;
+  }
+
+  /**
+   * Creates the tree items for the cells in the model.
+   */
+  refresh(): void {
+    const root = this.getRoot();
+    this.items.innerHTML = '';
+    this.itemForCell.clear();
+    this.cellForItem.clear();
+
+    if (root != null) {
+      this.addItems(this.items, this.getChildren(root), 1);
+    }
+
+    this.validateFocus();
+    this.updateViewAccessibility();
+  }
+
+  /**
+   * Updates the tree items of the cells that are affected by the given changes
+   * of the model. The children of the parents in {@link ChildChange}s are
+   * updated using {@link updateItems} and the descriptions of the changed
+   * cells, their parents, terminals and connected edges are updated. All tree
+   * items are created again using {@link refresh} if the root or the layers
+   * change or if cells are collapsed, expanded, shown or hidden.
+   *
+   * @param changes Array of changes of the model.
+   */
+  update(changes: UndoableChange[]): void {
+    const model = this.graph.getDataModel();
+    const parents = new Set<Cell>();
+    const cells = new Set<Cell>();
+
+    const addCell = (cell: Cell | null) => {
+      if (cell != null) {
+        cells.add(cell);
+      }
+    };
+
+    for (const change of changes) {
+      if (
+        change instanceof RootChange ||
+        change instanceof CollapseChange ||
+        change instanceof VisibleChange ||
+        (change instanceof ChildChange &&
+          (model.isRoot(change.parent) || model.isRoot(change.previous)))
+      ) {
+        this.refresh();
+        return;
+      } else if (change instanceof ChildChange) {
+        for (const parent of [change.parent, change.previous]) {
+          if (parent != null) {
+            parents.add(parent);
+            cells.add(parent);
+          }
+        }
+
+        // Updates the number of connections of the terminals
+        for (const cell of change.child.getDescendants()) {
+          addCell(cell.getTerminal(true));
+          addCell(cell.getTerminal(false));
+        }
+      } else if (change instanceof TerminalChange) {
+        addCell(change.cell);
+        addCell(change.previous);
+        addCell(change.cell.getTerminal(true));
+        addCell(change.cell.getTerminal(false));
+      } else if (!(change instanceof GeometryChange)) {
+        const cell: Cell | null = (<any>change).cell ?? null;
+
+        // Updates the edges as their descriptions contain the label
+        if (cell != null) {
+          cells.add(cell);
+          cell.getEdges().forEach((edge) => cells.add(edge));
+        }
+      }
+    }
+
+    for (const parent of parents) {
+      this.updateItems(parent);
+    }
+
+    for (const cell of cells) {
+      this.itemForCell.get(cell)?.setAttribute('aria-label', this.getDescription(cell));
+    }
+
+    this.validateFocus();
+  }
+
+  /**
+   * Removes the focus, the anchor and the source of the connection if their
+   * cells are no longer focusable and updates the active descendant.
+   */
+  validateFocus(): void {
+    if (this.focusedCell != null && !this.isFocusable(this.focusedCell)) {
+      this.focusedCell = null;
+      this.highlight.hide();
+    }
+
+    if (this.anchor != null && !this.isFocusable(this.anchor)) {
+      this.anchor = null;
+    }
+
+    if (this.connectSource != null && !this.isFocusable(this.connectSource)) {
+      this.connectSource = null;
+    }
+
+    this.updateActiveDescendant();
+  }
+
+  /**
+   * Adds the tree items for the given cells to the given parent element.
+   */
+  addItems(parent: HTMLElement, cells: Cell[], level: number): void {
+    cells.forEach((cell, index) => {
+      parent.appendChild(this.createItem(cell, level, index, cells.length));
+    });
+  }
+
+  /**
+   * Creates the tree item for the given cell and the items for its children.
+   *
+   * @param cell {@link Cell} to create the tree item for.
+   * @param level Level of the tree item.
+   * @param index Index of the tree item in its group.
+   * @param count Number of tree items in the group.
+   */
+  createItem(cell: Cell, level: number, index: number, count: number): HTMLElement {
+    const doc = this.items.ownerDocument;
+    const item = doc.createElement('div');
+    item.setAttribute('role', 'treeitem');
+    item.setAttribute('id', this.getItemId(cell));
+    item.setAttribute('aria-level', String(level));
+    item.setAttribute('aria-posinset', String(index + 1));
+    item.setAttribute('aria-setsize', String(count));
+    item.setAttribute('aria-label', this.getDescription(cell));
+    item.setAttribute('aria-selected', String(this.graph.isCellSelected(cell)));
+    this.itemForCell.set(cell, item);
+    this.cellForItem.set(item, cell);
+
+    const children = this.getChildren(cell);
+
+    if (children.length > 0) {
+      item.setAttribute('aria-expanded', String(!cell.isCollapsed()));
+
+      const group = doc.createElement('div');
+      group.setAttribute('role', 'group');
+      item.appendChild(group);
+      this.addItems(group, children, level + 1);
+    }
+    return item;
+  }
+
+  /**
+   * Removes the given tree item and the items of its descendants.
+   */
+  removeItem(item: Element): void {
+    for (const elt of [item, ...Array.from(item.querySelectorAll('[role="treeitem"]'))]) {
+      const cell = this.cellForItem.get(elt);
+
+      if (cell != null) {
+        this.cellForItem.delete(elt);
+
+        if (this.itemForCell.get(cell) === elt) {
+          this.itemForCell.delete(cell);
+        }
+      }
+    }
+
+    item.parentNode?.removeChild(item);
+  }
+
+  /**
+   * Updates the tree items of the children of the given cell. The items of
+   * the children that are still in the group are kept, the items of removed
+   * children are removed and items are created for new children.
+   *
+   * @param parent {@link Cell} whose children should be updated.
+   */
+  updateItems(parent: Cell): void {
+    const root = this.getRoot();
+
+    if (root == null) {
+      return;
+    }
+
+    // The only layer is skipped in the tree, see getChildren
+    const layer =
+      this.graph.getDataModel().isRoot(root) && root.getChildCount() === 1
+        ? root.getChildAt(0)
+        : null;
+    let group: Element | null = null;
+    let level = 1;
+    let children: Cell[] = [];
+
+    if (parent === root || parent === layer) {
+      group = this.items;
+      children = this.getChildren(root);
+    } else {
+      const item = this.itemForCell.get(parent);
+
+      if (item == null) {
+        return;
+      }
+
+      level = Number(item.getAttribute('aria-level')) + 1;
+      children = this.getChildren(parent);
+      group =
+        Array.from(item.children).find((elt) => elt.getAttribute('role') === 'group') ??
+        null;
+
+      if (children.length === 0) {
+        if (group != null) {
+          this.removeItem(group);
+        }
+
+        item.removeAttribute('aria-expanded');
+        return;
+      } else if (group == null) {
+        group = item.ownerDocument.createElement('div');
+        group.setAttribute('role', 'group');
+        item.appendChild(group);
+        item.setAttribute('aria-expanded', String(!parent.isCollapsed()));
+      }
+    }
+
+    const current = new Set(children);
+
+    for (const elt of Array.from(group.children)) {
+      const cell = this.cellForItem.get(elt);
+
+      if (cell == null || !current.has(cell)) {
+        this.removeItem(elt);
+      }
+    }
+
+    children.forEach((cell, index) => {
+      let item = this.itemForCell.get(cell);
+
+      if (item != null && item.parentNode !== group) {
+        this.removeItem(item);
+        item = undefined;
+      }
+
+      if (item == null) {
+        item = this.createItem(cell, level, index, children.length);
+      } else {
+        item.setAttribute('aria-posinset', String(index + 1));
+        item.setAttribute('aria-setsize', String(children.length));
+      }
+
+      const next = (<Element>group).children[index] ?? null;
+
+      if (next !== item) {
+        (<Element>group).insertBefore(item, next);
+      }
+    });
+  }
+
+  /**
+   * Hides the DOM of the view from assistive technologies as it is
+   * represented by the tree items.
+   */
+  updateViewAccessibility(): void {
+    const canvas = <SVGElement>this.graph.getView().getCanvas();
+    const node = canvas?.ownerSVGElement ?? canvas;
+
+    if (node != null) {
+      node.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  /**
+   * Updates the `aria-selected` attributes of the tree items.
+   */
+  updateSelectedStates(): void {
+    for (const [cell, item] of this.itemForCell) {
+      item.setAttribute('aria-selected', String(this.graph.isCellSelected(cell)));
+    }
+  }
+
+  /**
+   * Updates the `aria-activedescendant` attribute of the container.
+   */
+  updateActiveDescendant(): void {
+    const { container } = this.graph;
+
+    if (this.focusedCell != null) {
+      container.setAttribute('aria-activedescendant', this.getItemId(this.focusedCell));
+    } else {
+      container.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Writes the given message to the live region.
+   */
+  announce(message: string): void {
+    if (this.announceThread != null) {
+      window.clearTimeout(this.announceThread);
+    }
+
+    this.liveRegion.textContent = '';
+    this.announceThread = window.setTimeout(() => {
+      this.announceThread = null;
+      this.liveRegion.textContent = message;
+    }, this.announceDelay);
+  }
+
+  /**
+   * Focuses the given cell and announces its description.
+   *
+   * @param cell {@link Cell} to be focused or null to remove the focus.
+   * @param select Specifies if the cell should be selected. Default is
+   * {@link selectOnFocus}.
+   */
+  focusCell(cell: Cell | null, select = this.selectOnFocus): void {
+    if (cell != null && !this.isFocusable(cell)) {
+      return;
+    }
+
+    this.focusedCell = cell;
+    this.updateActiveDescendant();
+
+    if (cell == null) {
+      this.highlight.hide();
+      return;
+    }
+
+    if (cell.isVertex()) {
+      this.anchor = cell;
+    } else if (cell.isEdge() && this.anchor == null) {
+      this.anchor = cell.getTerminal(true);
+    }
+
+    if (select && !this.graph.getDataModel().isLayer(cell)) {
+      this.focusing = true;
+
+      try {
+        this.graph.setSelectionCell(cell);
+      } finally {
+        this.focusing = false;
+      }
+    }
+
+    this.highlight.highlight(this.graph.getView().getState(cell));
+    this.graph.scrollCellToVisible(cell);
+    this.announce(this.getDescription(cell));
+  }
+
+  /**
+   * Focuses the first selection cell or the first cell of the tree if the
+   * container gains the focus and no cell is focused.
+   */
+  focusGained(): void {
+    if (this.focusedCell == null) {
+      const cell = this.graph.getSelectionCell() ?? this.getFirstCell();
+
+      if (cell != null) {
+        this.focusCell(cell, false);
+      }
+    } else {
+      this.highlight.highlight(this.graph.getView().getState(this.focusedCell));
+    }
+  }
+
+  /**
+   * Returns the first cell of the tree.
+   */
+  getFirstCell(): Cell | null {
+    const item = this.items.firstElementChild;
+
+    return item != null ? this.cellForItem.get(item) ?? null : null;
+  }
+
+  /**
+   * Updates the tree items and announces the selection after the selection
+   * has changed.
+   */
+  selectionChanged(): void {
+    this.updateSelectedStates();
+
+    if (this.focusing) {
+      return;
+    }
+
+    const cells = this.graph.getSelectionCells();
+
+    if (cells.length === 1) {
+      if (cells[0] !== this.focusedCell && this.isFocusable(cells[0])) {
+        this.focusedCell = cells[0];
+        this.anchor = cells[0].isVertex() ? cells[0] : this.anchor;
+        this.updateActiveDescendant();
+      }
+
+      this.announce(
+        this.getResource(
+          this.selectedResource,
+          [this.getDescription(cells[0])],
+          'Selected: {1}'
+        )
+      );
+    } else if (cells.length > 1) {
+      this.announce(
+        this.getResource(
+          this.selectedCellsResource,
+          [String(cells.length)],
+          '{1} cells selected'
+        )
+      );
+    } else {
+      this.announce(
+        this.getResource(this.selectionClearedResource, [], 'Selection cleared')
+      );
+    }
+  }
+
+  /**
+   * Returns the cell of the given candidates that is next to the given state
+   * in the given direction or null if no such cell exists.
+   *
+   * @param state {@link CellState} where the search starts.
+   * @param direction {@link FocusDirection} of the search.
+   * @param candidates Array of {@link Cell} to choose from.
+   */
+  getCellInDirection(
+    state: CellState,
+    direction: FocusDirection,
+    candidates: Cell[]
+  ): Cell | null {
+    const view = this.graph.getView();
+    const cx = state.getCenterX();
+    const cy = state.getCenterY();
+    let result: Cell | null = null;
+    let best = Infinity;
+
+    for (const cell of candidates) {
+      const tmp = view.getState(cell);
+
+      if (tmp != null && cell !== state.cell) {
+        const dx = tmp.getCenterX() - cx;
+        const dy = tmp.getCenterY() - cy;
+        const horizontal = direction === 'left' || direction === 'right';
+        const primary =
+          direction === 'right'
+            ? dx
+            : direction === 'left'
+            ? -dx
+            : direction === 'down'
+            ? dy
+            : -dy;
+
+        // Cells that are further away from the axis are penalized
+        const score = primary + 2 * Math.abs(horizontal ? dy : dx);
+
+        if (primary > 0 && score < best) {
+          best = score;
+          result = cell;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns all vertices that can be focused.
+   */
+  getFocusableVertices(): Cell[] {
+    return Array.from(this.itemForCell.keys()).filter(
+      (cell) => cell.isVertex() && this.isFocusable(cell)
+    );
+  }
+
+  /**
+   * Returns the cell to be focused from the given cell in the given direction.
+   * Connected vertices are preferred, all other vertices are used if no
+   * connected vertex exists in the given direction.
+   */
+  getNextCell(cell: Cell, direction: FocusDirection): Cell | null {
+    const state = this.graph.getView().getState(cell);
+
+    if (state == null) {
+      return null;
+    }
+
+    if (this.connectSource == null) {
+      const connected: Cell[] = [];
+
+      if (cell.isEdge()) {
+        connected.push(
+          ...([cell.getTerminal(true), cell.getTerminal(false)].filter(
+            (c) => c != null
+          ) as Cell[])
+        );
+      } else {
+        for (const edge of this.graph.getEdges(cell)) {
+          const other = edge.getTerminal(edge.getTerminal(true) === cell ? false : true);
+
+          if (other != null) {
+            connected.push(other);
+          }
+        }
+      }
+
+      const next = this.getCellInDirection(
+        state,
+        direction,
+        connected.filter((c) => this.isFocusable(c))
+      );
+
+      if (next != null) {
+        return next;
+      }
+    }
+    return this.getCellInDirection(state, direction, this.getFocusableVertices());
+  }
+
+  /**
+   * Focuses the next or previous edge of {@link anchor}.
+   *
+   * @param step 1 for the next and -1 for the previous edge.
+   */
+  focusEdge(step: number): void {
+    if (this.anchor == null) {
+      return;
+    }
+
+    const edges = this.graph.getEdges(this.anchor).filter((e) => this.isFocusable(e));
+
+    if (edges.length > 0) {
+      const index = this.focusedCell != null ? edges.indexOf(this.focusedCell) : -1;
+      const next =
+        index < 0
+          ? edges[step > 0 ? 0 : edges.length - 1]
+          : edges[(index + step + edges.length) % edges.length];
+      this.focusCell(next);
+    }
+  }
+
+  /**
+   * Focuses the other terminal of the given edge or the first child of the
+   * given vertex.
+   */
+  enter(cell: Cell): void {
+    if (cell.isEdge()) {
+      const source = cell.getTerminal(true);
+      const other = source === this.anchor ? cell.getTerminal(false) : source;
+
+      if (other != null) {
+        this.anchor = other;
+        this.focusCell(other);
+      }
+    } else {
+      const children = this.getChildren(cell);
+
+      if (children.length > 0) {
+        this.focusCell(children[0]);
+      }
+    }
+  }
+
+  /**
+   * Focuses the parent of the given cell in the tree.
+   */
+  focusParent(cell: Cell): void {
+    const parent = cell.getParent();
+
+    if (parent != null && this.isFocusable(parent)) {
+      this.focusCell(parent);
+    } else {
+      this.graph.clearSelection();
+    }
+  }
+
+  /**
+   * Returns the step for moving and resizing cells with the keyboard.
+   */
+  getStep(evt: KeyboardEvent): number {
+    return !isAltDown(evt) && this.graph.isGridEnabled() ? this.graph.getGridSize() : 1;
+  }
+
+  /**
+   * Moves the selection cells in the given direction using
+   * {@link SelectionHandler.moveCellsBy}.
+   */
+  moveSelection(direction: FocusDirection, evt: KeyboardEvent): void {
+    const handler = this.graph.getPlugin('SelectionHandler') as
+      | SelectionHandler
+      | undefined;
+
+    if (handler == null) {
+      return;
+    }
+
+    const step = this.getStep(evt);
+    const dx = direction === 'left' ? -step : direction === 'right' ? step : 0;
+    const dy = direction === 'up' ? -step : direction === 'down' ? step : 0;
+    const moved = handler.moveCellsBy(this.graph.getSelectionCells(), dx, dy);
+    const geo = moved.length > 0 ? moved[0].getGeometry() : null;
+
+    if (geo != null) {
+      this.announce(
+        this.getResource(
+          this.movedResource,
+          [this.getLabelText(moved[0]), String(geo.x), String(geo.y)],
+          '{1} moved to {2}, {3}'
+        )
+      );
+    }
+  }
+
+  /**
+   * Resizes the focused vertex in the given direction using
+   * {@link VertexHandler.resizeBy}. Right and down increase the size.
+   */
+  resizeFocusedCell(direction: FocusDirection, evt: KeyboardEvent): void {
+    const cell = this.focusedCell;
+
+    if (cell == null || !cell.isVertex()) {
+      return;
+    }
+
+    if (!this.graph.isCellSelected(cell)) {
+      this.graph.setSelectionCell(cell);
+    }
+
+    const cellsHandler = this.graph.getPlugin('SelectionCellsHandler') as
+      | SelectionCellsHandler
+      | undefined;
+    const handler = cellsHandler?.getHandler(cell);
+
+    if (handler instanceof VertexHandler) {
+      const step = this.getStep(evt);
+      handler.resizeBy(
+        direction === 'left' ? -step : direction === 'right' ? step : 0,
+        direction === 'up' ? -step : direction === 'down' ? step : 0
+      );
+
+      const geo = cell.getGeometry();
+
+      if (geo != null) {
+        this.announce(
+          this.getResource(
+            this.resizedResource,
+            [this.getLabelText(cell), String(geo.width), String(geo.height)],
+            '{1} resized to {2} by {3}'
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Starts connecting the focused vertex.
+   */
+  startConnect(): void {
+    const cell = this.focusedCell;
+    const handler = this.graph.getPlugin('ConnectionHandler') as
+      | ConnectionHandler
+      | undefined;
+
+    if (
+      cell != null &&
+      cell.isVertex() &&
+      handler != null &&
+      handler.isEnabled() &&
+      this.graph.isValidSource(cell)
+    ) {
+      this.connectSource = cell;
+      this.announce(
+        this.getResource(
+          this.connectFromResource,
+          [this.getLabelText(cell)],
+          'Connecting from {1}, choose the target with the arrow keys and press Enter'
+        )
+      );
+    }
+  }
+
+  /**
+   * Connects {@link connectSource} with the focused cell using
+   * {@link ConnectionHandler.connectCells}.
+   */
+  finishConnect(evt: KeyboardEvent): void {
+    const source = this.connectSource;
+    const target = this.focusedCell;
+    const handler = this.graph.getPlugin('ConnectionHandler') as
+      | ConnectionHandler
+      | undefined;
+    this.connectSource = null;
+
+    if (source == null || target == null || handler == null) {
+      return;
+    }
+
+    const edge = handler.connectCells(source, target, evt);
+    const params = [this.getLabelText(source), this.getLabelText(target)];
+
+    if (edge != null) {
+      this.announce(
+        this.getResource(this.connectedResource, params, 'Connected {1} to {2}')
+      );
+    } else {
+      this.announce(
+        this.getResource(this.notConnectedResource, params, 'Cannot connect {1} to {2}')
+      );
+    }
+  }
+
+  /**
+   * Returns true if the given event should be handled.
+   */
+  isEnabledForEvent(evt: KeyboardEvent): boolean {
+    return (
+      this.isEnabled() &&
+      this.graph.isEnabled() &&
+      !this.graph.isEditing() &&
+      !isConsumed(evt) &&
+      evt.target === this.graph.container
+    );
+  }
+
+  /**
+   * Handles the given keydown event.
+   */
+  keyDown(evt: KeyboardEvent): void {
+    if (!this.isEnabledForEvent(evt)) {
+      return;
+    }
+
+    const direction = DIRECTIONS[evt.key];
+    const cell = this.focusedCell;
+    let handled = true;
+
+    if (direction != null) {
+      if (isShiftDown(evt) && this.connectSource == null) {
+        this.moveSelection(direction, evt);
+      } else if ((isControlDown(evt) || isMetaDown(evt)) && this.connectSource == null) {
+        this.resizeFocusedCell(direction, evt);
+      } else if (cell == null) {
+        this.focusCell(this.getFirstCell());
+      } else {
+        const next = this.getNextCell(cell, direction);
+
+        if (next != null) {
+          this.focusCell(next, this.connectSource == null && this.selectOnFocus);
+        }
+      }
+    } else if (evt.key === ']' || evt.key === '[') {
+      this.focusEdge(evt.key === ']' ? 1 : -1);
+    } else if (evt.key === 'Enter' && cell != null) {
+      if (this.connectSource != null) {
+        this.finishConnect(evt);
+      } else {
+        this.enter(cell);
+      }
+    } else if (evt.key === 'Escape') {
+      if (this.connectSource != null) {
+        this.connectSource = null;
+        this.announce(this.getResource(this.cancelledResource, [], 'Cancelled'));
+      } else if (cell != null) {
+        this.focusParent(cell);
+      }
+    } else if (evt.key === ' ' && cell != null) {
+      if (this.graph.isCellSelected(cell)) {
+        this.graph.removeSelectionCell(cell);
+      } else {
+        this.graph.addSelectionCell(cell);
+      }
+    } else if (
+      (evt.key === 'c' || evt.key === 'C') &&
+      !isControlDown(evt) &&
+      !isMetaDown(evt)
+    ) {
+      this.startConnect();
+    } else if (evt.key === 'F2' && cell != null) {
+      this.graph.startEditingAtCell(cell);
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      InternalEvent.consume(evt);
+    }
+  }
+
+  /**
+   * Removes all listeners and DOM nodes of this handler.
+   */
+  onDestroy(): void {
+    const { container } = this.graph;
+
+    if (this.announceThread != null) {
+      window.clearTimeout(this.announceThread);
+      this.announceThread = null;
+    }
+
+    this.graph.getDataModel().removeListener(this.refreshHandler);
+    this.graph.getView().removeListener(this.refreshHandler);
+    this.graph.removeListener(this.selectionHandler);
+    InternalEvent.removeListener(container, 'keydown', this.keydownHandler);
+    InternalEvent.removeListener(container, 'focus', this.focusHandler);
+    InternalEvent.removeListener(container, 'blur', this.blurHandler);
+
+    this.highlight.destroy();
+    this.items.parentNode?.removeChild(this.items);
+    this.liveRegion.parentNode?.removeChild(this.liveRegion);
+    container.removeAttribute('aria-activedescendant');
+
+    for (const name in this.containerAttributes) {
+      const value = this.containerAttributes[name];
+
+      if (value == null) {
+        container.removeAttribute(name);
+      } else {
+        container.setAttribute(name, value);
+      }
+    }
+  }
+}
+
+export default AccessibilityHandler;
@@ -53,10 +53,39 @@ import {
 } from '../../util/EventUtils';
 import EventSource from '../event/EventSource';
 
+import Translations from '../../util/Translations';
+import { isSafeUrl, RICH_TEXT_SCHEMA, sanitizeHtml } from '../../util/htmlUtils';
+
 import type { Graph } from '../Graph';
 import type { GraphPlugin } from '../../types';
+import type { HtmlSchema } from '../../util/htmlUtils';
 import TooltipHandler from './TooltipHandler';
 
+/**
+ * Names of the formatting commands of the rich text editor, see
+ * {@link CellEditorHandler.execCommand}.
+ */
+export type RichTextCommand =
+  | 'bold'
+  | 'italic'
+  | 'underline'
+  | 'strikeThrough'
+  | 'subscript'
+  | 'superscript'
+  | 'insertUnorderedList'
+  | 'insertOrderedList'
+  | 'createLink'
+  | 'unlink'
+  | 'fontName'
+  | 'fontSize'
+  | 'foreColor'
+  | 'justifyLeft'
+  | 'justifyCenter'
+  | 'justifyRight'
+  | 'removeFormat'
+  | 'undo'
+  | 'redo';
+
 /**
  * In-place editor for the graph. To control this editor, use
  * {@link Graph#invokesStopCellEditing}, {@link Graph#enterStopsCellEditing} and
@@ -111,6 +140,23 @@ import TooltipHandler from './TooltipHandler';
  * To implement a placeholder for cells without a label, use the
  * <emptyLabelText> variable.
  *
+ * Rich text:
+ *
+ * If <richText> is true then HTML labels, see {@link Graph#isHtmlLabel}, are
+ * edited as formatted text. A small toolbar with the <toolbarCommands> is
+ * displayed above the editor and the formatting can be changed using
+ * <execCommand>. The resulting markup is sanitized with the schema from
+ * {@link Graph#getLabelHtmlSchema} or {@link RICH_TEXT_SCHEMA}. Changes inside
+ * the editor can be undone with <undo> and <redo> or Ctrl+Z and Ctrl+Y.
+ *
+ * ```javascript
+ * graph.setHtmlLabels(true);
+ * graph.labelHtmlSchema = RICH_TEXT_SCHEMA;
+ *
+ * const cellEditor = graph.getPlugin('CellEditorHandler');
+ * cellEditor.richText = true;
+ * ```
+ *
  * Resize in Chrome:
  *
  * Resize of the textarea is disabled by default. If you want to enable
@@ -302,6 +348,71 @@ class CellEditorHandler implements GraphPlugin {
    */
   align: string | null = null;
 
+  /**
+   * Specifies if HTML labels should be edited as rich text. Default is false.
+   */
+  richText: boolean = false;
+
+  /**
+   * Specifies if the toolbar should be displayed while editing rich text.
+   * Default is true.
+   */
+  toolbarEnabled: boolean = true;
+
+  /**
+   * Commands for the buttons in the toolbar. Default contains the commands
+   * for bold, italic, underlined and struck through text, lists, links and
+   * for removing the formatting.
+   */
+  toolbarCommands: RichTextCommand[] = [
+    'bold',
+    'italic',
+    'underline',
+    'strikeThrough',
+    'insertUnorderedList',
+    'insertOrderedList',
+    'createLink',
+    'removeFormat',
+  ];
+
+  /**
+   * Holds the toolbar for rich text editing. This is null if no rich text is
+   * being edited.
+   */
+  toolbar: HTMLElement | null = null;
+
+  /**
+   * Background color of the buttons in the toolbar whose command applies to
+   * the current selection. Default is '#E5F1FB'.
+   */
+  activeCommandColor: string = '#E5F1FB';
+
+  /**
+   * Holds the states of the text for <undo> and <redo>.
+   */
+  history: string[] = [];
+
+  /**
+   * Index of the current state in <history>.
+   */
+  historyIndex: number = -1;
+
+  /**
+   * Maximum number of states in <history>. Default is 100.
+   */
+  maxHistorySize: number = 100;
+
+  /**
+   * Time in milliseconds in which consecutive input is merged into a single
+   * state in <history>. Default is 1000.
+   */
+  historyMergeDelay: number = 1000;
+
+  /**
+   * Time of the last input that was added to <history>.
+   */
+  lastInputTime: number = 0;
+
   /**
    * Creates the <textarea> and installs the event listeners. The key handler
    * updates the {@link odified} state.
@@ -340,10 +451,37 @@ class CellEditorHandler implements GraphPlugin {
     this.resize();
   }
 
+  /**
+   * Returns true if the label of the given state should be edited as rich
+   * text. This returns true if <richText> is true and the label of the cell
+   * is HTML. Markdown labels are always edited as source text.
+   */
+  isRichText(state: CellState) {
+    return (
+      this.richText &&
+      this.graph.isHtmlLabel(state.cell) &&
+      !this.graph.isMarkdownLabel(state.cell)
+    );
+  }
+
+  /**
+   * Returns the {@link HtmlSchema} for sanitizing the rich text of the given
+   * state. This returns {@link Graph#getLabelHtmlSchema} or
+   * {@link RICH_TEXT_SCHEMA} if no schema is defined for the cell.
+   */
+  getHtmlSchema(state: CellState): HtmlSchema {
+    return this.graph.getLabelHtmlSchema(state.cell) ?? RICH_TEXT_SCHEMA;
+  }
+
   /**
    * Gets the initial editing value for the given cell.
    */
   getInitialValue(state: CellState, trigger: MouseEvent | null) {
+    if (this.isRichText(state)) {
+      const value = this.graph.getEditingValue(state.cell, trigger);
+      return sanitizeHtml(value != null ? String(value) : '', this.getHtmlSchema(state));
+    }
+
     let result = htmlEntities(this.graph.getEditingValue(state.cell, trigger), false);
     result = replaceTrailingNewlines(result, '<div><br></div>');
     return result.replace(/\n/g, '<br>');
@@ -355,6 +493,10 @@ class CellEditorHandler implements GraphPlugin {
   getCurrentValue(state: CellState) {
     if (!this.textarea) return null;
 
+    if (this.isRichText(state)) {
+      return sanitizeHtml(this.textarea.innerHTML, this.getHtmlSchema(state));
+    }
+
     return extractTextWithWhitespace(<Element[]>Array.from(this.textarea.childNodes));
   }
 
@@ -400,10 +542,35 @@ class CellEditorHandler implements GraphPlugin {
         } else if (evt.keyCode === 27 /* Escape */) {
           this.graph.stopEditing(this.isCancelEditingKeyEvent(evt));
           InternalEvent.consume(evt);
+        } else if (this.isUndoEvent(evt)) {
+          this.undo();
+          InternalEvent.consume(evt);
+        } else if (this.isRedoEvent(evt)) {
+          this.redo();
+          InternalEvent.consume(evt);
         }
       }
     });
 
+    // Adds the changes to the history
+    InternalEvent.addListener(elt, 'input', () => {
+      if (this.editingCell != null) {
+        const now = Date.now();
+        this.addHistoryState(now - this.lastInputTime < this.historyMergeDelay);
+        this.lastInputTime = now;
+      }
+    });
+
+    // Updates the state of the toolbar buttons
+    const updateToolbar = () => {
+      if (this.toolbar != null) {
+        this.updateToolbar();
+      }
+    };
+
+    InternalEvent.addListener(elt, 'keyup', updateToolbar);
+    InternalEvent.addListener(elt, 'mouseup', updateToolbar);
+
     // Keypress only fires if printable key was pressed and handles removing the empty placeholder
     const keypressHandler = (evt: KeyboardEvent) => {
       if (this.editingCell != null) {
@@ -485,6 +652,354 @@ class CellEditorHandler implements GraphPlugin {
     );
   }
 
+  /**
+   * Returns true if the given keydown event should undo the last change in
+   * the editor. This returns true for Ctrl+Z or Cmd+Z without shift.
+   */
+  isUndoEvent(evt: KeyboardEvent) {
+    return (
+      evt.keyCode === 90 /* Z */ &&
+      (isControlDown(<MouseEvent>(<unknown>evt)) ||
+        isMetaDown(<MouseEvent>(<unknown>evt))) &&
+      !isShiftDown(<MouseEvent>(<unknown>evt))
+    );
+  }
+
+  /**
+   * Returns true if the given keydown event should redo the last undone
+   * change in the editor. This returns true for Ctrl+Y or Ctrl+Shift+Z and
+   * the respective Cmd keys.
+   */
+  isRedoEvent(evt: KeyboardEvent) {
+    return (
+      (isControlDown(<MouseEvent>(<unknown>evt)) ||
+        isMetaDown(<MouseEvent>(<unknown>evt))) &&
+      (evt.keyCode === 89 /* Y */ ||
+        (evt.keyCode === 90 /* Z */ && isShiftDown(<MouseEvent>(<unknown>evt))))
+    );
+  }
+
+  /**
+   * Clears the <history> and adds the current text as the first state.
+   */
+  resetHistory() {
+    this.history = [];
+    this.historyIndex = -1;
+    this.lastInputTime = 0;
+    this.addHistoryState(false);
+  }
+
+  /**
+   * Adds the current text to the <history> and removes all states that have
+   * been undone. If merge is true then the current state is replaced.
+   *
+   * @param merge Specifies if the current state should be replaced.
+   */
+  addHistoryState(merge: boolean) {
+    if (this.textarea != null) {
+      const value = this.textarea.innerHTML;
+
+      if (value !== this.history[this.historyIndex]) {
+        this.history = this.history.slice(0, this.historyIndex + 1);
+
+        if (merge && this.historyIndex > 0) {
+          this.history[this.historyIndex] = value;
+        } else {
+          this.history.push(value);
+
+          if (this.history.length > this.maxHistorySize) {
+            this.history.shift();
+          }
+
+          this.historyIndex = this.history.length - 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if a change in the editor can be undone.
+   */
+  canUndo() {
+    return this.historyIndex > 0;
+  }
+
+  /**
+   * Returns true if an undone change in the editor can be redone.
+   */
+  canRedo() {
+    return this.historyIndex < this.history.length - 1;
+  }
+
+  /**
+   * Undoes the last change in the editor.
+   */
+  undo() {
+    if (this.canUndo()) {
+      this.restoreHistoryState(this.historyIndex - 1);
+    }
+  }
+
+  /**
+   * Redoes the last undone change in the editor.
+   */
+  redo() {
+    if (this.canRedo()) {
+      this.restoreHistoryState(this.historyIndex + 1);
+    }
+  }
+
+  /**
+   * Replaces the text with the state at the given index in the <history>
+   * and moves the caret to the end of the text.
+   */
+  restoreHistoryState(index: number) {
+    if (this.textarea != null) {
+      this.historyIndex = index;
+      this.lastInputTime = 0;
+      this.clearOnChange = false;
+      this.textarea.innerHTML = this.history[index];
+
+      const selection = window.getSelection();
+
+      if (selection != null) {
+        const range = document.createRange();
+        range.selectNodeContents(this.textarea);
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+      }
+
+      this.resize();
+      this.updateToolbar();
+    }
+  }
+
+  /**
+   * Applies the given formatting command to the selection in the editor. For
+   * `createLink` the value is the URL, which is ignored if it uses an unsafe
+   * protocol, for `fontName` the font family, for `fontSize` the font size in
+   * pixels and for `foreColor` the color. Returns true if the command was
+   * applied.
+   *
+   * @param command {@link RichTextCommand} to be applied.
+   * @param value Optional value for the command.
+   */
+  execCommand(command: RichTextCommand, value: string | null = null) {
+    if (this.textarea == null || this.editingCell == null) {
+      return false;
+    } else if (command === 'undo') {
+      this.undo();
+      return true;
+    } else if (command === 'redo') {
+      this.redo();
+      return true;
+    } else if (command === 'createLink' && (value == null || !isSafeUrl(value))) {
+      return false;
+    }
+
+    this.textarea.focus();
+    this.addHistoryState(false);
+
+    // Adds the input event of the command as a separate state
+    this.lastInputTime = 0;
+    let result = false;
+
+    try {
+      if (command === 'fontSize') {
+        result = this.setFontSize(value);
+      } else {
+        result = document.execCommand(command, false, value ?? undefined);
+      }
+    } catch (e) {
+      // ignore
+    }
+
+    this.addHistoryState(false);
+    this.lastInputTime = 0;
+    this.resize();
+    this.updateToolbar();
+
+    return result;
+  }
+
+  /**
+   * Sets the font size of the selection to the given size in pixels. This
+   * uses the largest size of the `fontSize` command as a marker which is then
+   * replaced with the given size.
+   */
+  setFontSize(value: string | null) {
+    const size = parseFloat(value ?? '');
+    const textarea = <HTMLElement>this.textarea;
+
+    if (isNaN(size) || !document.execCommand('fontSize', false, '7')) {
+      return false;
+    }
+
+    for (const font of Array.from(textarea.getElementsByTagName('font'))) {
+      if (font.getAttribute('size') === '7') {
+        font.removeAttribute('size');
+        font.setAttribute('style', `font-size: ${size}px`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if the given command applies to the selection in the editor.
+   */
+  isCommandActive(command: RichTextCommand) {
+    try {
+      return document.queryCommandState(command);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns the title of the toolbar button for the given command.
+   */
+  getCommandTitle(command: RichTextCommand) {
+    return Translations.get(command, null, command) ?? command;
+  }
+
+  /**
+   * Returns the label of the toolbar button for the given command.
+   */
+  getCommandLabel(command: RichTextCommand) {
+    const labels: { [command: string]: string } = {
+      bold: 'B',
+      italic: 'I',
+      underline: 'U',
+      strikeThrough: 'S',
+      subscript: 'x\u2082',
+      superscript: 'x\u00B2',
+      insertUnorderedList: '\u2022',
+      insertOrderedList: '1.',
+      createLink: '\u2197',
+      unlink: '\u2198',
+      justifyLeft: '\u21E4',
+      justifyCenter: '\u2194',
+      justifyRight: '\u21E5',
+      removeFormat: '\u2205',
+      undo: '\u21B6',
+      redo: '\u21B7',
+    };
+    return labels[command] ?? command;
+  }
+
+  /**
+   * Creates the toolbar with a button for each of the <toolbarCommands>.
+   * Commands that require a value prompt for the value.
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'mxCellEditorToolbar';
+    toolbar.style.position = 'absolute';
+    toolbar.style.zIndex = String(this.zIndex + 1);
+    toolbar.style.whiteSpace = 'nowrap';
+    toolbar.style.backgroundColor = 'white';
+    toolbar.style.border = '1px solid lightgray';
+    toolbar.style.padding = '2px';
+
+    for (const command of this.toolbarCommands) {
+      const button = document.createElement('button');
+      button.setAttribute('type', 'button');
+      button.setAttribute('title', this.getCommandTitle(command));
+      button.setAttribute('data-command', command);
+      button.textContent = this.getCommandLabel(command);
+      button.style.minWidth = '24px';
+      button.style.marginRight = '2px';
+
+      if (command === 'bold') {
+        button.style.fontWeight = 'bold';
+      } else if (command === 'italic') {
+        button.style.fontStyle = 'italic';
+      } else if (command === 'underline') {
+        button.style.textDecoration = 'underline';
+      } else if (command === 'strikeThrough') {
+        button.style.textDecoration = 'line-through';
+      }
+
+      // Keeps the selection in the editor
+      InternalEvent.addListener(button, 'mousedown', (evt: MouseEvent) => {
+        InternalEvent.consume(evt);
+      });
+
+      InternalEvent.addListener(button, 'click', (evt: MouseEvent) => {
+        let value: string | null = null;
+
+        if (
+          command === 'createLink' ||
+          command === 'fontName' ||
+          command === 'fontSize' ||
+          command === 'foreColor'
+        ) {
+          value = prompt(
+            this.getCommandTitle(command),
+            command === 'createLink' ? 'https://' : ''
+          );
+        }
+
+        if (value != null || command !== 'createLink') {
+          this.execCommand(command, value);
+        }
+
+        InternalEvent.consume(evt);
+      });
+
+      toolbar.appendChild(button);
+    }
+    return toolbar;
+  }
+
+  /**
+   * Highlights the buttons in the <toolbar> whose command applies to the
+   * selection and moves the toolbar above the editor.
+   */
+  updateToolbar() {
+    const { toolbar, textarea } = this;
+
+    if (toolbar != null && textarea != null && this.graph.container != null) {
+      for (const button of Array.from(toolbar.getElementsByTagName('button'))) {
+        const command = <RichTextCommand>button.getAttribute('data-command');
+        button.style.backgroundColor = this.isCommandActive(command)
+          ? this.activeCommandColor
+          : '';
+      }
+
+      const container = this.graph.container;
+      const origin = container.getBoundingClientRect();
+      const bounds = textarea.getBoundingClientRect();
+
+      toolbar.style.left = `${Math.max(
+        0,
+        Math.round(bounds.left - origin.left + container.scrollLeft)
+      )}px`;
+      toolbar.style.top = `${Math.max(
+        0,
+        Math.round(
+          bounds.top - origin.top + container.scrollTop - toolbar.offsetHeight - 4
+        )
+      )}px`;
+    }
+  }
+
+  /**
+   * Removes the <toolbar>.
+   */
+  removeToolbar() {
+    if (this.toolbar != null) {
+      InternalEvent.release(this.toolbar);
+
+      if (this.toolbar.parentNode != null) {
+        this.toolbar.parentNode.removeChild(this.toolbar);
+      }
+
+      this.toolbar = null;
+    }
+  }
+
   /**
    * Returns true if this editor is the source for the given native event.
    */
@@ -678,6 +1193,8 @@ class CellEditorHandler implements GraphPlugin {
           m == null ? '' : ` translate(${m.x * 100}%,${m.y * 100}%)`
         }`
       );
+
+      this.updateToolbar();
     }
   }
 
@@ -771,6 +1288,11 @@ class CellEditorHandler implements GraphPlugin {
         textarea.removeAttribute('dir');
       }
 
+      const richText = this.isRichText(state);
+      textarea.className = richText
+        ? 'mxCellEditor mxRichTextEditor'
+        : 'mxCellEditor mxPlainTextEditor';
+
       // Sets the initial editing value
       textarea.innerHTML = this.getInitialValue(state, trigger) || '';
       this.initialValue = textarea.innerHTML;
@@ -788,10 +1310,17 @@ class CellEditorHandler implements GraphPlugin {
       // @ts-ignore
       this.graph.container.appendChild(textarea);
 
+      if (richText && this.toolbarEnabled) {
+        this.toolbar = this.createToolbar();
+        // @ts-ignore
+        this.graph.container.appendChild(this.toolbar);
+      }
+
       // Update this after firing all potential events that could update the cleanOnChange flag
       this.editingCell = cell;
       this.trigger = trigger;
       this.textNode = null;
+      this.resetHistory();
 
       if (state.text !== null && this.isHideLabel(state)) {
         this.textNode = <SVGGElement>state.text.node;
@@ -869,6 +1398,9 @@ class CellEditorHandler implements GraphPlugin {
       this.bounds = null;
       textarea.blur();
       clearSelection();
+      this.removeToolbar();
+      this.history = [];
+      this.historyIndex = -1;
 
       if (textarea.parentNode) {
         textarea.parentNode.removeChild(textarea);
@@ -1074,6 +1606,8 @@ class CellEditorHandler implements GraphPlugin {
    * Destroys the editor and removes all associated resources.
    */
   onDestroy() {
+    this.removeToolbar();
+
     if (this.textarea) {
       InternalEvent.release(this.textarea);
       if (this.textarea.parentNode) {
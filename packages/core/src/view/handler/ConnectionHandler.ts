@@ -500,7 +500,7 @@ class ConnectionHandler extends EventSource implements GraphPlugin {
     const shape =
       this.livePreview && this.edgeState
         ? this.graph.cellRenderer.createShape(this.edgeState)
-        : new PolylineShape([], INVALID_COLOR);
+        : new PolylineShape([], this.graph.getThemeColor('invalidColor', INVALID_COLOR));
 
     if (shape && shape.node) {
       shape.dialect = DIALECT.SVG;
@@ -1043,7 +1043,10 @@ class ConnectionHandler extends EventSource implements GraphPlugin {
             this.constraintHandler.currentConstraint != null &&
             this.constraintHandler.currentFocus != null
           ) {
-            this.marker.highlight.shape.stroke = OUTLINE_HIGHLIGHT_COLOR;
+            this.marker.highlight.shape.stroke = this.graph.getThemeColor(
+              'outlineHighlightColor',
+              OUTLINE_HIGHLIGHT_COLOR
+            );
             this.marker.highlight.shape.strokeWidth =
               OUTLINE_HIGHLIGHT_STROKEWIDTH / s / s;
             this.marker.highlight.repaint();
@@ -1061,7 +1064,10 @@ class ConnectionHandler extends EventSource implements GraphPlugin {
               this.marker.highlight.shape.stroke = 'transparent';
               this.currentState = null;
             } else {
-              this.marker.highlight.shape.stroke = DEFAULT_VALID_COLOR;
+              this.marker.highlight.shape.stroke = this.graph.getThemeColor(
+                'validColor',
+                DEFAULT_VALID_COLOR
+              );
             }
 
             this.marker.highlight.shape.strokeWidth = HIGHLIGHT_STROKEWIDTH / s / s;
@@ -1693,14 +1699,17 @@ class ConnectionHandler extends EventSource implements GraphPlugin {
   }
 
   /**
-   * Returns the color used to draw the preview edge. This returns green if
-   * there is no edge validation error and red otherwise.
+   * Returns the color used to draw the preview edge. This returns the
+   * `validColor` of the {@link Theme} of the graph or green if there is no
+   * edge validation error and the `invalidColor` or red otherwise.
    *
    * @param valid Boolean indicating if the color for a valid edge should be
    * returned.
    */
   getEdgeColor(valid: boolean) {
-    return valid ? VALID_COLOR : INVALID_COLOR;
+    return valid
+      ? this.graph.getThemeColor('validColor', VALID_COLOR)
+      : this.graph.getThemeColor('invalidColor', INVALID_COLOR);
   }
 
   /**
@@ -1909,6 +1918,41 @@ class ConnectionHandler extends EventSource implements GraphPlugin {
     }
   }
 
+  /**
+   * Connects the given source and target without a mouse gesture, eg. for
+   * connecting cells with the keyboard. Returns the new edge or null if the
+   * connection is not valid or a gesture is in progress.
+   *
+   * @param source <Cell> that represents the source terminal.
+   * @param target <Cell> that represents the target terminal.
+   * @param evt Event that triggered the connection.
+   */
+  connectCells(source: Cell, target: Cell, evt: Event): Cell | null {
+    if (
+      !this.isEnabled() ||
+      this.isConnecting() ||
+      !this.graph.isValidSource(source) ||
+      this.validateConnection(source, target) != null
+    ) {
+      return null;
+    }
+
+    let edge: Cell | null = null;
+    const handler = (sender: EventSource, evt: EventObject) => {
+      edge = evt.getProperty('cell');
+    };
+
+    this.reset();
+    this.addListener(InternalEvent.CONNECT, handler);
+
+    try {
+      this.connect(source, target, <MouseEvent>evt);
+    } finally {
+      this.removeListener(handler);
+    }
+    return edge;
+  }
+
   /**
    * Selects the given edge after adding a new connection. The target argument
    * contains the target vertex if one has been inserted.
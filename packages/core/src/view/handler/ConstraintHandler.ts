@@ -37,6 +37,7 @@ import InternalMouseEvent from '../event/InternalMouseEvent';
 import ConnectionConstraint from '../other/ConnectionConstraint';
 import Point from '../geometry/Point';
 import Cell from '../cell/Cell';
+import type { ColorValue } from '../../types';
 
 /**
  * Handles constraints on connection targets. This class is in charge of
@@ -80,9 +81,11 @@ class ConstraintHandler {
   enabled = true;
 
   /**
-   * Specifies the color for the highlight. Default is {@link DEFAULT_VALID_COLOR}.
+   * Specifies the color for the highlight. If this is null then the
+   * `highlightColor` of the {@link Theme} of the graph or
+   * {@link DEFAULT_VALID_COLOR} is used. Default is null.
    */
-  highlightColor = DEFAULT_VALID_COLOR;
+  highlightColor: ColorValue | null = null;
 
   mouseleaveHandler: (() => void) | null = null;
 
@@ -463,10 +466,13 @@ class ConstraintHandler {
    * Returns true if the given icon intersects the given point.
    */
   createHighlightShape() {
+    const color =
+      this.highlightColor ??
+      this.graph.getThemeColor('highlightColor', DEFAULT_VALID_COLOR);
     const hl = new RectangleShape(
       new Rectangle(),
-      this.highlightColor,
-      this.highlightColor,
+      color,
+      color,
       HIGHLIGHT_STROKEWIDTH
     );
     hl.opacity = HIGHLIGHT_OPACITY;
@@ -498,10 +498,11 @@ class EdgeHandler {
   }
 
   /**
-   * Returns {@link Constants#EDGE_SELECTION_COLOR}.
+   * Returns the `edgeSelectionColor` of the {@link Theme} of the graph or
+   * {@link Constants#EDGE_SELECTION_COLOR}.
    */
   getSelectionColor() {
-    return EDGE_SELECTION_COLOR;
+    return this.graph.getThemeColor('edgeSelectionColor', EDGE_SELECTION_COLOR);
   }
 
   /**
@@ -731,8 +732,8 @@ class EdgeHandler {
 
     return new RectangleShape(
       new Rectangle(0, 0, s, s),
-      HANDLE_FILLCOLOR,
-      HANDLE_STROKECOLOR
+      this.graph.getThemeColor('handleFillColor', HANDLE_FILLCOLOR),
+      this.graph.getThemeColor('handleStrokeColor', HANDLE_STROKECOLOR)
     );
   }
 
@@ -754,8 +755,8 @@ class EdgeHandler {
     const s = LABEL_HANDLE_SIZE;
     return new RectangleShape(
       new Rectangle(0, 0, s, s),
-      LABEL_HANDLE_FILLCOLOR,
-      HANDLE_STROKECOLOR
+      this.graph.getThemeColor('labelHandleFillColor', LABEL_HANDLE_FILLCOLOR),
+      this.graph.getThemeColor('handleStrokeColor', HANDLE_STROKECOLOR)
     );
   }
 
@@ -1326,7 +1327,7 @@ class EdgeHandler {
         this.constraintHandler.currentFocus != null
       ) {
         this.marker.highlight.shape.stroke = outline
-          ? OUTLINE_HIGHLIGHT_COLOR
+          ? this.graph.getThemeColor('outlineHighlightColor', OUTLINE_HIGHLIGHT_COLOR)
           : 'transparent';
         this.marker.highlight.shape.strokeWidth = OUTLINE_HIGHLIGHT_STROKEWIDTH / s / s;
         this.marker.highlight.repaint();
@@ -1336,7 +1337,7 @@ class EdgeHandler {
         this.marker.highlight.shape.stroke =
           cell && cell.isConnectable() && this.marker.getValidState() !== me.getState()
             ? 'transparent'
-            : DEFAULT_VALID_COLOR;
+            : this.graph.getThemeColor('validColor', DEFAULT_VALID_COLOR);
         this.marker.highlight.shape.strokeWidth = HIGHLIGHT_STROKEWIDTH / s / s;
         this.marker.highlight.repaint();
       }
@@ -1673,7 +1674,7 @@ class EdgeHandler {
       this.customHandles[i].reset();
     }
 
-    this.setPreviewColor(EDGE_SELECTION_COLOR);
+    this.setPreviewColor(this.getSelectionColor());
     this.removeHint();
     this.redraw();
   }
@@ -1938,18 +1939,21 @@ class EdgeHandler {
     const isSource = index === 0;
     const { cell } = this.state;
     const terminal = cell.getTerminal(isSource);
-    let color = HANDLE_FILLCOLOR;
+    let color = this.graph.getThemeColor('handleFillColor', HANDLE_FILLCOLOR);
 
     if (
       (terminal != null && !this.graph.isCellDisconnectable(cell, terminal, isSource)) ||
       (terminal == null && !this.graph.isTerminalPointMovable(cell, isSource))
     ) {
-      color = LOCKED_HANDLE_FILLCOLOR;
+      color = this.graph.getThemeColor('lockedHandleFillColor', LOCKED_HANDLE_FILLCOLOR);
     } else if (
       terminal != null &&
       this.graph.isCellDisconnectable(cell, terminal, isSource)
     ) {
-      color = CONNECT_HANDLE_FILLCOLOR;
+      color = this.graph.getThemeColor(
+        'connectHandleFillColor',
+        CONNECT_HANDLE_FILLCOLOR
+      );
     }
 
     return color;
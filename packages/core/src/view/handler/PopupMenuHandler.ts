@@ -22,7 +22,7 @@ import { getScrollOrigin } from '../../util/styleUtils';
 import { getMainEvent, isMultiTouchEvent } from '../../util/EventUtils';
 import { Graph } from '../Graph';
 import InternalMouseEvent from '../event/InternalMouseEvent';
-import { GraphPlugin } from '../../types';
+import { GraphPlugin, PopupMenuItem } from '../../types';
 import TooltipHandler from './TooltipHandler';
 import EventSource from '../event/EventSource';
 import EventObject from '../event/EventObject';
@@ -50,11 +50,24 @@ class PopupMenuHandler extends MaxPopupMenu implements GraphPlugin {
 
     this.graph.addListener(InternalEvent.GESTURE, this.gestureHandler);
 
+    // Sets the properties of the theme as the menu is not in the container
+    this.themeHandler = (sender: EventSource, eo: EventObject) => {
+      this.graph.updateThemeProperties(
+        eo.getProperty('previous'),
+        eo.getProperty('theme'),
+        this.div
+      );
+    };
+
+    this.graph.addListener(InternalEvent.THEME, this.themeHandler);
+
     this.init();
   }
 
   gestureHandler: (sender: EventSource, eo: EventObject) => void;
 
+  themeHandler: (sender: EventSource, eo: EventObject) => void;
+
   inTolerance = false;
   popupTrigger = false;
 
@@ -107,6 +120,15 @@ class PopupMenuHandler extends MaxPopupMenu implements GraphPlugin {
     });
   }
 
+  /**
+   * Creates the submenu for the given parent item and sets the properties of
+   * the theme of the graph on the submenu.
+   */
+  createSubmenu(parent: PopupMenuItem) {
+    super.createSubmenu(parent);
+    this.graph.updateThemeProperties(null, this.graph.getTheme(), parent.div);
+  }
+
   /**
    * Hook for returning if a cell should be selected for a given {@link MouseEvent}.
    * This implementation returns <selectOnPopup>.
@@ -202,6 +224,7 @@ class PopupMenuHandler extends MaxPopupMenu implements GraphPlugin {
   onDestroy() {
     this.graph.removeMouseListener(this);
     this.graph.removeListener(this.gestureHandler);
+    this.graph.removeListener(this.themeHandler);
 
     // Supercall
     super.destroy();
@@ -153,6 +153,17 @@ class RubberBandHandler implements GraphPlugin {
     return isAltDown(me.getEvent());
   }
 
+  /**
+   * Returns true if the given event is on the background. Cells in locked
+   * layers are treated as the background so that rubberband selections can
+   * be started on top of them.
+   */
+  isBackgroundEvent(me: InternalMouseEvent) {
+    const state = me.getState();
+
+    return !state || this.graph.isCellInLockedLayer(state.cell);
+  }
+
   /**
    * Handles the event by initiating a rubberband selection. By consuming the
    * event all subsequent events of the gesture are redirected to this
@@ -163,7 +174,7 @@ class RubberBandHandler implements GraphPlugin {
       !me.isConsumed() &&
       this.isEnabled() &&
       this.graph.isEnabled() &&
-      !me.getState() &&
+      this.isBackgroundEvent(me) &&
       !isMultiTouchEvent(me.getEvent())
     ) {
       const offset = getOffset(this.graph.container);
@@ -0,0 +1,335 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import InternalEvent from '../event/InternalEvent';
+import EventObject from '../event/EventObject';
+import Cell from '../cell/Cell';
+import CellHighlight from '../cell/CellHighlight';
+import CellAttributeChange from '../undoable_changes/CellAttributeChange';
+import ChildChange from '../undoable_changes/ChildChange';
+import RootChange from '../undoable_changes/RootChange';
+import StyleChange from '../undoable_changes/StyleChange';
+import ValueChange from '../undoable_changes/ValueChange';
+import { Graph } from '../Graph';
+
+import type { ColorValue, GraphPlugin, SearchOptions, SearchResult } from '../../types';
+
+/**
+ * Plugin that implements find and replace for a graph. The search is done with
+ * {@link Graph.findInCells} and matches the labels, the attributes of XML user
+ * objects and optionally the style values of the cells. The cells with matches
+ * can be iterated with {@link next} and {@link previous}, which scroll the
+ * current cell into view and highlight it. {@link replaceAll} uses
+ * {@link Graph.replaceInCells} so that all replacements are undone in a single
+ * step.
+ *
+ * The results are updated after changes of the model that may affect them so
+ * that changes of labels or attributes, eg. via {@link CellAttributeChange},
+ * are taken into account. Updating the results does not scroll the graph or
+ * change the selection.
+ *
+ * This plugin is not part of the default plugins.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * const graph = new Graph(container, undefined, [...defaultPlugins, SearchHandler]);
+ * const search = graph.getPlugin('SearchHandler');
+ *
+ * search.find('Hello', { wholeWord: true });
+ * search.next();
+ * search.replaceAll('World');
+ * ```
+ *
+ * @class SearchHandler
+ */
+class SearchHandler implements GraphPlugin {
+  static pluginId = 'SearchHandler';
+
+  constructor(graph: Graph) {
+    this.graph = graph;
+    this.highlight = new CellHighlight(graph, this.highlightColor, this.strokeWidth);
+
+    this.refreshHandler = (sender: any, evt: EventObject) => {
+      this.refresh(evt.getProperty('edit').changes);
+    };
+    graph.getDataModel().addListener(InternalEvent.CHANGE, this.refreshHandler);
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * {@link CellHighlight} for the current cell.
+   */
+  highlight: CellHighlight;
+
+  /**
+   * Color of the highlight for the current cell.
+   * @default '#FF9900'
+   */
+  highlightColor: ColorValue = '#FF9900';
+
+  /**
+   * Stroke width of the highlight for the current cell.
+   * @default 3
+   */
+  strokeWidth = 3;
+
+  /**
+   * Specifies if the current cell should be selected.
+   * @default false
+   */
+  selectResults = false;
+
+  /**
+   * The current search pattern or null if no search is active.
+   */
+  pattern: string | null = null;
+
+  /**
+   * The {@link SearchOptions} of the current search.
+   */
+  options: SearchOptions = {};
+
+  /**
+   * Holds the matching values of the current search.
+   */
+  results: SearchResult[] = [];
+
+  /**
+   * Holds the cells with matching values in the order of {@link results}.
+   */
+  cells: Cell[] = [];
+
+  /**
+   * Index of the current cell in {@link cells} or -1 if no cell is current.
+   */
+  index = -1;
+
+  refreshHandler: (sender: any, evt: EventObject) => void;
+
+  /**
+   * Searches the cells for the given pattern and returns the number of cells
+   * with matching values. The first cell is not shown until {@link next} is
+   * called.
+   *
+   * @param pattern String that contains the text or regular expression.
+   * @param options Optional {@link SearchOptions}.
+   */
+  find(pattern: string, options: SearchOptions = {}): number {
+    this.pattern = pattern;
+    this.options = options;
+    this.index = -1;
+    this.highlight.hide();
+    this.update();
+
+    return this.cells.length;
+  }
+
+  /**
+   * Updates {@link results} and {@link cells} for the current search.
+   */
+  update(): void {
+    this.results =
+      this.pattern != null ? this.graph.findInCells(this.pattern, this.options) : [];
+    this.cells = [];
+
+    for (const result of this.results) {
+      if (this.cells[this.cells.length - 1] !== result.cell) {
+        this.cells.push(result.cell);
+      }
+    }
+  }
+
+  /**
+   * Updates the results after a change of the model and keeps the current
+   * cell if it still matches. The current cell is highlighted again but not
+   * scrolled into view or selected.
+   *
+   * @param changes Optional array of changes of the model. If the changes are
+   * given then the results are only updated if {@link isAffectedBy} returns
+   * true.
+   */
+  refresh(changes: any[] | null = null): void {
+    if (this.pattern != null && (changes == null || this.isAffectedBy(changes))) {
+      const current = this.getCurrentCell();
+      this.update();
+      this.index = current != null ? this.cells.indexOf(current) : -1;
+      const state =
+        this.index >= 0 ? this.graph.getView().getState(this.cells[this.index]) : null;
+
+      if (state != null) {
+        this.highlight.highlight(state);
+      } else {
+        this.highlight.hide();
+      }
+    }
+  }
+
+  /**
+   * Returns true if the given changes of the model may change the results of
+   * the current search. This returns true for changes of values, attributes,
+   * children and the root and for changes of styles if the styles are
+   * searched.
+   *
+   * @param changes Array of changes of the model.
+   */
+  isAffectedBy(changes: any[]): boolean {
+    return changes.some(
+      (change) =>
+        change instanceof ValueChange ||
+        change instanceof CellAttributeChange ||
+        change instanceof ChildChange ||
+        change instanceof RootChange ||
+        (change instanceof StyleChange && !!this.options.styles)
+    );
+  }
+
+  /**
+   * Returns the current cell or null if no cell is current.
+   */
+  getCurrentCell(): Cell | null {
+    return this.cells[this.index] ?? null;
+  }
+
+  /**
+   * Returns the matching values of the current cell.
+   */
+  getCurrentResults(): SearchResult[] {
+    const cell = this.getCurrentCell();
+
+    return this.results.filter((result) => result.cell === cell);
+  }
+
+  /**
+   * Makes the next cell with matches the current cell. Starts at the first
+   * cell after the last cell. Returns the new current cell.
+   */
+  next(): Cell | null {
+    return this.moveTo(this.index + 1);
+  }
+
+  /**
+   * Makes the previous cell with matches the current cell. Starts at the last
+   * cell before the first cell. Returns the new current cell.
+   */
+  previous(): Cell | null {
+    return this.moveTo(this.index < 0 ? -1 : this.index - 1);
+  }
+
+  /**
+   * Makes the cell at the given index the current cell, wrapping around at the
+   * start and end of {@link cells}.
+   */
+  moveTo(index: number): Cell | null {
+    const count = this.cells.length;
+
+    if (count > 0) {
+      this.index = ((index % count) + count) % count;
+      this.showResult();
+    } else {
+      this.index = -1;
+      this.highlight.hide();
+    }
+    return this.getCurrentCell();
+  }
+
+  /**
+   * Scrolls the current cell into view, highlights it and selects it if
+   * {@link selectResults} is true.
+   */
+  showResult(): void {
+    const cell = this.getCurrentCell();
+
+    if (cell != null) {
+      this.graph.scrollCellToVisible(cell);
+
+      if (this.selectResults) {
+        this.graph.setSelectionCell(cell);
+      }
+
+      this.highlight.highlight(this.graph.getView().getState(cell));
+    }
+  }
+
+  /**
+   * Replaces the matches in the current cell with the given replacement and
+   * moves to the next cell. Returns true if the cell was changed.
+   *
+   * @param replacement String to replace the matches with.
+   */
+  replace(replacement: string): boolean {
+    const cell = this.getCurrentCell();
+
+    if (this.pattern != null && cell != null && this.graph.isEnabled()) {
+      const { index } = this;
+      const changed =
+        this.graph.replaceInCells(this.pattern, replacement, {
+          ...this.options,
+          cells: [cell],
+        }).length > 0;
+
+      // The results are updated by the change listener so that the next cell
+      // takes the index of the cell if it no longer matches
+      const current = this.cells.indexOf(cell);
+      this.moveTo(current >= 0 ? current + 1 : index);
+
+      return changed;
+    }
+    return false;
+  }
+
+  /**
+   * Replaces all matches of the current search with the given replacement and
+   * returns the changed cells.
+   *
+   * @param replacement String to replace the matches with.
+   */
+  replaceAll(replacement: string): Cell[] {
+    if (this.pattern != null && this.graph.isEnabled()) {
+      return this.graph.replaceInCells(this.pattern, replacement, {
+        ...this.options,
+        cells: this.cells,
+      });
+    }
+    return [];
+  }
+
+  /**
+   * Ends the current search and hides the highlight.
+   */
+  reset(): void {
+    this.pattern = null;
+    this.options = {};
+    this.results = [];
+    this.cells = [];
+    this.index = -1;
+    this.highlight.hide();
+  }
+
+  /**
+   * Removes the listeners and the highlight.
+   */
+  onDestroy(): void {
+    this.graph.getDataModel().removeListener(this.refreshHandler);
+    this.highlight.destroy();
+  }
+}
+
+export default SearchHandler;
@@ -185,6 +185,17 @@ class SelectionCellsHandler extends EventSource implements GraphPlugin {
       handler.onDestroy();
     });
 
+    // Creates the missing shapes of off-screen cells in virtualized mode
+    if (
+      this.graph.view.isVirtualized() &&
+      tmp.some((cell) => {
+        const state = this.graph.view.getState(cell);
+        return state != null && !state.shape && !this.handlers.get(cell);
+      })
+    ) {
+      this.graph.view.updateVirtualization();
+    }
+
     // Creates new handlers and updates parent highlight on existing handlers
     for (let i = 0; i < tmp.length; i += 1) {
       const state = this.graph.view.getState(tmp[i]);
@@ -439,11 +439,16 @@ class SelectionHandler implements GraphPlugin {
   }
 
   /**
-   * Hook to return initial cell for the given event.
+   * Hook to return initial cell for the given event. This returns null for
+   * cells in locked layers.
    */
   getInitialCellForEvent(me: InternalMouseEvent) {
     let state = me.getState();
 
+    if (state && this.graph.isCellInLockedLayer(state.cell)) {
+      return null;
+    }
+
     if (
       (!this.graph.isToggleEvent(me.getEvent()) || !isAltDown(me.getEvent())) &&
       state &&
@@ -931,7 +936,11 @@ class SelectionHandler implements GraphPlugin {
       ) {
         // Highlight is used for highlighting drop targets
         if (!this.highlight) {
-          this.highlight = new CellHighlight(this.graph, DROP_TARGET_COLOR, 3);
+          this.highlight = new CellHighlight(
+            this.graph,
+            this.graph.getThemeColor('dropTargetColor', DROP_TARGET_COLOR),
+            3
+          );
         }
 
         const clone =
@@ -955,7 +964,9 @@ class SelectionHandler implements GraphPlugin {
         if (state && (clone || (target && this.isValidDropTarget(target, me)))) {
           if (this.target !== target) {
             this.target = target;
-            this.setHighlightColor(DROP_TARGET_COLOR);
+            this.setHighlightColor(
+              graph.getThemeColor('dropTargetColor', DROP_TARGET_COLOR)
+            );
           }
 
           highlight = true;
@@ -974,7 +985,10 @@ class SelectionHandler implements GraphPlugin {
 
             if (state) {
               const error = graph.getEdgeValidationError(null, this.cell, cell);
-              const color = error === null ? VALID_COLOR : INVALID_CONNECT_TARGET_COLOR;
+              const color =
+                error === null
+                  ? graph.getThemeColor('validColor', VALID_COLOR)
+                  : graph.getThemeColor('invalidColor', INVALID_CONNECT_TARGET_COLOR);
               this.setHighlightColor(color);
               highlight = true;
             }
@@ -1622,6 +1636,32 @@ class SelectionHandler implements GraphPlugin {
     }
   }
 
+  /**
+   * Moves the given cells by the specified amount without a mouse gesture, eg.
+   * for moving the selection with the keyboard. Only the cells that are
+   * movable are moved. Returns the cells that have been moved.
+   *
+   * @param cells Array of {@link Cell} to be moved.
+   * @param dx Horizontal amount in model coordinates.
+   * @param dy Vertical amount in model coordinates.
+   */
+  moveCellsBy(cells: Cell[], dx: number, dy: number): Cell[] {
+    if (!this.isEnabled() || !this.isMoveEnabled()) {
+      return [];
+    }
+
+    const movable = this.graph.getMovableCells(cells);
+
+    if (movable.length > 0) {
+      this.graph.moveCells(movable, dx, dy);
+
+      if (this.isSelectEnabled() && this.scrollOnMove) {
+        this.graph.scrollCellToVisible(movable[0]);
+      }
+    }
+    return movable;
+  }
+
   /**
    * Returns true if the given parent should be removed after removal of child cells.
    */
@@ -28,6 +28,7 @@ import PopupMenuHandler from './PopupMenuHandler';
 
 import type { GraphPlugin } from '../../types';
 import EventSource from '../event/EventSource';
+import EventObject from '../event/EventObject';
 
 /**
  * Graph event handler that displays tooltips. {@link Graph#getTooltip} is used to
@@ -63,6 +64,16 @@ class TooltipHandler implements GraphPlugin {
 
     document.body.appendChild(this.div);
 
+    // Sets the properties of the theme as the tooltip is not in the container
+    this.themeHandler = (sender: EventSource, evt: EventObject) => {
+      this.graph.updateThemeProperties(
+        evt.getProperty('previous'),
+        evt.getProperty('theme'),
+        this.div
+      );
+    };
+    this.graph.addListener(InternalEvent.THEME, this.themeHandler);
+
     InternalEvent.addGestureListeners(this.div, (evt) => {
       const source = getSource(evt);
 
@@ -86,6 +97,8 @@ class TooltipHandler implements GraphPlugin {
 
   div: HTMLElement;
 
+  themeHandler: (sender: EventSource, evt: EventObject) => void;
+
   /**
    * Specifies the zIndex for the tooltip and its shadow. Default is 10005.
    */
@@ -316,6 +329,7 @@ class TooltipHandler implements GraphPlugin {
   onDestroy() {
     if (!this.destroyed) {
       this.graph.removeMouseListener(this);
+      this.graph.removeListener(this.themeHandler);
       InternalEvent.release(this.div);
 
       if (this.div.parentNode) {
@@ -49,6 +49,8 @@ import EdgeHandler from './EdgeHandler';
 import EventSource from '../event/EventSource';
 import SelectionHandler from './SelectionHandler';
 import SelectionCellsHandler from './SelectionCellsHandler';
+import Guide from '../other/Guide';
+import TableHandle from '../cell/TableHandle';
 
 /**
  * Event handler for resizing cells. This handler is automatically created in
@@ -90,6 +92,12 @@ class VertexHandler {
    */
   index: number | null = null;
 
+  /**
+   * Holds the {@link Guide} that is used for the size and spacing guides
+   * while resizing.
+   */
+  guide: Guide | null = null;
+
   /**
    * Specifies if the bounds of handles should be used for hit-detection in IE or
    * if <tolerance> > 0. Default is true.
@@ -278,7 +286,7 @@ class VertexHandler {
             CURSOR.LABEL_HANDLE,
             InternalEvent.LABEL_HANDLE,
             LABEL_HANDLE_SIZE,
-            LABEL_HANDLE_FILLCOLOR
+            this.graph.getThemeColor('labelHandleFillColor', LABEL_HANDLE_FILLCOLOR)
           );
           this.sizers.push(this.labelShape);
         }
@@ -292,7 +300,7 @@ class VertexHandler {
           CURSOR.MOVABLE_VERTEX,
           InternalEvent.LABEL_HANDLE,
           undefined,
-          LABEL_HANDLE_FILLCOLOR
+          this.graph.getThemeColor('labelHandleFillColor', LABEL_HANDLE_FILLCOLOR)
         );
         this.sizers.push(this.labelShape);
       }
@@ -304,7 +312,7 @@ class VertexHandler {
         this.rotationCursor,
         InternalEvent.ROTATION_HANDLE,
         HANDLE_SIZE + 3,
-        HANDLE_FILLCOLOR
+        this.graph.getThemeColor('handleFillColor', HANDLE_FILLCOLOR)
       );
       this.sizers.push(this.rotationShape);
     }
@@ -364,9 +372,28 @@ class VertexHandler {
   }
 
   /**
-   * Returns an array of custom handles. This implementation returns null.
+   * Returns an array of custom handles. This implementation returns a
+   * {@link TableHandle} for each boundary between two rows or two columns if
+   * the cell is a table, see {@link Graph.isTable}, and an empty array
+   * otherwise.
    */
-  createCustomHandles() {
+  createCustomHandles(): CellHandle[] {
+    const { cell } = this.state;
+
+    if (this.graph.isTable(cell) && this.graph.isCellResizable(cell)) {
+      const handles: CellHandle[] = [];
+      const columns = this.graph.getTableColumnCount(cell);
+      const rows = this.graph.getTableRows(cell).length;
+
+      for (let i = 0; i < columns - 1; i += 1) {
+        handles.push(new TableHandle(this.state, false, i));
+      }
+
+      for (let i = 0; i < rows - 1; i += 1) {
+        handles.push(new TableHandle(this.state, true, i));
+      }
+      return handles;
+    }
     return [];
   }
 
@@ -431,10 +458,11 @@ class VertexHandler {
   }
 
   /**
-   * Returns {@link Constants#VERTEX_SELECTION_COLOR}.
+   * Returns the `vertexSelectionColor` of the {@link Theme} of the graph or
+   * {@link Constants#VERTEX_SELECTION_COLOR}.
    */
   getSelectionColor() {
-    return VERTEX_SELECTION_COLOR;
+    return this.graph.getThemeColor('vertexSelectionColor', VERTEX_SELECTION_COLOR);
   }
 
   /**
@@ -459,7 +487,7 @@ class VertexHandler {
     cursor: string,
     index: number,
     size = HANDLE_SIZE,
-    fillColor = HANDLE_FILLCOLOR
+    fillColor = this.graph.getThemeColor('handleFillColor', HANDLE_FILLCOLOR)
   ) {
     const bounds = new Rectangle(0, 0, size, size);
     const sizer = this.createSizerShape(bounds, index, fillColor);
@@ -506,7 +534,13 @@ class VertexHandler {
    * index. Only images and rectangles should be returned if support for HTML
    * labels with not foreign objects is required.
    */
-  createSizerShape(bounds: Rectangle, index: number, fillColor = HANDLE_FILLCOLOR) {
+  createSizerShape(
+    bounds: Rectangle,
+    index: number,
+    fillColor = this.graph.getThemeColor('handleFillColor', HANDLE_FILLCOLOR)
+  ) {
+    const strokeColor = this.graph.getThemeColor('handleStrokeColor', HANDLE_STROKECOLOR);
+
     if (this.handleImage) {
       bounds = new Rectangle(
         bounds.x,
@@ -522,9 +556,9 @@ class VertexHandler {
       return shape;
     }
     if (index === InternalEvent.ROTATION_HANDLE) {
-      return new EllipseShape(bounds, fillColor, HANDLE_STROKECOLOR);
+      return new EllipseShape(bounds, fillColor, strokeColor);
     }
-    return new RectangleShape(bounds, fillColor, HANDLE_STROKECOLOR);
+    return new RectangleShape(bounds, fillColor, strokeColor);
   }
 
   /**
@@ -669,6 +703,10 @@ class VertexHandler {
         this.parentState = (<Graph>this.state.view.graph).view.getState(parent);
       }
 
+      if (index >= 0 && this.isGuidesEnabled()) {
+        this.guide = this.createGuide();
+      }
+
       // Creates a preview that can be on top of any HTML label
       this.selectionBorder.node.style.display =
         index === InternalEvent.ROTATION_HANDLE ? 'inline' : 'none';
@@ -734,6 +772,33 @@ class VertexHandler {
     }
   }
 
+  /**
+   * Returns true if the size and spacing guides should be used for resizing.
+   * This implementation returns {@link SelectionHandler.guidesEnabled}.
+   */
+  isGuidesEnabled() {
+    const selectionHandler = this.graph.getPlugin('SelectionHandler') as
+      | SelectionHandler
+      | undefined;
+
+    return !!selectionHandler?.guidesEnabled;
+  }
+
+  /**
+   * Returns the {@link Guide} for resizing. This implementation uses the states
+   * of {@link SelectionHandler.getGuideStates} and ignores the state of this
+   * handler and its descendants.
+   */
+  createGuide() {
+    const selectionHandler = this.graph.getPlugin('SelectionHandler') as SelectionHandler;
+    const guide = new Guide(this.graph, selectionHandler.getGuideStates());
+
+    guide.isStateIgnored = (state: CellState) =>
+      state.cell === this.state.cell || this.state.cell.isAncestor(state.cell);
+
+    return guide;
+  }
+
   /**
    * Starts the handling of the mouse gesture.
    */
@@ -1035,6 +1100,38 @@ class VertexHandler {
       }
     }
 
+    // Snaps to the sizes and spacings of other cells
+    if (this.guide != null && this.unscaledBounds != null && this.index != null) {
+      if (
+        geo != null &&
+        !geo.relative &&
+        alpha === 0 &&
+        !this.isCenteredEvent(this.state, me) &&
+        !this.isConstrainedEvent(me) &&
+        this.guide.isEnabledForEvent(me.getEvent())
+      ) {
+        const ox = this.parentState ? this.parentState.x : tr.x * scale;
+        const oy = this.parentState ? this.parentState.y : tr.y * scale;
+        const bounds = this.guide.resize(
+          new Rectangle(
+            ox + this.unscaledBounds.x * scale,
+            oy + this.unscaledBounds.y * scale,
+            this.unscaledBounds.width * scale,
+            this.unscaledBounds.height * scale
+          ),
+          this.singleSizer ? 7 : this.index,
+          this.graph.isGridEnabledEvent(me.getEvent())
+        );
+
+        this.unscaledBounds.x = (bounds.x - ox) / scale;
+        this.unscaledBounds.y = (bounds.y - oy) / scale;
+        this.unscaledBounds.width = bounds.width / scale;
+        this.unscaledBounds.height = bounds.height / scale;
+      } else {
+        this.guide.hide();
+      }
+    }
+
     if (this.unscaledBounds) {
       const old = this.bounds;
 
@@ -1335,6 +1432,11 @@ class VertexHandler {
 
     this.index = null;
 
+    if (this.guide) {
+      this.guide.destroy();
+      this.guide = null;
+    }
+
     // TODO: Reset and redraw cell states for live preview
     if (this.preview) {
       this.preview.destroy();
@@ -1444,6 +1546,32 @@ class VertexHandler {
     }
   }
 
+  /**
+   * Changes the size of the cell by the given amount without a mouse gesture,
+   * eg. for resizing with the keyboard. The top, left corner of the cell is
+   * kept and the width and height are at least 1.
+   *
+   * @param dw Amount to be added to the width in model coordinates.
+   * @param dh Amount to be added to the height in model coordinates.
+   */
+  resizeBy(dw: number, dh: number): void {
+    const { cell } = this.state;
+    const geo = cell.getGeometry();
+
+    if (geo != null && !geo.relative && this.graph.isCellResizable(cell)) {
+      const bounds = new Rectangle(
+        geo.x,
+        geo.y,
+        Math.max(1, geo.width + dw),
+        Math.max(1, geo.height + dh)
+      );
+
+      if (bounds.width !== geo.width || bounds.height !== geo.height) {
+        this.graph.resizeCell(cell, bounds, this.graph.isRecursiveResize(this.state));
+      }
+    }
+  }
+
   /**
    * Moves the children of the given cell by the given vector.
    */
@@ -2018,6 +2146,11 @@ class VertexHandler {
     (<Graph>this.state.view.graph).removeListener(this.escapeHandler);
     this.escapeHandler = () => {};
 
+    if (this.guide) {
+      this.guide.destroy();
+      this.guide = null;
+    }
+
     if (this.preview) {
       this.preview.destroy();
       this.preview = null;
@@ -45,6 +45,10 @@ import { Graph } from '../Graph';
  * 		.simulate(document, '_blank');
  * ```
  *
+ * The shapes and labels of the cell states are painted, so the export uses
+ * the same styles as the display, including the entries of the style rules
+ * of the {@link Stylesheet} and the resolved CSS custom properties.
+ *
  * @class ImageExport
  */
 class ImageExport {
@@ -60,14 +64,14 @@ class ImageExport {
    */
   drawState(state: CellState, canvas: AbstractCanvas2D): void {
     if (state) {
-      this.visitStatesRecursive(state, canvas, () => {
-        this.drawCellState(state, canvas);
+      this.visitStatesRecursive(state, canvas, (s: CellState) => {
+        this.drawCellState(s, canvas);
       });
 
       // Paints the overlays
       if (this.includeOverlays) {
-        this.visitStatesRecursive(state, canvas, () => {
-          this.drawOverlays(state, canvas);
+        this.visitStatesRecursive(state, canvas, (s: CellState) => {
+          this.drawOverlays(s, canvas);
         });
       }
     }
@@ -0,0 +1,184 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import ImageExport from './ImageExport';
+import SvgCanvas2D from '../canvas/SvgCanvas2D';
+import Rectangle from '../geometry/Rectangle';
+import Cell from '../cell/Cell';
+import { Graph } from '../Graph';
+import { NS_SVG, NS_XLINK } from '../../util/Constants';
+import { createXmlDocument, getXml } from '../../util/xmlUtils';
+
+/**
+ * Creates standalone SVG documents for a graph using {@link ImageExport} and
+ * {@link SvgCanvas2D}. The document is created with the DOM implementation of
+ * {@link DomEnvironment} so this can be used in Node, eg. to create thumbnails
+ * for stored diagrams:
+ *
+ * ```javascript
+ * import { JSDOM } from 'jsdom';
+ *
+ * const { document, DOMParser, XMLSerializer } = new JSDOM().window;
+ * DomEnvironment.configure({
+ *   document,
+ *   DOMParser,
+ *   XMLSerializer,
+ *   textMeasurer: DomEnvironment.approximateTextMeasurer,
+ * });
+ *
+ * const graph = new Graph(document.createElement('div'), undefined, []);
+ * const node = xmlUtils.parseXml(storedXml);
+ * new Codec(node.ownerDocument).decode(node, graph.getDataModel());
+ *
+ * const svgExport = new SvgExport(graph);
+ * svgExport.scale = 0.25;
+ * const svg = svgExport.getSvg();
+ * ```
+ *
+ * @class SvgExport
+ */
+class SvgExport {
+  constructor(graph: Graph) {
+    this.graph = graph;
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * The scale of the output relative to the model. Default is 1.
+   */
+  scale = 1;
+
+  /**
+   * The border around the graph in pixels. Default is 0.
+   */
+  border = 0;
+
+  /**
+   * Optional background color of the output. Default is null.
+   */
+  background: string | null = null;
+
+  /**
+   * Specifies if overlays should be included in the output. Default is false.
+   */
+  includeOverlays = false;
+
+  /**
+   * Specifies if the XML declaration should be added in {@link getSvg}.
+   * Default is true.
+   */
+  xmlDeclaration = true;
+
+  /**
+   * Returns the {@link ImageExport} that draws the cell states.
+   */
+  createImageExport(): ImageExport {
+    const imageExport = new ImageExport();
+    imageExport.includeOverlays = this.includeOverlays;
+
+    return imageExport;
+  }
+
+  /**
+   * Returns the {@link SvgCanvas2D} that writes to the given node.
+   *
+   * @param node SVG element to write the output to.
+   */
+  createCanvas(node: SVGElement): SvgCanvas2D {
+    return new SvgCanvas2D(node, false);
+  }
+
+  /**
+   * Returns the bounds of the given cells or the graph bounds in view
+   * coordinates.
+   */
+  getBounds(cells: Cell[] | null): Rectangle {
+    const bounds =
+      cells != null ? this.graph.getBoundingBox(cells) : this.graph.getGraphBounds();
+
+    return bounds ?? new Rectangle();
+  }
+
+  /**
+   * Returns the SVG root element for the given cells or the complete graph.
+   *
+   * @param cells Optional array of cells to be exported. Default is all cells.
+   */
+  getSvgElement(cells: Cell[] | null = null): SVGElement {
+    const view = this.graph.getView();
+    const vs = view.scale;
+    const s = this.scale;
+    const bounds = this.getBounds(cells);
+    const width = Math.max(1, Math.ceil((bounds.width / vs) * s) + 2 * this.border);
+    const height = Math.max(1, Math.ceil((bounds.height / vs) * s) + 2 * this.border);
+
+    const doc = createXmlDocument();
+    const root = <SVGElement>(<unknown>doc.createElementNS(NS_SVG, 'svg'));
+    root.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', NS_XLINK);
+    root.setAttribute('version', '1.1');
+    root.setAttribute('width', `${width}px`);
+    root.setAttribute('height', `${height}px`);
+    root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    doc.appendChild(root);
+
+    if (this.background != null) {
+      const rect = doc.createElementNS(NS_SVG, 'rect');
+      rect.setAttribute('width', '100%');
+      rect.setAttribute('height', '100%');
+      rect.setAttribute('fill', this.background);
+      root.appendChild(rect);
+    }
+
+    const group = <SVGElement>(<unknown>doc.createElementNS(NS_SVG, 'g'));
+    root.appendChild(group);
+
+    // Shapes paint in unscaled coordinates including the view translate
+    const canvas = this.createCanvas(group);
+    canvas.scale(s);
+    canvas.translate(this.border / s - bounds.x / vs, this.border / s - bounds.y / vs);
+
+    const imageExport = this.createImageExport();
+    const model = this.graph.getDataModel();
+    const states = (cells ?? [<Cell>model.getRoot()]).map((cell) => view.getState(cell));
+
+    for (const state of states) {
+      if (state != null) {
+        imageExport.drawState(state, canvas);
+      }
+    }
+    return root;
+  }
+
+  /**
+   * Returns the standalone SVG document for the given cells or the complete
+   * graph as a string.
+   *
+   * @param cells Optional array of cells to be exported. Default is all cells.
+   */
+  getSvg(cells: Cell[] | null = null): string {
+    const xml = getXml(<Element>(<unknown>this.getSvgElement(cells)));
+
+    return this.xmlDeclaration
+      ? `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${xml}`
+      : xml;
+  }
+}
+
+export default SvgExport;
@@ -294,6 +294,7 @@ class MxFastOrganicLayout extends GraphLayout {
 
         this.calcPositions();
         this.reduceTemperature();
+        this.updateProgress((this.iteration + 1) / this.maxIterations);
       }
 
       let minx = null;
@@ -58,6 +58,13 @@ class GraphLayout {
    */
   parent: Cell | null = null;
 
+  /**
+   * Optional function that is invoked with a value between 0 and 1 while
+   * {@link execute} is running. This is used to report the progress of
+   * layouts that are executed in a worker, see {@link LayoutWorkerHost}.
+   */
+  progressListener: ((progress: number) => void) | null = null;
+
   /**
    * Notified when a cell is being moved in a parent that has automatic
    * layout to update the cell state (eg. index) so that the outcome of the
@@ -90,6 +97,17 @@ class GraphLayout {
    */
   execute(parent: Cell): void {}
 
+  /**
+   * Invokes {@link progressListener} with the given value between 0 and 1.
+   *
+   * @param progress Number that specifies the completed part of the layout.
+   */
+  updateProgress(progress: number): void {
+    if (this.progressListener != null) {
+      this.progressListener(Math.min(Math.max(progress, 0), 1));
+    }
+  }
+
   /**
    * Returns the graph that this layout operates on.
    */
@@ -515,11 +515,17 @@ class HierarchicalLayout extends GraphLayout {
         this.tightenToSource
       );
 
+      const count = hierarchyVertices.length;
+
       this.cycleStage(parent);
       this.layeringStage();
+      this.updateProgress((i + 0.25) / count);
 
       this.crossingStage(parent);
+      this.updateProgress((i + 0.5) / count);
+
       initialX = this.placementStage(initialX, parent);
+      this.updateProgress((i + 1) / count);
     }
   }
 
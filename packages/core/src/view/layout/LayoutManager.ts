@@ -76,6 +76,15 @@ class LayoutManager extends EventSource {
    */
   enabled = true;
 
+  /**
+   * Origin of the edits that are created by this manager if no transaction is
+   * in progress, see {@link UndoableEdit.origin}. Layouts that are executed
+   * in {@link beforeUndo} are part of the edit that caused them, so they are
+   * undone together with that edit.
+   * @default 'layout'
+   */
+  origin = 'layout';
+
   /**
    * Holds the function that handles the endUpdate event.
    */
@@ -361,8 +370,7 @@ class LayoutManager extends EventSource {
       // Invokes the layouts while removing duplicates
       const model = this.getGraph().getDataModel();
 
-      model.beginUpdate();
-      try {
+      model.updateWithOrigin(this.origin, () => {
         let last = null;
 
         for (const cell of cells) {
@@ -373,9 +381,7 @@ class LayoutManager extends EventSource {
         }
 
         this.fireEvent(new EventObject(InternalEvent.LAYOUT_CELLS, { cells }));
-      } finally {
-        model.endUpdate();
-      }
+      });
     }
   }
 
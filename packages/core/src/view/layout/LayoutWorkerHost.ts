@@ -0,0 +1,232 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import GraphDataModel from '../GraphDataModel';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import JsonCodec from '../../serialization/JsonCodec';
+import GraphLayout from './GraphLayout';
+import { Graph } from '../Graph';
+import type { JsonObject } from '../../serialization/JsonObjectCodec';
+import type {
+  LayoutSnapshot,
+  LayoutWorkerRequest,
+  LayoutWorkerResponse,
+} from './WorkerLayout';
+
+/**
+ * The parts of the global scope of a worker that are used by
+ * {@link LayoutWorkerHost}.
+ */
+export type LayoutWorkerScope = {
+  postMessage: (message: any) => void;
+  addEventListener: (type: 'message', listener: (evt: MessageEvent) => void) => void;
+};
+
+/**
+ * Executes the layouts that are requested by {@link WorkerLayout} inside a
+ * Web Worker. For each request, the {@link LayoutSnapshot} is decoded into a
+ * new model and graph, the layout is executed and the resulting changes are
+ * sent back to the main thread.
+ *
+ * ```javascript
+ * // layout-worker.js
+ * const host = new LayoutWorkerHost(self);
+ * host.register('organic', (graph) => new FastOrganicLayout(graph));
+ * host.register('hierarchical', (graph) => new HierarchicalLayout(graph));
+ * ```
+ *
+ * The graph in the worker is created by {@link createGraph}. The view of the
+ * graph creates DOM nodes, which are not available in a worker, so a DOM
+ * implementation must be configured with {@link DomEnvironment.configure}
+ * before the first request is handled, or a function that creates a suitable
+ * graph must be passed to the constructor:
+ *
+ * ```javascript
+ * import { parseHTML } from 'linkedom';
+ *
+ * const { document, DOMParser } = parseHTML('<html><body></body></html>');
+ * DomEnvironment.configure({
+ *   document,
+ *   DOMParser,
+ *   textMeasurer: DomEnvironment.approximateTextMeasurer,
+ * });
+ * ```
+ *
+ * The requests are executed synchronously, so a pending request is cancelled
+ * by terminating the worker, see {@link WorkerLayout.cancel}.
+ *
+ * @class LayoutWorkerHost
+ */
+class LayoutWorkerHost {
+  constructor(scope: LayoutWorkerScope, createGraph?: (model: GraphDataModel) => Graph) {
+    this.scope = scope;
+
+    if (createGraph != null) {
+      this.createGraph = createGraph;
+    }
+
+    this.scope.addEventListener('message', (evt: MessageEvent) => {
+      this.handleMessage(evt.data);
+    });
+  }
+
+  /**
+   * The global scope of the worker.
+   */
+  scope: LayoutWorkerScope;
+
+  /**
+   * Maps from names to functions that create the layouts.
+   */
+  layouts: Map<string, (graph: Graph) => GraphLayout> = new Map();
+
+  /**
+   * Registers a function that creates the layout for the given name.
+   *
+   * @param name Name of the layout in {@link LayoutWorkerRequest}.
+   * @param factory Function that returns a new layout for the given graph.
+   */
+  register(name: string, factory: (graph: Graph) => GraphLayout): void {
+    this.layouts.set(name, factory);
+  }
+
+  /**
+   * Returns a new graph for the given model. This implementation returns a
+   * graph without plugins, which requires a DOM implementation that is
+   * configured with {@link DomEnvironment.configure}.
+   *
+   * @param model {@link GraphDataModel} that contains the decoded snapshot.
+   */
+  createGraph(model: GraphDataModel): Graph {
+    return new Graph(<HTMLElement>(<unknown>null), model, []);
+  }
+
+  /**
+   * Handles the given request.
+   */
+  handleMessage(request: LayoutWorkerRequest): void {
+    if (request.type === 'execute') {
+      try {
+        const changes = this.execute(
+          request.id,
+          request.layout,
+          request.parent,
+          request.options,
+          request.snapshot
+        );
+        this.postMessage({ type: 'result', id: request.id, changes });
+      } catch (e) {
+        this.postMessage({
+          type: 'error',
+          id: request.id,
+          message: e instanceof Error ? e.message : String(e),
+        });
+      }
+    }
+  }
+
+  /**
+   * Executes the given layout on a graph for the given snapshot and returns
+   * the encoded changes.
+   *
+   * @param id ID of the request for the progress messages.
+   * @param name Name of the layout.
+   * @param parentId ID of the parent whose children should be laid out.
+   * @param options Properties to be assigned to the layout.
+   * @param snapshot {@link LayoutSnapshot} of the graph.
+   */
+  execute(
+    id: number,
+    name: string,
+    parentId: string,
+    options: { [key: string]: unknown },
+    snapshot: LayoutSnapshot
+  ): JsonObject[] {
+    const factory = this.layouts.get(name);
+
+    if (factory == null) {
+      throw new Error(`Unknown layout: ${name}`);
+    }
+
+    const model = new GraphDataModel();
+    new JsonCodec(snapshot.model).decode(snapshot.model, model);
+
+    const graph = this.createGraph(model);
+    const stylesheet = graph.getStylesheet();
+
+    for (const key in snapshot.styles) {
+      stylesheet.putCellStyle(key, snapshot.styles[key]);
+    }
+
+    graph.setGridEnabled(snapshot.gridEnabled);
+    graph.setGridSize(snapshot.gridSize);
+
+    const parent = model.getCell(parentId);
+
+    if (parent == null) {
+      throw new Error(`Unknown parent: ${parentId}`);
+    }
+
+    const layout = factory(graph);
+    Object.assign(layout, options);
+
+    let last = -1;
+    layout.progressListener = (progress: number) => {
+      // Only sends changes of at least one percent
+      const value = Math.floor(progress * 100);
+
+      if (value !== last) {
+        last = value;
+        this.postMessage({ type: 'progress', id, progress });
+      }
+    };
+
+    const changes: any[] = [];
+    model.addListener(InternalEvent.CHANGE, (sender: any, evt: EventObject) => {
+      changes.push(...evt.getProperty('edit').changes);
+    });
+
+    model.beginUpdate();
+    try {
+      layout.execute(parent);
+    } finally {
+      model.endUpdate();
+      graph.destroy();
+    }
+
+    const enc = new JsonCodec();
+    const result: JsonObject[] = [];
+
+    for (const change of changes) {
+      const json = enc.encode(change);
+
+      if (json != null) {
+        result.push(json);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Sends the given response to the main thread.
+   */
+  postMessage(response: LayoutWorkerResponse): void {
+    this.scope.postMessage(response);
+  }
+}
+
+export default LayoutWorkerHost;
@@ -0,0 +1,974 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import GraphLayout from './GraphLayout';
+import FastOrganicLayout from './FastOrganicLayout';
+import Rectangle from '../geometry/Rectangle';
+import Cell from '../cell/Cell';
+import { Graph } from '../Graph';
+
+/**
+ * Describes a set of vertices whose centers should be on a common line.
+ */
+export type StressLayoutAlignment = {
+  /**
+   * The vertices to be aligned.
+   */
+  cells: Cell[];
+  /**
+   * `horizontal` places the centers on a common horizontal line and
+   * `vertical` places them on a common vertical line.
+   */
+  direction: 'horizontal' | 'vertical';
+};
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32) so that
+ * the result of the layout is reproducible.
+ */
+const createRandom = (seed: number) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Extends {@link GraphLayout} to implement a force-directed layout based on
+ * stress majorization, which places the vertices such that their geometric
+ * distances match the graph-theoretic distances. The stress is minimized
+ * using stochastic gradient descent on pairs of vertices.
+ *
+ * In addition to {@link FastOrganicLayout}, this layout supports the
+ * following constraints:
+ *
+ * - Pinned vertices, see {@link isVertexPinned}, keep their location and
+ *   the other vertices are arranged around them.
+ * - {@link minDistance} is the minimum spacing between the bounds of any
+ *   two vertices.
+ * - {@link alignments} places the centers of vertices on common lines.
+ * - If {@link clusterGroups} is true then the children of groups are laid
+ *   out together with the other vertices, kept close to each other and the
+ *   groups are resized to fit their children.
+ * - If {@link incremental} is true then the existing locations are used as
+ *   the starting point and are kept as far as possible, so that adding a few
+ *   vertices (see {@link addedVertices}) preserves the mental map.
+ *
+ * The layout stores the desired distances between all pairs of vertices, so
+ * it needs O(n²) memory for n vertices, eg. about 48 MB for 2000 vertices.
+ * If there are more than {@link maxVertexCount} vertices then the layout from
+ * {@link createFallbackLayout} is executed instead.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const layout = new StressLayout(graph);
+ * layout.alignments = [{ cells: [v1, v2, v3], direction: 'horizontal' }];
+ * layout.execute(graph.getDefaultParent());
+ *
+ * // Later, after inserting v4 and v5
+ * layout.incremental = true;
+ * layout.addedVertices = [v4, v5];
+ * layout.execute(graph.getDefaultParent());
+ * ```
+ */
+class StressLayout extends GraphLayout {
+  constructor(graph: Graph) {
+    super(graph);
+  }
+
+  /**
+   * Specifies if the top left corner of the input cells should be the origin
+   * of the layout result. This is ignored if there are pinned vertices or if
+   * {@link incremental} is true. Default is true.
+   */
+  useInputOrigin = true;
+
+  /**
+   * Specifies if all edge points of traversed edges should be removed.
+   * Default is true.
+   */
+  resetEdges = true;
+
+  /**
+   * Specifies if the STYLE_NOEDGESTYLE flag should be set on edges that are
+   * modified by the result. Default is true.
+   */
+  disableEdgeStyle = true;
+
+  /**
+   * The desired distance between the bounds of two connected vertices.
+   * Default is 100.
+   */
+  idealEdgeLength = 100;
+
+  /**
+   * The maximum number of iterations. Default is 50.
+   */
+  maxIterations = 50;
+
+  /**
+   * The layout stops if no vertex has been moved by more than this value in
+   * an iteration. Default is 0.5.
+   */
+  tolerance = 0.5;
+
+  /**
+   * The minimum distance between the bounds of two vertices. Overlapping
+   * vertices are always moved apart. Default is 10.
+   */
+  minDistance = 10;
+
+  /**
+   * The alignment constraints. Default is an empty array.
+   */
+  alignments: StressLayoutAlignment[] = [];
+
+  /**
+   * Specifies if the children of groups should be laid out together with
+   * the other vertices and kept close to each other. If this is false then
+   * groups are handled as normal vertices. Default is true.
+   */
+  clusterGroups = true;
+
+  /**
+   * The border to be added around the children of groups if
+   * {@link clusterGroups} is true. Default is 20.
+   */
+  groupBorder = 20;
+
+  /**
+   * The additional desired distance between vertices in different groups.
+   * Default is 50.
+   */
+  clusterSeparation = 50;
+
+  /**
+   * The fraction of the distance to the center of their group by which
+   * vertices are moved in each iteration. Default is 0.1.
+   */
+  clusterStrength = 0.1;
+
+  /**
+   * Specifies if the existing locations of the vertices should be used as the
+   * starting point and be kept as far as possible. Default is false.
+   */
+  incremental = false;
+
+  /**
+   * The vertices that have been added since the last layout if
+   * {@link incremental} is true. These are placed next to their neighbours
+   * before the layout is executed. Default is an empty array.
+   */
+  addedVertices: Cell[] = [];
+
+  /**
+   * The fraction of the distance to their original location by which
+   * existing vertices are moved back in each iteration if {@link incremental}
+   * is true. Default is 0.5.
+   */
+  anchorStrength = 0.5;
+
+  /**
+   * The seed for the random initial locations. Default is 1.
+   */
+  seed = 1;
+
+  /**
+   * The maximum number of vertices to be laid out by this layout. The
+   * distances between all pairs of vertices need 12 bytes per pair while the
+   * layout is executed. If there are more vertices then the layout from
+   * {@link createFallbackLayout} is used. Default is 2000.
+   */
+  maxVertexCount = 2000;
+
+  /**
+   * The vertices to be laid out.
+   */
+  vertexArray: Cell[] = [];
+
+  /**
+   * The groups whose children are laid out in pre-order.
+   */
+  groupArray: Cell[] = [];
+
+  /**
+   * Maps from vertices to their index in {@link vertexArray}.
+   */
+  indices: Map<Cell, number> = new Map();
+
+  /**
+   * The index of the innermost group in {@link groupArray} for each vertex or -1.
+   */
+  clusters: number[] = [];
+
+  /**
+   * The index of the outermost group in {@link groupArray} for each vertex or -1.
+   */
+  blocks: number[] = [];
+
+  /**
+   * The indices of the neighbours of each vertex.
+   */
+  neighbours: number[][] = [];
+
+  /**
+   * The center x-coordinates of the vertices.
+   */
+  x: number[] = [];
+
+  /**
+   * The center y-coordinates of the vertices.
+   */
+  y: number[] = [];
+
+  /**
+   * The widths of the vertices.
+   */
+  width: number[] = [];
+
+  /**
+   * The heights of the vertices.
+   */
+  height: number[] = [];
+
+  /**
+   * The original center x-coordinates of the vertices.
+   */
+  anchorX: number[] = [];
+
+  /**
+   * The original center y-coordinates of the vertices.
+   */
+  anchorY: number[] = [];
+
+  /**
+   * Specifies for each vertex if it may be moved.
+   */
+  movable: boolean[] = [];
+
+  /**
+   * Specifies for each vertex if it is part of a vertical alignment.
+   */
+  alignedX: boolean[] = [];
+
+  /**
+   * Specifies for each vertex if it is part of a horizontal alignment.
+   */
+  alignedY: boolean[] = [];
+
+  /**
+   * The desired distances between the centers of all pairs of vertices.
+   */
+  distances: Float64Array = new Float64Array(0);
+
+  /**
+   * Returns true if the given vertex should keep its location. This returns
+   * true if {@link isVertexMovable} returns false or if the style of the
+   * vertex contains `pinned=1`.
+   *
+   * @param cell {@link Cell} whose pinned state should be returned.
+   */
+  isVertexPinned(cell: Cell): boolean {
+    const pinned = this.getConstraint('pinned', cell);
+
+    return (
+      !this.isVertexMovable(cell) || pinned === true || pinned === 1 || pinned === '1'
+    );
+  }
+
+  /**
+   * Returns true if the children of the given vertex should be laid out
+   * instead of the vertex. This returns true if {@link clusterGroups} is true
+   * and the vertex is an expanded vertex with child vertices.
+   *
+   * @param cell {@link Cell} that represents the vertex.
+   */
+  isGroup(cell: Cell): boolean {
+    return (
+      this.clusterGroups &&
+      !cell.isCollapsed() &&
+      this.graph.getChildVertices(cell).length > 0
+    );
+  }
+
+  /**
+   * Returns the layout to be executed if there are more than
+   * {@link maxVertexCount} vertices. This implementation returns a
+   * {@link FastOrganicLayout} which needs O(n) memory but ignores the
+   * constraints of this layout.
+   */
+  createFallbackLayout(): GraphLayout {
+    const layout = new FastOrganicLayout(this.graph);
+    layout.useInputOrigin = this.useInputOrigin;
+    layout.resetEdges = this.resetEdges;
+    layout.disableEdgeStyle = this.disableEdgeStyle;
+    layout.forceConstant = this.idealEdgeLength;
+
+    return layout;
+  }
+
+  /**
+   * Implements {@link GraphLayout.execute}. This operates on all children of
+   * the given parent where {@link isVertexIgnored} returns false. If there
+   * are more than {@link maxVertexCount} vertices then the layout from
+   * {@link createFallbackLayout} is executed instead.
+   */
+  execute(parent: Cell): void {
+    this.parent = parent;
+    this.vertexArray = [];
+    this.groupArray = [];
+    this.indices = new Map();
+    this.clusters = [];
+    this.blocks = [];
+    this.addVertices(parent, -1, -1);
+
+    const n = this.vertexArray.length;
+
+    if (n === 0) {
+      return;
+    } else if (n > this.maxVertexCount) {
+      this.vertexArray = [];
+      this.createFallbackLayout().execute(parent);
+      return;
+    }
+
+    const edges = this.findNeighbours();
+    const origin = this.initialize();
+    this.distances = this.computeDistances();
+
+    const model = this.graph.getDataModel();
+    model.beginUpdate();
+    try {
+      for (const edge of edges) {
+        if (this.resetEdges) {
+          this.graph.resetEdge(edge);
+        }
+
+        if (this.disableEdgeStyle) {
+          this.setEdgeStyleEnabled(edge, false);
+        }
+      }
+
+      this.run();
+      this.applyLocations(origin);
+
+      if (this.groupArray.length > 0) {
+        this.graph.updateGroupBounds(this.groupArray, this.groupBorder, true);
+      }
+    } finally {
+      model.endUpdate();
+    }
+  }
+
+  /**
+   * Adds the vertices in the given parent to {@link vertexArray}. The children
+   * of groups are added recursively.
+   */
+  addVertices(parent: Cell, cluster: number, block: number): void {
+    for (const cell of this.graph.getChildVertices(parent)) {
+      if (this.isVertexIgnored(cell)) {
+        continue;
+      }
+
+      if (this.isGroup(cell)) {
+        const index = this.groupArray.length;
+        this.groupArray.push(cell);
+        this.addVertices(cell, index, block >= 0 ? block : index);
+      } else {
+        this.indices.set(cell, this.vertexArray.length);
+        this.vertexArray.push(cell);
+        this.clusters.push(cluster);
+        this.blocks.push(block);
+      }
+    }
+  }
+
+  /**
+   * Fills {@link neighbours} and returns the edges between the vertices.
+   */
+  findNeighbours(): Set<Cell> {
+    const result = new Set<Cell>();
+    this.neighbours = [];
+
+    for (let i = 0; i < this.vertexArray.length; i += 1) {
+      const vertex = this.vertexArray[i];
+      const edges = this.graph.getConnections(vertex);
+      this.neighbours[i] = [];
+
+      for (const edge of edges) {
+        const source = edge.getTerminal(true);
+        const opposite = source === vertex ? edge.getTerminal(false) : source;
+        const index = opposite != null ? this.indices.get(opposite) : undefined;
+
+        if (index != null && index !== i && !this.isEdgeIgnored(edge)) {
+          this.neighbours[i].push(index);
+          result.add(edge);
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Initializes the sizes, the movable and alignment flags and the start
+   * locations of the vertices and returns the top left corner of the input
+   * vertices.
+   */
+  initialize(): { x: number; y: number } {
+    const n = this.vertexArray.length;
+    const random = createRandom(this.seed);
+    const added = new Set(this.addedVertices);
+    const placed: boolean[] = [];
+    const origin = { x: Infinity, y: Infinity };
+
+    this.x = [];
+    this.y = [];
+    this.width = [];
+    this.height = [];
+    this.anchorX = [];
+    this.anchorY = [];
+    this.movable = [];
+
+    for (let i = 0; i < n; i += 1) {
+      const cell = this.vertexArray[i];
+      const bounds = this.getVertexBounds(cell);
+      const offset = this.getParentOffset(cell.getParent());
+
+      this.width[i] = bounds.width;
+      this.height[i] = bounds.height;
+      this.x[i] = bounds.x + offset.x + bounds.width / 2;
+      this.y[i] = bounds.y + offset.y + bounds.height / 2;
+      this.movable[i] = !this.isVertexPinned(cell);
+      placed[i] = !this.movable[i] || (this.incremental && !added.has(cell));
+
+      this.anchorX[i] = this.x[i];
+      this.anchorY[i] = this.y[i];
+
+      origin.x = Math.min(origin.x, bounds.x + offset.x);
+      origin.y = Math.min(origin.y, bounds.y + offset.y);
+    }
+
+    // Computes the area for the vertices without a location
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (let i = 0; i < n; i += 1) {
+      if (placed[i]) {
+        minX = Math.min(minX, this.x[i]);
+        minY = Math.min(minY, this.y[i]);
+        maxX = Math.max(maxX, this.x[i]);
+        maxY = Math.max(maxY, this.y[i]);
+      }
+    }
+
+    const size = Math.sqrt(n) * this.idealEdgeLength;
+
+    if (minX > maxX) {
+      minX = 0;
+      minY = 0;
+      maxX = size;
+      maxY = size;
+    }
+
+    // Places the new vertices next to their placed neighbours or randomly
+    for (let i = 0; i < n; i += 1) {
+      if (!placed[i]) {
+        let count = 0;
+        let cx = 0;
+        let cy = 0;
+
+        for (const j of this.neighbours[i]) {
+          if (placed[j]) {
+            cx += this.x[j];
+            cy += this.y[j];
+            count += 1;
+          }
+        }
+
+        if (count > 0 && this.incremental) {
+          const angle = random() * 2 * Math.PI;
+          this.x[i] = cx / count + (Math.cos(angle) * this.idealEdgeLength) / 2;
+          this.y[i] = cy / count + (Math.sin(angle) * this.idealEdgeLength) / 2;
+        } else if (this.incremental) {
+          this.x[i] = maxX + this.idealEdgeLength * (1 + random());
+          this.y[i] = minY + (maxY - minY) * random();
+        } else {
+          this.x[i] = (minX + maxX) / 2 + (random() - 0.5) * size;
+          this.y[i] = (minY + maxY) / 2 + (random() - 0.5) * size;
+        }
+      }
+    }
+
+    this.alignedX = new Array(n).fill(false);
+    this.alignedY = new Array(n).fill(false);
+
+    for (const alignment of this.alignments) {
+      for (const cell of alignment.cells) {
+        const index = this.indices.get(cell);
+
+        if (index != null) {
+          if (alignment.direction === 'vertical') {
+            this.alignedX[index] = true;
+          } else {
+            this.alignedY[index] = true;
+          }
+        }
+      }
+    }
+    return origin;
+  }
+
+  /**
+   * Returns the desired distances between the centers of all pairs of
+   * vertices based on the length of the shortest path between them. Vertices
+   * that are not connected are placed as far as the longest shortest path.
+   * The result and the temporary path lengths hold n² values each.
+   */
+  computeDistances(): Float64Array {
+    const n = this.vertexArray.length;
+    const hops = new Int32Array(n * n).fill(-1);
+    const queue = new Int32Array(n);
+    let max = 0;
+
+    for (let s = 0; s < n; s += 1) {
+      let head = 0;
+      let tail = 0;
+      hops[s * n + s] = 0;
+      queue[tail++] = s;
+
+      while (head < tail) {
+        const v = queue[head++];
+        const d = hops[s * n + v];
+        max = Math.max(max, d);
+
+        for (const w of this.neighbours[v]) {
+          if (hops[s * n + w] < 0) {
+            hops[s * n + w] = d + 1;
+            queue[tail++] = w;
+          }
+        }
+      }
+    }
+
+    const result = new Float64Array(n * n);
+
+    for (let i = 0; i < n; i += 1) {
+      const ri = Math.max(this.width[i], this.height[i]) / 2;
+
+      for (let j = i + 1; j < n; j += 1) {
+        const rj = Math.max(this.width[j], this.height[j]) / 2;
+        const h = hops[i * n + j] < 0 ? max + 1 : hops[i * n + j];
+        let d = h * this.idealEdgeLength + ri + rj;
+
+        if (this.clusterGroups && this.clusters[i] !== this.clusters[j]) {
+          d += this.clusterSeparation;
+        }
+
+        result[i * n + j] = d;
+        result[j * n + i] = d;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Minimizes the stress and applies the constraints after each iteration.
+   */
+  run(): void {
+    const n = this.vertexArray.length;
+    const random = createRandom(this.seed);
+    const pairs: number[] = [];
+    let minWeight = Infinity;
+    let maxWeight = 0;
+
+    for (let i = 0; i < n; i += 1) {
+      for (let j = i + 1; j < n; j += 1) {
+        if (this.movable[i] || this.movable[j]) {
+          const weight = 1 / (this.distances[i * n + j] * this.distances[i * n + j]);
+          minWeight = Math.min(minWeight, weight);
+          maxWeight = Math.max(maxWeight, weight);
+          pairs.push(i * n + j);
+        }
+      }
+    }
+
+    const iterations = Math.max(this.maxIterations, 1);
+
+    if (pairs.length > 0) {
+      // Exponentially decaying step size from 1 / minWeight to 0.1 / maxWeight
+      const etaMax = 1 / minWeight;
+      const etaMin = 0.1 / maxWeight;
+      const lambda = Math.log(etaMax / etaMin) / Math.max(iterations - 1, 1);
+
+      // Existing layouts are refined using the smaller steps only
+      const start = this.incremental ? Math.floor(iterations / 2) : 0;
+
+      for (let t = start; t < iterations; t += 1) {
+        const eta = etaMax * Math.exp(-lambda * t);
+        let delta = 0;
+
+        for (let k = pairs.length - 1; k > 0; k -= 1) {
+          const l = Math.floor(random() * (k + 1));
+          const tmp = pairs[k];
+          pairs[k] = pairs[l];
+          pairs[l] = tmp;
+        }
+
+        for (const pair of pairs) {
+          const i = Math.floor(pair / n);
+          const j = pair % n;
+          let dx = this.x[i] - this.x[j];
+          let dy = this.y[i] - this.y[j];
+          let dist = Math.sqrt(dx * dx + dy * dy);
+
+          if (dist < 0.01) {
+            dx = random() - 0.5;
+            dy = random() - 0.5;
+            dist = Math.sqrt(dx * dx + dy * dy);
+          }
+
+          const d = this.distances[pair];
+          const mu = Math.min(eta / (d * d), 1);
+          const r = (mu * (dist - d)) / 2;
+          const rx = (r * dx) / dist;
+          const ry = (r * dy) / dist;
+
+          if (this.movable[i] && this.movable[j]) {
+            this.x[i] -= rx;
+            this.y[i] -= ry;
+            this.x[j] += rx;
+            this.y[j] += ry;
+          } else if (this.movable[i]) {
+            this.x[i] -= 2 * rx;
+            this.y[i] -= 2 * ry;
+          } else {
+            this.x[j] += 2 * rx;
+            this.y[j] += 2 * ry;
+          }
+
+          delta = Math.max(delta, Math.abs(r));
+        }
+
+        this.applyConstraints(t >= iterations / 2);
+        this.updateProgress((t + 1) / iterations);
+
+        if (delta < this.tolerance) {
+          break;
+        }
+      }
+    }
+
+    // Makes sure the hard constraints are met in the result
+    for (let k = 0; k < 10 && this.removeOverlaps(); k += 1) {
+      this.alignVertices();
+    }
+
+    this.alignVertices();
+  }
+
+  /**
+   * Applies the anchors of the incremental mode, the group clustering and
+   * the alignments. Overlaps are only removed if the given argument is true.
+   */
+  applyConstraints(removeOverlaps: boolean): void {
+    if (this.incremental && this.anchorStrength > 0) {
+      this.applyAnchors();
+    }
+
+    if (this.clusterGroups && this.clusterStrength > 0) {
+      this.applyClusters();
+    }
+
+    this.alignVertices();
+
+    if (removeOverlaps) {
+      this.removeOverlaps();
+    }
+  }
+
+  /**
+   * Moves the existing vertices back towards their original location in
+   * incremental mode.
+   */
+  applyAnchors(): void {
+    const added = new Set(this.addedVertices);
+
+    for (let i = 0; i < this.vertexArray.length; i += 1) {
+      if (this.movable[i] && !added.has(this.vertexArray[i])) {
+        this.x[i] += (this.anchorX[i] - this.x[i]) * this.anchorStrength;
+        this.y[i] += (this.anchorY[i] - this.y[i]) * this.anchorStrength;
+      }
+    }
+  }
+
+  /**
+   * Moves the children of groups towards the center of their group.
+   */
+  applyClusters(): void {
+    const n = this.vertexArray.length;
+    const sx = new Array(this.groupArray.length).fill(0);
+    const sy = new Array(this.groupArray.length).fill(0);
+    const count = new Array(this.groupArray.length).fill(0);
+
+    for (let i = 0; i < n; i += 1) {
+      const c = this.clusters[i];
+
+      if (c >= 0) {
+        sx[c] += this.x[i];
+        sy[c] += this.y[i];
+        count[c] += 1;
+      }
+    }
+
+    for (let i = 0; i < n; i += 1) {
+      const c = this.clusters[i];
+
+      if (c >= 0 && this.movable[i]) {
+        this.x[i] += (sx[c] / count[c] - this.x[i]) * this.clusterStrength;
+        this.y[i] += (sy[c] / count[c] - this.y[i]) * this.clusterStrength;
+      }
+    }
+  }
+
+  /**
+   * Places the centers of the vertices in each alignment on a common line.
+   * If some of the vertices are pinned then the line goes through their
+   * average center.
+   */
+  alignVertices(): void {
+    for (const alignment of this.alignments) {
+      const vertical = alignment.direction === 'vertical';
+      const coords = vertical ? this.x : this.y;
+      let sum = 0;
+      let count = 0;
+      let pinnedSum = 0;
+      let pinnedCount = 0;
+      const indices: number[] = [];
+
+      for (const cell of alignment.cells) {
+        const index = this.indices.get(cell);
+
+        if (index != null) {
+          indices.push(index);
+          sum += coords[index];
+          count += 1;
+
+          if (!this.movable[index]) {
+            pinnedSum += coords[index];
+            pinnedCount += 1;
+          }
+        }
+      }
+
+      if (count > 1) {
+        const value = pinnedCount > 0 ? pinnedSum / pinnedCount : sum / count;
+
+        for (const index of indices) {
+          if (this.movable[index]) {
+            coords[index] = value;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the bounds of the given vertices including half of
+   * {@link minDistance} and the given border.
+   */
+  getBounds(indices: number[], border: number): Rectangle {
+    let x0 = Infinity;
+    let y0 = Infinity;
+    let x1 = -Infinity;
+    let y1 = -Infinity;
+
+    for (const i of indices) {
+      x0 = Math.min(x0, this.x[i] - this.width[i] / 2);
+      y0 = Math.min(y0, this.y[i] - this.height[i] / 2);
+      x1 = Math.max(x1, this.x[i] + this.width[i] / 2);
+      y1 = Math.max(y1, this.y[i] + this.height[i] / 2);
+    }
+
+    const spacing = this.minDistance / 2 + border;
+
+    return new Rectangle(
+      x0 - spacing,
+      y0 - spacing,
+      x1 - x0 + 2 * spacing,
+      y1 - y0 + 2 * spacing
+    );
+  }
+
+  /**
+   * Moves the vertices such that their bounds and the bounds of the groups
+   * are at least {@link minDistance} apart. Returns true if any vertices were
+   * moved.
+   */
+  removeOverlaps(): boolean {
+    const n = this.vertexArray.length;
+    const members: Map<number, number[]> = new Map();
+    let moved = false;
+
+    // Separates the vertices in each group
+    for (let i = 0; i < n; i += 1) {
+      const block = this.blocks[i];
+
+      if (block >= 0) {
+        const tmp = members.get(block);
+
+        if (tmp != null) {
+          tmp.push(i);
+        } else {
+          members.set(block, [i]);
+        }
+      }
+    }
+
+    for (const indices of members.values()) {
+      for (let a = 0; a < indices.length; a += 1) {
+        for (let b = a + 1; b < indices.length; b += 1) {
+          moved = this.separate([indices[a]], [indices[b]], 0, 0) || moved;
+        }
+      }
+    }
+
+    // Separates the groups and the other vertices
+    const blocks: { indices: number[]; border: number }[] = [];
+
+    for (const indices of members.values()) {
+      blocks.push({ indices, border: this.groupBorder });
+    }
+
+    for (let i = 0; i < n; i += 1) {
+      if (this.blocks[i] < 0) {
+        blocks.push({ indices: [i], border: 0 });
+      }
+    }
+
+    for (let a = 0; a < blocks.length; a += 1) {
+      for (let b = a + 1; b < blocks.length; b += 1) {
+        moved =
+          this.separate(
+            blocks[a].indices,
+            blocks[b].indices,
+            blocks[a].border,
+            blocks[b].border
+          ) || moved;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Moves the given sets of vertices apart along the axis with the smaller
+   * overlap if their bounds overlap. Vertices are only moved along an axis if
+   * this does not break their alignment. Returns true if the vertices were
+   * moved.
+   */
+  separate(a: number[], b: number[], borderA: number, borderB: number): boolean {
+    const ra = this.getBounds(a, borderA);
+    const rb = this.getBounds(b, borderB);
+    const ox = Math.min(ra.x + ra.width, rb.x + rb.width) - Math.max(ra.x, rb.x);
+    const oy = Math.min(ra.y + ra.height, rb.y + rb.height) - Math.max(ra.y, rb.y);
+
+    if (ox <= 0 || oy <= 0) {
+      return false;
+    }
+
+    const canMove = (indices: number[], horizontal: boolean) =>
+      indices.every(
+        (i) => this.movable[i] && !(horizontal ? this.alignedX[i] : this.alignedY[i])
+      );
+
+    const ax = canMove(a, true);
+    const bx = canMove(b, true);
+    const ay = canMove(a, false);
+    const by = canMove(b, false);
+    let horizontal: boolean;
+
+    if ((ax || bx) && (ay || by)) {
+      horizontal = ox <= oy;
+    } else if (ax || bx) {
+      horizontal = true;
+    } else if (ay || by) {
+      horizontal = false;
+    } else {
+      return false;
+    }
+
+    const moveA = horizontal ? ax : ay;
+    const moveB = horizontal ? bx : by;
+    const overlap = horizontal ? ox : oy;
+    const ca = horizontal ? ra.getCenterX() : ra.getCenterY();
+    const cb = horizontal ? rb.getCenterX() : rb.getCenterY();
+    const sign = ca < cb || (ca === cb && a[0] < b[0]) ? -1 : 1;
+    const da = moveA && moveB ? overlap / 2 : moveA ? overlap : 0;
+    const db = overlap - da;
+    const coords = horizontal ? this.x : this.y;
+
+    for (const i of a) {
+      coords[i] += sign * da;
+    }
+
+    for (const i of b) {
+      coords[i] -= sign * db;
+    }
+    return true;
+  }
+
+  /**
+   * Moves the vertices to their computed location. The result is moved to
+   * the given origin if {@link useInputOrigin} is true and there are no
+   * pinned vertices and {@link incremental} is false.
+   */
+  applyLocations(origin: { x: number; y: number }): void {
+    const n = this.vertexArray.length;
+    let dx = 0;
+    let dy = 0;
+
+    if (this.useInputOrigin && !this.incremental && this.movable.every((m) => m)) {
+      let minX = Infinity;
+      let minY = Infinity;
+
+      for (let i = 0; i < n; i += 1) {
+        minX = Math.min(minX, this.x[i] - this.width[i] / 2);
+        minY = Math.min(minY, this.y[i] - this.height[i] / 2);
+      }
+
+      dx = origin.x - minX;
+      dy = origin.y - minY;
+    }
+
+    for (let i = 0; i < n; i += 1) {
+      if (this.movable[i]) {
+        const x = this.graph.snap(Math.round(this.x[i] - this.width[i] / 2 + dx));
+        const y = this.graph.snap(Math.round(this.y[i] - this.height[i] / 2 + dy));
+
+        this.setVertexLocation(this.vertexArray[i], x, y);
+      }
+    }
+  }
+}
+
+export default StressLayout;
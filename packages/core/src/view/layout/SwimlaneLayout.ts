@@ -644,9 +644,13 @@ class SwimlaneLayout extends GraphLayout {
 
     this.cycleStage(parent);
     this.layeringStage();
+    this.updateProgress(0.25);
 
     this.crossingStage(parent);
+    this.updateProgress(0.5);
+
     this.placementStage(0, parent);
+    this.updateProgress(1);
   }
 
   /**
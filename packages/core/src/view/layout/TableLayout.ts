@@ -0,0 +1,202 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import GraphLayout from './GraphLayout';
+import { Graph } from '../Graph';
+import Cell from '../cell/Cell';
+
+/**
+ * Extends {@link GraphLayout} to arrange the rows and cells of a table, see
+ * {@link Graph.insertTable}. The rows are stacked vertically and fill the
+ * width of the table. The cells of a row are placed next to each other and
+ * fill the height of the row. The width of a column is taken from the first
+ * row that contains a cell in that column so that all cells of a column have
+ * the same width.
+ *
+ * If the size of the table does not match the sum of the column widths or
+ * row heights, eg. after the table was resized, then the difference is added
+ * to the last column or row.
+ *
+ * Example:
+ *
+ * ```javascript
+ * const layout = new TableLayout(graph);
+ * layout.execute(table);
+ * ```
+ *
+ * The layout can be used in a {@link LayoutManager} to update tables after
+ * changes of their cells:
+ *
+ * ```javascript
+ * const layoutManager = new LayoutManager(graph);
+ * const tableLayout = new TableLayout(graph);
+ *
+ * layoutManager.getLayout = (cell) => (graph.isTable(cell) ? tableLayout : null);
+ * ```
+ *
+ * @class TableLayout
+ */
+class TableLayout extends GraphLayout {
+  constructor(graph: Graph) {
+    super(graph);
+  }
+
+  /**
+   * Minimum width of a column.
+   * @default 10
+   */
+  minColumnWidth = 10;
+
+  /**
+   * Minimum height of a row.
+   * @default 10
+   */
+  minRowHeight = 10;
+
+  /**
+   * Specifies if the size of the table should be distributed to the last
+   * column and row. If this is false then the table is resized to fit its
+   * rows and columns.
+   * @default true
+   */
+  fill = true;
+
+  /**
+   * Returns the rows of the given table.
+   */
+  getRows(table: Cell): Cell[] {
+    return table.getChildren().filter((child) => child.isVertex());
+  }
+
+  /**
+   * Returns the cells of the given row.
+   */
+  getCells(row: Cell): Cell[] {
+    return row.getChildren().filter((child) => child.isVertex());
+  }
+
+  /**
+   * Returns the widths of the columns for the given rows. The width of a
+   * column is the width of the cell in the first row that has a cell in that
+   * column.
+   *
+   * @param rows Array of {@link Cell}s that represent the rows of a table.
+   */
+  getColumnWidths(rows: Cell[]): number[] {
+    const widths: number[] = [];
+
+    for (const row of rows) {
+      this.getCells(row).forEach((cell, index) => {
+        if (widths[index] == null) {
+          const geo = cell.getGeometry();
+          widths[index] = Math.max(this.minColumnWidth, geo != null ? geo.width : 0);
+        }
+      });
+    }
+    return widths;
+  }
+
+  /**
+   * Returns the heights of the given rows.
+   *
+   * @param rows Array of {@link Cell}s that represent the rows of a table.
+   */
+  getRowHeights(rows: Cell[]): number[] {
+    return rows.map((row) => {
+      const geo = row.getGeometry();
+      return Math.max(this.minRowHeight, geo != null ? geo.height : 0);
+    });
+  }
+
+  /**
+   * Arranges the rows and cells of the given table.
+   *
+   * @param parent {@link Cell} that represents the table.
+   */
+  execute(parent: Cell): void {
+    const geo = parent.getGeometry();
+    const rows = this.getRows(parent);
+
+    if (geo == null || rows.length === 0) {
+      return;
+    }
+
+    const widths = this.getColumnWidths(rows);
+    const heights = this.getRowHeights(rows);
+
+    // Distributes the size of the table to the last column and row
+    if (this.fill) {
+      const width = widths.reduce((sum, w) => sum + w, 0);
+      const height = heights.reduce((sum, h) => sum + h, 0);
+
+      if (widths.length > 0 && geo.width !== width) {
+        const last = widths.length - 1;
+        widths[last] = Math.max(this.minColumnWidth, widths[last] + geo.width - width);
+      }
+
+      if (geo.height !== height) {
+        const last = heights.length - 1;
+        heights[last] = Math.max(this.minRowHeight, heights[last] + geo.height - height);
+      }
+    }
+
+    const tableWidth = widths.reduce((sum, w) => sum + w, 0);
+    const model = this.graph.getDataModel();
+
+    model.beginUpdate();
+    try {
+      let y = 0;
+
+      rows.forEach((row, i) => {
+        this.setChildBounds(row, 0, y, tableWidth, heights[i]);
+        let x = 0;
+
+        this.getCells(row).forEach((cell, j) => {
+          this.setChildBounds(cell, x, 0, widths[j], heights[i]);
+          x += widths[j];
+        });
+
+        y += heights[i];
+      });
+
+      this.setChildBounds(parent, geo.x, geo.y, tableWidth, y);
+    } finally {
+      model.endUpdate();
+    }
+  }
+
+  /**
+   * Sets the bounds of the given cell if they are different from the
+   * current geometry.
+   */
+  setChildBounds(cell: Cell, x: number, y: number, width: number, height: number): void {
+    let geo = cell.getGeometry();
+
+    if (
+      geo != null &&
+      (geo.x !== x || geo.y !== y || geo.width !== width || geo.height !== height)
+    ) {
+      geo = geo.clone();
+      geo.x = x;
+      geo.y = y;
+      geo.width = width;
+      geo.height = height;
+      this.graph.getDataModel().setGeometry(cell, geo);
+    }
+  }
+}
+
+export default TableLayout;
@@ -0,0 +1,411 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EventSource from '../event/EventSource';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import JsonCodec from '../../serialization/JsonCodec';
+import Cell from '../cell/Cell';
+import { Graph } from '../Graph';
+import type { JsonObject } from '../../serialization/JsonObjectCodec';
+import type { CellStateStyle } from '../../types';
+
+/**
+ * Serializable copy of the data that is needed to execute a layout in a
+ * worker.
+ */
+export type LayoutSnapshot = {
+  /**
+   * The model encoded with {@link JsonCodec}.
+   */
+  model: JsonObject;
+  /**
+   * The named styles of the stylesheet of the graph.
+   */
+  styles: { [name: string]: CellStateStyle };
+  gridEnabled: boolean;
+  gridSize: number;
+};
+
+/**
+ * Messages that are sent from {@link WorkerLayout} to the worker.
+ */
+export type LayoutWorkerRequest = {
+  type: 'execute';
+  id: number;
+  /**
+   * The name of the layout as registered in {@link LayoutWorkerHost.register}.
+   */
+  layout: string;
+  /**
+   * The ID of the parent cell whose children should be laid out.
+   */
+  parent: string;
+  /**
+   * Properties to be assigned to the layout before it is executed.
+   */
+  options: { [key: string]: unknown };
+  snapshot: LayoutSnapshot;
+};
+
+/**
+ * Messages that are sent from the worker to {@link WorkerLayout}.
+ */
+export type LayoutWorkerResponse =
+  | { type: 'progress'; id: number; progress: number }
+  | {
+      type: 'result';
+      id: number;
+      /**
+       * The changes of the layout encoded with {@link JsonCodec}.
+       */
+      changes: JsonObject[];
+    }
+  | { type: 'error'; id: number; message: string };
+
+/**
+ * Executes a layout in a Web Worker so that large graphs do not block the
+ * UI. The worker receives a {@link LayoutSnapshot} of the graph, executes the
+ * layout on a copy of the model and sends back the resulting changes, which
+ * are then applied to the model as a single undoable edit.
+ *
+ * The worker script must create a {@link LayoutWorkerHost} and register the
+ * layouts by name:
+ *
+ * ```javascript
+ * // layout-worker.js
+ * const host = new LayoutWorkerHost(self);
+ * host.register('hierarchical', (graph) => new HierarchicalLayout(graph));
+ * ```
+ *
+ * On the main thread, the layout is then executed as follows:
+ *
+ * ```javascript
+ * const layout = new WorkerLayout(
+ *   graph,
+ *   () => new Worker(new URL('./layout-worker.js', import.meta.url), { type: 'module' }),
+ *   'hierarchical',
+ *   { intraCellSpacing: 40 }
+ * );
+ * layout.addListener(InternalEvent.PROGRESS, (sender, evt) => {
+ *   progressBar.value = evt.getProperty('progress');
+ * });
+ * const applied = await layout.execute(graph.getDefaultParent());
+ * ```
+ *
+ * Only one layout is executed at a time, starting a new execution cancels the
+ * pending one. As the worker executes the layout synchronously, cancelling
+ * terminates the worker so that the computation stops immediately. A new
+ * worker is created for the next execution. Cells that have been removed from the model while the layout
+ * was running are ignored when the result is applied. If the layout fails or
+ * the worker cannot be loaded, the promise that is returned by
+ * {@link execute} is rejected and the worker is discarded.
+ *
+ * Event: mxEvent.START
+ *
+ * Fires when the snapshot has been sent to the worker. The `parent` property
+ * contains the parent cell.
+ *
+ * Event: mxEvent.PROGRESS
+ *
+ * Fires when the worker reports the progress of the layout. The `progress`
+ * property contains a number between 0 and 1.
+ *
+ * Event: mxEvent.DONE
+ *
+ * Fires after the result has been applied to the model. The `changes`
+ * property contains the array of changes that have been executed.
+ *
+ * Event: mxEvent.CANCEL
+ *
+ * Fires when the pending layout has been cancelled.
+ *
+ * @class WorkerLayout
+ */
+class WorkerLayout extends EventSource {
+  constructor(
+    graph: Graph,
+    createWorker: () => Worker,
+    layout: string,
+    options: { [key: string]: unknown } = {}
+  ) {
+    super();
+
+    this.graph = graph;
+    this.createWorker = createWorker;
+    this.layout = layout;
+    this.options = options;
+
+    this.messageHandler = (evt: MessageEvent) => {
+      this.handleMessage(evt.data);
+    };
+
+    this.errorHandler = (evt: Event) => {
+      this.handleError(evt);
+    };
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * Function that returns a new worker that runs a {@link LayoutWorkerHost}.
+   */
+  createWorker: () => Worker;
+
+  /**
+   * The name of the layout in the worker.
+   */
+  layout: string;
+
+  /**
+   * Properties to be assigned to the layout in the worker, eg.
+   * `{ orientation: 'west' }`. The values must be serializable.
+   */
+  options: { [key: string]: unknown };
+
+  /**
+   * The origin of the edit that applies the result, see
+   * {@link GraphDataModel.updateWithOrigin}. Default is `layout`.
+   */
+  origin = 'layout';
+
+  /**
+   * The current worker.
+   */
+  worker: Worker | null = null;
+
+  /**
+   * Counter for the IDs of the executions.
+   */
+  counter = 0;
+
+  /**
+   * Holds the pending execution.
+   */
+  pending: {
+    id: number;
+    resolve: (applied: boolean) => void;
+    reject: (error: Error) => void;
+  } | null = null;
+
+  /**
+   * Handles the messages of the worker.
+   */
+  messageHandler: (evt: MessageEvent) => void;
+
+  /**
+   * Handles the `error` and `messageerror` events of the worker.
+   */
+  errorHandler: (evt: Event) => void;
+
+  /**
+   * Returns the current worker and creates it if required.
+   */
+  getWorker(): Worker {
+    if (this.worker == null) {
+      this.worker = this.createWorker();
+      this.worker.addEventListener('message', this.messageHandler);
+      this.worker.addEventListener('error', this.errorHandler);
+      this.worker.addEventListener('messageerror', this.errorHandler);
+    }
+    return this.worker;
+  }
+
+  /**
+   * Removes the listeners from the current worker and terminates it. A new
+   * worker is created for the next execution.
+   */
+  resetWorker(): void {
+    if (this.worker != null) {
+      this.worker.removeEventListener('message', this.messageHandler);
+      this.worker.removeEventListener('error', this.errorHandler);
+      this.worker.removeEventListener('messageerror', this.errorHandler);
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Returns true if a layout is being computed.
+   */
+  isRunning(): boolean {
+    return this.pending != null;
+  }
+
+  /**
+   * Returns the {@link LayoutSnapshot} to be sent to the worker.
+   */
+  createSnapshot(): LayoutSnapshot {
+    const styles: { [name: string]: CellStateStyle } = {};
+
+    for (const [name, style] of this.graph.getStylesheet().styles) {
+      styles[name] = style;
+    }
+
+    return {
+      model: <JsonObject>new JsonCodec().encode(this.graph.getDataModel()),
+      styles,
+      gridEnabled: this.graph.isGridEnabled(),
+      gridSize: this.graph.getGridSize(),
+    };
+  }
+
+  /**
+   * Executes the layout for the children of the given parent in the worker.
+   * The returned promise is resolved with true after the result has been
+   * applied or with false if the execution has been cancelled.
+   *
+   * @param parent {@link Cell} whose children should be laid out.
+   */
+  execute(parent: Cell): Promise<boolean> {
+    this.cancel();
+
+    return new Promise<boolean>((resolve, reject) => {
+      const id = ++this.counter;
+      const request: LayoutWorkerRequest = {
+        type: 'execute',
+        id,
+        layout: this.layout,
+        parent: <string>parent.getId(),
+        options: this.options,
+        snapshot: this.createSnapshot(),
+      };
+
+      this.pending = { id, resolve, reject };
+
+      try {
+        this.getWorker().postMessage(request);
+      } catch (e) {
+        // The request cannot be cloned or the worker cannot be created
+        this.pending = null;
+        this.resetWorker();
+        reject(e);
+        return;
+      }
+
+      this.fireEvent(new EventObject(InternalEvent.START, { parent }));
+    });
+  }
+
+  /**
+   * Handles the given message of the worker.
+   */
+  handleMessage(response: LayoutWorkerResponse): void {
+    const { pending } = this;
+
+    if (pending == null || pending.id !== response.id) {
+      return;
+    }
+
+    if (response.type === 'progress') {
+      this.fireEvent(
+        new EventObject(InternalEvent.PROGRESS, { progress: response.progress })
+      );
+    } else if (response.type === 'result') {
+      this.pending = null;
+
+      try {
+        const changes = this.applyChanges(response.changes);
+        this.fireEvent(new EventObject(InternalEvent.DONE, { changes }));
+        pending.resolve(true);
+      } catch (e) {
+        pending.reject(<Error>e);
+      }
+    } else if (response.type === 'error') {
+      this.pending = null;
+      pending.reject(new Error(response.message));
+    }
+  }
+
+  /**
+   * Handles an error of the worker, eg. if the script cannot be loaded, throws
+   * an error or receives a message that cannot be deserialized. The pending
+   * execution is rejected and the worker is discarded.
+   */
+  handleError(evt: Event): void {
+    const { pending } = this;
+    this.pending = null;
+    this.resetWorker();
+
+    if (pending != null) {
+      const { message } = <ErrorEvent>evt;
+      pending.reject(new Error(message || `Layout worker failed (${evt.type})`));
+    }
+  }
+
+  /**
+   * Decodes the given changes and executes them in a single transaction.
+   * Returns the changes that have been executed.
+   *
+   * @param changes Array of changes encoded with {@link JsonCodec}.
+   */
+  applyChanges(changes: JsonObject[]): any[] {
+    const model = this.graph.getDataModel();
+    const dec = new JsonCodec(changes, model);
+    const result: any[] = [];
+
+    for (const json of changes) {
+      const change = dec.decode(json);
+
+      // Ignores changes for cells that have been removed in the meantime
+      if (change != null && !('cell' in change && change.cell == null)) {
+        result.push(change);
+      }
+    }
+
+    if (result.length > 0) {
+      model.updateWithOrigin(this.origin, () => {
+        for (const change of result) {
+          model.execute(change);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Cancels the pending execution and terminates the worker. Returns true if
+   * an execution was pending.
+   */
+  cancel(): boolean {
+    const { pending } = this;
+
+    if (pending == null) {
+      return false;
+    }
+
+    this.pending = null;
+    this.resetWorker();
+
+    pending.resolve(false);
+    this.fireEvent(new EventObject(InternalEvent.CANCEL));
+
+    return true;
+  }
+
+  /**
+   * Cancels the pending execution and terminates the worker.
+   */
+  destroy(): void {
+    this.cancel();
+    this.resetWorker();
+  }
+}
+
+export default WorkerLayout;
@@ -0,0 +1,199 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { mixInto } from '../../util/Utils';
+import ChangeAnimation from '../animate/ChangeAnimation';
+import Easing from '../animate/Easing';
+import InternalEvent from '../event/InternalEvent';
+import RootChange from '../undoable_changes/RootChange';
+import { Graph } from '../Graph';
+
+import type { EasingFunction } from '../animate/Easing';
+
+declare module '../Graph' {
+  interface Graph {
+    animationEnabled: boolean;
+    animationDuration: number;
+    animationEasing: EasingFunction;
+    animationMaxCells: number;
+    changeAnimation: ChangeAnimation | null;
+
+    isAnimationEnabled: () => boolean;
+    setAnimationEnabled: (value: boolean) => void;
+    getChangeAnimation: () => ChangeAnimation | null;
+    isAnimatedChanges: (changes: any[]) => boolean;
+    createChangeAnimation: () => ChangeAnimation;
+    prepareChangeAnimation: (changes: any[]) => ChangeAnimation | null;
+    stopChangeAnimation: () => void;
+  }
+}
+
+type PartialGraph = Pick<Graph, 'getView'>;
+type PartialAnimation = Pick<
+  Graph,
+  | 'animationEnabled'
+  | 'animationDuration'
+  | 'animationEasing'
+  | 'animationMaxCells'
+  | 'changeAnimation'
+  | 'isAnimationEnabled'
+  | 'setAnimationEnabled'
+  | 'getChangeAnimation'
+  | 'isAnimatedChanges'
+  | 'createChangeAnimation'
+  | 'prepareChangeAnimation'
+  | 'stopChangeAnimation'
+>;
+type PartialType = PartialGraph & PartialAnimation;
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const AnimationMixin: PartialType = {
+  /**
+   * Specifies if the changes of the model are animated, see
+   * {@link ChangeAnimation}.
+   * @default false
+   */
+  animationEnabled: false,
+
+  /**
+   * Duration of the animations in milliseconds.
+   * @default 300
+   */
+  animationDuration: 300,
+
+  /**
+   * Easing function of the animations, see {@link Easing}.
+   * @default Easing.easeInOut
+   */
+  animationEasing: Easing.easeInOut,
+
+  /**
+   * Maximum number of cells to be animated. Changes that affect more cells
+   * are shown without animation.
+   * @default 200
+   */
+  animationMaxCells: 200,
+
+  /**
+   * Holds the {@link ChangeAnimation} that is currently running.
+   */
+  changeAnimation: null,
+
+  /**
+   * Returns {@link animationEnabled}.
+   */
+  isAnimationEnabled() {
+    return this.animationEnabled;
+  },
+
+  /**
+   * Enables or disables the animation of the changes of the model. A running
+   * animation is finished if animations are disabled.
+   *
+   * ```javascript
+   * graph.animationEasing = Easing.easeOut;
+   * graph.setAnimationEnabled(true);
+   * ```
+   *
+   * @param value Boolean that specifies if changes should be animated.
+   */
+  setAnimationEnabled(value) {
+    this.animationEnabled = value;
+
+    if (!value) {
+      this.stopChangeAnimation();
+    }
+  },
+
+  /**
+   * Returns the {@link ChangeAnimation} that is currently running or null.
+   */
+  getChangeAnimation() {
+    return this.changeAnimation;
+  },
+
+  /**
+   * Returns true if the given changes should be animated. This returns
+   * {@link animationEnabled} if the changes do not replace the root of the
+   * model.
+   *
+   * @param changes Array of changes of the model.
+   */
+  isAnimatedChanges(changes) {
+    return (
+      this.animationEnabled && !changes.some((change) => change instanceof RootChange)
+    );
+  },
+
+  /**
+   * Hook to create the {@link ChangeAnimation} for the changes of the model.
+   */
+  createChangeAnimation() {
+    return new ChangeAnimation(
+      <Graph>(<unknown>this),
+      this.animationDuration,
+      this.animationEasing
+    );
+  },
+
+  /**
+   * Creates the animation for the given changes if they should be animated
+   * and interrupts the running animation. The cells of the running animation
+   * are added to the new animation so that they continue from their current
+   * rendered state. This is called in {@link graphModelChanged} before the
+   * changes are processed by the view and the returned animation is started
+   * after the view has been validated.
+   *
+   * @param changes Array of changes of the model.
+   */
+  prepareChangeAnimation(changes) {
+    const previous = this.changeAnimation;
+    let animation: ChangeAnimation | null = null;
+
+    if (this.isAnimatedChanges(changes)) {
+      animation = this.createChangeAnimation();
+      animation.addChanges(changes);
+
+      for (const cell of previous?.getCells() ?? []) {
+        animation.addCell(cell);
+      }
+
+      if (animation.entries.size > this.animationMaxCells) {
+        animation = null;
+      }
+    }
+
+    previous?.interrupt();
+    this.changeAnimation = animation;
+
+    animation?.addListener(InternalEvent.DONE, () => {
+      if (this.changeAnimation === animation) {
+        this.changeAnimation = null;
+      }
+    });
+
+    return animation;
+  },
+
+  /**
+   * Finishes the running animation.
+   */
+  stopChangeAnimation() {
+    this.changeAnimation?.stopAnimation();
+  },
+};
+
+mixInto(Graph)(AnimationMixin);
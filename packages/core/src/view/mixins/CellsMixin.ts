@@ -21,6 +21,7 @@ import {
   getBoundingBox,
   getRotatedPoint,
   intersects,
+  isNumeric,
   ptSegDistSq,
   toRadians,
 } from '../../util/mathUtils';
@@ -29,6 +30,7 @@ import {
   setCellStyles,
   setStyle,
   getSizeForString,
+  resolveCssVariables,
 } from '../../util/styleUtils';
 import {
   ALIGN,
@@ -71,6 +73,7 @@ declare module '../Graph' {
     getCurrentCellStyle: (cell: Cell, ignoreState?: boolean) => CellStateStyle;
     getCellStyle: (cell: Cell) => CellStateStyle;
     postProcessCellStyle: (style: CellStateStyle) => CellStateStyle;
+    resolveStyleVariables: (style: CellStateStyle) => CellStateStyle;
     setCellStyle: (style: CellStyle, cells: Cell[]) => void;
     toggleCellStyle: (
       key: keyof CellStateStyle,
@@ -215,6 +218,7 @@ declare module '../Graph' {
     intersects: (state: CellState, x: number, y: number) => boolean;
     isValidAncestor: (cell: Cell, parent: Cell, recurse: boolean) => boolean;
     isCellLocked: (cell: Cell) => boolean;
+    isCellInLockedLayer: (cell: Cell) => boolean;
     isCellsLocked: () => boolean;
     setCellsLocked: (value: boolean) => void;
     getCloneableCells: (cells: Cell[]) => Cell[];
@@ -276,6 +280,9 @@ type PartialGraph = Pick<
   | 'getDefaultParent'
   | 'getCurrentRoot'
   | 'getOverlap'
+  | 'updateTablesForCells'
+  | 'getTablesForCells'
+  | 'updateTable'
   | 'isRecursiveResize'
   | 'getCellRenderer'
   | 'getMaximumGraphBounds'
@@ -299,6 +306,7 @@ type PartialGraph = Pick<
   | 'getEdgeValidationError'
   | 'getFoldingImage'
   | 'isHtmlLabel'
+  | 'isMarkdownLabel'
   | 'isGridEnabled'
   | 'snap'
   | 'getGridSize'
@@ -307,6 +315,9 @@ type PartialGraph = Pick<
   | 'getEventTolerance'
   | 'isSwimlane'
   | 'getStartSize'
+  | 'applyDiffStyle'
+  | 'applyStyleRules'
+  | 'getContainer'
 >;
 
 type PartialCells = Pick<
@@ -329,6 +340,7 @@ type PartialCells = Pick<
   | 'getCurrentCellStyle'
   | 'getCellStyle'
   | 'postProcessCellStyle'
+  | 'resolveStyleVariables'
   | 'setCellStyle'
   | 'toggleCellStyle'
   | 'toggleCellStyles'
@@ -370,6 +382,7 @@ type PartialCells = Pick<
   | 'intersects'
   | 'isValidAncestor'
   | 'isCellLocked'
+  | 'isCellInLockedLayer'
   | 'isCellsLocked'
   | 'setCellsLocked'
   | 'getCloneableCells'
@@ -562,9 +575,11 @@ export const CellsMixin: PartialType = {
    * Returns an array of key, value pairs representing the cell style for the
    * given cell. If no string is defined in the model that specifies the
    * style, then the default style for the cell is returned or an empty object,
-   * if no style can be found. Note: You should try and get the cell state
-   * for the given cell and use the cached style in the state before using
-   * this method.
+   * if no style can be found. The style rules of the stylesheet are applied,
+   * see {@link applyStyleRules}, and references to CSS custom properties in
+   * the style are resolved, see {@link resolveStyleVariables}. Note: You should
+   * try and get the cell state for the given cell and use the cached style
+   * in the state before using this method.
    *
    * @param cell {@link mxCell} whose style should be returned as an array.
    */
@@ -582,6 +597,37 @@ export const CellsMixin: PartialType = {
       stylesheet.getCellStyle(cellStyle, defaultStyle ?? {})
     );
 
+    return this.applyDiffStyle(
+      cell,
+      this.resolveStyleVariables(this.applyStyleRules(cell, style))
+    );
+  },
+
+  /**
+   * Replaces the references to CSS custom properties, eg. `var(--brand-500)`,
+   * in the string values of the given style with the values of the
+   * properties for the container. Numeric values are converted to numbers
+   * and entries without a value are removed so that the defaults are used.
+   * Since the resolved values are stored in the cell states, the graph must
+   * be refreshed if the properties change, see {@link refresh}.
+   *
+   * @param style {@link CellStateStyle} to be resolved.
+   */
+  resolveStyleVariables(style) {
+    const entries = <Record<string, unknown>>style;
+
+    for (const [key, value] of Object.entries(entries)) {
+      if (typeof value === 'string' && value.indexOf('var(') >= 0) {
+        const resolved = resolveCssVariables(value, this.getContainer());
+
+        if (resolved.length === 0) {
+          delete entries[key];
+        } else {
+          entries[key] = isNumeric(resolved) ? parseFloat(resolved) : resolved;
+        }
+      }
+    }
+
     return style;
   },
 
@@ -1511,7 +1557,7 @@ export const CellsMixin: PartialType = {
       let value = <string>this.getCellRenderer().getLabelValue(state);
 
       if (value && value.length > 0) {
-        if (!this.isHtmlLabel(state.cell)) {
+        if (!this.isHtmlLabel(state.cell) && !this.isMarkdownLabel(state.cell)) {
           value = htmlEntities(value, false);
         }
 
@@ -1561,7 +1607,8 @@ export const CellsMixin: PartialType = {
 
   /**
    * Sets the bounds of the given cells and fires a {@link InternalEvent.RESIZE_CELLS}
-   * event while the transaction is in progress. Returns the cells which
+   * event while the transaction is in progress. The tables of the cells are
+   * updated using {@link updateTablesForCells}. Returns the cells which
    * have been passed to the function.
    *
    * @param cells Array of {@link Cell} whose bounds should be changed.
@@ -1572,6 +1619,7 @@ export const CellsMixin: PartialType = {
 
     this.batchUpdate(() => {
       const prev = this.cellsResized(cells, bounds, recurse);
+      this.updateTablesForCells(cells);
       this.fireEvent(
         new EventObject(InternalEvent.RESIZE_CELLS, { cells, bounds, prev })
       );
@@ -1839,8 +1887,10 @@ export const CellsMixin: PartialType = {
    * Moves or clones the specified cells and moves the cells or clones by the
    * given amount, adding them to the optional target cell. The evt is the
    * mouse event as the mouse was released. The change is carried out using
-   * <cellsMoved>. This method fires {@link Event#MOVE_CELLS} while the
-   * transaction is in progress. Returns the cells that were moved.
+   * <cellsMoved>. The tables that the cells are moved out of or into are
+   * arranged using {@link updateTable}. This method fires
+   * {@link Event#MOVE_CELLS} while the transaction is in progress. Returns
+   * the cells that were moved.
    *
    * Use the following code to move all cells in the graph.
    *
@@ -1871,6 +1921,8 @@ export const CellsMixin: PartialType = {
       const origCells = cells;
 
       this.batchUpdate(() => {
+        const tables = this.getTablesForCells(cells);
+
         // Faster cell lookups to remove relative edge labels with selected
         // terminals to avoid explicit and implicit move at same time
         const dict = new Dictionary<Cell, boolean>();
@@ -1962,6 +2014,13 @@ export const CellsMixin: PartialType = {
           }
         }
 
+        // Closes the gaps in the tables that the cells were moved out of
+        for (const table of new Set([...tables, ...this.getTablesForCells(cells)])) {
+          if (this.getDataModel().contains(table)) {
+            this.updateTable(table);
+          }
+        }
+
         // Dispatches a move event
         this.fireEvent(
           new EventObject(InternalEvent.MOVE_CELLS, {
@@ -2503,14 +2562,32 @@ export const CellsMixin: PartialType = {
   /**
    * Returns true if the given cell may not be moved, sized, bended,
    * disconnected, edited or selected. This implementation returns true for
-   * all vertices with a relative geometry if {@link locked} is false.
+   * all vertices with a relative geometry if {@link locked} is false and for
+   * all cells in a locked layer, see {@link isCellInLockedLayer}.
    *
    * @param cell {@link mxCell} whose locked state should be returned.
    */
   isCellLocked(cell) {
     const geometry = cell.getGeometry();
 
-    return this.isCellsLocked() || (!!geometry && cell.isVertex() && geometry.relative);
+    return (
+      this.isCellsLocked() ||
+      (!!geometry && cell.isVertex() && geometry.relative) ||
+      this.isCellInLockedLayer(cell)
+    );
+  },
+
+  /**
+   * Returns true if the given cell is contained in a layer that is locked,
+   * see {@link GraphDataModel.isLayerLocked}.
+   *
+   * @param cell {@link mxCell} whose layer should be checked.
+   */
+  isCellInLockedLayer(cell) {
+    const model = this.getDataModel();
+    const layer = model.getLayerForCell(cell);
+
+    return layer != null && model.isLayerLocked(layer);
   },
 
   /**
@@ -2615,7 +2692,7 @@ export const CellsMixin: PartialType = {
 
   /**
    * Returns true if the given cell is selectable. This implementation
-   * returns {@link cellsSelectable}.
+   * returns {@link cellsSelectable} and false for cells in locked layers.
    *
    * To add a new style for making cells (un)selectable, use the following code.
    *
@@ -2637,7 +2714,7 @@ export const CellsMixin: PartialType = {
    * @param cell {@link mxCell} whose selectable state should be returned.
    */
   isCellSelectable(cell) {
-    return this.isCellsSelectable();
+    return this.isCellsSelectable() && !this.isCellInLockedLayer(cell);
   },
 
   /**
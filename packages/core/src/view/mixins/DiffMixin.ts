@@ -0,0 +1,146 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { mixInto } from '../../util/Utils';
+import Cell from '../cell/Cell';
+import ModelDiff from '../other/ModelDiff';
+import { Graph } from '../Graph';
+
+import type { CellStateStyle, ColorValue } from '../../types';
+
+declare module '../Graph' {
+  interface Graph {
+    diff: ModelDiff | null;
+    diffAddedColor: ColorValue;
+    diffRemovedColor: ColorValue;
+    diffChangedColor: ColorValue;
+    diffStrokeWidth: number;
+
+    getDiff: () => ModelDiff | null;
+    setDiff: (diff: ModelDiff | null) => void;
+    getDiffColor: (cell: Cell) => ColorValue | null;
+    applyDiffStyle: (cell: Cell, style: CellStateStyle) => CellStateStyle;
+  }
+}
+
+type PartialGraph = Pick<Graph, 'refresh'>;
+type PartialDiff = Pick<
+  Graph,
+  | 'diff'
+  | 'diffAddedColor'
+  | 'diffRemovedColor'
+  | 'diffChangedColor'
+  | 'diffStrokeWidth'
+  | 'getDiff'
+  | 'setDiff'
+  | 'getDiffColor'
+  | 'applyDiffStyle'
+>;
+type PartialType = PartialGraph & PartialDiff;
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const DiffMixin: PartialType = {
+  /**
+   * The {@link ModelDiff} whose cells are colored or null if the diff mode is
+   * off.
+   * @default null
+   */
+  diff: null,
+
+  /**
+   * Stroke color for added cells in the diff mode.
+   * @default '#00A000'
+   */
+  diffAddedColor: '#00A000',
+
+  /**
+   * Stroke color for removed cells in the diff mode.
+   * @default '#E00000'
+   */
+  diffRemovedColor: '#E00000',
+
+  /**
+   * Stroke color for changed cells in the diff mode.
+   * @default '#FF9900'
+   */
+  diffChangedColor: '#FF9900',
+
+  /**
+   * Minimum stroke width for cells with a color in the diff mode.
+   * @default 2
+   */
+  diffStrokeWidth: 2,
+
+  /**
+   * Returns {@link diff}.
+   */
+  getDiff() {
+    return this.diff;
+  },
+
+  /**
+   * Turns on the diff mode for the given {@link ModelDiff} or turns it off if
+   * the diff is null. In the diff mode, the cells of the diff are colored
+   * according to their {@link ModelDiffStatus}. The cells are matched by their
+   * IDs, so the graph may display the source model of the diff, where removed
+   * and changed cells are colored, or the target model, where added and
+   * changed cells are colored. The diff is not updated when the model changes.
+   *
+   * @param diff {@link ModelDiff} to be displayed.
+   */
+  setDiff(diff) {
+    this.diff = diff;
+    this.refresh();
+  },
+
+  /**
+   * Returns the color for the given cell in the diff mode or null if the cell
+   * should not be colored.
+   *
+   * @param cell {@link Cell} whose color should be returned.
+   */
+  getDiffColor(cell) {
+    const status = this.diff?.getStatus(<string>cell.getId());
+
+    if (status === 'added') {
+      return this.diffAddedColor;
+    } else if (status === 'removed') {
+      return this.diffRemovedColor;
+    } else if (status === 'changed') {
+      return this.diffChangedColor;
+    }
+    return null;
+  },
+
+  /**
+   * Applies the color of the given cell in the diff mode to the given style.
+   * This is called from {@link getCellStyle}.
+   *
+   * @param cell {@link Cell} whose style should be changed.
+   * @param style {@link CellStateStyle} of the cell.
+   */
+  applyDiffStyle(cell, style) {
+    const color = this.diff != null ? this.getDiffColor(cell) : null;
+
+    if (color != null) {
+      style.strokeColor = color;
+      style.strokeWidth = Math.max(style.strokeWidth ?? 1, this.diffStrokeWidth);
+    }
+    return style;
+  },
+};
+
+mixInto(Graph)(DiffMixin);
@@ -141,6 +141,7 @@ type PartialGraph = Pick<
   | 'fireEvent'
   | 'isEnabled'
   | 'getCellAt'
+  | 'cellRenderer'
   | 'isCellSelected'
   | 'selectCellForEvent'
   | 'clearSelection'
@@ -670,6 +671,9 @@ const EventsMixin: PartialType = {
         );
       });
 
+      me.state = cell ? this.getView().getState(cell) : null;
+    } else if (!me.getCell() && !this.cellRenderer.isNativeHitDetection()) {
+      const cell = this.getCellAt(pt.x, pt.y);
       me.state = cell ? this.getView().getState(cell) : null;
     }
 
@@ -18,16 +18,22 @@ import { mixInto } from '../../util/Utils';
 import Cell from '../cell/Cell';
 import { Graph } from '../Graph';
 
+import type { HtmlSchema } from '../../util/htmlUtils';
+
 declare module '../Graph' {
   interface Graph {
     labelsVisible: boolean;
     htmlLabels: boolean;
+    labelHtmlSchema: HtmlSchema | null;
+    markdownLabels: boolean;
 
     getLabel: (cell: Cell) => string | null;
     isHtmlLabel: (cell: Cell) => boolean;
     isLabelsVisible: () => boolean;
     isHtmlLabels: () => boolean;
     setHtmlLabels: (value: boolean) => void;
+    getLabelHtmlSchema: (cell: Cell) => HtmlSchema | null;
+    isMarkdownLabel: (cell: Cell) => boolean;
     isWrapping: (cell: Cell) => boolean;
     isLabelClipped: (cell: Cell) => boolean;
     isLabelMovable: (cell: Cell) => boolean;
@@ -46,11 +52,15 @@ type PartialLabel = Pick<
   Graph,
   | 'labelsVisible'
   | 'htmlLabels'
+  | 'labelHtmlSchema'
+  | 'markdownLabels'
   | 'getLabel'
   | 'isHtmlLabel'
   | 'isLabelsVisible'
   | 'isHtmlLabels'
   | 'setHtmlLabels'
+  | 'getLabelHtmlSchema'
+  | 'isMarkdownLabel'
   | 'isWrapping'
   | 'isLabelClipped'
   | 'isLabelMovable'
@@ -161,6 +171,46 @@ const LabelMixin: PartialType = {
     this.htmlLabels = value;
   },
 
+  /**
+   * Specifies the {@link HtmlSchema} for sanitizing HTML labels. If this is
+   * null then HTML labels are rendered as they are. Set this to
+   * {@link RICH_TEXT_SCHEMA} to render the labels that are created with the
+   * rich text mode of {@link CellEditorHandler} in the same way in the
+   * browser and in exported images.
+   * @default null
+   */
+  labelHtmlSchema: null,
+
+  /**
+   * Returns the {@link HtmlSchema} for sanitizing the label of the given cell.
+   * This implementation returns {@link labelHtmlSchema} if the label of the
+   * cell is HTML, see {@link isHtmlLabel}, and null otherwise.
+   *
+   * @param cell {@link Cell} whose label should be sanitized.
+   */
+  getLabelHtmlSchema(cell) {
+    return this.isHtmlLabel(cell) ? this.labelHtmlSchema : null;
+  },
+
+  /**
+   * Specifies the default return value for {@link isMarkdownLabel}.
+   * @default false
+   */
+  markdownLabels: false,
+
+  /**
+   * Returns true if the label of the given cell is Markdown source, which is
+   * rendered as formatted text, see {@link markdownToHtml}, and edited as
+   * source text. This implementation returns the `markdown` style of the cell
+   * or {@link markdownLabels} if the style is not defined. Markdown labels
+   * take precedence over HTML labels.
+   *
+   * @param cell {@link Cell} whose label should be rendered as Markdown.
+   */
+  isMarkdownLabel(cell) {
+    return this.getCurrentCellStyle(cell).markdown ?? this.markdownLabels;
+  },
+
   /**
    * This enables wrapping for HTML labels.
    *
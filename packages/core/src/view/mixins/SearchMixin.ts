@@ -0,0 +1,180 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { mixInto } from '../../util/Utils';
+import { isNode } from '../../util/domUtils';
+import Cell from '../cell/Cell';
+import CellAttributeChange from '../undoable_changes/CellAttributeChange';
+import { Graph } from '../Graph';
+
+import type { CellStyle, SearchOptions, SearchResult } from '../../types';
+
+declare module '../Graph' {
+  interface Graph {
+    createSearchPattern: (pattern: string, options?: SearchOptions) => RegExp;
+    getSearchableValues: (cell: Cell, options?: SearchOptions) => SearchResult[];
+    findInCells: (pattern: string, options?: SearchOptions) => SearchResult[];
+    replaceInCells: (
+      pattern: string,
+      replacement: string,
+      options?: SearchOptions
+    ) => Cell[];
+  }
+}
+
+type PartialGraph = Pick<Graph, 'getDataModel' | 'batchUpdate'>;
+type PartialSearch = Pick<
+  Graph,
+  'createSearchPattern' | 'getSearchableValues' | 'findInCells' | 'replaceInCells'
+>;
+type PartialType = PartialGraph & PartialSearch;
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const SearchMixin: PartialType = {
+  /**
+   * Returns the global regular expression for the given search pattern. The
+   * pattern is escaped unless {@link SearchOptions.regex} is true.
+   *
+   * @param pattern String that contains the text or regular expression.
+   * @param options Optional {@link SearchOptions}.
+   */
+  createSearchPattern(pattern, options = {}) {
+    let source = options.regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (options.wholeWord) {
+      source = `(?<!\\w)(?:${source})(?!\\w)`;
+    }
+
+    return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+  },
+
+  /**
+   * Returns the values of the given cell that are searched with the given
+   * options. These are the label if the value of the cell is not an XML node,
+   * the attributes of the value if it is an XML node and the string values in
+   * the style of the cell if {@link SearchOptions.styles} is true. Since the
+   * values are read from the cell, changes of attributes, eg. via
+   * {@link CellAttributeChange}, are found immediately.
+   *
+   * @param cell {@link Cell} whose values should be returned.
+   * @param options Optional {@link SearchOptions}.
+   */
+  getSearchableValues(cell, options = {}) {
+    const result: SearchResult[] = [];
+    const value = cell.getValue();
+
+    if (isNode(value)) {
+      if (options.attributes ?? true) {
+        for (const attr of Array.from((<Element>value).attributes)) {
+          result.push({ cell, field: 'attribute', name: attr.name, value: attr.value });
+        }
+      }
+    } else if (value != null && (options.labels ?? true)) {
+      result.push({ cell, field: 'label', name: null, value: String(value) });
+    }
+
+    if (options.styles) {
+      const style = cell.getStyle();
+
+      for (const [name, styleValue] of Object.entries(style)) {
+        if (typeof styleValue === 'string') {
+          result.push({ cell, field: 'style', name, value: styleValue });
+        }
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Returns the values of the cells that match the given pattern in the order
+   * of the cells, see {@link getSearchableValues}.
+   *
+   * @param pattern String that contains the text or regular expression.
+   * @param options Optional {@link SearchOptions}.
+   */
+  findInCells(pattern, options = {}) {
+    const result: SearchResult[] = [];
+
+    if (pattern.length > 0) {
+      const regex = this.createSearchPattern(pattern, options);
+      const cells =
+        options.cells ??
+        this.getDataModel()
+          .getRoot()
+          ?.filterDescendants((cell) => cell.isVertex() || cell.isEdge()) ??
+        [];
+
+      for (const cell of cells) {
+        for (const value of this.getSearchableValues(cell, options)) {
+          regex.lastIndex = 0;
+
+          if (regex.test(value.value)) {
+            result.push(value);
+          }
+        }
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Replaces all matches of the given pattern in the cells and returns the
+   * cells that have been changed. All changes are made in a single
+   * transaction so that they can be undone in one step. If
+   * {@link SearchOptions.regex} is true then the replacement may contain
+   * references to groups, eg. `$1`.
+   *
+   * @param pattern String that contains the text or regular expression.
+   * @param replacement String to replace the matches with.
+   * @param options Optional {@link SearchOptions}.
+   */
+  replaceInCells(pattern, replacement, options = {}) {
+    const results = this.findInCells(pattern, options);
+    const regex = this.createSearchPattern(pattern, options);
+    const replace = options.regex ? replacement : replacement.replace(/\$/g, '$$$$');
+    const styles = new Map<Cell, CellStyle>();
+    const changed = new Set<Cell>();
+
+    this.batchUpdate(() => {
+      const model = this.getDataModel();
+
+      for (const result of results) {
+        const value = result.value.replace(regex, replace);
+
+        if (value !== result.value) {
+          changed.add(result.cell);
+
+          if (result.field === 'label') {
+            model.setValue(result.cell, value);
+          } else if (result.field === 'attribute') {
+            model.execute(new CellAttributeChange(result.cell, result.name!, value));
+          } else {
+            const style = styles.get(result.cell) ?? { ...result.cell.getStyle() };
+            (<any>style)[result.name!] = value;
+            styles.set(result.cell, style);
+          }
+        }
+      }
+
+      for (const [cell, style] of styles) {
+        model.setStyle(cell, style);
+      }
+    });
+    return Array.from(changed);
+  },
+};
+
+mixInto(Graph)(SearchMixin);
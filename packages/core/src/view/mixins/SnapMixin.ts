@@ -24,6 +24,7 @@ declare module '../Graph' {
     snapTolerance: number;
     gridSize: number;
     gridEnabled: boolean;
+    snapToGuideLines: boolean;
 
     getSnapTolerance: () => number;
     snap: (value: number) => number;
@@ -34,6 +35,13 @@ declare module '../Graph' {
       ignoreHorizontal: boolean,
       ignoreVertical: boolean
     ) => Point;
+    getGuideLineTolerance: () => number;
+    snapDeltaToGuideLines: (
+      delta: Point,
+      bounds: Rectangle,
+      ignoreHorizontal: boolean,
+      ignoreVertical: boolean
+    ) => { x: boolean; y: boolean };
     isGridEnabled: () => boolean;
     setGridEnabled: (value: boolean) => void;
     getGridSize: () => number;
@@ -41,15 +49,18 @@ declare module '../Graph' {
   }
 }
 
-type PartialGraph = Pick<Graph, 'getView'>;
+type PartialGraph = Pick<Graph, 'getView' | 'getDataModel' | 'updateThemeBackground'>;
 type PartialSnap = Pick<
   Graph,
   | 'snapTolerance'
   | 'gridSize'
   | 'gridEnabled'
+  | 'snapToGuideLines'
   | 'getSnapTolerance'
   | 'snap'
   | 'snapDelta'
+  | 'getGuideLineTolerance'
+  | 'snapDeltaToGuideLines'
   | 'isGridEnabled'
   | 'setGridEnabled'
   | 'getGridSize'
@@ -78,6 +89,14 @@ const SnapMixin: PartialType = {
    */
   gridEnabled: true,
 
+  /**
+   * Specifies if {@link snapDelta} and {@link Guide} should snap to the guide
+   * lines of the model, see {@link GraphDataModel.getGuideLines}. Set this to
+   * true if guide lines are created with a {@link Ruler}.
+   * @default false
+   */
+  snapToGuideLines: false,
+
   /*****************************************************************************
    * Group: Graph display
    *****************************************************************************/
@@ -95,7 +114,9 @@ const SnapMixin: PartialType = {
   },
 
   /**
-   * Snaps the given delta with the given scaled bounds.
+   * Snaps the given delta with the given scaled bounds. The bounds are
+   * aligned to the guide lines of the model if {@link snapToGuideLines} is
+   * true, otherwise they are snapped to the grid.
    */
   snapDelta(
     delta,
@@ -107,6 +128,17 @@ const SnapMixin: PartialType = {
     const t = this.getView().translate;
     const s = this.getView().scale;
 
+    if (this.snapToGuideLines) {
+      const snapped = this.snapDeltaToGuideLines(
+        delta,
+        bounds,
+        ignoreHorizontal,
+        ignoreVertical
+      );
+      ignoreHorizontal = ignoreHorizontal || snapped.x;
+      ignoreVertical = ignoreVertical || snapped.y;
+    }
+
     if (!ignoreGrid && this.gridEnabled) {
       const tol = this.gridSize * s * 0.5;
 
@@ -155,6 +187,69 @@ const SnapMixin: PartialType = {
     return delta;
   },
 
+  /**
+   * Returns the tolerance in model coordinates for snapping to guide lines.
+   * This is half the grid size if the grid is enabled or 2 otherwise.
+   */
+  getGuideLineTolerance() {
+    return this.gridEnabled ? this.gridSize / 2 : 2;
+  },
+
+  /**
+   * Changes the given delta so that the left, center or right side and the
+   * top, middle or bottom side of the given scaled bounds are aligned to the
+   * closest guide lines of the model. Returns which directions have been
+   * snapped.
+   *
+   * @param delta {@link Point} that represents the scaled delta.
+   * @param bounds {@link Rectangle} that represents the scaled bounds.
+   * @param ignoreHorizontal Specifies if the x-coordinate should be ignored.
+   * @param ignoreVertical Specifies if the y-coordinate should be ignored.
+   */
+  snapDeltaToGuideLines(delta, bounds, ignoreHorizontal = false, ignoreVertical = false) {
+    const t = this.getView().translate;
+    const s = this.getView().scale;
+    let ttX = this.getGuideLineTolerance() * s;
+    let ttY = ttX;
+    let dx: number | null = null;
+    let dy: number | null = null;
+
+    for (const line of this.getDataModel().getGuideLines()) {
+      if (line.direction === 'vertical' && !ignoreHorizontal) {
+        const x = (line.position + t.x) * s;
+
+        for (const value of [bounds.x, bounds.getCenterX(), bounds.x + bounds.width]) {
+          const d = x - (value + delta.x);
+
+          if (Math.abs(d) < ttX) {
+            ttX = Math.abs(d);
+            dx = delta.x + d;
+          }
+        }
+      } else if (line.direction === 'horizontal' && !ignoreVertical) {
+        const y = (line.position + t.y) * s;
+
+        for (const value of [bounds.y, bounds.getCenterY(), bounds.y + bounds.height]) {
+          const d = y - (value + delta.y);
+
+          if (Math.abs(d) < ttY) {
+            ttY = Math.abs(d);
+            dy = delta.y + d;
+          }
+        }
+      }
+    }
+
+    if (dx != null) {
+      delta.x = dx;
+    }
+
+    if (dy != null) {
+      delta.y = dy;
+    }
+    return { x: dx != null, y: dy != null };
+  },
+
   /*****************************************************************************
    * Group: Graph behaviour
    *****************************************************************************/
@@ -167,12 +262,14 @@ const SnapMixin: PartialType = {
   },
 
   /**
-   * Specifies if the grid should be enabled.
+   * Specifies if the grid should be enabled and updates the grid in the
+   * background of the container, see {@link updateThemeBackground}.
    *
    * @param value Boolean indicating if the grid should be enabled.
    */
   setGridEnabled(value) {
     this.gridEnabled = value;
+    this.updateThemeBackground();
   },
 
   /**
@@ -183,10 +280,12 @@ const SnapMixin: PartialType = {
   },
 
   /**
-   * Sets {@link gridSize}.
+   * Sets {@link gridSize} and updates the grid in the background of the
+   * container, see {@link updateThemeBackground}.
    */
   setGridSize(value) {
     this.gridSize = value;
+    this.updateThemeBackground();
   },
 };
 
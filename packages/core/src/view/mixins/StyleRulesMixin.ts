@@ -0,0 +1,340 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { mixInto } from '../../util/Utils';
+import { isNode } from '../../util/domUtils';
+import Cell from '../cell/Cell';
+import InternalEvent from '../event/InternalEvent';
+import CellAttributeChange from '../undoable_changes/CellAttributeChange';
+import ChildChange from '../undoable_changes/ChildChange';
+import StyleChange from '../undoable_changes/StyleChange';
+import TerminalChange from '../undoable_changes/TerminalChange';
+import ValueChange from '../undoable_changes/ValueChange';
+import { Graph } from '../Graph';
+
+import type EventObject from '../event/EventObject';
+import type EventSource from '../event/EventSource';
+import type InternalMouseEvent from '../event/InternalMouseEvent';
+import type { CellStateStyle, MouseListenerSet, StyleRuleContext } from '../../types';
+
+declare module '../Graph' {
+  interface Graph {
+    hoveredCell: Cell | null;
+    hoverMouseListener: MouseListenerSet | null;
+    hoverLeaveHandler: (() => void) | null;
+    styleValidationHandler: ((sender: EventSource, evt: EventObject) => void) | null;
+
+    getHoveredCell: () => Cell | null;
+    setHoveredCell: (cell: Cell | null) => void;
+    installHoverListeners: () => void;
+    removeHoverListeners: () => void;
+    getStyleRuleContext: (cell: Cell) => StyleRuleContext;
+    applyStyleRules: (cell: Cell, style: CellStateStyle) => CellStateStyle;
+    invalidateStyleRules: (changes: any[]) => void;
+    invalidateCellStyles: (cells: (Cell | null)[]) => void;
+    updateCellStyles: (cells: (Cell | null)[]) => void;
+    invalidateSelectionStyles: (cells: Cell[]) => void;
+  }
+}
+
+type PartialGraph = Pick<
+  Graph,
+  | 'getView'
+  | 'getDataModel'
+  | 'getContainer'
+  | 'getStylesheet'
+  | 'isCellSelected'
+  | 'convertValueToString'
+  | 'addMouseListener'
+  | 'removeMouseListener'
+>;
+type PartialStyleRules = Pick<
+  Graph,
+  | 'hoveredCell'
+  | 'hoverMouseListener'
+  | 'hoverLeaveHandler'
+  | 'styleValidationHandler'
+  | 'getHoveredCell'
+  | 'setHoveredCell'
+  | 'installHoverListeners'
+  | 'removeHoverListeners'
+  | 'getStyleRuleContext'
+  | 'applyStyleRules'
+  | 'invalidateStyleRules'
+  | 'invalidateCellStyles'
+  | 'updateCellStyles'
+  | 'invalidateSelectionStyles'
+>;
+type PartialType = PartialGraph & PartialStyleRules;
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const StyleRulesMixin: PartialType = {
+  /**
+   * Holds the cell under the mouse for the `hovered` state of the
+   * {@link StyleRule}s.
+   * @default null
+   */
+  hoveredCell: null,
+
+  /**
+   * Holds the mouse listener that updates {@link hoveredCell}. This is
+   * installed in {@link installHoverListeners}.
+   */
+  hoverMouseListener: null,
+
+  /**
+   * Holds the handler that resets {@link hoveredCell} if the mouse leaves the
+   * container.
+   */
+  hoverLeaveHandler: null,
+
+  /**
+   * Holds the listener that validates the view at the end of the current
+   * update of the model, see {@link invalidateSelectionStyles}.
+   */
+  styleValidationHandler: null,
+
+  /**
+   * Returns {@link hoveredCell}.
+   */
+  getHoveredCell() {
+    return this.hoveredCell;
+  },
+
+  /**
+   * Sets {@link hoveredCell} and updates the styles of the previous and the
+   * new cell under the mouse.
+   *
+   * @param cell {@link Cell} under the mouse or null.
+   */
+  setHoveredCell(cell) {
+    if (cell !== this.hoveredCell) {
+      const previous = this.hoveredCell;
+      this.hoveredCell = cell;
+      this.updateCellStyles([previous, cell]);
+    }
+  },
+
+  /**
+   * Installs the listeners that update {@link hoveredCell} if they are not
+   * installed. This is called in {@link applyStyleRules} if the stylesheet
+   * has a {@link StyleRule} with a `hovered` condition.
+   */
+  installHoverListeners() {
+    if (this.hoverMouseListener == null) {
+      this.hoverMouseListener = {
+        mouseDown: () => {},
+        mouseMove: (sender: EventSource, me: InternalMouseEvent) => {
+          this.setHoveredCell(me.getCell());
+        },
+        mouseUp: () => {},
+      };
+      this.addMouseListener(this.hoverMouseListener);
+
+      this.hoverLeaveHandler = () => this.setHoveredCell(null);
+      InternalEvent.addListener(
+        this.getContainer(),
+        'mouseleave',
+        this.hoverLeaveHandler
+      );
+    }
+  },
+
+  /**
+   * Removes the listeners that have been installed in
+   * {@link installHoverListeners}.
+   */
+  removeHoverListeners() {
+    if (this.hoverMouseListener != null) {
+      this.removeMouseListener(this.hoverMouseListener);
+      this.hoverMouseListener = null;
+    }
+
+    if (this.hoverLeaveHandler != null) {
+      InternalEvent.removeListener(
+        this.getContainer(),
+        'mouseleave',
+        this.hoverLeaveHandler
+      );
+      this.hoverLeaveHandler = null;
+    }
+  },
+
+  /**
+   * Returns the {@link StyleRuleContext} for evaluating the
+   * {@link StyleRule}s of the stylesheet for the given cell.
+   *
+   * @param cell {@link Cell} whose context should be returned.
+   */
+  getStyleRuleContext(cell) {
+    const value = cell.getValue();
+    const attributes: { [name: string]: string } = {};
+
+    if (isNode(value)) {
+      for (const attr of Array.from((<Element>value).attributes)) {
+        attributes[attr.name] = attr.value;
+      }
+    }
+
+    if (attributes.label == null) {
+      attributes.label = this.convertValueToString(cell);
+    }
+
+    return {
+      cell,
+      graph: <Graph>(<unknown>this),
+      value,
+      attributes,
+      degree: cell.getEdgeCount(),
+      parent: cell.getParent(),
+      selected: this.isCellSelected(cell),
+      hovered: cell === this.hoveredCell,
+      collapsed: cell.isCollapsed(),
+    };
+  },
+
+  /**
+   * Adds the entries of the applicable {@link StyleRule}s of the stylesheet
+   * to the given style of the given cell. This is called in
+   * {@link getCellStyle}. The listeners for the hovered state are installed
+   * once a rule with a `hovered` condition is applied.
+   *
+   * @param cell {@link Cell} whose style should be changed.
+   * @param style {@link CellStateStyle} of the cell.
+   */
+  applyStyleRules(cell, style) {
+    const stylesheet = this.getStylesheet();
+    const rules = stylesheet.getRules();
+
+    if (rules.length === 0) {
+      return style;
+    }
+
+    if (this.hoverMouseListener == null && rules.some((rule) => rule.hovered != null)) {
+      this.installHoverListeners();
+    }
+
+    return stylesheet.applyRules(style, this.getStyleRuleContext(cell));
+  },
+
+  /**
+   * Invalidates the styles of the cells whose {@link StyleRuleContext} is
+   * changed by the given changes of the model, namely the cells whose value,
+   * attributes, style or parent have changed, the children of cells whose
+   * value, attributes or style have changed and the terminals of edges that
+   * have been added, removed or reconnected. This is called in
+   * {@link graphModelChanged}.
+   *
+   * @param changes Array of changes of the model.
+   */
+  invalidateStyleRules(changes) {
+    if (this.getStylesheet().getRules().length > 0) {
+      const cells: (Cell | null)[] = [];
+
+      for (const change of changes) {
+        if (
+          change instanceof ValueChange ||
+          change instanceof CellAttributeChange ||
+          change instanceof StyleChange
+        ) {
+          cells.push(change.cell, ...change.cell.getChildren());
+        } else if (change instanceof ChildChange) {
+          cells.push(change.child);
+
+          if (change.child.isEdge()) {
+            cells.push(change.child.getTerminal(true), change.child.getTerminal(false));
+          }
+        } else if (change instanceof TerminalChange) {
+          cells.push(change.terminal, change.previous);
+        }
+      }
+
+      this.invalidateCellStyles(cells);
+    }
+  },
+
+  /**
+   * Marks the styles of the given cells as invalid so that they are computed
+   * again in the next validation of the view.
+   *
+   * @param cells Array of {@link Cell}s whose styles should be invalidated.
+   */
+  invalidateCellStyles(cells) {
+    const view = this.getView();
+
+    for (const cell of cells) {
+      const state = cell != null ? view.getState(cell) : null;
+
+      if (state != null) {
+        state.invalidStyle = true;
+        view.invalidate(state.cell, false, false);
+      }
+    }
+  },
+
+  /**
+   * Computes the styles of the given cells again and validates the view if
+   * the stylesheet has {@link StyleRule}s. This is used if the selected or
+   * hovered state of the cells has changed.
+   *
+   * @param cells Array of {@link Cell}s whose styles should be updated.
+   */
+  updateCellStyles(cells) {
+    if (this.getStylesheet().getRules().length > 0) {
+      this.invalidateCellStyles(cells);
+      this.getView().validate();
+    }
+  },
+
+  /**
+   * Marks the styles of the given cells as invalid if the stylesheet has a
+   * {@link StyleRule} with a `selected` condition. This is called in
+   * {@link SelectionChange.execute}. The view is validated immediately if the
+   * model is not being updated. Otherwise it is validated at the end of the
+   * update, either in {@link graphModelChanged} or, if the model has not been
+   * changed, in {@link styleValidationHandler}.
+   *
+   * @param cells Array of {@link Cell}s whose selection state has changed.
+   */
+  invalidateSelectionStyles(cells) {
+    if (
+      this.getStylesheet()
+        .getRules()
+        .some((rule) => rule.selected != null)
+    ) {
+      const model = this.getDataModel();
+      this.invalidateCellStyles(cells);
+
+      if (model.updateLevel === 0) {
+        this.getView().validate();
+      } else if (this.styleValidationHandler == null) {
+        this.styleValidationHandler = (sender: EventSource, evt: EventObject) => {
+          if (model.updateLevel === 0 && this.styleValidationHandler != null) {
+            model.removeListener(this.styleValidationHandler);
+            this.styleValidationHandler = null;
+
+            if (evt.getProperty('edit').isEmpty()) {
+              this.getView().validate();
+            }
+          }
+        };
+        model.addListener(InternalEvent.END_UPDATE, this.styleValidationHandler);
+      }
+    }
+  },
+};
+
+mixInto(Graph)(StyleRulesMixin);
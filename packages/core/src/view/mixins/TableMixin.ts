@@ -0,0 +1,660 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Cell from '../cell/Cell';
+import Geometry from '../geometry/Geometry';
+import TableLayout from '../layout/TableLayout';
+import { mixInto } from '../../util/Utils';
+import { SHAPE } from '../../util/Constants';
+import { Graph } from '../Graph';
+import InternalEvent from '../event/InternalEvent';
+import RootChange from '../undoable_changes/RootChange';
+
+import type { CellStyle } from '../../types';
+import type EventObject from '../event/EventObject';
+import type EventSource from '../event/EventSource';
+
+declare module '../Graph' {
+  interface Graph {
+    tableStyle: CellStyle;
+    tableRowStyle: CellStyle;
+    tableCellStyle: CellStyle;
+    tableRootListener: ((sender: EventSource, evt: EventObject) => void) | null;
+
+    installTableListener: () => void;
+    removeTableListener: () => void;
+
+    isTable: (cell: Cell | null) => boolean;
+    isTableRow: (cell: Cell | null) => boolean;
+    isTableCell: (cell: Cell | null) => boolean;
+    getTableForCell: (cell: Cell | null) => Cell | null;
+    getTableRows: (table: Cell) => Cell[];
+    getTableColumnCount: (table: Cell) => number;
+    createTableLayout: () => TableLayout;
+    createTable: (
+      rows: number,
+      columns: number,
+      columnWidth: number,
+      rowHeight: number,
+      value?: any,
+      style?: CellStyle
+    ) => Cell;
+    createTableRow: (widths: number[], height: number) => Cell;
+    createTableCell: (width: number, height: number, value?: any) => Cell;
+    insertTable: (
+      parent: Cell | null,
+      rows: number,
+      columns: number,
+      x: number,
+      y: number,
+      columnWidth?: number,
+      rowHeight?: number,
+      style?: CellStyle
+    ) => Cell;
+    insertTableRow: (table: Cell, index: number) => Cell | null;
+    insertTableColumn: (table: Cell, index: number) => Cell[];
+    deleteTableRow: (table: Cell, index: number) => void;
+    deleteTableColumn: (table: Cell, index: number) => void;
+    setTableColumnWidth: (table: Cell, index: number, width: number) => void;
+    setTableRowHeight: (table: Cell, index: number, height: number) => void;
+    updateTable: (table: Cell) => void;
+    updateTables: (parent: Cell) => void;
+    getTablesForCells: (cells: Cell[]) => Cell[];
+    updateTablesForCells: (cells: Cell[]) => void;
+  }
+}
+
+type PartialGraph = Pick<
+  Graph,
+  | 'getDataModel'
+  | 'getCurrentCellStyle'
+  | 'getDefaultParent'
+  | 'addCell'
+  | 'removeCells'
+  | 'batchUpdate'
+>;
+type PartialTable = Pick<
+  Graph,
+  | 'tableStyle'
+  | 'tableRowStyle'
+  | 'tableCellStyle'
+  | 'tableRootListener'
+  | 'installTableListener'
+  | 'removeTableListener'
+  | 'isTable'
+  | 'isTableRow'
+  | 'isTableCell'
+  | 'getTableForCell'
+  | 'getTableRows'
+  | 'getTableColumnCount'
+  | 'createTableLayout'
+  | 'createTable'
+  | 'createTableRow'
+  | 'createTableCell'
+  | 'insertTable'
+  | 'insertTableRow'
+  | 'insertTableColumn'
+  | 'deleteTableRow'
+  | 'deleteTableColumn'
+  | 'setTableColumnWidth'
+  | 'setTableRowHeight'
+  | 'updateTable'
+  | 'updateTables'
+  | 'getTablesForCells'
+  | 'updateTablesForCells'
+>;
+type PartialType = PartialGraph & PartialTable;
+
+/**
+ * Returns the vertices in the given parent.
+ */
+const getVertices = (parent: Cell) =>
+  parent.getChildren().filter((child) => child.isVertex());
+
+/**
+ * Changes the width or height of the given cell by the given amount.
+ */
+const resizeGeometry = (graph: PartialType, cell: Cell, dw: number, dh: number) => {
+  let geo = cell.getGeometry();
+
+  if (geo != null && (dw !== 0 || dh !== 0)) {
+    geo = geo.clone();
+    geo.width += dw;
+    geo.height += dh;
+    graph.getDataModel().setGeometry(cell, geo);
+  }
+};
+
+/**
+ * Sets the widths of the cells in all rows to the given column widths, the
+ * heights of the rows to the given heights and the size of the table to the
+ * sum of the widths and heights.
+ */
+const setTableSizes = (
+  graph: PartialType,
+  table: Cell,
+  widths: number[],
+  heights: number[]
+) => {
+  graph.getTableRows(table).forEach((row, i) => {
+    const geo = row.getGeometry();
+
+    if (geo != null && heights[i] != null) {
+      resizeGeometry(graph, row, 0, heights[i] - geo.height);
+    }
+
+    getVertices(row).forEach((cell, j) => {
+      const geo = cell.getGeometry();
+
+      if (geo != null && widths[j] != null) {
+        resizeGeometry(graph, cell, widths[j] - geo.width, 0);
+      }
+    });
+  });
+
+  const geo = table.getGeometry();
+
+  if (geo != null) {
+    resizeGeometry(
+      graph,
+      table,
+      widths.reduce((sum, w) => sum + w, 0) - geo.width,
+      heights.reduce((sum, h) => sum + h, 0) - geo.height
+    );
+  }
+};
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const TableMixin: PartialType = {
+  /**
+   * Style of new tables.
+   * @default { shape: 'table', fillColor: '#FFFFFF', strokeColor: '#000000' }
+   */
+  tableStyle: { shape: SHAPE.TABLE, fillColor: '#FFFFFF', strokeColor: '#000000' },
+
+  /**
+   * Style of new table rows.
+   * @default { shape: 'tableRow', fillColor: 'none', strokeColor: 'none' }
+   */
+  tableRowStyle: { shape: SHAPE.TABLE_ROW, fillColor: 'none', strokeColor: 'none' },
+
+  /**
+   * Style of new table cells.
+   * @default { shape: 'tableCell', fillColor: 'none', strokeColor: '#000000' }
+   */
+  tableCellStyle: { shape: SHAPE.TABLE_CELL, fillColor: 'none', strokeColor: '#000000' },
+
+  /**
+   * Holds the listener that arranges the tables of a new root of the model,
+   * see {@link updateTables}. This is installed in {@link installTableListener}
+   * once the graph creates or arranges a table.
+   */
+  tableRootListener: null,
+
+  /**
+   * Adds a listener to the model that arranges the tables of a new root, eg.
+   * after a model was decoded. This is called by {@link createTable} and
+   * {@link updateTable}, so graphs without tables do not check the changes of
+   * the model. Call {@link updateTables} for the root to arrange the tables of
+   * a decoded model in a graph that has not used tables before.
+   */
+  installTableListener() {
+    if (this.tableRootListener == null) {
+      this.tableRootListener = (sender, evt) => {
+        for (const change of evt.getProperty('edit').changes) {
+          if (change instanceof RootChange && change.root != null) {
+            this.updateTables(change.root);
+          }
+        }
+      };
+      this.getDataModel().addListener(InternalEvent.BEFORE_UNDO, this.tableRootListener);
+    }
+  },
+
+  /**
+   * Removes the listener that was added to the model in
+   * {@link installTableListener}.
+   */
+  removeTableListener() {
+    if (this.tableRootListener != null) {
+      this.getDataModel().removeListener(this.tableRootListener);
+      this.tableRootListener = null;
+    }
+  },
+
+  /**
+   * Returns true if the given cell is a table, that is, a vertex with a
+   * {@link SHAPE.TABLE} shape.
+   *
+   * @param cell {@link Cell} to be checked.
+   */
+  isTable(cell) {
+    return (
+      cell != null &&
+      cell.isVertex() &&
+      this.getCurrentCellStyle(cell).shape === SHAPE.TABLE
+    );
+  },
+
+  /**
+   * Returns true if the given cell is a row of a table.
+   *
+   * @param cell {@link Cell} to be checked.
+   */
+  isTableRow(cell) {
+    return cell != null && cell.isVertex() && this.isTable(cell.getParent());
+  },
+
+  /**
+   * Returns true if the given cell is a cell of a table.
+   *
+   * @param cell {@link Cell} to be checked.
+   */
+  isTableCell(cell) {
+    return cell != null && cell.isVertex() && this.isTableRow(cell.getParent());
+  },
+
+  /**
+   * Returns the table for the given table, row or cell or null if the cell
+   * is not part of a table.
+   *
+   * @param cell {@link Cell} whose table should be returned.
+   */
+  getTableForCell(cell) {
+    if (this.isTableCell(cell)) {
+      return (<Cell>cell).getParent()!.getParent();
+    } else if (this.isTableRow(cell)) {
+      return (<Cell>cell).getParent();
+    }
+    return this.isTable(cell) ? cell : null;
+  },
+
+  /**
+   * Returns the rows of the given table.
+   */
+  getTableRows(table) {
+    return getVertices(table);
+  },
+
+  /**
+   * Returns the number of columns of the given table, which is the largest
+   * number of cells in a row.
+   */
+  getTableColumnCount(table) {
+    return this.getTableRows(table).reduce(
+      (count, row) => Math.max(count, getVertices(row).length),
+      0
+    );
+  },
+
+  /**
+   * Creates the {@link TableLayout} that is used in {@link updateTable}.
+   */
+  createTableLayout() {
+    return new TableLayout(<Graph>(<unknown>this));
+  },
+
+  /**
+   * Creates a new table with the given number of rows and columns.
+   *
+   * @param rows Number of rows.
+   * @param columns Number of columns.
+   * @param columnWidth Width of the columns.
+   * @param rowHeight Height of the rows.
+   * @param value Optional user object of the table.
+   * @param style Optional style of the table. Default is {@link tableStyle}.
+   */
+  createTable(rows, columns, columnWidth, rowHeight, value = null, style?) {
+    this.installTableListener();
+    const widths = new Array(columns).fill(columnWidth);
+    const table = new Cell(
+      value,
+      new Geometry(0, 0, columns * columnWidth, rows * rowHeight),
+      {
+        ...(style ?? this.tableStyle),
+      }
+    );
+    table.setVertex(true);
+    table.setConnectable(true);
+
+    for (let i = 0; i < rows; i += 1) {
+      const row = this.createTableRow(widths, rowHeight);
+      row.geometry!.y = i * rowHeight;
+      table.insert(row);
+    }
+    return table;
+  },
+
+  /**
+   * Creates a new row with cells of the given widths.
+   *
+   * @param widths Widths of the cells.
+   * @param height Height of the row.
+   */
+  createTableRow(widths, height) {
+    const width = widths.reduce((sum, w) => sum + w, 0);
+    const row = new Cell(null, new Geometry(0, 0, width, height), {
+      ...this.tableRowStyle,
+    });
+    row.setVertex(true);
+    row.setConnectable(false);
+    let x = 0;
+
+    for (const w of widths) {
+      const cell = this.createTableCell(w, height);
+      cell.geometry!.x = x;
+      row.insert(cell);
+      x += w;
+    }
+    return row;
+  },
+
+  /**
+   * Creates a new cell for a table row.
+   *
+   * @param width Width of the cell.
+   * @param height Height of the cell.
+   * @param value Optional user object of the cell.
+   */
+  createTableCell(width, height, value = '') {
+    const cell = new Cell(value, new Geometry(0, 0, width, height), {
+      ...this.tableCellStyle,
+    });
+    cell.setVertex(true);
+
+    return cell;
+  },
+
+  /**
+   * Adds a new table with the given number of rows and columns to the given
+   * parent and returns the table.
+   *
+   * @param parent {@link Cell} that specifies the parent of the table. Default
+   * is {@link getDefaultParent}.
+   * @param rows Number of rows.
+   * @param columns Number of columns.
+   * @param x X-coordinate of the table.
+   * @param y Y-coordinate of the table.
+   * @param columnWidth Width of the columns. Default is 60.
+   * @param rowHeight Height of the rows. Default is 30.
+   * @param style Optional style of the table. Default is {@link tableStyle}.
+   */
+  insertTable(parent, rows, columns, x, y, columnWidth = 60, rowHeight = 30, style) {
+    const table = this.createTable(rows, columns, columnWidth, rowHeight, null, style);
+    table.geometry!.x = x;
+    table.geometry!.y = y;
+
+    return this.addCell(table, parent ?? this.getDefaultParent());
+  },
+
+  /**
+   * Inserts a new row at the given index. The cells of the new row have the
+   * widths of the columns and the height of the adjacent row. Returns the new
+   * row or null if the table has no columns.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the new row. Use the number of rows to append a row.
+   */
+  insertTableRow(table, index) {
+    const rows = this.getTableRows(table);
+    const layout = this.createTableLayout();
+    const widths = layout.getColumnWidths(rows);
+
+    if (widths.length === 0) {
+      return null;
+    }
+
+    const heights = layout.getRowHeights(rows);
+    const height = heights[Math.min(index, heights.length - 1)];
+    const row = this.createTableRow(widths, height);
+    index = Math.max(0, Math.min(index, rows.length));
+
+    this.batchUpdate(() => {
+      // Inserts before the row that is at the given index
+      const model = this.getDataModel();
+      model.add(table, row, index < rows.length ? table.getIndex(rows[index]) : null);
+      resizeGeometry(this, table, 0, height);
+      this.updateTable(table);
+    });
+    return row;
+  },
+
+  /**
+   * Inserts a new column at the given index and returns the new cells. The
+   * new column has the width of the adjacent column.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the new column. Use the number of columns to
+   * append a column.
+   */
+  insertTableColumn(table, index) {
+    const rows = this.getTableRows(table);
+    const layout = this.createTableLayout();
+    const widths = layout.getColumnWidths(rows);
+    const width = widths.length > 0 ? widths[Math.min(index, widths.length - 1)] : 60;
+    const cells: Cell[] = [];
+
+    this.batchUpdate(() => {
+      const model = this.getDataModel();
+
+      for (const row of rows) {
+        const rowCells = getVertices(row);
+        const geo = row.getGeometry();
+        const cell = this.createTableCell(width, geo != null ? geo.height : 0);
+        const i = Math.max(0, Math.min(index, rowCells.length));
+
+        model.add(row, cell, i < rowCells.length ? row.getIndex(rowCells[i]) : null);
+        cells.push(cell);
+      }
+
+      resizeGeometry(this, table, width, 0);
+      this.updateTable(table);
+    });
+    return cells;
+  },
+
+  /**
+   * Removes the row at the given index. The table is removed if its last row
+   * is removed.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the row to be removed.
+   */
+  deleteTableRow(table, index) {
+    const rows = this.getTableRows(table);
+    const row = rows[index];
+
+    if (row != null) {
+      this.batchUpdate(() => {
+        if (rows.length === 1) {
+          this.removeCells([table], true);
+        } else {
+          const geo = row.getGeometry();
+          this.removeCells([row], true);
+          resizeGeometry(this, table, 0, -(geo != null ? geo.height : 0));
+          this.updateTable(table);
+        }
+      });
+    }
+  },
+
+  /**
+   * Removes the column at the given index. The table is removed if its last
+   * column is removed.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the column to be removed.
+   */
+  deleteTableColumn(table, index) {
+    const rows = this.getTableRows(table);
+    const width = this.createTableLayout().getColumnWidths(rows)[index];
+
+    if (width != null) {
+      this.batchUpdate(() => {
+        if (this.getTableColumnCount(table) === 1) {
+          this.removeCells([table], true);
+        } else {
+          const cells = rows
+            .map((row) => getVertices(row)[index])
+            .filter((cell) => cell != null);
+          this.removeCells(cells, true);
+          resizeGeometry(this, table, -width, 0);
+          this.updateTable(table);
+        }
+      });
+    }
+  },
+
+  /**
+   * Sets the width of the column at the given index. The width of the table
+   * is changed by the same amount.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the column.
+   * @param width New width of the column.
+   */
+  setTableColumnWidth(table, index, width) {
+    const rows = this.getTableRows(table);
+    const layout = this.createTableLayout();
+    const widths = layout.getColumnWidths(rows);
+
+    if (widths[index] != null) {
+      widths[index] = Math.max(layout.minColumnWidth, width);
+
+      this.batchUpdate(() => {
+        setTableSizes(this, table, widths, layout.getRowHeights(rows));
+        this.updateTable(table);
+      });
+    }
+  },
+
+  /**
+   * Sets the height of the row at the given index. The height of the table
+   * is changed by the same amount.
+   *
+   * @param table {@link Cell} that represents the table.
+   * @param index Index of the row.
+   * @param height New height of the row.
+   */
+  setTableRowHeight(table, index, height) {
+    const rows = this.getTableRows(table);
+    const layout = this.createTableLayout();
+    const heights = layout.getRowHeights(rows);
+
+    if (heights[index] != null) {
+      heights[index] = Math.max(layout.minRowHeight, height);
+
+      this.batchUpdate(() => {
+        setTableSizes(this, table, layout.getColumnWidths(rows), heights);
+        this.updateTable(table);
+      });
+    }
+  },
+
+  /**
+   * Arranges the rows and cells of the given table using the layout from
+   * {@link createTableLayout}.
+   *
+   * @param table {@link Cell} that represents the table.
+   */
+  updateTable(table) {
+    this.installTableListener();
+    this.createTableLayout().execute(table);
+  },
+
+  /**
+   * Arranges all tables in the given parent and its descendants. This is
+   * called if the root of the model changes, eg. after a model was decoded,
+   * so that the rows and columns of the tables have consistent sizes.
+   *
+   * @param parent {@link Cell} whose tables should be updated.
+   */
+  updateTables(parent) {
+    const tables = parent.filterDescendants((cell) => this.isTable(cell));
+
+    if (tables.length > 0) {
+      this.batchUpdate(() => {
+        for (const table of tables) {
+          this.updateTable(table);
+        }
+      });
+    }
+  },
+
+  /**
+   * Returns the tables that contain the given rows and cells of tables.
+   *
+   * @param cells Array of {@link Cell}s whose tables should be returned.
+   */
+  getTablesForCells(cells) {
+    const tables = new Set<Cell>();
+
+    for (const cell of cells) {
+      const table = this.getTableForCell(cell);
+
+      if (table != null && table !== cell) {
+        tables.add(table);
+      }
+    }
+    return Array.from(tables);
+  },
+
+  /**
+   * Updates the tables of the given cells after the cells have been resized.
+   * The new size of a row or cell is applied to the complete row or column
+   * and the new size of a table is distributed to its last row and column.
+   *
+   * @param cells Array of {@link Cell}s that have been resized.
+   */
+  updateTablesForCells(cells) {
+    const tables = new Set<Cell>();
+
+    for (const cell of cells) {
+      const table = this.getTableForCell(cell);
+      const geo = cell.getGeometry();
+
+      if (table != null && geo != null) {
+        if (table !== cell) {
+          const layout = this.createTableLayout();
+          const rows = this.getTableRows(table);
+          const widths = layout.getColumnWidths(rows);
+          const heights = layout.getRowHeights(rows);
+
+          if (this.isTableCell(cell)) {
+            const row = <Cell>cell.getParent();
+            widths[getVertices(row).indexOf(cell)] = Math.max(
+              layout.minColumnWidth,
+              geo.width
+            );
+            heights[rows.indexOf(row)] = Math.max(layout.minRowHeight, geo.height);
+          } else {
+            heights[rows.indexOf(cell)] = Math.max(layout.minRowHeight, geo.height);
+          }
+
+          setTableSizes(this, table, widths, heights);
+        }
+
+        tables.add(table);
+      }
+    }
+
+    for (const table of tables) {
+      this.updateTable(table);
+    }
+  },
+};
+
+mixInto(Graph)(TableMixin);
@@ -0,0 +1,321 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { mixInto } from '../../util/Utils';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import { DarkTheme, LightTheme } from '../style/Themes';
+import { Graph } from '../Graph';
+
+import type SelectionCellsHandler from '../handler/SelectionCellsHandler';
+import type { ColorValue, Theme, ThemeColorName } from '../../types';
+
+declare module '../Graph' {
+  interface Graph {
+    theme: Theme | null;
+    lightTheme: Theme;
+    darkTheme: Theme;
+    followColorScheme: boolean;
+    colorSchemeQuery: MediaQueryList | null;
+    colorSchemeHandler: (() => void) | null;
+    themeBackgroundHandler: (() => void) | null;
+    themeBackground: ColorValue | null;
+    themeGrid: boolean;
+
+    getTheme: () => Theme | null;
+    setTheme: (theme: Theme | null) => void;
+    getThemeColor: (name: ThemeColorName, defaultValue: ColorValue) => ColorValue;
+    isDarkColorScheme: () => boolean;
+    isFollowColorScheme: () => boolean;
+    setFollowColorScheme: (value: boolean) => void;
+    applyColorScheme: () => void;
+    updateThemeProperties: (
+      previous: Theme | null,
+      theme: Theme | null,
+      elt?: HTMLElement
+    ) => void;
+    updateThemeBackground: () => void;
+  }
+}
+
+type PartialGraph = Pick<
+  Graph,
+  | 'getContainer'
+  | 'getView'
+  | 'getStylesheet'
+  | 'getPlugin'
+  | 'isGridEnabled'
+  | 'getGridSize'
+  | 'refresh'
+  | 'fireEvent'
+>;
+type PartialTheme = Pick<
+  Graph,
+  | 'theme'
+  | 'lightTheme'
+  | 'darkTheme'
+  | 'followColorScheme'
+  | 'colorSchemeQuery'
+  | 'colorSchemeHandler'
+  | 'themeBackgroundHandler'
+  | 'themeBackground'
+  | 'themeGrid'
+  | 'getTheme'
+  | 'setTheme'
+  | 'getThemeColor'
+  | 'isDarkColorScheme'
+  | 'isFollowColorScheme'
+  | 'setFollowColorScheme'
+  | 'applyColorScheme'
+  | 'updateThemeProperties'
+  | 'updateThemeBackground'
+>;
+type PartialType = PartialGraph & PartialTheme;
+
+// @ts-expect-error The properties of PartialGraph are defined elsewhere.
+const ThemeMixin: PartialType = {
+  /**
+   * The {@link Theme} of the graph or null if the default appearance is used.
+   * @default null
+   */
+  theme: null,
+
+  /**
+   * Theme that is used in {@link applyColorScheme} if the user prefers a
+   * light color scheme.
+   * @default {@link LightTheme}
+   */
+  lightTheme: LightTheme,
+
+  /**
+   * Theme that is used in {@link applyColorScheme} if the user prefers a
+   * dark color scheme.
+   * @default {@link DarkTheme}
+   */
+  darkTheme: DarkTheme,
+
+  /**
+   * Specifies if the theme follows the `prefers-color-scheme` media query.
+   * Use {@link setFollowColorScheme} to change this value.
+   * @default false
+   */
+  followColorScheme: false,
+
+  colorSchemeQuery: null,
+
+  colorSchemeHandler: null,
+
+  themeBackgroundHandler: null,
+
+  /**
+   * The background color of the container that was set by
+   * {@link updateThemeBackground} or null if the color was not set.
+   */
+  themeBackground: null,
+
+  /**
+   * True if the grid of {@link theme} is painted in the background of the
+   * container by {@link updateThemeBackground}.
+   */
+  themeGrid: false,
+
+  /**
+   * Returns {@link theme}.
+   */
+  getTheme() {
+    return this.theme;
+  },
+
+  /**
+   * Applies the given {@link Theme} to the graph. The styles of the theme are
+   * applied through {@link Stylesheet.setTheme}, the custom CSS properties
+   * for the UI elements are set on the container, the background of
+   * the container is updated and the graph and the selection handles are
+   * refreshed. Fires {@link InternalEvent.THEME} with the new and the
+   * previous theme as `theme` and `previous` properties.
+   *
+   * @param theme {@link Theme} to be applied or null for the default appearance.
+   */
+  setTheme(theme) {
+    const previous = this.theme;
+    this.theme = theme;
+    this.getStylesheet().setTheme(theme);
+    this.updateThemeProperties(previous, theme);
+
+    const view = this.getView();
+
+    if (this.themeBackgroundHandler == null) {
+      this.themeBackgroundHandler = () => this.updateThemeBackground();
+      view.addListener(InternalEvent.SCALE, this.themeBackgroundHandler);
+      view.addListener(InternalEvent.TRANSLATE, this.themeBackgroundHandler);
+      view.addListener(InternalEvent.SCALE_AND_TRANSLATE, this.themeBackgroundHandler);
+    }
+
+    this.updateThemeBackground();
+
+    // Recreates the background page with the new colors
+    if (view.backgroundPageShape != null) {
+      view.backgroundPageShape.destroy();
+      view.backgroundPageShape = null;
+    }
+
+    this.refresh();
+
+    // Recreates the handles for the new cell states
+    const handler = this.getPlugin('SelectionCellsHandler') as SelectionCellsHandler;
+    handler?.refresh();
+
+    this.fireEvent(new EventObject(InternalEvent.THEME, { theme, previous }));
+  },
+
+  /**
+   * Returns the color with the given name from {@link theme} or the given
+   * default value if the theme does not define the color.
+   *
+   * @param name {@link ThemeColorName} of the color.
+   * @param defaultValue Color to be returned if the theme does not define the color.
+   */
+  getThemeColor(name, defaultValue) {
+    return this.theme?.colors?.[name] ?? defaultValue;
+  },
+
+  /**
+   * Returns true if the user prefers a dark color scheme.
+   */
+  isDarkColorScheme() {
+    return (
+      typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-color-scheme: dark)').matches
+    );
+  },
+
+  /**
+   * Returns {@link followColorScheme}.
+   */
+  isFollowColorScheme() {
+    return this.followColorScheme;
+  },
+
+  /**
+   * Specifies if the theme should follow the `prefers-color-scheme` media
+   * query. If this is true then {@link applyColorScheme} is called now and
+   * each time the preferred color scheme changes.
+   *
+   * @param value Boolean that specifies if the color scheme should be followed.
+   */
+  setFollowColorScheme(value) {
+    this.followColorScheme = value;
+
+    if (value) {
+      if (this.colorSchemeHandler == null && typeof window.matchMedia === 'function') {
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.colorSchemeHandler = () => this.applyColorScheme();
+        this.colorSchemeQuery.addEventListener('change', this.colorSchemeHandler);
+      }
+
+      this.applyColorScheme();
+    } else if (this.colorSchemeQuery != null && this.colorSchemeHandler != null) {
+      this.colorSchemeQuery.removeEventListener('change', this.colorSchemeHandler);
+      this.colorSchemeQuery = null;
+      this.colorSchemeHandler = null;
+    }
+  },
+
+  /**
+   * Applies {@link darkTheme} if the user prefers a dark color scheme and
+   * {@link lightTheme} otherwise.
+   */
+  applyColorScheme() {
+    const theme = this.isDarkColorScheme() ? this.darkTheme : this.lightTheme;
+
+    if (theme !== this.theme) {
+      this.setTheme(theme);
+    }
+  },
+
+  /**
+   * Removes the custom CSS properties of the previous theme from the given
+   * element and sets the properties of the given theme. The rubberband and
+   * other elements in the container inherit the properties of the container.
+   * {@link TooltipHandler} and {@link PopupMenuHandler} call this for their
+   * elements, which are not part of the container. The properties for
+   * {@link MaxWindow}s must be set by the application, eg. on the document
+   * element, as windows do not belong to a graph.
+   *
+   * @param previous Previous {@link Theme}.
+   * @param theme New {@link Theme}.
+   * @param elt Element to set the properties on. Default is the container.
+   */
+  updateThemeProperties(previous, theme, elt) {
+    const { style } = elt ?? this.getContainer();
+
+    for (const name of Object.keys(previous?.ui ?? {})) {
+      style.removeProperty(name);
+    }
+
+    for (const [name, value] of Object.entries(theme?.ui ?? {})) {
+      style.setProperty(name, value);
+    }
+  },
+
+  /**
+   * Updates the background color of the container and paints the grid using
+   * the `gridColor` of {@link theme} if the grid is enabled. The background of
+   * the container is only changed while the theme provides the respective
+   * color, so that a background of the host page is kept otherwise. This is
+   * called if the theme, the scale, the translate or the grid changes. This
+   * does nothing if the graph has no container, eg. in a worker.
+   */
+  updateThemeBackground() {
+    const container = this.getContainer();
+
+    if (container == null) {
+      return;
+    }
+
+    const { style } = container;
+    const background = this.theme?.background ?? null;
+    const gridColor = this.theme?.gridColor;
+
+    if (background != null) {
+      style.backgroundColor = background;
+    } else if (this.themeBackground != null) {
+      style.backgroundColor = '';
+    }
+
+    this.themeBackground = background;
+
+    if (gridColor != null && this.isGridEnabled()) {
+      const view = this.getView();
+      const size = this.getGridSize() * view.scale;
+      const line = `${gridColor} 1px, transparent 1px`;
+
+      style.backgroundImage = `linear-gradient(to right, ${line}), linear-gradient(to bottom, ${line})`;
+      style.backgroundSize = `${size}px ${size}px`;
+      style.backgroundPosition = `${view.translate.x * view.scale}px ${
+        view.translate.y * view.scale
+      }px`;
+      this.themeGrid = true;
+    } else if (this.themeGrid) {
+      style.backgroundImage = '';
+      style.backgroundSize = '';
+      style.backgroundPosition = '';
+      this.themeGrid = false;
+    }
+  },
+};
+
+mixInto(Graph)(ThemeMixin);
@@ -0,0 +1,555 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import EventSource from '../event/EventSource';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import Cell from '../cell/Cell';
+import GraphDataModel from '../GraphDataModel';
+import UndoableEdit from '../undoable_changes/UndoableEdit';
+import ChildChange from '../undoable_changes/ChildChange';
+import RootChange from '../undoable_changes/RootChange';
+import TerminalChange from '../undoable_changes/TerminalChange';
+import ValueChange from '../undoable_changes/ValueChange';
+import StyleChange from '../undoable_changes/StyleChange';
+import GeometryChange from '../undoable_changes/GeometryChange';
+import CollapseChange from '../undoable_changes/CollapseChange';
+import VisibleChange from '../undoable_changes/VisibleChange';
+import CellAttributeChange from '../undoable_changes/CellAttributeChange';
+import JsonCodec from '../../serialization/JsonCodec';
+import type { JsonObject } from '../../serialization/JsonObjectCodec';
+import type { UndoableChange } from '../../types';
+
+/**
+ * Names of the cell properties that are synchronized with
+ * {@link CollaborationOperation}s of type `set`.
+ */
+export type CollaborationProperty =
+  | 'value'
+  | 'style'
+  | 'geometry'
+  | 'source'
+  | 'target'
+  | 'collapsed'
+  | 'visible';
+
+/**
+ * Atomic operation in a {@link CollaborationMessage}. Cells are referenced
+ * by their IDs and all values are plain JSON values.
+ *
+ * - `add` inserts or moves the cell with the given ID into the given parent.
+ * The `cells` contain the cell and its descendants as encoded by
+ * {@link JsonCodec.encodeCell} and are used if the cell does not exist.
+ * - `remove` removes the cell with the given ID from the model.
+ * - `set` changes a property of the cell with the given ID.
+ * - `root` replaces the root of the model with the given cells.
+ */
+export type CollaborationOperation =
+  | { type: 'add'; id: string; parent: string; index: number; cells: JsonObject[] }
+  | { type: 'remove'; id: string }
+  | { type: 'set'; id: string; key: CollaborationProperty; value: any }
+  | { type: 'root'; cells: JsonObject[] };
+
+/**
+ * Transport-neutral message that describes an edit of a model. All
+ * operations of a message share the logical timestamp given by `clock` and
+ * `clientId`.
+ */
+export type CollaborationMessage = {
+  /**
+   * ID of the client that created the message.
+   */
+  clientId: string;
+  /**
+   * Sequence number of the message for the client.
+   */
+  seq: number;
+  /**
+   * Lamport clock of the client when the message was created.
+   */
+  clock: number;
+  ops: CollaborationOperation[];
+};
+
+/**
+ * Channel for exchanging {@link CollaborationMessage}s between clients. A
+ * transport must deliver the messages of a client in the order in which they
+ * were sent. See {@link InMemoryCollaborationHub} for an implementation.
+ */
+export interface CollaborationTransport {
+  /**
+   * Sends the given message to all other clients.
+   */
+  send(message: CollaborationMessage): void;
+  /**
+   * Registers the function that handles incoming messages.
+   */
+  connect(receiver: (message: CollaborationMessage) => void): void;
+  /**
+   * Removes the function that handles incoming messages.
+   */
+  disconnect(): void;
+}
+
+/**
+ * Logical timestamp of a property, ie. the clock and client ID of the
+ * message that last changed the property.
+ */
+type Stamp = [number, string];
+
+/**
+ * Synchronizes a {@link GraphDataModel} with the models of other clients.
+ *
+ * Each edit of the local model, including undo and redo, is encoded into a
+ * {@link CollaborationMessage} and sent via the given
+ * {@link CollaborationTransport}. Messages from other clients are applied to
+ * the model without firing an {@link InternalEvent.UNDO} event, so they are
+ * not added to the local {@link UndoManager}.
+ *
+ * Concurrent edits are resolved per cell and property using a last writer
+ * wins strategy, where the order is defined by the Lamport clock and the
+ * client ID of the messages. The parent of a cell is a property in this
+ * sense, so that moving and removing a cell are resolved the same way.
+ * Removed cells are kept as tombstones, and properties of cells that have
+ * been removed are ignored. A removed cell is restored by a later `add`
+ * operation, eg. if the removal is undone.
+ *
+ * To avoid collisions of the IDs of new cells, the {@link clientId} is used as
+ * the {@link GraphDataModel.prefix} of the model if no prefix is defined.
+ *
+ * ```javascript
+ * const hub = new InMemoryCollaborationHub();
+ * const mgr1 = new CollaborationManager(graph1.getDataModel(), hub.createTransport());
+ * const mgr2 = new CollaborationManager(graph2.getDataModel(), hub.createTransport());
+ * ```
+ *
+ * Event: mxEvent.RECEIVE
+ *
+ * Fires after a remote message has been applied. The `message` property
+ * contains the {@link CollaborationMessage} and the `edit` property contains
+ * the {@link UndoableEdit} with the changes that were executed.
+ *
+ * @class CollaborationManager
+ * @extends EventSource
+ */
+class CollaborationManager extends EventSource {
+  constructor(
+    model: GraphDataModel,
+    transport: CollaborationTransport,
+    clientId: string = Math.random().toString(36).substring(2, 10)
+  ) {
+    super();
+
+    this.model = model;
+    this.transport = transport;
+    this.clientId = clientId;
+
+    if (model.prefix === '') {
+      model.prefix = `${clientId}-`;
+    }
+
+    // Sends the local changes to the other clients
+    this.changeHandler = (sender: any, evt: EventObject) => {
+      if (this.isEnabled() && !this.applying) {
+        this.editHappened(evt.getProperty('edit'));
+      }
+    };
+
+    model.addListener(InternalEvent.CHANGE, this.changeHandler);
+    transport.connect((message) => this.receive(message));
+  }
+
+  /**
+   * Reference to the {@link GraphDataModel} that is synchronized.
+   */
+  model: GraphDataModel;
+
+  /**
+   * Holds the {@link CollaborationTransport}.
+   */
+  transport: CollaborationTransport;
+
+  /**
+   * Unique ID of the local client.
+   */
+  clientId: string;
+
+  /**
+   * Lamport clock of the local client.
+   */
+  clock = 0;
+
+  /**
+   * Sequence number of the last message that was sent.
+   */
+  seq = 0;
+
+  /**
+   * Specifies if local changes are sent. Default is true.
+   */
+  enabled = true;
+
+  /**
+   * True while remote operations are being applied.
+   */
+  applying = false;
+
+  /**
+   * Maps from cell IDs to the stamps of the properties of the cells.
+   */
+  stamps: { [id: string]: { [key: string]: Stamp } } = {};
+
+  /**
+   * Maps from the IDs of removed cells to the stamps of the removals.
+   */
+  tombstones: { [id: string]: Stamp } = {};
+
+  /**
+   * Holds the function that handles model changes.
+   */
+  changeHandler: (sender: any, evt: EventObject) => void;
+
+  /**
+   * Returns {@link enabled}.
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Enables or disables sending of local changes.
+   */
+  setEnabled(value: boolean) {
+    this.enabled = value;
+  }
+
+  /**
+   * Returns true if the cell with the given ID has been removed and not
+   * restored since.
+   */
+  isRemoved(id: string) {
+    return this.tombstones[id] != null;
+  }
+
+  /**
+   * Encodes the changes of the given edit and sends them to the other
+   * clients.
+   */
+  editHappened(edit: UndoableEdit) {
+    const ops = this.encodeChanges(edit.changes);
+
+    if (ops.length > 0) {
+      this.clock += 1;
+      const stamp: Stamp = [this.clock, this.clientId];
+
+      for (const op of ops) {
+        this.updateStamp(op, stamp);
+      }
+
+      this.seq += 1;
+      this.transport.send({
+        clientId: this.clientId,
+        seq: this.seq,
+        clock: this.clock,
+        ops,
+      });
+    }
+  }
+
+  /**
+   * Returns the operations for the given changes. The operations describe
+   * the current state of the changed properties, so that the same function
+   * can be used for edits that have been undone or redone.
+   */
+  encodeChanges(changes: UndoableChange[]) {
+    const enc = new JsonCodec();
+    const ops = new Map<string, CollaborationOperation>();
+
+    for (const change of changes) {
+      if (change instanceof RootChange) {
+        const cells: JsonObject[] = [];
+
+        if (change.root) {
+          enc.encodeCell(change.root, cells);
+        }
+        ops.clear();
+        ops.set('root', { type: 'root', cells });
+      } else if (change instanceof ChildChange) {
+        const cell = change.child;
+        const id = <string>cell.getId();
+        const parent = cell.getParent();
+        ops.delete(`parent:${id}`);
+
+        if (parent && this.model.contains(cell)) {
+          const cells: JsonObject[] = [];
+          enc.encodeCell(cell, cells);
+          ops.set(`parent:${id}`, {
+            type: 'add',
+            id,
+            parent: <string>parent.getId(),
+            index: parent.getIndex(cell),
+            cells,
+          });
+        } else {
+          ops.set(`parent:${id}`, { type: 'remove', id });
+        }
+      } else {
+        const key = this.getChangedProperty(change);
+        const cell: Cell | null = (<any>change).cell ?? null;
+
+        if (key && cell && this.model.contains(cell)) {
+          const id = <string>cell.getId();
+          ops.delete(`${key}:${id}`);
+          ops.set(`${key}:${id}`, {
+            type: 'set',
+            id,
+            key,
+            value: this.encodeProperty(enc, cell, key),
+          });
+        }
+      }
+    }
+    return Array.from(ops.values());
+  }
+
+  /**
+   * Returns the {@link CollaborationProperty} that is changed by the given
+   * change or null if the change is not synchronized.
+   */
+  getChangedProperty(change: UndoableChange): CollaborationProperty | null {
+    if (change instanceof ValueChange || change instanceof CellAttributeChange) {
+      return 'value';
+    } else if (change instanceof StyleChange) {
+      return 'style';
+    } else if (change instanceof GeometryChange) {
+      return 'geometry';
+    } else if (change instanceof TerminalChange) {
+      return change.source ? 'source' : 'target';
+    } else if (change instanceof CollapseChange) {
+      return 'collapsed';
+    } else if (change instanceof VisibleChange) {
+      return 'visible';
+    }
+    return null;
+  }
+
+  /**
+   * Returns the JSON value of the given property of the given cell.
+   */
+  encodeProperty(enc: JsonCodec, cell: Cell, key: CollaborationProperty) {
+    switch (key) {
+      case 'value':
+        return enc.encodeValue(cell.getValue());
+      case 'style':
+        return enc.encodeValue(cell.getStyle());
+      case 'geometry':
+        return enc.encodeValue(cell.getGeometry());
+      case 'source':
+      case 'target':
+        return cell.getTerminal(key === 'source')?.getId() ?? null;
+      case 'collapsed':
+        return cell.isCollapsed();
+      case 'visible':
+        return cell.isVisible();
+    }
+  }
+
+  /**
+   * Stores the given stamp for the property that is changed by the given
+   * operation.
+   */
+  updateStamp(op: CollaborationOperation, stamp: Stamp) {
+    if (op.type === 'root') {
+      this.stamps = {};
+      this.tombstones = {};
+    } else {
+      const key = op.type === 'set' ? op.key : 'parent';
+      this.stamps[op.id] = this.stamps[op.id] ?? {};
+      this.stamps[op.id][key] = stamp;
+
+      if (op.type === 'remove') {
+        this.tombstones[op.id] = stamp;
+      } else if (op.type === 'add') {
+        delete this.tombstones[op.id];
+      }
+    }
+  }
+
+  /**
+   * Returns a negative number if stamp a is older than stamp b, 0 if both
+   * stamps are equal and a positive number otherwise.
+   */
+  compareStamps(a: Stamp, b: Stamp) {
+    return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+  }
+
+  /**
+   * Returns true if the given operation with the given stamp wins over the
+   * last change of the same property.
+   */
+  isNewer(op: CollaborationOperation, stamp: Stamp) {
+    if (op.type === 'root') {
+      return true;
+    }
+
+    const key = op.type === 'set' ? op.key : 'parent';
+    const last = this.stamps[op.id]?.[key];
+
+    if (op.type === 'set' && this.isRemoved(op.id)) {
+      return false;
+    }
+    return last == null || this.compareStamps(stamp, last) > 0;
+  }
+
+  /**
+   * Applies the given message from another client to the model. The changes
+   * are executed in a separate {@link UndoableEdit} which fires
+   * {@link InternalEvent.CHANGE} but not {@link InternalEvent.UNDO}.
+   */
+  receive(message: CollaborationMessage) {
+    if (message.clientId === this.clientId) {
+      return;
+    }
+
+    this.clock = Math.max(this.clock, message.clock);
+    const stamp: Stamp = [message.clock, message.clientId];
+    const edit = this.model.createUndoableEdit();
+    edit.origin = 'remote';
+    this.applying = true;
+
+    try {
+      this.model.fireEvent(new EventObject(InternalEvent.START_EDIT));
+
+      for (const op of message.ops) {
+        if (this.isNewer(op, stamp)) {
+          // Changes are created after the previous changes have been executed
+          // so that the cells of the operation can be resolved
+          const change = this.decodeOperation(op);
+
+          if (change) {
+            change.execute();
+            edit.add(change);
+            this.model.fireEvent(new EventObject(InternalEvent.EXECUTED, { change }));
+          }
+          this.updateStamp(op, stamp);
+        }
+      }
+
+      this.model.fireEvent(new EventObject(InternalEvent.END_EDIT));
+
+      if (!edit.isEmpty()) {
+        edit.notify();
+      }
+    } finally {
+      this.applying = false;
+    }
+
+    this.fireEvent(new EventObject(InternalEvent.RECEIVE, { message, edit }));
+  }
+
+  /**
+   * Returns the change for the given operation or null if the operation
+   * cannot be applied to the model, eg. because the cell does not exist.
+   */
+  decodeOperation(op: CollaborationOperation): UndoableChange | null {
+    const { model } = this;
+
+    if (op.type === 'root') {
+      const dec = new JsonCodec(op.cells, model);
+      const root = op.cells.length > 0 ? dec.decodeCell(op.cells[0], false) : null;
+
+      for (let i = 1; i < op.cells.length; i += 1) {
+        dec.decodeCell(op.cells[i]);
+      }
+      return root ? new RootChange(model, root) : null;
+    } else if (op.type === 'add') {
+      const parent = model.getCell(op.parent);
+      let child = model.getCell(op.id);
+
+      if (!parent) {
+        return null;
+      } else if (!child && op.cells.length > 0) {
+        const dec = new JsonCodec(op.cells, model);
+        child = dec.decodeCell(op.cells[0], false);
+
+        for (let i = 1; i < op.cells.length; i += 1) {
+          dec.decodeCell(op.cells[i]);
+        }
+
+        // Marks the cell as a new cell for the model
+        child.parent = null;
+      }
+
+      return child
+        ? new ChildChange(
+            model,
+            parent,
+            child,
+            Math.min(op.index, parent.getChildCount())
+          )
+        : null;
+    }
+
+    const cell = model.getCell(op.id);
+
+    if (!cell) {
+      return null;
+    } else if (op.type === 'remove') {
+      return new ChildChange(model, null, cell);
+    }
+    return this.createPropertyChange(cell, op.key, op.value);
+  }
+
+  /**
+   * Returns the change that sets the given property of the given cell to the
+   * given JSON value.
+   */
+  createPropertyChange(cell: Cell, key: CollaborationProperty, value: any) {
+    const { model } = this;
+    const dec = new JsonCodec(null, model);
+
+    switch (key) {
+      case 'value':
+        return new ValueChange(model, cell, dec.decodeValue(value));
+      case 'style':
+        return new StyleChange(model, cell, dec.decodeValue(value) ?? {});
+      case 'geometry':
+        return new GeometryChange(model, cell, dec.decodeValue(value));
+      case 'source':
+      case 'target':
+        return new TerminalChange(
+          model,
+          cell,
+          value != null ? model.getCell(value) : null,
+          key === 'source'
+        );
+      case 'collapsed':
+        return new CollapseChange(model, cell, !!value);
+      case 'visible':
+        return new VisibleChange(model, cell, !!value);
+    }
+  }
+
+  /**
+   * Stops synchronizing the model.
+   */
+  destroy() {
+    this.model.removeListener(this.changeHandler);
+    this.transport.disconnect();
+  }
+}
+
+export default CollaborationManager;
@@ -539,7 +539,10 @@ class DragSource {
     }
 
     if (this.highlightDropTargets) {
-      this.currentHighlight = new CellHighlight(graph, DROP_TARGET_COLOR);
+      this.currentHighlight = new CellHighlight(
+        graph,
+        graph.getThemeColor('dropTargetColor', DROP_TARGET_COLOR)
+      );
     }
 
     // Consumes all events in the current graph before they are fired
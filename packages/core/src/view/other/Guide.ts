@@ -16,17 +16,55 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { DIALECT, GUIDE_COLOR, GUIDE_STROKEWIDTH } from '../../util/Constants';
+import { ALIGN, DIALECT, GUIDE_COLOR, GUIDE_STROKEWIDTH } from '../../util/Constants';
 import Point from '../geometry/Point';
 import PolylineShape from '../geometry/edge/PolylineShape';
+import TextShape from '../geometry/node/TextShape';
 import CellState from '../cell/CellState';
 import Shape from '../geometry/Shape';
 import Rectangle from '../geometry/Rectangle';
 import { Graph } from '../Graph';
 
+import type { GuideLine } from '../../types';
+
+/**
+ * Position where a rectangle is evenly spaced with its neighbours. The value
+ * is the new coordinate of the rectangle and the gaps are the equal distances
+ * as lines, that is, rectangles with a width or height of 0.
+ */
+export type GuideSpacing = {
+  value: number;
+  gaps: Rectangle[];
+};
+
+/**
+ * Swaps the x- and y-axis of the given rectangle. This is used to compute the
+ * vertical spacings with the code for the horizontal spacings.
+ */
+const transpose = (r: Rectangle) => new Rectangle(r.y, r.x, r.height, r.width);
+
+/**
+ * Mirrors the given rectangle at the y-axis. This is used to compute the
+ * spacings for the left side with the code for the right side.
+ */
+const mirror = (r: Rectangle) => new Rectangle(-r.x - r.width, r.y, r.width, r.height);
+
+/**
+ * Returns the middle of the overlapping range of the given rectangles on the
+ * y-axis.
+ */
+const getOverlapCenter = (a: Rectangle, b: Rectangle) =>
+  (Math.max(a.y, b.y) + Math.min(a.y + a.height, b.y + b.height)) / 2;
+
 /**
  * Implements the alignment of selection cells to other cells in the graph.
  *
+ * In addition to the alignment of edges and centers, the guide snaps to
+ * positions where the bounds are evenly spaced with the neighbouring states
+ * (see {@link distribution}) and, while resizing, to the sizes of other
+ * states (see {@link sizeMatching}). The equal distances and sizes are shown
+ * with distance labels.
+ *
  * Constructor: mxGuide
  *
  * Constructs a new guide object.
@@ -34,6 +72,7 @@ import { Graph } from '../Graph';
 class Guide {
   constructor(graph: Graph, states: CellState[]) {
     this.graph = graph;
+    this.distanceColor = graph.getThemeColor('guideColor', GUIDE_COLOR);
     this.setStates(states);
   }
 
@@ -67,6 +106,39 @@ class Guide {
    */
   guideY: Shape | null = null;
 
+  /**
+   * Specifies if the guide should snap to positions where the bounds are
+   * evenly spaced with the states in the same row or column. Default is true.
+   */
+  distribution = true;
+
+  /**
+   * Specifies if {@link resize} should snap to the width and height of other
+   * states. Default is true.
+   */
+  sizeMatching = true;
+
+  /**
+   * Color of the distance lines and labels. Default is the `guideColor` of
+   * the {@link Theme} of the graph or {@link Constants#GUIDE_COLOR}.
+   */
+  distanceColor = GUIDE_COLOR;
+
+  /**
+   * Offset in px of the lines that show matching sizes. Default is 8.
+   */
+  sizeMarkerOffset = 8;
+
+  /**
+   * Holds the {@link Shape}s for the distance lines.
+   */
+  distanceShapes: Shape[] = [];
+
+  /**
+   * Holds the {@link TextShape}s for the distance labels.
+   */
+  distanceLabels: TextShape[] = [];
+
   /**
    * Specifies if rounded coordinates should be used. Default is false.
    */
@@ -103,18 +175,31 @@ class Guide {
 
   /**
    * Returns the mxShape to be used for painting the respective guide. This
-   * implementation returns a new, dashed and crisp {@link Polyline} using
-   * {@link Constants#GUIDE_COLOR} and {@link Constants#GUIDE_STROKEWIDTH} as the format.
+   * implementation returns a new, dashed and crisp {@link Polyline} using the
+   * `guideColor` of the {@link Theme} of the graph or {@link Constants#GUIDE_COLOR}
+   * and {@link Constants#GUIDE_STROKEWIDTH} as the format.
    *
    * @param horizontal Boolean that specifies which guide should be created.
    */
   createGuideShape(horizontal = false) {
     // TODO: Should vertical guides be supported here?? ============================
-    const guide = new PolylineShape([], GUIDE_COLOR, GUIDE_STROKEWIDTH);
+    const guide = new PolylineShape(
+      [],
+      this.graph.getThemeColor('guideColor', GUIDE_COLOR),
+      GUIDE_STROKEWIDTH
+    );
     guide.isDashed = true;
     return guide;
   }
 
+  /**
+   * Returns the {@link GuideLine}s of the model to align to. This returns an
+   * empty array if {@link Graph.snapToGuideLines} is false.
+   */
+  getGuideLines(): GuideLine[] {
+    return this.graph.snapToGuideLines ? this.graph.getDataModel().getGuideLines() : [];
+  }
+
   /**
    * Returns true if the given state should be ignored.
    * @param state
@@ -154,7 +239,7 @@ class Guide {
       const middle = b.getCenterY();
 
       // Snaps the left, center and right to the given x-coordinate
-      const snapX = (x: number, state: CellState, centerAlign: boolean) => {
+      const snapX = (x: number, state: CellState | null, centerAlign: boolean) => {
         let override = false;
 
         if (centerAlign && Math.abs(x - center) < ttX) {
@@ -193,7 +278,7 @@ class Guide {
       };
 
       // Snaps the top, middle or bottom to the given y-coordinate
-      const snapY = (y: number, state: CellState, centerAlign: boolean) => {
+      const snapY = (y: number, state: CellState | null, centerAlign: boolean) => {
         let override = false;
 
         if (centerAlign && Math.abs(y - middle) < ttY) {
@@ -261,14 +346,77 @@ class Guide {
         }
       }
 
+      // Aligns to the guide lines of the model
+      const { translate } = this.graph.getView();
+
+      for (const line of this.getGuideLines()) {
+        if (line.direction === 'vertical' && this.horizontal) {
+          const x = (line.position + translate.x) * scale;
+          snapX(x, null, true);
+          snapX(x, null, false);
+        } else if (line.direction === 'horizontal' && this.vertical) {
+          const y = (line.position + translate.y) * scale;
+          snapY(y, null, true);
+          snapY(y, null, false);
+        }
+      }
+
+      // Snaps to equal spacings if they are closer than the alignments
+      let spacingX: GuideSpacing | null = null;
+      let spacingY: GuideSpacing | null = null;
+
+      if (this.distribution) {
+        if (this.horizontal) {
+          spacingX = this.getClosestSpacing(this.getSpacings(b, true), left, ttX);
+
+          if (spacingX != null) {
+            delta.x = spacingX.value - bounds.x;
+            overrideX = true;
+          }
+        }
+
+        if (this.vertical) {
+          spacingY = this.getClosestSpacing(this.getSpacings(b, false), top, ttY);
+
+          if (spacingY != null) {
+            delta.y = spacingY.value - bounds.y;
+            overrideY = true;
+          }
+        }
+      }
+
       // Moves cells to the raster if not aligned
       this.graph.snapDelta(delta, bounds, !gridEnabled, overrideX, overrideY);
       delta = this.getDelta(bounds, stateX, delta.x, stateY, delta.y);
 
+      // Updates the distances for the final bounds
+      const gaps: Rectangle[] = [];
+
+      if (spacingX != null || spacingY != null) {
+        const result = new Rectangle(
+          bounds.x + delta.x,
+          bounds.y + delta.y,
+          bounds.width,
+          bounds.height
+        );
+
+        if (spacingX != null) {
+          spacingX = this.getClosestSpacing(this.getSpacings(result, true), result.x, 1);
+          gaps.push(...(spacingX?.gaps ?? []));
+        }
+
+        if (spacingY != null) {
+          spacingY = this.getClosestSpacing(this.getSpacings(result, false), result.y, 1);
+          gaps.push(...(spacingY?.gaps ?? []));
+        }
+      }
+
+      this.showDistances(gaps);
+
       // Redraws the guides
       const c = this.graph.container;
 
-      if (!overrideX && this.guideX) {
+      if ((!overrideX || spacingX != null) && this.guideX) {
         this.guideX.node.style.visibility = 'hidden';
       } else if (this.guideX) {
         let minY: number | null = null;
@@ -297,7 +445,7 @@ class Guide {
         this.guideX.redraw();
       }
 
-      if (!overrideY && this.guideY != null) {
+      if ((!overrideY || spacingY != null) && this.guideY != null) {
         this.guideY.node.style.visibility = 'hidden';
       } else if (this.guideY != null) {
         let minX = null;
@@ -330,6 +478,440 @@ class Guide {
     return delta;
   }
 
+  /**
+   * Snaps the given bounds of a vertex that is being resized to the sizes of
+   * other states and to positions where the moving sides are evenly spaced
+   * with the neighbouring states. Returns the snapped bounds.
+   *
+   * @param bounds {@link Rectangle} that represents the new bounds in view
+   * coordinates.
+   * @param index Index of the handle as defined in {@link VertexHandler}, where
+   * 0 is the top, left and 7 the bottom, right handle.
+   * @param gridEnabled Specifies if the grid size should be used as the
+   * tolerance.
+   */
+  resize(bounds: Rectangle, index: number, gridEnabled = false): Rectangle {
+    const tt = this.getGuideTolerance(gridEnabled) * this.graph.getView().scale;
+    const result = bounds.clone();
+    const gaps: Rectangle[] = [];
+
+    // Resizes the width if a left or right handle is used
+    if (this.horizontal && index !== 1 && index !== 6) {
+      const west = index === 0 || index === 3 || index === 5;
+      const size = this.resizeSide(result, false, west, tt, gaps);
+      result.x = west ? result.x + result.width - size : result.x;
+      result.width = size;
+    }
+
+    // Resizes the height if a top or bottom handle is used
+    if (this.vertical && index !== 3 && index !== 4) {
+      const north = index < 3;
+      const size = this.resizeSide(result, true, north, tt, gaps);
+      result.y = north ? result.y + result.height - size : result.y;
+      result.height = size;
+    }
+
+    this.showDistances(gaps);
+
+    return result;
+  }
+
+  /**
+   * Returns the new width, or height if vertical is true, for the given
+   * bounds where the right or bottom side is snapped to the size of another
+   * state or to an equal spacing. If mirrored is true then the left or top
+   * side is snapped. The lines for the distance labels are added to the given
+   * array.
+   *
+   * The computation is done for the right side with the axes swapped and the
+   * x-axis mirrored as required.
+   */
+  resizeSide(
+    bounds: Rectangle,
+    vertical: boolean,
+    mirrored: boolean,
+    tolerance: number,
+    lines: Rectangle[]
+  ): number {
+    const toFrame = (r: Rectangle) => (mirrored ? mirror(r) : r);
+    const toView = (r: Rectangle) => {
+      const tmp = mirrored ? mirror(r) : r;
+      return vertical ? transpose(tmp) : tmp;
+    };
+    const b = toFrame(vertical ? transpose(bounds) : bounds);
+    const rects = this.getSpacingRects(bounds, vertical).map(toFrame);
+    let tt = tolerance;
+    let size = b.width;
+    let result: Rectangle[] = [];
+
+    if (this.sizeMatching) {
+      let match: Rectangle | null = null;
+
+      for (const r of this.getSizeRects(vertical).map(toFrame)) {
+        const d = Math.abs(r.width - b.width);
+
+        if (d < tt) {
+          tt = d;
+          match = r;
+        }
+      }
+
+      if (match != null) {
+        const o = this.sizeMarkerOffset;
+        size = match.width;
+        result = [
+          new Rectangle(match.x, match.y - o, match.width, 0),
+          new Rectangle(b.x, b.y - o, size, 0),
+        ];
+      }
+    }
+
+    if (this.distribution) {
+      const spacing = this.getClosestSpacing(
+        this.getEdgeSpacings(b, rects),
+        b.x + b.width,
+        tt
+      );
+
+      if (spacing != null) {
+        size = spacing.value - b.x;
+        result = spacing.gaps;
+      }
+    }
+
+    lines.push(...result.map(toView));
+
+    return size;
+  }
+
+  /**
+   * Returns the bounds of the states that are not ignored and that overlap
+   * the given bounds on the y-axis, or on the x-axis if vertical is true. For
+   * the vertical case, the axes of the given bounds and of the result are
+   * swapped.
+   *
+   * @param bounds {@link Rectangle} that represents the bounds in view
+   * coordinates.
+   * @param vertical Specifies if the spacings are computed on the y-axis.
+   */
+  getSpacingRects(bounds: Rectangle, vertical: boolean): Rectangle[] {
+    const b = vertical ? transpose(bounds) : bounds;
+
+    return this.getSizeRects(vertical).filter(
+      (r) => r.y < b.y + b.height && r.y + r.height > b.y
+    );
+  }
+
+  /**
+   * Returns the bounds of all states that are not ignored with the axes
+   * swapped if vertical is true. States without a cell, eg. page guides,
+   * are ignored.
+   */
+  getSizeRects(vertical: boolean): Rectangle[] {
+    const result: Rectangle[] = [];
+
+    for (const state of this.states) {
+      if (state != null && state.cell != null && !this.isStateIgnored(state)) {
+        const r = new Rectangle(state.x, state.y, state.width, state.height);
+        result.push(vertical ? transpose(r) : r);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the positions on the x-axis, or on the y-axis if vertical is
+   * true, where the given bounds are evenly spaced with the neighbouring
+   * states. This includes the position between the closest neighbours and
+   * the positions where the gap next to a neighbour is repeated.
+   *
+   * @param bounds {@link Rectangle} that represents the bounds in view
+   * coordinates.
+   * @param vertical Specifies if the spacings are computed on the y-axis.
+   */
+  getSpacings(bounds: Rectangle, vertical: boolean): GuideSpacing[] {
+    const b = vertical ? transpose(bounds) : bounds;
+    const rects = this.getSpacingRects(bounds, vertical);
+    const cx = b.getCenterX();
+    const result: GuideSpacing[] = [];
+
+    const left = this.getLeftNeighbour(rects, cx);
+    const right = this.getRightNeighbour(rects, cx);
+
+    const line = (x1: number, x2: number, r1: Rectangle, r2: Rectangle) =>
+      new Rectangle(x1, getOverlapCenter(r1, r2), x2 - x1, 0);
+
+    if (left != null && right != null) {
+      const gap = (right.x - left.x - left.width - b.width) / 2;
+
+      if (gap > 0) {
+        const x = left.x + left.width + gap;
+        const r = new Rectangle(x, b.y, b.width, b.height);
+        result.push({
+          value: x,
+          gaps: [line(x - gap, x, left, r), line(x + b.width, right.x, r, right)],
+        });
+      }
+    }
+
+    if (left != null) {
+      const next = this.getLeftNeighbour(rects, left.x);
+
+      if (next != null) {
+        const gap = left.x - next.x - next.width;
+        const x = left.x + left.width + gap;
+
+        if (gap > 0) {
+          const r = new Rectangle(x, b.y, b.width, b.height);
+          result.push({
+            value: x,
+            gaps: [line(left.x - gap, left.x, next, left), line(x - gap, x, left, r)],
+          });
+        }
+      }
+    }
+
+    if (right != null) {
+      const next = this.getRightNeighbour(rects, right.x + right.width);
+
+      if (next != null) {
+        const gap = next.x - right.x - right.width;
+        const x = right.x - gap - b.width;
+
+        if (gap > 0) {
+          const r = new Rectangle(x, b.y, b.width, b.height);
+          result.push({
+            value: x,
+            gaps: [
+              line(x + b.width, right.x, r, right),
+              line(right.x + right.width, next.x, right, next),
+            ],
+          });
+        }
+      }
+    }
+
+    if (vertical) {
+      for (const spacing of result) {
+        spacing.gaps = spacing.gaps.map(transpose);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the positions of the right side of the given bounds where the
+   * bounds are evenly spaced with the neighbouring rectangles while the left
+   * side is fixed. The gaps are returned in the coordinates of the given
+   * rectangles.
+   *
+   * @param b {@link Rectangle} that is being resized.
+   * @param rects Array of {@link Rectangle}s in the same row.
+   */
+  getEdgeSpacings(b: Rectangle, rects: Rectangle[]): GuideSpacing[] {
+    const result: GuideSpacing[] = [];
+    const left = this.getLeftNeighbour(rects, b.x);
+    const right = this.getRightNeighbour(rects, b.x + b.width);
+
+    const line = (x1: number, x2: number, r1: Rectangle, r2: Rectangle) =>
+      new Rectangle(x1, getOverlapCenter(r1, r2), x2 - x1, 0);
+
+    if (right != null) {
+      if (left != null) {
+        const gap = b.x - left.x - left.width;
+        const x = right.x - gap;
+
+        if (gap > 0 && x > b.x) {
+          const r = new Rectangle(b.x, b.y, x - b.x, b.height);
+          result.push({
+            value: x,
+            gaps: [line(b.x - gap, b.x, left, r), line(x, right.x, r, right)],
+          });
+        }
+      }
+
+      const next = this.getRightNeighbour(rects, right.x + right.width);
+
+      if (next != null) {
+        const gap = next.x - right.x - right.width;
+        const x = right.x - gap;
+
+        if (gap > 0 && x > b.x) {
+          const r = new Rectangle(b.x, b.y, x - b.x, b.height);
+          result.push({
+            value: x,
+            gaps: [
+              line(x, right.x, r, right),
+              line(right.x + right.width, next.x, right, next),
+            ],
+          });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the rectangle with the largest right side that is left of the
+   * given x-coordinate.
+   */
+  getLeftNeighbour(rects: Rectangle[], x: number): Rectangle | null {
+    let result: Rectangle | null = null;
+
+    for (const r of rects) {
+      if (
+        r.x + r.width <= x &&
+        (result == null || r.x + r.width > result.x + result.width)
+      ) {
+        result = r;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the rectangle with the smallest left side that is right of the
+   * given x-coordinate.
+   */
+  getRightNeighbour(rects: Rectangle[], x: number): Rectangle | null {
+    let result: Rectangle | null = null;
+
+    for (const r of rects) {
+      if (r.x >= x && (result == null || r.x < result.x)) {
+        result = r;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the spacing whose value is closest to the given value and whose
+   * distance is less than the given tolerance.
+   */
+  getClosestSpacing(
+    spacings: GuideSpacing[],
+    value: number,
+    tolerance: number
+  ): GuideSpacing | null {
+    let result: GuideSpacing | null = null;
+
+    for (const spacing of spacings) {
+      const d = Math.abs(spacing.value - value);
+
+      if (d < tolerance) {
+        tolerance = d;
+        result = spacing;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the label for the given distance in view coordinates. This
+   * implementation returns the rounded distance in model coordinates.
+   */
+  getDistanceLabel(distance: number): string {
+    return String(Math.round(distance / this.graph.getView().scale));
+  }
+
+  /**
+   * Returns the {@link Shape} for a distance line.
+   */
+  createDistanceShape(): Shape {
+    return new PolylineShape([], this.distanceColor, GUIDE_STROKEWIDTH);
+  }
+
+  /**
+   * Returns the {@link TextShape} for a distance label.
+   */
+  createDistanceLabel(): TextShape {
+    return new TextShape(
+      '',
+      new Rectangle(),
+      ALIGN.CENTER,
+      ALIGN.MIDDLE,
+      this.distanceColor,
+      undefined,
+      10,
+      undefined,
+      1,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      '#FFFFFF'
+    );
+  }
+
+  /**
+   * Shows the given distances as lines with end markers and labels.
+   *
+   * @param lines Array of {@link Rectangle}s with a width or height of 0 in
+   * view coordinates.
+   */
+  showDistances(lines: Rectangle[]): void {
+    const pane = this.graph.getView().getOverlayPane();
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+
+      if (this.distanceShapes[i] == null) {
+        const shape = this.createDistanceShape();
+        shape.dialect = DIALECT.SVG;
+        shape.pointerEvents = false;
+        shape.init(pane);
+        this.distanceShapes[i] = shape;
+
+        const label = this.createDistanceLabel();
+        label.dialect = DIALECT.SVG;
+        label.pointerEvents = false;
+        label.init(pane);
+        this.distanceLabels[i] = label;
+      }
+
+      const x1 = line.x;
+      const y1 = line.y;
+      const x2 = line.x + line.width;
+      const y2 = line.y + line.height;
+      const m = 3;
+      const shape = this.distanceShapes[i];
+
+      // Adds the end markers to the line
+      shape.points =
+        line.height === 0
+          ? [
+              new Point(x1, y1 - m),
+              new Point(x1, y1 + m),
+              new Point(x1, y1),
+              new Point(x2, y2),
+              new Point(x2, y2 - m),
+              new Point(x2, y2 + m),
+            ]
+          : [
+              new Point(x1 - m, y1),
+              new Point(x1 + m, y1),
+              new Point(x1, y1),
+              new Point(x2, y2),
+              new Point(x2 - m, y2),
+              new Point(x2 + m, y2),
+            ];
+      shape.node.style.visibility = 'visible';
+      shape.redraw();
+
+      const label = this.distanceLabels[i];
+      label.value = this.getDistanceLabel(Math.max(line.width, line.height));
+      label.bounds = new Rectangle(line.getCenterX(), line.getCenterY(), 0, 0);
+      label.node.style.visibility = 'visible';
+      label.redraw();
+    }
+
+    for (let i = lines.length; i < this.distanceShapes.length; i += 1) {
+      this.distanceShapes[i].node.style.visibility = 'hidden';
+      this.distanceLabels[i].node.style.visibility = 'hidden';
+    }
+  }
+
   /**
    * Rounds to pixels for virtual states (eg. page guides)
    */
@@ -353,8 +935,8 @@ class Guide {
   /**
    * Hides all current guides.
    */
-  getGuideColor(state: CellState, horizontal: boolean) {
-    return GUIDE_COLOR;
+  getGuideColor(state: CellState | null, horizontal: boolean) {
+    return this.graph.getThemeColor('guideColor', GUIDE_COLOR);
   }
 
   /**
@@ -374,6 +956,9 @@ class Guide {
     if (this.guideY) {
       this.guideY.node.style.visibility = visible ? 'visible' : 'hidden';
     }
+    if (!visible) {
+      this.showDistances([]);
+    }
   }
 
   /**
@@ -388,6 +973,14 @@ class Guide {
       this.guideY.destroy();
       this.guideY = null;
     }
+    for (const shape of this.distanceShapes) {
+      shape.destroy();
+    }
+    for (const label of this.distanceLabels) {
+      label.destroy();
+    }
+    this.distanceShapes = [];
+    this.distanceLabels = [];
   }
 }
 
@@ -0,0 +1,108 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type {
+  CollaborationMessage,
+  CollaborationTransport,
+} from './CollaborationManager';
+
+/**
+ * Connects {@link CollaborationManager}s in the same page, eg. for tests or
+ * for side-by-side views. Messages are copied via JSON to make sure they are
+ * serializable.
+ *
+ * If {@link autoFlush} is false then messages are queued until {@link flush}
+ * is called, which allows to simulate concurrent edits:
+ *
+ * ```javascript
+ * const hub = new InMemoryCollaborationHub();
+ * hub.autoFlush = false;
+ *
+ * const mgr1 = new CollaborationManager(model1, hub.createTransport(), 'a');
+ * const mgr2 = new CollaborationManager(model2, hub.createTransport(), 'b');
+ *
+ * model1.setValue(cell1, 'Hello');
+ * model2.setValue(cell2, 'World');
+ * hub.flush();
+ * ```
+ *
+ * @class InMemoryCollaborationHub
+ */
+class InMemoryCollaborationHub {
+  /**
+   * Holds the receivers of the connected transports.
+   */
+  receivers: Map<CollaborationTransport, (message: CollaborationMessage) => void> =
+    new Map();
+
+  /**
+   * Holds the messages that have not yet been delivered.
+   */
+  queue: { sender: CollaborationTransport; message: string }[] = [];
+
+  /**
+   * Specifies if messages are delivered immediately. Default is true.
+   */
+  autoFlush = true;
+
+  /**
+   * Returns a new {@link CollaborationTransport} for this hub.
+   */
+  createTransport(): CollaborationTransport {
+    const transport: CollaborationTransport = {
+      send: (message) => this.send(transport, message),
+      connect: (receiver) => {
+        this.receivers.set(transport, receiver);
+      },
+      disconnect: () => {
+        this.receivers.delete(transport);
+      },
+    };
+    return transport;
+  }
+
+  /**
+   * Queues the given message of the given transport and delivers it if
+   * {@link autoFlush} is true.
+   */
+  send(sender: CollaborationTransport, message: CollaborationMessage) {
+    this.queue.push({ sender, message: JSON.stringify(message) });
+
+    if (this.autoFlush) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Delivers all queued messages to all transports except the sender. Messages
+   * that are sent during delivery are delivered in the same call.
+   */
+  flush() {
+    while (this.queue.length > 0) {
+      const { sender, message } = <{ sender: CollaborationTransport; message: string }>(
+        this.queue.shift()
+      );
+
+      for (const [transport, receiver] of this.receivers) {
+        if (transport !== sender) {
+          receiver(JSON.parse(message));
+        }
+      }
+    }
+  }
+}
+
+export default InMemoryCollaborationHub;
@@ -0,0 +1,653 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Cell from '../cell/Cell';
+import GraphDataModel from '../GraphDataModel';
+import ChildChange from '../undoable_changes/ChildChange';
+import ValueChange from '../undoable_changes/ValueChange';
+import StyleChange from '../undoable_changes/StyleChange';
+import GeometryChange from '../undoable_changes/GeometryChange';
+import TerminalChange from '../undoable_changes/TerminalChange';
+import JsonCodec from '../../serialization/JsonCodec';
+import { clone } from '../../util/cloneUtils';
+import type { UndoableChange } from '../../types';
+
+/**
+ * Names of the cell properties that are compared by {@link ModelDiff}. The
+ * parent of a cell is a property in this sense, so that adding, removing and
+ * moving a cell are changes of the `parent` property. Changes of the order of
+ * the children of a parent are changes of the `index` property.
+ */
+export type ModelDiffProperty =
+  | 'parent'
+  | 'index'
+  | 'value'
+  | 'style'
+  | 'geometry'
+  | 'source'
+  | 'target';
+
+/**
+ * Status of a cell in a {@link ModelDiff}.
+ */
+export type ModelDiffStatus = 'added' | 'removed' | 'changed';
+
+/**
+ * Function that decides if the change of the given property of the cell with
+ * the given ID is added to a {@link ModelDiff}.
+ */
+export type ModelDiffFilter = (id: string, property: ModelDiffProperty) => boolean;
+
+/**
+ * Property that has been changed differently in both models of a three-way
+ * merge, see {@link ModelDiff.merge}. The values are JSON values as returned
+ * by {@link ModelDiff.getPropertyValue}, where undefined means that the cell
+ * does not exist in the respective model.
+ */
+export type ModelMergeConflict = {
+  id: string;
+  property: ModelDiffProperty;
+  base: any;
+  ours: any;
+  theirs: any;
+};
+
+/**
+ * Result of {@link ModelDiff.merge}.
+ */
+export type ModelMergeResult = {
+  model: GraphDataModel;
+  conflicts: ModelMergeConflict[];
+};
+
+/**
+ * Compares two {@link GraphDataModel}s and expresses the differences as
+ * {@link UndoableChange}s for the source model. The cells of both models are
+ * matched by their IDs, so the models are typically different versions of the
+ * same diagram, eg. two revisions of a file under version control.
+ *
+ * The changes are grouped into {@link added}, {@link removed} and moved cells
+ * ({@link parent}) and changes of the {@link value}, {@link style},
+ * {@link geometry} and terminals ({@link terminal}) of the cells that exist in
+ * both models. The properties are compared by their JSON encoding, see
+ * {@link getPropertyValue}. Executing all {@link changes} on the source model,
+ * eg. with {@link apply}, makes it equal to the target model.
+ *
+ * ```javascript
+ * const diff = new ModelDiff(oldModel, newModel);
+ *
+ * for (const change of diff.style) {
+ *   console.log(change.cell.getId(), change.style);
+ * }
+ * diff.apply();
+ * ```
+ *
+ * See {@link merge} for a three-way merge and {@link Graph.setDiff} for
+ * displaying a diff.
+ *
+ * @class ModelDiff
+ */
+class ModelDiff {
+  constructor(
+    source: GraphDataModel,
+    target: GraphDataModel,
+    filter: ModelDiffFilter | null = null
+  ) {
+    this.source = source;
+    this.target = target;
+    this.filter = filter;
+    this.compare();
+  }
+
+  /**
+   * The {@link GraphDataModel} that the changes are created for.
+   */
+  source: GraphDataModel;
+
+  /**
+   * The {@link GraphDataModel} that the source is compared to.
+   */
+  target: GraphDataModel;
+
+  /**
+   * Optional {@link ModelDiffFilter} that decides which changes are added.
+   */
+  filter: ModelDiffFilter | null;
+
+  /**
+   * Codec for converting the properties into comparable JSON values.
+   */
+  codec = new JsonCodec();
+
+  /**
+   * {@link ChildChange}s that insert the cells of the target model which do
+   * not exist in the source model. The inserted cells are clones of the
+   * cells of the target model with the same IDs.
+   */
+  added: ChildChange[] = [];
+
+  /**
+   * {@link ChildChange}s that remove the cells which do not exist in the
+   * target model. Descendants of removed cells are not listed.
+   */
+  removed: ChildChange[] = [];
+
+  /**
+   * {@link ChildChange}s that move cells to a different parent or to a
+   * different position within their parent. Cells that are moved out of a
+   * removed cell are first moved to the parent of the removed cell, before
+   * the removed cell is removed, and then to their new parent.
+   */
+  parent: ChildChange[] = [];
+
+  /**
+   * {@link ValueChange}s for cells with different values.
+   */
+  value: ValueChange[] = [];
+
+  /**
+   * {@link StyleChange}s for cells with different styles.
+   */
+  style: StyleChange[] = [];
+
+  /**
+   * {@link GeometryChange}s for cells with different geometries.
+   */
+  geometry: GeometryChange[] = [];
+
+  /**
+   * {@link TerminalChange}s for edges with different terminals. This includes
+   * the terminals of added edges.
+   */
+  terminal: TerminalChange[] = [];
+
+  /**
+   * Holds all changes in the order in which they must be executed.
+   */
+  changes: UndoableChange[] = [];
+
+  /**
+   * Maps from the IDs of the cells to their {@link ModelDiffStatus}. Removed
+   * cells include the descendants of removed cells that do not exist in the
+   * target model.
+   */
+  status: { [id: string]: ModelDiffStatus } = {};
+
+  /**
+   * Maps from the IDs of the changed cells to the changed properties.
+   */
+  properties: { [id: string]: ModelDiffProperty[] } = {};
+
+  /**
+   * Returns true if there are no differences.
+   */
+  isEmpty(): boolean {
+    return this.changes.length === 0;
+  }
+
+  /**
+   * Returns the {@link ModelDiffStatus} of the cell with the given ID or null
+   * if the cell has not been changed.
+   */
+  getStatus(id: string): ModelDiffStatus | null {
+    return this.status[id] ?? null;
+  }
+
+  /**
+   * Returns the IDs of all added, removed and changed cells.
+   */
+  getCellIds(): string[] {
+    return Object.keys(this.status);
+  }
+
+  /**
+   * Returns the changed properties of the cell with the given ID.
+   */
+  getChangedProperties(id: string): ModelDiffProperty[] {
+    return this.properties[id] ?? [];
+  }
+
+  /**
+   * Returns true if the change of the given property of the cell with the
+   * given ID should be added to the diff. This implementation uses
+   * {@link filter}.
+   */
+  isAccepted(id: string, property: ModelDiffProperty): boolean {
+    return this.filter == null || this.filter(id, property);
+  }
+
+  /**
+   * Returns the JSON value of the given property of the given cell that is
+   * used for comparing the models.
+   */
+  getPropertyValue(cell: Cell, property: ModelDiffProperty): any {
+    const parent = cell.getParent();
+
+    switch (property) {
+      case 'parent':
+        return parent?.getId() ?? null;
+      case 'index':
+        return parent?.getIndex(cell) ?? 0;
+      case 'value':
+        return this.codec.encodeValue(cell.getValue());
+      case 'style':
+        return this.codec.encodeValue(cell.getStyle());
+      case 'geometry':
+        return this.codec.encodeValue(cell.getGeometry());
+      case 'source':
+      case 'target':
+        return cell.getTerminal(property === 'source')?.getId() ?? null;
+    }
+  }
+
+  /**
+   * Returns true if the given JSON values are equal. The order of the keys of
+   * objects is ignored.
+   */
+  isEqual(a: any, b: any): boolean {
+    if (a === b) {
+      return true;
+    } else if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') {
+      return false;
+    } else if (Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+
+    const keys = Object.keys(a);
+
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && this.isEqual(a[key], b[key]))
+    );
+  }
+
+  /**
+   * Adds the given property to the changed properties of the cell with the
+   * given ID.
+   */
+  addProperty(id: string, property: ModelDiffProperty, status: ModelDiffStatus) {
+    this.properties[id] = this.properties[id] ?? [];
+
+    if (this.properties[id].indexOf(property) < 0) {
+      this.properties[id].push(property);
+    }
+    this.status[id] = this.status[id] ?? status;
+  }
+
+  /**
+   * Returns a clone of the given cell of the target model with the same ID
+   * but without children and terminals.
+   */
+  cloneCell(cell: Cell): Cell {
+    const result = cell.clone();
+    result.setId(<string>cell.getId());
+
+    return result;
+  }
+
+  /**
+   * Creates the changes. This is called from the constructor.
+   */
+  compare(): void {
+    const sourceRoot = this.source.getRoot();
+    const targetRoot = this.target.getRoot();
+
+    if (sourceRoot == null || targetRoot == null) {
+      return;
+    }
+
+    // Removes the cells that do not exist in the target model first so that
+    // cells can be moved out of removed cells
+    const removed = new Set<Cell>();
+    const survivors: Cell[] = [];
+    const structure: ChildChange[] = [];
+
+    for (const cell of sourceRoot.getDescendants()) {
+      const id = <string>cell.getId();
+      const parent = cell.getParent();
+
+      if (cell === sourceRoot) {
+        continue;
+      } else if (parent != null && removed.has(parent)) {
+        if (this.target.getCell(id) != null && this.isAccepted(id, 'parent')) {
+          survivors.push(cell);
+        } else {
+          removed.add(cell);
+          this.status[id] = 'removed';
+        }
+      } else if (this.target.getCell(id) == null && this.isAccepted(id, 'parent')) {
+        removed.add(cell);
+        this.removed.push(new ChildChange(this.source, null, cell));
+        this.addProperty(id, 'parent', 'removed');
+      }
+    }
+
+    // Maps from the cells of the target model to the cells of the source model
+    const cells = new Map<Cell, Cell>([[targetRoot, sourceRoot]]);
+    const added = new Set<Cell>();
+
+    // Holds the resulting children of the parents in the source model
+    const children = new Map<Cell, Cell[]>();
+    const getChildren = (parent: Cell) => {
+      let result = children.get(parent);
+
+      if (result == null) {
+        result = parent.getChildren().filter((child) => !removed.has(child));
+        children.set(parent, result);
+      }
+      return result;
+    };
+
+    // Moves the cells that still exist in the target model out of the removed
+    // cells before these are removed, using the parent of the topmost removed
+    // ancestor as the intermediate parent
+    const parents = new Map<Cell, Cell>();
+    const counts = new Map<Cell, number>();
+    const moved: ChildChange[] = [];
+    const getParent = (cell: Cell) => parents.get(cell) ?? <Cell>cell.getParent();
+
+    for (const cell of survivors) {
+      let ancestor = <Cell>cell.getParent();
+
+      while (removed.has(<Cell>ancestor.getParent())) {
+        ancestor = <Cell>ancestor.getParent();
+      }
+
+      const parent = <Cell>ancestor.getParent();
+      const index = counts.get(parent) ?? parent.getChildCount();
+      counts.set(parent, index + 1);
+      getChildren(parent).push(cell);
+      parents.set(cell, parent);
+
+      const change = new ChildChange(this.source, parent, cell, index);
+      moved.push(change);
+      this.parent.push(change);
+      this.addProperty(<string>cell.getId(), 'parent', 'changed');
+    }
+
+    const process = (targetParent: Cell, parent: Cell) => {
+      const list = getChildren(parent);
+      let previous: Cell | null = null;
+
+      // Returns the index after the last cell that has been placed
+      const getIndex = () => (previous != null ? list.indexOf(previous) + 1 : 0);
+
+      for (const targetCell of targetParent.getChildren()) {
+        const id = <string>targetCell.getId();
+        let cell = this.source.getCell(id);
+
+        if (cell == null || removed.has(cell)) {
+          if (!this.isAccepted(id, 'parent')) {
+            continue;
+          }
+
+          cell = this.cloneCell(targetCell);
+          added.add(cell);
+
+          const index = getIndex();
+          list.splice(index, 0, cell);
+          const change = new ChildChange(this.source, parent, cell, index);
+          this.added.push(change);
+          structure.push(change);
+          this.addProperty(id, 'parent', 'added');
+          previous = cell;
+        } else if (getParent(cell) !== parent) {
+          if (this.isAccepted(id, 'parent')) {
+            const old = getChildren(getParent(cell));
+            old.splice(old.indexOf(cell), 1);
+
+            const index = getIndex();
+            list.splice(index, 0, cell);
+            const change = new ChildChange(this.source, parent, cell, index);
+            this.parent.push(change);
+            structure.push(change);
+            this.addProperty(id, 'parent', 'changed');
+            previous = cell;
+          }
+        } else {
+          const index = getIndex();
+
+          if (list[index] === cell) {
+            previous = cell;
+          } else if (this.isAccepted(id, 'index')) {
+            list.splice(list.indexOf(cell), 1);
+            const newIndex = getIndex();
+            list.splice(newIndex, 0, cell);
+            const change = new ChildChange(this.source, parent, cell, newIndex);
+            this.parent.push(change);
+            structure.push(change);
+            this.addProperty(id, 'index', 'changed');
+            previous = cell;
+          }
+        }
+
+        cells.set(targetCell, cell);
+
+        if (!added.has(cell)) {
+          this.compareCells(cell, targetCell);
+        }
+
+        process(targetCell, cell);
+      }
+    };
+
+    process(targetRoot, sourceRoot);
+
+    // Connects the edges after all cells have been created
+    for (const [targetCell, cell] of cells) {
+      for (const source of [true, false]) {
+        const targetTerminal = targetCell.getTerminal(source);
+        const terminal = targetTerminal != null ? cells.get(targetTerminal) : null;
+        const property = source ? 'source' : 'target';
+        const id = <string>cell.getId();
+
+        if (
+          terminal !== undefined &&
+          terminal !== (added.has(cell) ? null : cell.getTerminal(source)) &&
+          (added.has(cell) || this.isAccepted(id, property))
+        ) {
+          this.terminal.push(new TerminalChange(this.source, cell, terminal, source));
+
+          if (!added.has(cell)) {
+            this.addProperty(id, property, 'changed');
+          }
+        }
+      }
+    }
+
+    this.changes = [
+      ...moved,
+      ...this.removed,
+      ...structure,
+      ...this.value,
+      ...this.style,
+      ...this.geometry,
+      ...this.terminal,
+    ];
+  }
+
+  /**
+   * Adds the changes for the value, style and geometry of the given cell of
+   * the source model and the cell with the same ID in the target model.
+   */
+  compareCells(cell: Cell, targetCell: Cell): void {
+    const id = <string>cell.getId();
+
+    for (const property of <const>['value', 'style', 'geometry']) {
+      if (
+        !this.isEqual(
+          this.getPropertyValue(cell, property),
+          this.getPropertyValue(targetCell, property)
+        ) &&
+        this.isAccepted(id, property)
+      ) {
+        if (property === 'value') {
+          this.value.push(new ValueChange(this.source, cell, targetCell.cloneValue()));
+        } else if (property === 'style') {
+          this.style.push(
+            new StyleChange(this.source, cell, clone(targetCell.getStyle()))
+          );
+        } else {
+          this.geometry.push(
+            new GeometryChange(
+              this.source,
+              cell,
+              targetCell.getGeometry()?.clone() ?? null
+            )
+          );
+        }
+        this.addProperty(id, property, 'changed');
+      }
+    }
+  }
+
+  /**
+   * Executes all {@link changes} on the source model in a single transaction
+   * so that they can be undone in one step. The changes can only be applied
+   * once.
+   */
+  apply(): void {
+    this.source.beginUpdate();
+    try {
+      for (const change of this.changes) {
+        this.source.execute(change);
+      }
+    } finally {
+      this.source.endUpdate();
+    }
+  }
+
+  /**
+   * Returns a copy of the given model with the same cell IDs.
+   */
+  static cloneModel(model: GraphDataModel): GraphDataModel {
+    const result = new GraphDataModel();
+    const json = new JsonCodec().encode(model);
+
+    if (json != null) {
+      new JsonCodec(json).decode(json, result);
+    }
+    return result;
+  }
+
+  /**
+   * Merges the changes between the base model and the theirs model into a
+   * copy of the ours model and returns the merged model and the conflicts.
+   *
+   * A property that has been changed in only one of the models is taken from
+   * that model. A property that has been changed differently in both models
+   * is a conflict, in which case the value of the ours model is kept. Removing
+   * a cell conflicts with changes of the cell or its descendants in the other
+   * model. Changes of the order within a parent are only taken from theirs if
+   * the cell has not been moved in ours, and never conflict.
+   *
+   * ```javascript
+   * const { model, conflicts } = ModelDiff.merge(base, ours, theirs);
+   * ```
+   *
+   * @param base {@link GraphDataModel} of the common ancestor.
+   * @param ours {@link GraphDataModel} with the local changes.
+   * @param theirs {@link GraphDataModel} with the changes to be merged.
+   */
+  static merge(
+    base: GraphDataModel,
+    ours: GraphDataModel,
+    theirs: GraphDataModel
+  ): ModelMergeResult {
+    const model = ModelDiff.cloneModel(ours);
+    const conflicts: ModelMergeConflict[] = [];
+    const helper = new ModelDiff(base, base);
+
+    const getValue = (m: GraphDataModel, id: string, property: ModelDiffProperty) => {
+      const cell = m.getCell(id);
+      return cell != null ? helper.getPropertyValue(cell, property) : undefined;
+    };
+
+    // Returns true if the cell with the given ID or any of its descendants
+    // differs between the base model and the given model
+    const isSubtreeChanged = (m: GraphDataModel, id: string) => {
+      const ids = new Set<string>();
+
+      for (const cell of [base.getCell(id), m.getCell(id)]) {
+        for (const desc of cell?.getDescendants() ?? []) {
+          ids.add(<string>desc.getId());
+        }
+      }
+
+      for (const desc of ids) {
+        for (const property of <const>[
+          'parent',
+          'value',
+          'style',
+          'geometry',
+          'source',
+          'target',
+        ]) {
+          if (
+            !helper.isEqual(getValue(base, desc, property), getValue(m, desc, property))
+          ) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    const addConflict = (id: string, property: ModelDiffProperty) => {
+      conflicts.push({
+        id,
+        property,
+        base: getValue(base, id, property),
+        ours: getValue(ours, id, property),
+        theirs: getValue(theirs, id, property),
+      });
+    };
+
+    const filter: ModelDiffFilter = (id, property) => {
+      const b = getValue(base, id, property);
+      const o = getValue(ours, id, property);
+      const t = getValue(theirs, id, property);
+
+      if (property === 'parent' && (o === undefined || t === undefined)) {
+        if (b === undefined) {
+          // Added in theirs or in ours
+          return o === undefined;
+        } else if (isSubtreeChanged(o === undefined ? theirs : ours, id)) {
+          addConflict(id, property);
+          return false;
+        }
+        // Removed in theirs
+        return t === undefined;
+      } else if (property === 'index') {
+        return (
+          helper.isEqual(b, o) &&
+          helper.isEqual(getValue(base, id, 'parent'), getValue(ours, id, 'parent'))
+        );
+      } else if (helper.isEqual(b, o)) {
+        return true;
+      } else if (!helper.isEqual(b, t)) {
+        addConflict(id, property);
+      }
+      return false;
+    };
+
+    new ModelDiff(model, theirs, filter).apply();
+
+    return { model, conflicts };
+  }
+}
+
+export default ModelDiff;
@@ -0,0 +1,664 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { DIALECT } from '../../util/Constants';
+import { getClientX, getClientY, isLeftMouseButton } from '../../util/EventUtils';
+import InternalEvent from '../event/InternalEvent';
+import Point from '../geometry/Point';
+import PolylineShape from '../geometry/edge/PolylineShape';
+import { Graph } from '../Graph';
+
+import type { GuideLine } from '../../types';
+
+/**
+ * Orientation of a {@link Ruler}. A horizontal ruler is placed above the graph
+ * container and measures x-coordinates.
+ */
+export type RulerOrientation = 'horizontal' | 'vertical';
+
+/**
+ * Unit of the labels of a {@link Ruler}.
+ */
+export type RulerUnit = 'px' | 'mm' | 'in';
+
+/**
+ * Number of pixels per unit at a scale of 1, using 96 pixels per inch.
+ */
+const UNIT_SIZES: { [unit in RulerUnit]: number } = {
+  px: 1,
+  mm: 96 / 25.4,
+  in: 96,
+};
+
+/**
+ * Implements a ruler for a graph that is placed next to the graph container.
+ * The ruler follows the scale, translate and scroll position of the view, shows
+ * labels in {@link unit} and highlights the extent of the selection cells.
+ *
+ * Guide lines can be dragged out of the ruler into the graph. A horizontal
+ * ruler creates horizontal guide lines and a vertical ruler creates vertical
+ * guide lines. The guide lines are stored in the model, see
+ * {@link GraphDataModel.addGuideLine}, so they are part of the undo history and
+ * the serialized model. {@link Guide} and {@link Graph.snapDelta} snap to the
+ * guide lines while cells are moved if {@link Graph.snapToGuideLines} is
+ * true. Existing guide lines can be dragged in the
+ * graph and are removed by dropping them back onto the ruler.
+ *
+ * ### Example
+ *
+ * ```javascript
+ * graph.snapToGuideLines = true;
+ * const top = new Ruler(graph, document.getElementById('top-ruler'), 'horizontal');
+ * const left = new Ruler(graph, document.getElementById('left-ruler'), 'vertical');
+ * top.setUnit('mm');
+ * left.setUnit('mm');
+ * ```
+ *
+ * The containers of the rulers should have the width and the height of the
+ * graph container respectively and should be aligned with its left and top
+ * edges.
+ *
+ * @class Ruler
+ */
+class Ruler {
+  constructor(graph: Graph, container: HTMLElement, orientation: RulerOrientation) {
+    this.graph = graph;
+    this.container = container;
+    this.orientation = orientation;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.display = 'block';
+    this.canvas.style.cursor = orientation === 'horizontal' ? 'row-resize' : 'col-resize';
+    this.container.appendChild(this.canvas);
+
+    this.refreshHandler = () => this.refresh();
+
+    const view = this.graph.getView();
+    view.addListener(InternalEvent.SCALE, this.refreshHandler);
+    view.addListener(InternalEvent.TRANSLATE, this.refreshHandler);
+    view.addListener(InternalEvent.SCALE_AND_TRANSLATE, this.refreshHandler);
+    view.addListener(InternalEvent.DOWN, this.refreshHandler);
+    view.addListener(InternalEvent.UP, this.refreshHandler);
+    this.graph.getDataModel().addListener(InternalEvent.CHANGE, this.refreshHandler);
+
+    // Selection changes are fired on the graph
+    this.graph.addListener(InternalEvent.CHANGE, this.refreshHandler);
+    InternalEvent.addListener(this.graph.container, 'scroll', this.refreshHandler);
+
+    this.startHandler = (evt: MouseEvent) => {
+      if (this.isEnabled() && isLeftMouseButton(evt)) {
+        this.start(null, evt);
+      }
+    };
+
+    this.moveHandler = (evt: MouseEvent) => {
+      if (this.dragLine != null) {
+        this.mouseMove(evt);
+      }
+    };
+
+    this.endHandler = (evt: MouseEvent) => {
+      if (this.dragLine != null) {
+        this.mouseUp(evt);
+      }
+    };
+
+    InternalEvent.addGestureListeners(this.canvas, this.startHandler);
+
+    this.refresh();
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * The DOM node that contains the {@link canvas}.
+   */
+  container: HTMLElement;
+
+  /**
+   * The orientation of the ruler.
+   */
+  orientation: RulerOrientation;
+
+  /**
+   * The canvas that the ruler is painted on.
+   */
+  canvas: HTMLCanvasElement;
+
+  /**
+   * The unit of the labels.
+   * @default 'px'
+   */
+  unit: RulerUnit = 'px';
+
+  /**
+   * Specifies if guide lines can be created, moved and removed.
+   * @default true
+   */
+  enabled = true;
+
+  /**
+   * The size of the ruler in pixels.
+   * @default 20
+   */
+  size = 20;
+
+  /**
+   * The minimum distance between two ticks in pixels.
+   * @default 6
+   */
+  minTickSpacing = 6;
+
+  /**
+   * The minimum distance between two labels in pixels.
+   * @default 50
+   */
+  minLabelSpacing = 50;
+
+  /**
+   * The font of the labels.
+   * @default '9px Arial'
+   */
+  font = '9px Arial';
+
+  /**
+   * The background color of the ruler.
+   * @default '#F5F5F5'
+   */
+  background = '#F5F5F5';
+
+  /**
+   * The color of the ticks and labels.
+   * @default '#808080'
+   */
+  color = '#808080';
+
+  /**
+   * The fill color for the extent of the selection cells.
+   * @default 'rgba(0, 120, 215, 0.2)'
+   */
+  selectionColor = 'rgba(0, 120, 215, 0.2)';
+
+  /**
+   * The color of the guide lines.
+   * @default '#0078D7'
+   */
+  guideLineColor = '#0078D7';
+
+  /**
+   * Holds the shapes of the guide lines that are created by this ruler, by
+   * the ID of the guide line.
+   */
+  shapes: Map<string, PolylineShape> = new Map();
+
+  /**
+   * Holds the guide line that is being dragged. The ID is an empty string if
+   * the guide line is not yet in the model.
+   */
+  dragLine: GuideLine | null = null;
+
+  /**
+   * Preview shape for the guide line that is being dragged.
+   */
+  preview: PolylineShape | null = null;
+
+  refreshHandler: () => void;
+
+  startHandler: (evt: MouseEvent) => void;
+
+  moveHandler: (evt: MouseEvent) => void;
+
+  endHandler: (evt: MouseEvent) => void;
+
+  /**
+   * Returns true if guide lines can be created, moved and removed.
+   */
+  isEnabled(): boolean {
+    return this.enabled && this.graph.isEnabled();
+  }
+
+  /**
+   * Sets the unit of the labels and repaints the ruler.
+   *
+   * @param unit {@link RulerUnit} to be used for the labels.
+   */
+  setUnit(unit: RulerUnit): void {
+    this.unit = unit;
+    this.refresh();
+  }
+
+  /**
+   * Returns the direction of the guide lines that are created by this ruler.
+   */
+  getGuideLineDirection(): GuideLine['direction'] {
+    return this.orientation;
+  }
+
+  /**
+   * Returns true if this ruler measures x-coordinates.
+   */
+  isHorizontal(): boolean {
+    return this.orientation === 'horizontal';
+  }
+
+  /**
+   * Converts the given model coordinate along the axis of the ruler to a
+   * pixel offset in the ruler.
+   *
+   * @param value Coordinate in the model.
+   * @param horizontal Specifies if the value is an x-coordinate.
+   */
+  modelToRuler(value: number, horizontal = this.isHorizontal()): number {
+    const view = this.graph.getView();
+    const c = this.graph.container;
+
+    return horizontal
+      ? (value + view.translate.x) * view.scale - c.scrollLeft
+      : (value + view.translate.y) * view.scale - c.scrollTop;
+  }
+
+  /**
+   * Converts the given pixel offset in the graph container to a model
+   * coordinate.
+   *
+   * @param value Offset relative to the visible area of the container.
+   * @param horizontal Specifies if the offset is horizontal.
+   */
+  rulerToModel(value: number, horizontal = this.isHorizontal()): number {
+    const view = this.graph.getView();
+    const c = this.graph.container;
+
+    return horizontal
+      ? (value + c.scrollLeft) / view.scale - view.translate.x
+      : (value + c.scrollTop) / view.scale - view.translate.y;
+  }
+
+  /**
+   * Returns the step between two ticks in {@link unit} so that the ticks are
+   * at least the given number of pixels apart. Steps are 1, 2 or 5 times a
+   * power of 10.
+   *
+   * @param minSpacing Minimum distance between two ticks in pixels.
+   */
+  getTickStep(minSpacing: number): number {
+    const unitSize = UNIT_SIZES[this.unit] * this.graph.getView().scale;
+    let step = Math.pow(10, Math.floor(Math.log10(minSpacing / unitSize)));
+
+    for (const factor of [1, 2, 5, 10]) {
+      if (step * factor * unitSize >= minSpacing) {
+        step *= factor;
+        break;
+      }
+    }
+    return step;
+  }
+
+  /**
+   * Returns the label for the given value in {@link unit}.
+   */
+  getLabel(value: number): string {
+    return String(parseFloat(value.toFixed(3)));
+  }
+
+  /**
+   * Resizes the canvas, repaints the ruler and updates the shapes of the
+   * guide lines.
+   */
+  refresh(): void {
+    const c = this.graph.container;
+    const horizontal = this.isHorizontal();
+    const length = horizontal ? c.clientWidth : c.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+
+    this.canvas.style.width = `${horizontal ? length : this.size}px`;
+    this.canvas.style.height = `${horizontal ? this.size : length}px`;
+    this.canvas.width = Math.round((horizontal ? length : this.size) * ratio);
+    this.canvas.height = Math.round((horizontal ? this.size : length) * ratio);
+
+    const ctx = this.canvas.getContext('2d');
+
+    if (ctx != null) {
+      ctx.scale(ratio, ratio);
+
+      // Paints the vertical ruler in the coordinate system of a horizontal one
+      // by swapping the axes
+      if (!horizontal) {
+        ctx.transform(0, 1, 1, 0, 0, 0);
+      }
+
+      this.paint(ctx, length);
+    }
+
+    this.updateShapes();
+  }
+
+  /**
+   * Paints the background, the selection extent, the ticks, the labels and the
+   * markers of the guide lines. The axes of the context are swapped for
+   * vertical rulers so that the axis of the ruler is always along x.
+   *
+   * @param ctx 2D context of the {@link canvas}.
+   * @param length Length of the ruler in pixels.
+   */
+  paint(ctx: CanvasRenderingContext2D, length: number): void {
+    const horizontal = this.isHorizontal();
+    const size = this.size;
+
+    ctx.fillStyle = this.background;
+    ctx.fillRect(0, 0, length, size);
+
+    // Highlights the extent of the selection
+    const cells = this.graph.getSelectionCells();
+    const bounds = cells.length > 0 ? this.graph.getBoundingBox(cells) : null;
+
+    if (bounds != null) {
+      const c = this.graph.container;
+      const start = horizontal ? bounds.x - c.scrollLeft : bounds.y - c.scrollTop;
+      const extent = horizontal ? bounds.width : bounds.height;
+
+      ctx.fillStyle = this.selectionColor;
+      ctx.fillRect(start, 0, extent, size);
+    }
+
+    // Paints the ticks and labels
+    const unitSize = UNIT_SIZES[this.unit];
+    const labelStep = this.getTickStep(this.minLabelSpacing);
+    let tickStep = labelStep;
+
+    for (const divisor of [10, 5, 2]) {
+      const step = labelStep / divisor;
+
+      if (step * unitSize * this.graph.getView().scale >= this.minTickSpacing) {
+        tickStep = step;
+        break;
+      }
+    }
+
+    const ticksPerLabel = Math.round(labelStep / tickStep);
+    const first = Math.floor(this.rulerToModel(0) / unitSize / tickStep);
+    const last = Math.ceil(this.rulerToModel(length) / unitSize / tickStep);
+
+    ctx.strokeStyle = this.color;
+    ctx.fillStyle = this.color;
+    ctx.font = this.font;
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+
+    for (let i = first; i <= last; i++) {
+      const value = i * tickStep;
+      const x = Math.round(this.modelToRuler(value * unitSize)) + 0.5;
+      const major = i % ticksPerLabel === 0;
+      const tick = major ? size : i % (ticksPerLabel / 2) === 0 ? size / 2 : size / 4;
+
+      ctx.moveTo(x, size);
+      ctx.lineTo(x, size - tick);
+
+      if (major) {
+        this.paintLabel(ctx, this.getLabel(value), x);
+      }
+    }
+
+    ctx.moveTo(0, size - 0.5);
+    ctx.lineTo(length, size - 0.5);
+    ctx.stroke();
+
+    // Paints markers for the guide lines that cross this ruler
+    ctx.fillStyle = this.guideLineColor;
+
+    for (const line of this.graph.getDataModel().getGuideLines()) {
+      if (line.direction !== this.getGuideLineDirection()) {
+        const x = this.modelToRuler(line.position);
+
+        ctx.beginPath();
+        ctx.moveTo(x - 4, size - 6);
+        ctx.lineTo(x + 4, size - 6);
+        ctx.lineTo(x, size);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+  }
+
+  /**
+   * Paints the given label next to the tick at the given offset. Labels of
+   * vertical rulers read upwards.
+   *
+   * @param ctx 2D context of the {@link canvas}.
+   * @param label Text of the label.
+   * @param x Offset of the tick along the ruler.
+   */
+  paintLabel(ctx: CanvasRenderingContext2D, label: string, x: number): void {
+    if (this.isHorizontal()) {
+      ctx.fillText(label, x + 2, 1);
+    } else {
+      // Swaps the axes back and rotates the text
+      ctx.save();
+      ctx.transform(0, 1, 1, 0, 0, 0);
+      ctx.translate(1, x - 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(label, 0, 0);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Returns the points of the shape for a guide line at the given position in
+   * view coordinates of the overlay pane.
+   *
+   * @param position Position of the guide line in the model.
+   */
+  getGuideLinePoints(position: number): Point[] {
+    const view = this.graph.getView();
+    const c = this.graph.container;
+
+    if (this.isHorizontal()) {
+      const y = (position + view.translate.y) * view.scale;
+      return [new Point(0, y), new Point(Math.max(c.scrollWidth, c.clientWidth), y)];
+    }
+
+    const x = (position + view.translate.x) * view.scale;
+    return [new Point(x, 0), new Point(x, Math.max(c.scrollHeight, c.clientHeight))];
+  }
+
+  /**
+   * Creates the shape for a guide line.
+   */
+  createGuideLineShape(): PolylineShape {
+    const shape = new PolylineShape([], this.guideLineColor, 1);
+    shape.dialect = DIALECT.SVG;
+    shape.init(this.graph.getView().getOverlayPane());
+
+    if (shape.node != null) {
+      shape.node.style.cursor = this.isHorizontal() ? 'row-resize' : 'col-resize';
+    }
+    return shape;
+  }
+
+  /**
+   * Creates, updates and removes the shapes of the guide lines of the model
+   * that have the direction of this ruler.
+   */
+  updateShapes(): void {
+    const lines = this.graph
+      .getDataModel()
+      .getGuideLines()
+      .filter((line) => line.direction === this.getGuideLineDirection());
+    const ids = new Set(lines.map((line) => line.id));
+
+    for (const [id, shape] of this.shapes) {
+      if (!ids.has(id)) {
+        shape.destroy();
+        this.shapes.delete(id);
+      }
+    }
+
+    for (const line of lines) {
+      let shape = this.shapes.get(line.id);
+
+      if (shape == null) {
+        shape = this.createGuideLineShape();
+        const id = line.id;
+
+        InternalEvent.addGestureListeners(shape.node, (evt: MouseEvent) => {
+          const current = this.graph
+            .getDataModel()
+            .getGuideLines()
+            .find((l) => l.id === id);
+
+          if (current != null && this.isEnabled() && isLeftMouseButton(evt)) {
+            this.start(current, evt);
+          }
+        });
+        this.shapes.set(line.id, shape);
+      }
+
+      shape.points = this.getGuideLinePoints(line.position);
+      shape.node.style.visibility =
+        this.dragLine != null && this.dragLine.id === line.id ? 'hidden' : 'visible';
+      shape.redraw();
+    }
+  }
+
+  /**
+   * Returns the offset of the given event along the axis that is perpendicular
+   * to this ruler, relative to the visible area of the graph container.
+   */
+  getEventOffset(evt: MouseEvent): number {
+    const rect = this.graph.container.getBoundingClientRect();
+
+    return this.isHorizontal() ? getClientY(evt) - rect.top : getClientX(evt) - rect.left;
+  }
+
+  /**
+   * Returns the snapped model position of a guide line for the given event.
+   */
+  getEventPosition(evt: MouseEvent): number {
+    return this.graph.snap(
+      this.rulerToModel(this.getEventOffset(evt), !this.isHorizontal())
+    );
+  }
+
+  /**
+   * Starts dragging the given guide line or a new guide line if line is null.
+   *
+   * @param line Existing {@link GuideLine} to be moved or null.
+   * @param evt Mouse event that started the gesture.
+   */
+  start(line: GuideLine | null, evt: MouseEvent): void {
+    this.dragLine = line ?? {
+      id: '',
+      direction: this.getGuideLineDirection(),
+      position: this.getEventPosition(evt),
+    };
+
+    this.preview = this.createGuideLineShape();
+    this.preview.isDashed = true;
+    this.preview.points = this.getGuideLinePoints(this.dragLine.position);
+    this.preview.redraw();
+
+    InternalEvent.addGestureListeners(document, null, this.moveHandler, this.endHandler);
+    InternalEvent.consume(evt);
+    this.updateShapes();
+  }
+
+  /**
+   * Moves the preview of the guide line that is being dragged.
+   */
+  mouseMove(evt: MouseEvent): void {
+    if (this.dragLine != null && this.preview != null) {
+      this.preview.points = this.getGuideLinePoints(this.getEventPosition(evt));
+      this.preview.node.style.visibility =
+        this.getEventOffset(evt) < 0 ? 'hidden' : 'visible';
+      this.preview.redraw();
+      InternalEvent.consume(evt);
+    }
+  }
+
+  /**
+   * Adds, moves or removes the guide line that is being dragged. The guide
+   * line is removed if it is dropped outside of the top or left edge of the
+   * graph container.
+   */
+  mouseUp(evt: MouseEvent): void {
+    const line = this.dragLine;
+    const model = this.graph.getDataModel();
+    this.reset();
+
+    if (line != null) {
+      const removed = this.getEventOffset(evt) < 0;
+      const position = this.getEventPosition(evt);
+
+      if (line.id === '') {
+        if (!removed) {
+          model.addGuideLine(line.direction, position);
+        }
+      } else if (removed) {
+        model.removeGuideLine(line.id);
+      } else if (position !== line.position) {
+        model.moveGuideLine(line.id, position);
+      }
+
+      InternalEvent.consume(evt);
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Stops dragging and removes the preview.
+   */
+  reset(): void {
+    InternalEvent.removeGestureListeners(
+      document,
+      null,
+      this.moveHandler,
+      this.endHandler
+    );
+
+    if (this.preview != null) {
+      this.preview.destroy();
+      this.preview = null;
+    }
+
+    this.dragLine = null;
+  }
+
+  /**
+   * Removes the ruler, the shapes of the guide lines and all listeners.
+   */
+  destroy(): void {
+    this.reset();
+
+    const view = this.graph.getView();
+    view.removeListener(this.refreshHandler);
+    this.graph.getDataModel().removeListener(this.refreshHandler);
+    this.graph.removeListener(this.refreshHandler);
+    InternalEvent.removeListener(this.graph.container, 'scroll', this.refreshHandler);
+    InternalEvent.removeGestureListeners(this.canvas, this.startHandler, null, null);
+
+    for (const shape of this.shapes.values()) {
+      shape.destroy();
+    }
+    this.shapes.clear();
+    this.canvas.parentNode?.removeChild(this.canvas);
+  }
+}
+
+export default Ruler;
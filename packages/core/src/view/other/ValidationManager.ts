@@ -0,0 +1,785 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Client from '../../Client';
+import EventSource from '../event/EventSource';
+import EventObject from '../event/EventObject';
+import InternalEvent from '../event/InternalEvent';
+import Cell from '../cell/Cell';
+import ChildChange from '../undoable_changes/ChildChange';
+import RootChange from '../undoable_changes/RootChange';
+import TerminalChange from '../undoable_changes/TerminalChange';
+import Translations from '../../util/Translations';
+import { isNode } from '../../util/domUtils';
+import { htmlEntities } from '../../util/StringUtils';
+import { Graph } from '../Graph';
+import type { UndoableChange } from '../../types';
+
+/**
+ * Severity of a {@link ValidationResult}.
+ */
+export type ValidationSeverity = 'error' | 'warning';
+
+/**
+ * Names of the checks of a {@link ValidationRule}.
+ */
+export type ValidationRuleKind =
+  | 'requiredAttributes'
+  | 'allowedParents'
+  | 'noCycles'
+  | 'labelPattern'
+  | 'maxChildren'
+  | 'predicate';
+
+/**
+ * Declarative validation rule for a {@link ValidationManager}. A rule applies
+ * to the cells of the given {@link type} and may combine any number of
+ * checks, each of which produces a {@link ValidationResult} if it fails.
+ */
+export type ValidationRule = {
+  /**
+   * Optional name of the rule for identifying the results.
+   */
+  name?: string;
+  /**
+   * Type of the cells that the rule applies to, see
+   * {@link ValidationManager.isCellOfType}. If no type is given then the rule
+   * applies to all vertices and edges.
+   */
+  type?: string | null;
+  /**
+   * Names of the attributes of the user object that must have a non-empty
+   * value.
+   */
+  requiredAttributes?: string[];
+  /**
+   * Types of the allowed parents. A null entry allows top-level cells, ie.
+   * cells whose parent is a layer.
+   */
+  allowedParents?: (string | null)[];
+  /**
+   * If true then the cells must not be part of a directed cycle of edges.
+   */
+  noCycles?: boolean;
+  /**
+   * Regular expression that the label of the cells must match.
+   */
+  labelPattern?: RegExp | string;
+  /**
+   * Maximum number of child vertices.
+   */
+  maxChildren?: number;
+  /**
+   * Custom check that returns true if the given cell is valid and false or an
+   * error message otherwise.
+   */
+  predicate?: (cell: Cell, graph: Graph) => boolean | string;
+  /**
+   * Severity of the results of the rule. Default is `error`.
+   */
+  severity?: ValidationSeverity;
+  /**
+   * Optional message or resource key that replaces the default messages of
+   * the checks.
+   */
+  message?: string;
+};
+
+/**
+ * Failed check of a {@link ValidationRule} for a cell.
+ */
+export type ValidationResult = {
+  cell: Cell;
+  rule: ValidationRule;
+  kind: ValidationRuleKind;
+  severity: ValidationSeverity;
+  message: string;
+};
+
+/**
+ * Evaluates {@link ValidationRule}s for the cells of a graph. In contrast to
+ * {@link Multiplicity} and {@link Graph.validateGraph}, which only check the
+ * connections of cells, the rules can check the attributes, parents, labels,
+ * children and cycles of the cells or use custom predicates.
+ *
+ * All cells are validated when the manager is created or the rules are
+ * changed. After that, only the cells that are affected by a change of the
+ * model are validated again. The results are available via
+ * {@link getResults} and are displayed as warning overlays using
+ * {@link Graph.setCellWarning} if {@link showWarnings} is true.
+ *
+ * ```javascript
+ * const mgr = new ValidationManager(graph, [
+ *   { type: 'task', requiredAttributes: ['owner'], allowedParents: ['lane'] },
+ *   { type: 'task', noCycles: true, severity: 'warning' },
+ *   { type: 'lane', maxChildren: 10, labelPattern: /^\S/ },
+ * ]);
+ * ```
+ *
+ * Event: mxEvent.VALIDATE
+ *
+ * Fires after cells have been validated. The `cells` property contains the
+ * validated cells and the `results` property contains the
+ * {@link ValidationResult}s of these cells.
+ *
+ * @class ValidationManager
+ * @extends EventSource
+ */
+class ValidationManager extends EventSource {
+  constructor(graph: Graph, rules: ValidationRule[] = []) {
+    super();
+
+    this.graph = graph;
+    this.rules = rules.slice();
+
+    // Validates the cells that are affected by a change
+    this.changeHandler = (sender: any, evt: EventObject) => {
+      if (this.isEnabled()) {
+        this.graphModelChanged(evt.getProperty('edit').changes);
+      }
+    };
+
+    graph.getDataModel().addListener(InternalEvent.CHANGE, this.changeHandler);
+    this.validate();
+  }
+
+  /**
+   * Reference to the enclosing {@link Graph}.
+   */
+  graph: Graph;
+
+  /**
+   * The {@link ValidationRule}s to be evaluated.
+   */
+  rules: ValidationRule[];
+
+  /**
+   * Specifies if the cells are validated after changes. Default is true.
+   */
+  enabled = true;
+
+  /**
+   * Specifies if the results are displayed with {@link Graph.setCellWarning}.
+   * Default is true.
+   */
+  showWarnings = true;
+
+  /**
+   * Maps from the invalid cells to their results.
+   */
+  results = new Map<Cell, ValidationResult[]>();
+
+  /**
+   * Holds the vertices that are part of a directed cycle.
+   */
+  cycles = new Set<Cell>();
+
+  /**
+   * Holds the function that handles model changes.
+   */
+  changeHandler: (sender: any, evt: EventObject) => void;
+
+  // Resources for the default messages
+  missingAttributeResource = Client.language !== 'none' ? 'missingAttribute' : '';
+  invalidParentResource = Client.language !== 'none' ? 'invalidParent' : '';
+  cycleResource = Client.language !== 'none' ? 'cycleNotAllowed' : '';
+  invalidLabelResource = Client.language !== 'none' ? 'invalidLabel' : '';
+  tooManyChildrenResource = Client.language !== 'none' ? 'tooManyChildren' : '';
+  invalidCellResource = Client.language !== 'none' ? 'invalidCell' : '';
+
+  /**
+   * Returns {@link enabled}.
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Sets {@link enabled} and validates all cells if the manager is enabled.
+   */
+  setEnabled(value: boolean) {
+    this.enabled = value;
+
+    if (value) {
+      this.validate();
+    }
+  }
+
+  /**
+   * Adds the given rule and validates all cells.
+   */
+  addRule(rule: ValidationRule) {
+    this.rules.push(rule);
+    this.validate();
+
+    return rule;
+  }
+
+  /**
+   * Removes the given rule and validates all cells.
+   */
+  removeRule(rule: ValidationRule) {
+    const index = this.rules.indexOf(rule);
+
+    if (index >= 0) {
+      this.rules.splice(index, 1);
+      this.validate();
+    }
+  }
+
+  /**
+   * Returns the results for the given cell or for all cells if no cell is
+   * given.
+   */
+  getResults(cell: Cell | null = null): ValidationResult[] {
+    if (cell != null) {
+      return this.results.get(cell) ?? [];
+    }
+    return Array.from(this.results.values()).flat();
+  }
+
+  /**
+   * Returns true if there are no results with severity `error`.
+   */
+  isValid() {
+    return this.getResults().every((result) => result.severity !== 'error');
+  }
+
+  /**
+   * Returns true if the given cell is of the given type. This is the case if
+   * the user object is an XML node with the given name or if the given type is
+   * one of the {@link CellStyle.baseStyleNames} of the cell.
+   */
+  isCellOfType(cell: Cell, type: string) {
+    return (
+      isNode(cell.getValue(), type) ||
+      (cell.getStyle().baseStyleNames ?? []).indexOf(type) >= 0
+    );
+  }
+
+  /**
+   * Returns true if the given rule applies to the given cell.
+   */
+  isRuleApplicable(rule: ValidationRule, cell: Cell) {
+    return rule.type == null || this.isCellOfType(cell, rule.type);
+  }
+
+  /**
+   * Returns true if the given cell is validated, ie. if it is a vertex or an
+   * edge.
+   */
+  isValidationCell(cell: Cell) {
+    return cell.isVertex() || cell.isEdge();
+  }
+
+  /**
+   * Returns all cells of the model that are validated.
+   */
+  getCells(): Cell[] {
+    return (
+      this.graph
+        .getDataModel()
+        .getRoot()
+        ?.filterDescendants((cell) => this.isValidationCell(cell)) ?? []
+    );
+  }
+
+  /**
+   * Validates all cells and returns all results.
+   */
+  validate(): ValidationResult[] {
+    const cells = new Set(this.results.keys());
+
+    for (const cell of this.getCells()) {
+      cells.add(cell);
+    }
+
+    this.validateCells(Array.from(cells), true);
+
+    return this.getResults();
+  }
+
+  /**
+   * Validates the cells that are affected by the given changes. The cycles
+   * are only updated for the vertices that are connected to the changed edges
+   * and vertices, see {@link getConnectedVertices}, and only if a `noCycles`
+   * rule applies to one of these vertices, see {@link isCycleCheckRequired}.
+   */
+  graphModelChanged(changes: UndoableChange[]) {
+    const cells = new Set<Cell>();
+    const terminals = new Set<Cell>();
+
+    const addCell = (cell: Cell | null, includeChildren: boolean) => {
+      if (cell != null) {
+        if (this.isValidationCell(cell)) {
+          cells.add(cell);
+        }
+
+        // Checks the children since their parent may have a different type
+        if (includeChildren) {
+          for (const child of cell.getChildren()) {
+            if (this.isValidationCell(child)) {
+              cells.add(child);
+            }
+          }
+        }
+      }
+    };
+
+    for (const change of changes) {
+      if (change instanceof RootChange) {
+        this.validate();
+        return;
+      } else if (change instanceof ChildChange) {
+        for (const cell of change.child.getDescendants()) {
+          addCell(cell, false);
+
+          if (cell.isVertex()) {
+            terminals.add(cell);
+          }
+
+          for (const source of [true, false]) {
+            const terminal = cell.getTerminal(source);
+
+            if (terminal != null) {
+              terminals.add(terminal);
+            }
+          }
+        }
+
+        addCell(change.parent, false);
+        addCell(change.previous, false);
+      } else if (change instanceof TerminalChange) {
+        addCell(change.cell, false);
+
+        for (const terminal of [
+          change.cell.getTerminal(true),
+          change.cell.getTerminal(false),
+          change.previous,
+        ]) {
+          if (terminal != null) {
+            terminals.add(terminal);
+          }
+        }
+      } else {
+        const cell: Cell | null = (<any>change).cell ?? null;
+        addCell(cell, true);
+
+        // Value and style changes may change the rules that apply to a vertex
+        if (cell?.isVertex()) {
+          terminals.add(cell);
+        }
+      }
+    }
+
+    const rules = this.rules.filter((rule) => rule.noCycles);
+
+    if (terminals.size > 0 && rules.length > 0) {
+      const vertices = this.getConnectedVertices(Array.from(terminals));
+
+      if (this.isCycleCheckRequired(vertices, rules)) {
+        for (const cell of this.updateCycles(vertices)) {
+          cells.add(cell);
+        }
+      }
+    }
+
+    if (cells.size > 0) {
+      this.validateCells(Array.from(cells));
+    }
+  }
+
+  /**
+   * Validates the given cells, updates {@link results} and the warnings and
+   * fires an {@link InternalEvent.VALIDATE} event.
+   *
+   * @param cells Array of {@link Cell}s to be validated.
+   * @param updateCycles Specifies if the cycles of all vertices should be
+   * updated. The cells whose cycle status changes are validated as well.
+   */
+  validateCells(cells: Cell[], updateCycles = false) {
+    const pending = new Set(cells);
+
+    if (updateCycles) {
+      for (const cell of this.updateCycles()) {
+        pending.add(cell);
+      }
+    }
+
+    const model = this.graph.getDataModel();
+    const results: ValidationResult[] = [];
+
+    for (const cell of pending) {
+      const previous = this.results.get(cell) ?? [];
+      const current = model.contains(cell) ? this.validateCell(cell) : [];
+
+      if (current.length > 0) {
+        this.results.set(cell, current);
+        results.push(...current);
+      } else {
+        this.results.delete(cell);
+      }
+
+      if (previous.length > 0 || current.length > 0) {
+        this.updateWarning(cell, current);
+      }
+    }
+
+    this.fireEvent(
+      new EventObject(InternalEvent.VALIDATE, { cells: Array.from(pending), results })
+    );
+  }
+
+  /**
+   * Returns the results of all rules for the given cell.
+   */
+  validateCell(cell: Cell): ValidationResult[] {
+    const results: ValidationResult[] = [];
+
+    for (const rule of this.rules) {
+      if (this.isRuleApplicable(rule, cell)) {
+        results.push(...this.checkRule(rule, cell));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Returns the results of the checks of the given rule for the given cell.
+   */
+  checkRule(rule: ValidationRule, cell: Cell): ValidationResult[] {
+    const results: ValidationResult[] = [];
+    const addResult = (kind: ValidationRuleKind, message: string) => {
+      results.push({ cell, rule, kind, severity: rule.severity ?? 'error', message });
+    };
+
+    for (const name of rule.requiredAttributes ?? []) {
+      const value = cell.getAttribute(name);
+
+      if (value == null || String(value).length === 0) {
+        addResult(
+          'requiredAttributes',
+          this.getMessage(rule, this.missingAttributeResource, 'Missing attribute {1}', [
+            name,
+          ])
+        );
+      }
+    }
+
+    if (rule.allowedParents != null) {
+      const parent = cell.getParent();
+      const allowed =
+        parent != null &&
+        rule.allowedParents.some((type) =>
+          type == null
+            ? this.graph.getDataModel().isLayer(parent)
+            : this.isCellOfType(parent, type)
+        );
+
+      if (!allowed) {
+        addResult(
+          'allowedParents',
+          this.getMessage(rule, this.invalidParentResource, 'Invalid parent')
+        );
+      }
+    }
+
+    if (rule.noCycles && this.cycles.has(cell)) {
+      addResult(
+        'noCycles',
+        this.getMessage(rule, this.cycleResource, 'Cycles are not allowed')
+      );
+    }
+
+    if (rule.labelPattern != null) {
+      const label = this.graph.convertValueToString(cell) ?? '';
+      const pattern =
+        typeof rule.labelPattern === 'string'
+          ? new RegExp(rule.labelPattern)
+          : rule.labelPattern;
+      pattern.lastIndex = 0;
+
+      if (!pattern.test(label)) {
+        addResult(
+          'labelPattern',
+          this.getMessage(rule, this.invalidLabelResource, 'Invalid label')
+        );
+      }
+    }
+
+    if (rule.maxChildren != null) {
+      const count = cell.getChildren().filter((child) => child.isVertex()).length;
+
+      if (count > rule.maxChildren) {
+        addResult(
+          'maxChildren',
+          this.getMessage(rule, this.tooManyChildrenResource, 'More than {1} children', [
+            rule.maxChildren,
+          ])
+        );
+      }
+    }
+
+    if (rule.predicate != null) {
+      const result = rule.predicate(cell, this.graph);
+
+      if (result !== true) {
+        addResult(
+          'predicate',
+          typeof result === 'string' && rule.message == null
+            ? result
+            : this.getMessage(rule, this.invalidCellResource, 'Invalid')
+        );
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Returns the translated message of the given rule or the given resource
+   * with the placeholders replaced.
+   */
+  getMessage(
+    rule: ValidationRule,
+    key: string,
+    defaultValue: string,
+    params: any[] | null = null
+  ): string {
+    if (rule.message != null) {
+      return Translations.get(rule.message, params, rule.message) ?? rule.message;
+    }
+    return Translations.get(key, params, defaultValue) ?? defaultValue;
+  }
+
+  /**
+   * Displays the given results of the given cell using
+   * {@link Graph.setCellWarning} if {@link showWarnings} is true.
+   */
+  updateWarning(cell: Cell, results: ValidationResult[]) {
+    if (this.showWarnings) {
+      this.graph.setCellWarning(
+        cell,
+        results.length > 0
+          ? results.map((result) => htmlEntities(result.message)).join('<br>')
+          : null
+      );
+    }
+  }
+
+  /**
+   * Returns true if the cycles of the given vertices must be updated, ie. if
+   * one of the given `noCycles` rules applies to one of the vertices or if one
+   * of the vertices is currently part of a cycle.
+   *
+   * @param vertices Set of vertices that are connected to the changed cells.
+   * @param rules Array of rules with {@link ValidationRule.noCycles}.
+   */
+  isCycleCheckRequired(vertices: Set<Cell>, rules: ValidationRule[]) {
+    for (const cell of vertices) {
+      if (
+        this.cycles.has(cell) ||
+        rules.some((rule) => this.isRuleApplicable(rule, cell))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Updates {@link cycles} for the given vertices or for all vertices if no
+   * vertices are given and returns the cells whose cycle status has changed.
+   * The given vertices must contain all vertices of their directed cycles,
+   * see {@link getConnectedVertices}.
+   *
+   * @param vertices Optional set of vertices to be updated.
+   */
+  updateCycles(vertices: Set<Cell> | null = null): Cell[] {
+    const model = this.graph.getDataModel();
+    const previous = this.cycles;
+    const cyclic = this.rules.some((rule) => rule.noCycles)
+      ? this.getCyclicCells(vertices)
+      : new Set<Cell>();
+
+    if (vertices != null) {
+      for (const cell of previous) {
+        if (!vertices.has(cell) && model.contains(cell)) {
+          cyclic.add(cell);
+        }
+      }
+    }
+
+    const changed: Cell[] = [];
+
+    for (const cell of previous) {
+      if (!cyclic.has(cell)) {
+        changed.push(cell);
+      }
+    }
+
+    for (const cell of cyclic) {
+      if (!previous.has(cell)) {
+        changed.push(cell);
+      }
+    }
+
+    this.cycles = cyclic;
+
+    return changed;
+  }
+
+  /**
+   * Returns the vertices that can be reached from the given cells or that can
+   * reach the given cells along the direction of the edges. All vertices of a
+   * directed cycle through one of the given cells are contained in the result,
+   * as are the vertices of a cycle that was broken by removing an edge
+   * between the given cells.
+   *
+   * @param cells Array of {@link Cell}s to start from.
+   */
+  getConnectedVertices(cells: Cell[]): Set<Cell> {
+    const model = this.graph.getDataModel();
+    const result = new Set<Cell>();
+
+    for (const outgoing of [true, false]) {
+      const visited = new Set<Cell>();
+      const queue = cells.filter((cell) => cell.isVertex() && model.contains(cell));
+
+      while (queue.length > 0) {
+        const cell = <Cell>queue.pop();
+
+        if (!visited.has(cell)) {
+          visited.add(cell);
+          result.add(cell);
+
+          for (const edge of cell.getEdges(!outgoing, outgoing, false)) {
+            const next = edge.getTerminal(!outgoing);
+
+            if (next != null && !visited.has(next)) {
+              queue.push(next);
+            }
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the vertices that are part of a directed cycle of edges. This
+   * uses an iterative version of Tarjan's algorithm for strongly connected
+   * components so that long chains of edges do not exceed the call stack.
+   *
+   * @param vertices Optional set of vertices to be checked. Edges to other
+   * vertices are ignored. Default is all vertices of the model.
+   */
+  getCyclicCells(vertices: Set<Cell> | null = null): Set<Cell> {
+    const result = new Set<Cell>();
+    const index = new Map<Cell, number>();
+    const low = new Map<Cell, number>();
+    const stack: Cell[] = [];
+    const onStack = new Set<Cell>();
+
+    const getTargets = (cell: Cell) => {
+      const targets: Cell[] = [];
+
+      for (const edge of cell.getEdges(false, true)) {
+        const target = edge.getTerminal(false);
+
+        if (target === cell) {
+          result.add(cell);
+        } else if (target != null && (vertices == null || vertices.has(target))) {
+          targets.push(target);
+        }
+      }
+      return targets;
+    };
+
+    const visit = (root: Cell) => {
+      // Holds the cells of the current path and the next target to be visited
+      const path: { cell: Cell; targets: Cell[]; next: number }[] = [];
+
+      const push = (cell: Cell) => {
+        index.set(cell, index.size);
+        low.set(cell, index.get(cell)!);
+        stack.push(cell);
+        onStack.add(cell);
+        path.push({ cell, targets: getTargets(cell), next: 0 });
+      };
+
+      push(root);
+
+      while (path.length > 0) {
+        const frame = path[path.length - 1];
+        const { cell } = frame;
+
+        if (frame.next < frame.targets.length) {
+          const target = frame.targets[frame.next++];
+
+          if (!index.has(target)) {
+            push(target);
+          } else if (onStack.has(target)) {
+            low.set(cell, Math.min(low.get(cell)!, index.get(target)!));
+          }
+        } else {
+          path.pop();
+
+          if (path.length > 0) {
+            const parent = path[path.length - 1].cell;
+            low.set(parent, Math.min(low.get(parent)!, low.get(cell)!));
+          }
+
+          if (low.get(cell) === index.get(cell)) {
+            const component: Cell[] = [];
+            let tmp: Cell;
+
+            do {
+              tmp = <Cell>stack.pop();
+              onStack.delete(tmp);
+              component.push(tmp);
+            } while (tmp !== cell);
+
+            if (component.length > 1) {
+              component.forEach((c) => result.add(c));
+            }
+          }
+        }
+      }
+    };
+
+    for (const cell of vertices ?? this.getCells()) {
+      if (cell.isVertex() && !index.has(cell)) {
+        visit(cell);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Removes the listeners and the warnings.
+   */
+  destroy() {
+    this.graph.getDataModel().removeListener(this.changeHandler);
+
+    for (const cell of this.results.keys()) {
+      this.updateWarning(cell, []);
+    }
+    this.results.clear();
+  }
+}
+
+export default ValidationManager;
@@ -36,6 +36,7 @@ import {
 } from '../../util/Constants';
 import Rectangle from '../geometry/Rectangle';
 import Geometry from '../geometry/Geometry';
+import ManhattanRouter from './ManhattanRouter';
 
 /**
  * Provides various edge styles to be used as the values for
@@ -1514,6 +1515,32 @@ class EdgeStyle {
     }
   }
 
+  /**
+   * Implements an orthogonal router that avoids the vertices between the
+   * terminals and minimizes the number of bends and crossings with other
+   * edges using {@link ManhattanRouter}. The control points of the edge are
+   * used as waypoints. Falls back to {@link OrthConnector} if no route is
+   * found.
+   *
+   * @param state <CellState> that represents the edge to be updated.
+   * @param source <CellState> that represents the source terminal.
+   * @param target <CellState> that represents the target terminal.
+   * @param points List of relative control points.
+   * @param result Array of <Point> that represent the actual points of the
+   * edge.
+   */
+  static ManhattanConnector(
+    state: CellState,
+    source: CellState,
+    target: CellState,
+    points: Point[],
+    result: Point[]
+  ) {
+    if (!ManhattanRouter.route(state, source, target, points, result)) {
+      EdgeStyle.OrthConnector(state, source, target, points, result);
+    }
+  }
+
   static getRoutePattern(
     dir: number[],
     quad: number,
@@ -0,0 +1,835 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import Point from '../geometry/Point';
+import Rectangle from '../geometry/Rectangle';
+import CellState from '../cell/CellState';
+import Cell from '../cell/Cell';
+import Geometry from '../geometry/Geometry';
+import type GraphView from '../GraphView';
+import RoutingIndex from './RoutingIndex';
+import { DIRECTION_MASK } from '../../util/Constants';
+import { getPortConstraints } from '../../util/mathUtils';
+
+/**
+ * Start or end point of a route with the direction in which the route must
+ * leave the start point or enter the end point. The direction is one of the
+ * values in {@link DIRECTION_MASK} or {@link DIRECTION_MASK.NONE} if the
+ * direction is not constrained.
+ */
+type Port = { point: Point; dir: number; jetty: Point };
+
+/**
+ * Search node of the A* algorithm.
+ */
+type SearchNode = {
+  x: number;
+  y: number;
+  dir: number;
+  cost: number;
+  estimate: number;
+  parent: SearchNode | null;
+};
+
+/**
+ * Minimal binary heap that is ordered by the estimated total cost.
+ */
+class SearchQueue {
+  nodes: SearchNode[] = [];
+
+  isEmpty() {
+    return this.nodes.length === 0;
+  }
+
+  push(node: SearchNode) {
+    const { nodes } = this;
+    nodes.push(node);
+    let i = nodes.length - 1;
+
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+
+      if (nodes[p].estimate <= nodes[i].estimate) {
+        break;
+      }
+      [nodes[p], nodes[i]] = [nodes[i], nodes[p]];
+      i = p;
+    }
+  }
+
+  pop() {
+    const { nodes } = this;
+    const result = nodes[0];
+    const last = <SearchNode>nodes.pop();
+
+    if (nodes.length > 0) {
+      nodes[0] = last;
+      let i = 0;
+
+      while (true) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+
+        if (l < nodes.length && nodes[l].estimate < nodes[min].estimate) {
+          min = l;
+        }
+
+        if (r < nodes.length && nodes[r].estimate < nodes[min].estimate) {
+          min = r;
+        }
+
+        if (min === i) {
+          break;
+        }
+        [nodes[min], nodes[i]] = [nodes[i], nodes[min]];
+        i = min;
+      }
+    }
+    return result;
+  }
+}
+
+const DIRECTIONS = [
+  DIRECTION_MASK.WEST,
+  DIRECTION_MASK.NORTH,
+  DIRECTION_MASK.SOUTH,
+  DIRECTION_MASK.EAST,
+];
+
+const getVector = (dir: number): [number, number] => {
+  switch (dir) {
+    case DIRECTION_MASK.WEST:
+      return [-1, 0];
+    case DIRECTION_MASK.NORTH:
+      return [0, -1];
+    case DIRECTION_MASK.SOUTH:
+      return [0, 1];
+    default:
+      return [1, 0];
+  }
+};
+
+const getOpposite = (dir: number) => {
+  switch (dir) {
+    case DIRECTION_MASK.WEST:
+      return DIRECTION_MASK.EAST;
+    case DIRECTION_MASK.NORTH:
+      return DIRECTION_MASK.SOUTH;
+    case DIRECTION_MASK.SOUTH:
+      return DIRECTION_MASK.NORTH;
+    case DIRECTION_MASK.EAST:
+      return DIRECTION_MASK.WEST;
+  }
+  return DIRECTION_MASK.NONE;
+};
+
+/**
+ * Orthogonal router that avoids the vertices of the graph. This is used by
+ * {@link EdgeStyle.ManhattanConnector}.
+ *
+ * The router builds a sparse grid from the borders of the obstacles, which
+ * are the visible vertices around the terminals except the terminals and
+ * their ancestors and descendants, and finds the cheapest path through the
+ * grid using A*. The cost of a path is its length plus {@link bendPenalty}
+ * for each bend, {@link crossingPenalty} for each crossing with another edge
+ * and {@link overlapPenalty} for each unit of length that overlaps with
+ * another edge.
+ *
+ * The route starts and ends at the sides of the terminals that are allowed by
+ * the `portConstraint` style, or at the fixed connection points, and leaves
+ * and enters the terminals orthogonally for at least the `jettySize`. The
+ * `perimeterSpacing` of the edge and the terminals is added to the distance
+ * between the route and the terminals. Control points of the edge are used as
+ * waypoints.
+ *
+ * The obstacles and the segments of the other edges are looked up in the
+ * {@link RoutingIndex} of the view, which is a snapshot that is taken once per
+ * validation of the view. {@link Graph.invalidateObstacleRoutes} invalidates
+ * the edges whose search area, see {@link getSearchArea}, overlaps the old or
+ * new bounds of a changed vertex.
+ *
+ * @class ManhattanRouter
+ */
+class ManhattanRouter {
+  /**
+   * Distance between the routes and the obstacles. Default is 10.
+   */
+  static obstacleSpacing = 10;
+
+  /**
+   * Distance around the terminals and waypoints in which obstacles are
+   * considered. Default is 200.
+   */
+  static searchMargin = 200;
+
+  /**
+   * Cost of a bend in the route. Default is 50.
+   */
+  static bendPenalty = 50;
+
+  /**
+   * Cost of a crossing with another edge. Default is 100.
+   */
+  static crossingPenalty = 100;
+
+  /**
+   * Cost per unit of length of segments that overlap with another edge.
+   * Default is 2.
+   */
+  static overlapPenalty = 2;
+
+  /**
+   * Maximum number of grid nodes that are visited before the search is
+   * cancelled. Default is 50000.
+   */
+  static maxIterations = 50000;
+
+  /**
+   * Computes the route for the given edge and adds the points to the given
+   * result. Returns false if no route was found.
+   *
+   * @param state {@link CellState} that represents the edge to be updated.
+   * @param source {@link CellState} that represents the source terminal.
+   * @param target {@link CellState} that represents the target terminal.
+   * @param points List of relative control points.
+   * @param result Array of {@link Point} that represent the actual points of
+   * the edge.
+   */
+  static route(
+    state: CellState,
+    source: CellState | null,
+    target: CellState | null,
+    points: Point[] | null,
+    result: Point[]
+  ): boolean {
+    const pts = state.absolutePoints;
+    const p0 = pts[0];
+    const pe = pts[pts.length - 1];
+
+    if ((!source && !p0) || (!target && !pe)) {
+      return false;
+    }
+
+    const { view } = state;
+    const { scale } = view;
+    const waypoints = (points ?? []).map(
+      (pt) => <Point>view.transformControlPoint(state, pt)
+    );
+
+    const sources = ManhattanRouter.getPorts(state, source, p0, true);
+    const targets = ManhattanRouter.getPorts(state, target, pe, false);
+
+    if (sources.length === 0 || targets.length === 0) {
+      return false;
+    }
+
+    // Computes the area in which obstacles are considered
+    const area = <Rectangle>(
+      ManhattanRouter.getSearchArea(
+        [source, target],
+        [source ? null : p0, target ? null : pe, ...waypoints],
+        scale
+      )
+    );
+    const index = view.routingIndex ?? new RoutingIndex(view);
+    const obstacles = ManhattanRouter.getObstacles(state, source, target, area, index);
+
+    // The grid of the search extends to the borders of all obstacles
+    const extent = Rectangle.fromRectangle(area);
+
+    for (const bounds of obstacles) {
+      extent.add(bounds);
+    }
+
+    const segments = ManhattanRouter.getSegments(state, extent, index);
+
+    // Routes the legs between the waypoints
+    const route: Point[] = [];
+    let starts = sources;
+
+    for (let i = 0; i <= waypoints.length; i += 1) {
+      const goals =
+        i < waypoints.length
+          ? [{ point: waypoints[i], dir: DIRECTION_MASK.NONE, jetty: waypoints[i] }]
+          : targets;
+      const leg = ManhattanRouter.search(starts, goals, obstacles, segments);
+
+      if (!leg) {
+        return false;
+      }
+
+      route.push(...(route.length > 0 ? leg.points.slice(1) : leg.points));
+      starts = [{ point: leg.end, dir: leg.dir, jetty: leg.end }];
+    }
+
+    // Removes collinear and duplicate points
+    const first = route.length > 0 ? route[0] : null;
+    const last = route.length > 0 ? route[route.length - 1] : null;
+    const isJetty = (port: Port, pt: Point | null) =>
+      pt != null && port.jetty.x === pt.x && port.jetty.y === pt.y;
+    const start = sources.find((port) => isJetty(port, first))?.point ?? first;
+    const end = targets.find((port) => isJetty(port, last))?.point ?? last;
+    const simplified = ManhattanRouter.simplify([<Point>start, ...route, <Point>end]);
+
+    for (let i = 1; i < simplified.length - 1; i += 1) {
+      result.push(simplified[i]);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the possible start or end points of the route for the given
+   * terminal. If the terminal point is fixed then only the side that contains
+   * the point is used, otherwise the centers of all sides that are allowed by
+   * the port constraints are returned.
+   */
+  static getPorts(
+    state: CellState,
+    terminal: CellState | null,
+    pt: Point | null,
+    isSource: boolean
+  ): Port[] {
+    const { scale } = state.view;
+    const jetty = ManhattanRouter.getJettySize(state, isSource) * scale;
+
+    if (!terminal) {
+      return pt ? [{ point: pt, dir: DIRECTION_MASK.NONE, jetty: pt }] : [];
+    }
+
+    const spacing =
+      ManhattanRouter.getPerimeterSpacing(state, terminal, isSource) * scale;
+    const bounds = Rectangle.fromRectangle(terminal);
+    bounds.grow(spacing);
+
+    const constraint = getPortConstraints(terminal, state, isSource, DIRECTION_MASK.ALL);
+    const result: Port[] = [];
+
+    for (const dir of DIRECTIONS) {
+      if ((constraint & dir) === 0) {
+        continue;
+      }
+
+      let point: Point;
+
+      if (pt) {
+        // Uses the side that contains the fixed terminal point
+        if (ManhattanRouter.getNearestSide(terminal, pt) !== dir) {
+          continue;
+        }
+        point = pt;
+      } else {
+        point = new Point(bounds.getCenterX(), bounds.getCenterY());
+      }
+
+      const [dx, dy] = getVector(dir);
+
+      if (dx < 0) {
+        point = new Point(bounds.x, point.y);
+      } else if (dx > 0) {
+        point = new Point(bounds.x + bounds.width, point.y);
+      } else if (dy < 0) {
+        point = new Point(point.x, bounds.y);
+      } else {
+        point = new Point(point.x, bounds.y + bounds.height);
+      }
+
+      result.push({
+        point,
+        dir,
+        jetty: new Point(point.x + dx * jetty, point.y + dy * jetty),
+      });
+    }
+
+    // Ignores the port constraints if the fixed point is on another side
+    if (result.length === 0 && pt) {
+      const dir = ManhattanRouter.getNearestSide(terminal, pt);
+      const [dx, dy] = getVector(dir);
+      result.push({
+        point: pt,
+        dir,
+        jetty: new Point(pt.x + dx * jetty, pt.y + dy * jetty),
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Returns the direction of the side of the given bounds that is nearest to
+   * the given point.
+   */
+  static getNearestSide(bounds: Rectangle, pt: Point) {
+    const distances = [
+      [Math.abs(pt.x - bounds.x), DIRECTION_MASK.WEST],
+      [Math.abs(pt.y - bounds.y), DIRECTION_MASK.NORTH],
+      [Math.abs(pt.y - (bounds.y + bounds.height)), DIRECTION_MASK.SOUTH],
+      [Math.abs(pt.x - (bounds.x + bounds.width)), DIRECTION_MASK.EAST],
+    ];
+    distances.sort((a, b) => a[0] - b[0]);
+
+    return distances[0][1];
+  }
+
+  /**
+   * Returns the unscaled jetty size for the given edge. The `auto` value
+   * is treated as twice the {@link obstacleSpacing}.
+   */
+  static getJettySize(state: CellState, isSource: boolean): number {
+    const value =
+      (isSource ? state.style.sourceJettySize : state.style.targetJettySize) ??
+      state.style.jettySize;
+
+    return typeof value === 'number' ? value : 2 * ManhattanRouter.obstacleSpacing;
+  }
+
+  /**
+   * Returns the unscaled spacing between the given terminal and the edge.
+   */
+  static getPerimeterSpacing(state: CellState, terminal: CellState, isSource: boolean) {
+    return (
+      (terminal.style.perimeterSpacing ?? 0) +
+      ((isSource
+        ? state.style.sourcePerimeterSpacing
+        : state.style.targetPerimeterSpacing) ?? 0)
+    );
+  }
+
+  /**
+   * Returns the area in which obstacles are considered for a route between
+   * the given terminals through the given points. This is the union of the
+   * terminals and the points grown by {@link searchMargin}. Returns null if
+   * no terminals and points are given.
+   *
+   * @param terminals Bounds of the terminals.
+   * @param points Points of the route.
+   * @param scale Scale of the view.
+   */
+  static getSearchArea(
+    terminals: (Rectangle | null)[],
+    points: (Point | null)[],
+    scale: number
+  ): Rectangle | null {
+    let area: Rectangle | null = null;
+
+    for (const rect of [
+      ...terminals,
+      ...points.map((pt) => (pt ? new Rectangle(pt.x, pt.y, 0, 0) : null)),
+    ]) {
+      if (rect && area) {
+        area.add(rect);
+      } else if (rect) {
+        area = Rectangle.fromRectangle(rect);
+      }
+    }
+
+    area?.grow(ManhattanRouter.searchMargin * scale);
+
+    return area;
+  }
+
+  /**
+   * Returns the bounds, including the {@link obstacleSpacing}, that the given
+   * vertex may have occupied before or will occupy after a change. These are
+   * the bounds of its current state and the bounds for the given geometry in
+   * the given parent. Relative geometries are approximated with the bounds of
+   * the parent.
+   *
+   * @param view {@link GraphView} that contains the vertex.
+   * @param cell {@link Cell} that represents the vertex.
+   * @param parent Parent of the vertex before or after the change.
+   * @param geo {@link Geometry} of the vertex before or after the change.
+   */
+  static getObstacleBounds(
+    view: GraphView,
+    cell: Cell,
+    parent: Cell | null,
+    geo: Geometry | null
+  ): Rectangle[] {
+    const { scale, translate } = view;
+    const result: Rectangle[] = [];
+    const state = view.getState(cell);
+
+    if (state) {
+      result.push(Rectangle.fromRectangle(state));
+    }
+
+    const pState = parent ? view.getState(parent) : null;
+
+    if (pState && geo) {
+      if (geo.relative) {
+        result.push(Rectangle.fromRectangle(pState));
+      } else {
+        const origin = pState.cell !== view.currentRoot ? pState.origin : new Point(0, 0);
+        result.push(
+          new Rectangle(
+            scale * (translate.x + origin.x + geo.x),
+            scale * (translate.y + origin.y + geo.y),
+            scale * geo.width,
+            scale * geo.height
+          )
+        );
+      }
+    }
+
+    for (const bounds of result) {
+      bounds.grow(ManhattanRouter.obstacleSpacing * scale);
+    }
+    return result;
+  }
+
+  /**
+   * Returns true if the route of the given edge may be affected by a change of
+   * the obstacles in the given bounds, ie. if the search area of the edge
+   * overlaps one of the bounds.
+   *
+   * @param state {@link CellState} that represents the edge.
+   * @param bounds Array of {@link Rectangle}s returned by
+   * {@link getObstacleBounds}.
+   */
+  static isAffected(state: CellState, bounds: Rectangle[]) {
+    const area = ManhattanRouter.getSearchArea(
+      [state.getVisibleTerminalState(true), state.getVisibleTerminalState(false)],
+      state.absolutePoints,
+      state.view.scale
+    );
+
+    return area != null && bounds.some((rect) => ManhattanRouter.intersects(area, rect));
+  }
+
+  /**
+   * Returns the bounds of the obstacles for the given edge in the given area.
+   * The bounds include the {@link obstacleSpacing}. The terminals are
+   * obstacles without spacing so that the route does not cross them.
+   */
+  static getObstacles(
+    state: CellState,
+    source: CellState | null,
+    target: CellState | null,
+    area: Rectangle,
+    index = new RoutingIndex(state.view)
+  ): Rectangle[] {
+    const { view } = state;
+    const spacing = ManhattanRouter.obstacleSpacing * view.scale;
+    const result: Rectangle[] = [];
+    const terminals = [source?.cell, target?.cell];
+
+    for (const tmp of index.getVertices(area)) {
+      const { cell } = tmp;
+
+      if (
+        !cell.isVertex() ||
+        !cell.isVisible() ||
+        tmp.width <= 0 ||
+        tmp.height <= 0 ||
+        terminals.some(
+          (terminal) =>
+            terminal && (terminal.isAncestor(cell) || cell.isAncestor(terminal))
+        )
+      ) {
+        continue;
+      }
+
+      const bounds = Rectangle.fromRectangle(tmp);
+      bounds.grow(spacing);
+
+      if (ManhattanRouter.intersects(bounds, area)) {
+        result.push(bounds);
+      }
+    }
+
+    for (const terminal of [source, target]) {
+      if (terminal) {
+        result.push(Rectangle.fromRectangle(terminal));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the horizontal and vertical segments of the other edges in the
+   * given area.
+   */
+  static getSegments(
+    state: CellState,
+    area: Rectangle,
+    index = new RoutingIndex(state.view)
+  ) {
+    const horizontal: [number, number, number][] = [];
+    const vertical: [number, number, number][] = [];
+
+    for (const segment of index.getSegments(area)) {
+      if (segment.cell !== state.cell) {
+        (segment.horizontal ? horizontal : vertical).push([
+          segment.pos,
+          segment.from,
+          segment.to,
+        ]);
+      }
+    }
+    return { horizontal, vertical };
+  }
+
+  /**
+   * Returns true if the interiors of the given rectangles intersect.
+   */
+  static intersects(a: Rectangle, b: Rectangle) {
+    return (
+      a.x < b.x + b.width &&
+      b.x < a.x + a.width &&
+      a.y < b.y + b.height &&
+      b.y < a.y + a.height
+    );
+  }
+
+  /**
+   * Returns true if the given point is inside one of the given obstacles.
+   */
+  static isBlocked(obstacles: Rectangle[], x: number, y: number) {
+    for (const r of obstacles) {
+      if (x > r.x && x < r.x + r.width && y > r.y && y < r.y + r.height) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Finds the cheapest orthogonal path from one of the given starts to one of
+   * the given goals using A* on the grid that is defined by the borders of
+   * the obstacles. Returns null if no path was found.
+   */
+  static search(
+    starts: Port[],
+    goals: Port[],
+    obstacles: Rectangle[],
+    segments: {
+      horizontal: [number, number, number][];
+      vertical: [number, number, number][];
+    }
+  ): { points: Point[]; end: Point; dir: number } | null {
+    // Builds the grid coordinates
+    const xs = new Set<number>();
+    const ys = new Set<number>();
+
+    for (const port of [...starts, ...goals]) {
+      xs.add(port.jetty.x);
+      ys.add(port.jetty.y);
+    }
+
+    for (const r of obstacles) {
+      xs.add(r.x);
+      xs.add(r.x + r.width);
+      ys.add(r.y);
+      ys.add(r.y + r.height);
+    }
+
+    const gridX = Array.from(xs).sort((a, b) => a - b);
+    const gridY = Array.from(ys).sort((a, b) => a - b);
+    const indexX = new Map(gridX.map((x, i) => [x, i]));
+    const indexY = new Map(gridY.map((y, i) => [y, i]));
+
+    const queue = new SearchQueue();
+    const visited = new Set<string>();
+
+    const estimate = (x: number, y: number) => {
+      let min = Infinity;
+
+      for (const goal of goals) {
+        min = Math.min(min, Math.abs(goal.jetty.x - x) + Math.abs(goal.jetty.y - y));
+      }
+      return min;
+    };
+
+    // Returns the cost for the bends that are needed to enter the goal at
+    // the given point in the given direction
+    const getGoalCost = (x: number, y: number, dir: number) => {
+      const goal = goals.find((g) => g.jetty.x === x && g.jetty.y === y);
+
+      return goal
+        ? ManhattanRouter.getBends(dir, getOpposite(goal.dir)) *
+            ManhattanRouter.bendPenalty
+        : 0;
+    };
+
+    for (const start of starts) {
+      const cost = getGoalCost(start.jetty.x, start.jetty.y, start.dir);
+
+      queue.push({
+        x: start.jetty.x,
+        y: start.jetty.y,
+        dir: start.dir,
+        cost,
+        estimate: cost + estimate(start.jetty.x, start.jetty.y),
+        parent: null,
+      });
+    }
+
+    let iterations = 0;
+
+    while (!queue.isEmpty() && iterations++ < ManhattanRouter.maxIterations) {
+      const node = queue.pop();
+      const key = `${node.x},${node.y},${node.dir}`;
+
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+
+      if (goals.some((g) => g.jetty.x === node.x && g.jetty.y === node.y)) {
+        return ManhattanRouter.createPath(node);
+      }
+
+      const ix = <number>indexX.get(node.x);
+      const iy = <number>indexY.get(node.y);
+
+      for (const dir of DIRECTIONS) {
+        // Does not allow reversing the direction
+        if (node.dir !== DIRECTION_MASK.NONE && dir === getOpposite(node.dir)) {
+          continue;
+        }
+
+        const [dx, dy] = getVector(dir);
+        const nx = dx !== 0 ? gridX[ix + dx] : node.x;
+        const ny = dy !== 0 ? gridY[iy + dy] : node.y;
+
+        if (
+          nx == null ||
+          ny == null ||
+          ManhattanRouter.isBlocked(obstacles, (node.x + nx) / 2, (node.y + ny) / 2)
+        ) {
+          continue;
+        }
+
+        const length = Math.abs(nx - node.x) + Math.abs(ny - node.y);
+        const bends = node.dir !== DIRECTION_MASK.NONE && node.dir !== dir ? 1 : 0;
+        const cost =
+          node.cost +
+          length +
+          bends * ManhattanRouter.bendPenalty +
+          ManhattanRouter.getSegmentCost(node.x, node.y, nx, ny, segments) +
+          getGoalCost(nx, ny, dir);
+
+        queue.push({
+          x: nx,
+          y: ny,
+          dir,
+          cost,
+          estimate: cost + estimate(nx, ny),
+          parent: node,
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the number of bends that are needed to change from the given
+   * direction to the other given direction.
+   */
+  static getBends(from: number, to: number) {
+    if (from === DIRECTION_MASK.NONE || to === DIRECTION_MASK.NONE || from === to) {
+      return 0;
+    }
+    return from === getOpposite(to) ? 2 : 1;
+  }
+
+  /**
+   * Returns the cost for crossing and overlapping other edges on the segment
+   * between the given points.
+   */
+  static getSegmentCost(
+    x1: number,
+    y1: number,
+    x2: number,
+    y2: number,
+    segments: {
+      horizontal: [number, number, number][];
+      vertical: [number, number, number][];
+    }
+  ) {
+    const horizontal = y1 === y2;
+    const [same, other] = horizontal
+      ? [segments.horizontal, segments.vertical]
+      : [segments.vertical, segments.horizontal];
+    const c = horizontal ? y1 : x1;
+    const min = horizontal ? Math.min(x1, x2) : Math.min(y1, y2);
+    const max = horizontal ? Math.max(x1, x2) : Math.max(y1, y2);
+    let cost = 0;
+
+    for (const [pos, from, to] of other) {
+      if (pos > min && pos < max && c > from && c < to) {
+        cost += ManhattanRouter.crossingPenalty;
+      }
+    }
+
+    for (const [pos, from, to] of same) {
+      if (Math.abs(pos - c) < 1) {
+        const overlap = Math.min(max, to) - Math.max(min, from);
+
+        if (overlap > 0) {
+          cost += overlap * ManhattanRouter.overlapPenalty;
+        }
+      }
+    }
+    return cost;
+  }
+
+  /**
+   * Returns the points of the path that ends in the given node, the end
+   * point and the direction in which the end point is entered.
+   */
+  static createPath(node: SearchNode) {
+    const points: Point[] = [];
+    let tmp: SearchNode | null = node;
+
+    while (tmp != null) {
+      points.unshift(new Point(tmp.x, tmp.y));
+      tmp = tmp.parent;
+    }
+    return { points, end: points[points.length - 1], dir: node.dir };
+  }
+
+  /**
+   * Removes duplicate points and points that are on the line between their
+   * neighbours.
+   */
+  static simplify(points: Point[]) {
+    const result: Point[] = [];
+
+    for (const pt of points) {
+      const prev = result[result.length - 1];
+
+      if (prev && Math.abs(prev.x - pt.x) < 0.01 && Math.abs(prev.y - pt.y) < 0.01) {
+        continue;
+      }
+
+      const prev2 = result[result.length - 2];
+
+      if (
+        prev2 &&
+        ((Math.abs(prev2.x - prev.x) < 0.01 && Math.abs(prev.x - pt.x) < 0.01) ||
+          (Math.abs(prev2.y - prev.y) < 0.01 && Math.abs(prev.y - pt.y) < 0.01))
+      ) {
+        result[result.length - 1] = pt;
+      } else {
+        result.push(pt);
+      }
+    }
+    return result;
+  }
+}
+
+export default ManhattanRouter;
@@ -0,0 +1,194 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type Cell from '../cell/Cell';
+import type CellState from '../cell/CellState';
+import type GraphView from '../GraphView';
+import Rectangle from '../geometry/Rectangle';
+
+/**
+ * Horizontal or vertical segment of an edge. For horizontal segments, `pos` is
+ * the y-coordinate and `from` and `to` are the x-coordinates of the ends. For
+ * vertical segments, it is the other way round.
+ */
+export type RoutingSegment = {
+  cell: Cell;
+  horizontal: boolean;
+  pos: number;
+  from: number;
+  to: number;
+};
+
+/**
+ * Spatial index of the vertices and of the edge segments of a {@link GraphView}
+ * that is used by {@link ManhattanRouter}. The items are stored in the square
+ * buckets of a uniform grid so that a route only checks the items in the
+ * buckets around its search area instead of all states of the view.
+ *
+ * The index is built when it is first queried and is not updated afterwards.
+ * {@link GraphView.validate} creates a new index for each validation so that
+ * all routes of a validation use the same snapshot of the other edges for the
+ * crossing costs, regardless of the order in which the edges are validated.
+ *
+ * @class RoutingIndex
+ */
+class RoutingIndex {
+  /**
+   * Unscaled size of the buckets. Default is 200.
+   */
+  static bucketSize = 200;
+
+  /**
+   * Reference to the enclosing {@link GraphView}.
+   */
+  view: GraphView;
+
+  /**
+   * Maps from the keys of the buckets to the vertices in the buckets.
+   */
+  vertices: Map<string, CellState[]> | null = null;
+
+  /**
+   * Maps from the keys of the buckets to the edge segments in the buckets.
+   */
+  segments: Map<string, RoutingSegment[]> | null = null;
+
+  /**
+   * Scaled size of the buckets.
+   */
+  size = 1;
+
+  constructor(view: GraphView) {
+    this.view = view;
+  }
+
+  /**
+   * Adds the vertices and the horizontal and vertical segments of the edges
+   * of the view to the index.
+   */
+  build() {
+    this.vertices = new Map();
+    this.segments = new Map();
+    this.size = RoutingIndex.bucketSize * this.view.scale;
+
+    for (const state of this.view.states.getValues()) {
+      if (state.cell.isVertex()) {
+        this.add(this.vertices, state, state);
+      } else if (state.cell.isEdge() && state.absolutePoints.length > 1) {
+        const pts = state.absolutePoints;
+
+        for (let i = 1; i < pts.length; i += 1) {
+          const a = pts[i - 1];
+          const b = pts[i];
+
+          if (a && b) {
+            const horizontal = Math.abs(a.y - b.y) < 1;
+
+            if (horizontal || Math.abs(a.x - b.x) < 1) {
+              const segment = {
+                cell: state.cell,
+                horizontal,
+                pos: horizontal ? a.y : a.x,
+                from: horizontal ? Math.min(a.x, b.x) : Math.min(a.y, b.y),
+                to: horizontal ? Math.max(a.x, b.x) : Math.max(a.y, b.y),
+              };
+              const bounds = horizontal
+                ? new Rectangle(segment.from, segment.pos, segment.to - segment.from, 0)
+                : new Rectangle(segment.pos, segment.from, 0, segment.to - segment.from);
+              this.add(this.segments, bounds, segment);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the keys of the buckets that intersect the given rectangle.
+   */
+  getKeys(rect: Rectangle) {
+    const keys: string[] = [];
+    const x0 = Math.floor(rect.x / this.size);
+    const y0 = Math.floor(rect.y / this.size);
+    const x1 = Math.floor((rect.x + rect.width) / this.size);
+    const y1 = Math.floor((rect.y + rect.height) / this.size);
+
+    for (let x = x0; x <= x1; x += 1) {
+      for (let y = y0; y <= y1; y += 1) {
+        keys.push(`${x},${y}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Adds the given item with the given bounds to the given buckets.
+   */
+  add<T>(buckets: Map<string, T[]>, bounds: Rectangle, item: T) {
+    if (Number.isFinite(bounds.width) && Number.isFinite(bounds.height)) {
+      for (const key of this.getKeys(bounds)) {
+        const bucket = buckets.get(key);
+
+        if (bucket) {
+          bucket.push(item);
+        } else {
+          buckets.set(key, [item]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the items in the given buckets that intersect the given area.
+   * The result may contain items near the area that do not intersect it.
+   */
+  query<T>(buckets: Map<string, T[]>, area: Rectangle) {
+    const result = new Set<T>();
+
+    for (const key of this.getKeys(area)) {
+      for (const item of buckets.get(key) ?? []) {
+        result.add(item);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the states of the vertices in and around the given area.
+   *
+   * @param area {@link Rectangle} that defines the area.
+   */
+  getVertices(area: Rectangle) {
+    if (!this.vertices) {
+      this.build();
+    }
+    return this.query(<Map<string, CellState[]>>this.vertices, area);
+  }
+
+  /**
+   * Returns the edge segments in and around the given area.
+   *
+   * @param area {@link Rectangle} that defines the area.
+   */
+  getSegments(area: Rectangle) {
+    if (!this.segments) {
+      this.build();
+    }
+    return this.query(<Map<string, RoutingSegment[]>>this.segments, area);
+  }
+}
+
+export default RoutingIndex;
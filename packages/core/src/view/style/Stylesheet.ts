@@ -27,8 +27,15 @@ import StyleRegistry from './StyleRegistry';
 import ObjectCodec from '../../serialization/ObjectCodec';
 import { getTextContent } from '../../util/domUtils';
 import Codec from '../../serialization/Codec';
+import type Cell from '../cell/Cell';
 
-import type { CellStateStyle, CellStyle } from '../../types';
+import type {
+  CellStateStyle,
+  CellStyle,
+  StyleRule,
+  StyleRuleContext,
+  Theme,
+} from '../../types';
 
 /**
  * @class Stylesheet
@@ -65,6 +72,31 @@ import type { CellStateStyle, CellStyle } from '../../types';
  * ;shadow=1
  * ```
  *
+ * ### Themes
+ *
+ * A {@link Theme} adds or replaces entries in the styles of the stylesheet,
+ * see {@link setTheme}. The replaced entries are restored when another theme
+ * is applied, so changes to other entries of the styles are kept.
+ *
+ * ### Style Rules
+ *
+ * Rules add style entries to the cells that match their conditions, eg. the
+ * attributes of the user object, the number of connected edges, the parent
+ * or the selected, hovered and collapsed state, see {@link addRule}. The
+ * rules are applied in {@link Graph.getCellStyle} in the order in which
+ * they have been added.
+ *
+ * ```javascript
+ * stylesheet.addRule({
+ *   attributes: { status: 'failed' },
+ *   style: { fillColor: '#FFCCCC' },
+ * });
+ * stylesheet.addRule({
+ *   cellType: 'vertex',
+ *   style: (context) => ({ strokeWidth: 1 + context.degree }),
+ * });
+ * ```
+ *
  * ### Removing keys
  *
  * For removing a key in a cell style of the form [stylename;|key=value;] the
@@ -93,6 +125,23 @@ export class Stylesheet {
    */
   styles: Map<string, CellStateStyle>;
 
+  /**
+   * Holds the {@link Theme} that has been applied in {@link setTheme}.
+   */
+  theme: Theme | null = null;
+
+  /**
+   * Maps from the names of the styles that have been changed by {@link theme}
+   * to the entries that have been replaced. An undefined entry means that the
+   * key did not exist and null means that the style has been added.
+   */
+  themeBackup: Map<string, CellStateStyle | null> = new Map();
+
+  /**
+   * Holds the {@link StyleRule}s in the order in which they are applied.
+   */
+  rules: StyleRule[] = [];
+
   /**
    * Creates and returns the default vertex style.
    */
@@ -191,6 +240,165 @@ export class Stylesheet {
     this.styles.set(name, style);
   }
 
+  /**
+   * Returns the {@link theme}.
+   */
+  getTheme() {
+    return this.theme;
+  }
+
+  /**
+   * Applies the styles of the given {@link Theme} after restoring the entries
+   * that have been replaced by the previous theme. The styles of the theme
+   * are merged into the existing styles, which are added if they do not exist.
+   *
+   * @param theme {@link Theme} to be applied or null to remove the current theme.
+   */
+  setTheme(theme: Theme | null) {
+    for (const [name, backup] of this.themeBackup) {
+      const style = <Record<string, unknown> | undefined>this.styles.get(name);
+
+      if (backup == null) {
+        this.styles.delete(name);
+      } else if (style != null) {
+        for (const [key, value] of Object.entries(backup)) {
+          if (value === undefined) {
+            delete style[key];
+          } else {
+            style[key] = value;
+          }
+        }
+      }
+    }
+
+    this.themeBackup.clear();
+    this.theme = theme;
+
+    for (const [name, entries] of Object.entries(theme?.styles ?? {})) {
+      let style = <Record<string, unknown> | undefined>this.styles.get(name);
+
+      if (style == null) {
+        style = {};
+        this.putCellStyle(name, style);
+        this.themeBackup.set(name, null);
+      } else {
+        const backup: Record<string, unknown> = {};
+
+        for (const key of Object.keys(entries)) {
+          backup[key] = style[key];
+        }
+
+        this.themeBackup.set(name, backup);
+      }
+
+      Object.assign(style, entries);
+    }
+  }
+
+  /**
+   * Adds the given {@link StyleRule} after the existing rules. The graphs that
+   * use this stylesheet must be refreshed to apply the rule to the existing
+   * cells, see {@link Graph.refresh}.
+   *
+   * @param rule {@link StyleRule} to be added.
+   */
+  addRule(rule: StyleRule) {
+    this.rules.push(rule);
+
+    return rule;
+  }
+
+  /**
+   * Removes the given {@link StyleRule}.
+   *
+   * @param rule {@link StyleRule} to be removed.
+   */
+  removeRule(rule: StyleRule) {
+    const index = this.rules.indexOf(rule);
+
+    if (index >= 0) {
+      this.rules.splice(index, 1);
+    }
+  }
+
+  /**
+   * Returns the {@link rules}.
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Returns true if all conditions of the given rule are met in the given
+   * context.
+   *
+   * @param rule {@link StyleRule} to be checked.
+   * @param context {@link StyleRuleContext} of the cell.
+   */
+  isRuleApplicable(rule: StyleRule, context: StyleRuleContext) {
+    const { cell } = context;
+
+    if (
+      (rule.cellType === 'vertex' && !cell.isVertex()) ||
+      (rule.cellType === 'edge' && !cell.isEdge())
+    ) {
+      return false;
+    }
+
+    const hasStyleName = (names: string[], target: Cell | null) =>
+      (target?.getStyle().baseStyleNames ?? []).some((name) => names.includes(name));
+
+    if (
+      (rule.baseStyleNames != null && !hasStyleName(rule.baseStyleNames, cell)) ||
+      (rule.parentStyleNames != null &&
+        !hasStyleName(rule.parentStyleNames, context.parent))
+    ) {
+      return false;
+    }
+
+    for (const [name, expected] of Object.entries(rule.attributes ?? {})) {
+      const value = context.attributes[name];
+
+      if (
+        value == null ||
+        (expected instanceof RegExp ? !expected.test(value) : value !== expected)
+      ) {
+        return false;
+      }
+    }
+
+    return (
+      (rule.minDegree == null || context.degree >= rule.minDegree) &&
+      (rule.maxDegree == null || context.degree <= rule.maxDegree) &&
+      (rule.selected == null || context.selected === rule.selected) &&
+      (rule.hovered == null || context.hovered === rule.hovered) &&
+      (rule.collapsed == null || context.collapsed === rule.collapsed) &&
+      (rule.condition == null || rule.condition(context))
+    );
+  }
+
+  /**
+   * Adds the entries of all applicable {@link rules} to the given style and
+   * returns the style.
+   *
+   * @param style {@link CellStateStyle} to be changed.
+   * @param context {@link StyleRuleContext} of the cell.
+   */
+  applyRules(style: CellStateStyle, context: StyleRuleContext) {
+    for (const rule of this.rules) {
+      if (this.isRuleApplicable(rule, context)) {
+        const entries =
+          typeof rule.style === 'function' ? rule.style(context) : rule.style;
+
+        if (entries != null) {
+          Object.assign(style, entries);
+        }
+      }
+    }
+
+    return style;
+  }
+
   /**
    * Returns the cell style for the specified baseStyleNames or the given
    * defaultStyle if no style can be found for the given baseStyleNames.
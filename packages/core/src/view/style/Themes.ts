@@ -0,0 +1,98 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type { Theme } from '../../types';
+
+/**
+ * Light theme with the default appearance of the graph. The colors that are
+ * not defined in the theme are taken from {@link Constants} and the UI
+ * elements use the values in `common.css`.
+ */
+export const LightTheme: Theme = {
+  name: 'light',
+  dark: false,
+  styles: {
+    defaultVertex: {
+      fillColor: '#C3D9FF',
+      strokeColor: '#6482B9',
+      fontColor: '#774400',
+    },
+    defaultEdge: {
+      strokeColor: '#6482B9',
+      fontColor: '#446299',
+    },
+  },
+  colors: {},
+  background: null,
+  gridColor: null,
+  ui: {},
+};
+
+/**
+ * Dark theme with light strokes and labels on a dark background.
+ */
+export const DarkTheme: Theme = {
+  name: 'dark',
+  dark: true,
+  styles: {
+    defaultVertex: {
+      fillColor: '#2A3A55',
+      strokeColor: '#8FA9D9',
+      fontColor: '#E6E6E6',
+    },
+    defaultEdge: {
+      strokeColor: '#8FA9D9',
+      fontColor: '#C8D4EA',
+    },
+  },
+  colors: {
+    handleFillColor: '#29B6F2',
+    handleStrokeColor: '#E6E6E6',
+    labelHandleFillColor: '#FFD966',
+    connectHandleFillColor: '#4C8BF5',
+    lockedHandleFillColor: '#FF6B6B',
+    vertexSelectionColor: '#29B6F2',
+    edgeSelectionColor: '#29B6F2',
+    highlightColor: '#29B6F2',
+    outlineHighlightColor: '#29B6F2',
+    validColor: '#4CD964',
+    invalidColor: '#FF6B6B',
+    dropTargetColor: '#4C8BF5',
+    guideColor: '#FF6B6B',
+    pageBackgroundColor: '#1E1E1E',
+    pageBorderColor: '#505050',
+  },
+  background: '#121212',
+  gridColor: '#2A2A2A',
+  ui: {
+    '--mx-shadow-color': '#000000',
+    '--mx-rubberband-background': '#29B6F2',
+    '--mx-rubberband-border-color': '#29B6F2',
+    '--mx-popup-menu-background': '#2B2B2B',
+    '--mx-popup-menu-border-color': '#505050',
+    '--mx-popup-menu-color': '#E6E6E6',
+    '--mx-popup-menu-hover-background': '#3D5A99',
+    '--mx-popup-menu-hover-color': '#FFFFFF',
+    '--mx-popup-menu-icon-background': '#383838',
+    '--mx-tooltip-background': '#3A3A3A',
+    '--mx-tooltip-border-color': '#505050',
+    '--mx-tooltip-color': '#E6E6E6',
+    '--mx-window-background': '#2B2B2B',
+    '--mx-window-border-color': '#505050',
+    '--mx-window-title-background': '#383838',
+    '--mx-window-title-color': '#E6E6E6',
+  },
+};
@@ -0,0 +1,53 @@
+/*
+Copyright 2021-present The maxGraph project Contributors
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import GraphDataModel from '../GraphDataModel';
+import CodecRegistry from '../../serialization/CodecRegistry';
+import GenericChangeCodec from './GenericChangeCodec';
+
+import type { GuideLine, UndoableChange } from '../../types';
+
+/**
+ * Action to change the {@link GuideLine}s of a model.
+ *
+ * @class GuideLinesChange
+ */
+class GuideLinesChange implements UndoableChange {
+  model: GraphDataModel;
+  guideLines: GuideLine[];
+  previous: GuideLine[];
+
+  constructor(model: GraphDataModel, guideLines: GuideLine[]) {
+    this.model = model;
+    this.guideLines = guideLines;
+    this.previous = guideLines;
+  }
+
+  /**
+   * Changes the guide lines of {@link model} to {@link previous} using
+   * {@link GraphDataModel.guideLinesChanged}.
+   */
+  execute() {
+    this.guideLines = this.previous;
+    this.previous = this.model.guideLinesChanged(this.previous);
+  }
+}
+
+const __dummy: any = undefined;
+CodecRegistry.register(
+  new GenericChangeCodec(new GuideLinesChange(__dummy, []), 'guideLines')
+);
+export default GuideLinesChange;
@@ -44,9 +44,11 @@ class SelectionChange implements UndoableChange {
    */
   execute() {
     const selectionModel = this.graph.getSelectionModel();
-    window.status =
-      Translations.get(selectionModel.updatingSelectionResource) ||
-      selectionModel.updatingSelectionResource;
+    if (typeof window !== 'undefined') {
+      window.status =
+        Translations.get(selectionModel.updatingSelectionResource) ||
+        selectionModel.updatingSelectionResource;
+    }
 
     for (const removed of this.removed) {
       this.graph.getSelectionModel().cellRemoved(removed);
@@ -58,8 +60,13 @@ class SelectionChange implements UndoableChange {
 
     [this.added, this.removed] = [this.removed, this.added];
 
-    window.status =
-      Translations.get(selectionModel.doneResource) || selectionModel.doneResource;
+    // Invalidates the styles that depend on the selection state
+    this.graph.invalidateSelectionStyles(this.added.concat(this.removed));
+
+    if (typeof window !== 'undefined') {
+      window.status =
+        Translations.get(selectionModel.doneResource) || selectionModel.doneResource;
+    }
 
     this.graph.fireEvent(
       new EventObject(InternalEvent.CHANGE, { added: this.added, removed: this.removed })
@@ -20,6 +20,17 @@ import InternalEvent from '../event/InternalEvent';
 import EventObject from '../event/EventObject';
 import EventSource from '../event/EventSource';
 import UndoableEdit from './UndoableEdit';
+import GraphDataModel from '../GraphDataModel';
+import ChildChange from './ChildChange';
+import TerminalChange from './TerminalChange';
+import ValueChange from './ValueChange';
+import StyleChange from './StyleChange';
+import GeometryChange from './GeometryChange';
+import CollapseChange from './CollapseChange';
+import VisibleChange from './VisibleChange';
+import CellAttributeChange from './CellAttributeChange';
+
+import type { UndoableChange } from '../../types';
 
 /**
  * @class UndoManager
@@ -65,6 +76,17 @@ import UndoableEdit from './UndoableEdit';
  * {@link mxGraphModel} and {@link mxGraphView} using
  * {@link EventSource.addListener}.
  *
+ * ### Selective undo
+ *
+ * If {@link selective} is true then {@link undo} only reverts edits of the
+ * local user (see {@link UndoableEdit.isLocal}), eg. edits of the
+ * {@link LayoutManager} are skipped. The latest local edit is inverted
+ * against the current state of the model (see {@link createInverseChange}):
+ * Properties and cells that have been changed by later edits keep their
+ * current state. This includes edits of other clients that are applied by a
+ * {@link CollaborationManager}, which are not added to the history. The edit
+ * is then removed from the history, so it cannot be redone.
+ *
  * ### Event: mxEvent.CLEAR
  *
  * Fires after {@link clear} was invoked. This event has no properties.
@@ -72,7 +94,9 @@ import UndoableEdit from './UndoableEdit';
  * ### Event: mxEvent.UNDO
  *
  * Fires afer a significant edit was undone in {@link undo}. The `edit`
- * property contains the {@link mxUndoableEdit} that was undone.
+ * property contains the {@link mxUndoableEdit} that was undone. For selective
+ * undo, the `inverse` property contains the edit with the changes that were
+ * executed to revert the edit.
  *
  * ### Event: mxEvent.REDO
  *
@@ -108,6 +132,22 @@ class UndoManager extends EventSource {
    */
   indexOfNextAdd: number = 0;
 
+  /**
+   * Specifies if {@link undo} only reverts the edits of the local user. See
+   * the section about selective undo above. Default is false.
+   */
+  selective: boolean = false;
+
+  /**
+   * Holds the edit that is created while an edit is selectively undone.
+   */
+  inverseEdit: UndoableEdit | null = null;
+
+  /**
+   * True while an edit is selectively undone.
+   */
+  undoing: boolean = false;
+
   /**
    * Returns true if the history is empty.
    */
@@ -128,13 +168,25 @@ class UndoManager extends EventSource {
    * Returns true if an undo is possible.
    */
   canUndo(): boolean {
-    return this.indexOfNextAdd > 0;
+    return this.selective ? this.getLastLocalEditIndex() >= 0 : this.indexOfNextAdd > 0;
   }
 
   /**
-   * Undoes the last change.
+   * Undoes the last change. If {@link selective} is true then this undoes the
+   * last change of the local user.
    */
   undo(): void {
+    if (this.selective) {
+      const index = this.getLastLocalEditIndex();
+
+      // Always inverts the edit as the model may contain remote changes
+      // that are not in the history
+      if (index >= 0) {
+        this.undoSelective(index);
+      }
+      return;
+    }
+
     while (this.indexOfNextAdd > 0) {
       const edit = this.history[--this.indexOfNextAdd];
       edit.undo();
@@ -146,6 +198,138 @@ class UndoManager extends EventSource {
     }
   }
 
+  /**
+   * Returns the index of the last significant local edit that can be undone
+   * or -1 if no such edit exists.
+   */
+  getLastLocalEditIndex(): number {
+    for (let i = this.indexOfNextAdd - 1; i >= 0; i--) {
+      const edit = this.history[i];
+
+      if (edit.isSignificant() && edit.isLocal()) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Reverts the edit at the given index in the history, keeping the changes
+   * of all later edits, and removes the edit from the history.
+   */
+  undoSelective(index: number): void {
+    const edit = this.history[index];
+    const model = edit.source;
+
+    if (model instanceof GraphDataModel) {
+      // Executes the inverse changes without adding them to the history
+      this.undoing = true;
+      this.inverseEdit = null;
+
+      try {
+        model.updateWithOrigin(edit.origin, () => {
+          // Each inverse change is created after the later changes of the
+          // edit have been reverted, so that a property that was changed
+          // several times in the edit, eg. by a manager, is fully restored
+          for (let i = edit.changes.length - 1; i >= 0; i--) {
+            const change = this.createInverseChange(model, edit.changes[i]);
+
+            if (change != null) {
+              model.execute(change);
+            }
+          }
+        });
+      } finally {
+        this.undoing = false;
+      }
+
+      this.history.splice(index, 1);
+      this.indexOfNextAdd--;
+      edit.die();
+
+      this.fireEvent(
+        new EventObject(InternalEvent.UNDO, { edit, inverse: this.inverseEdit })
+      );
+      this.inverseEdit = null;
+    }
+  }
+
+  /**
+   * Returns a change that reverts the given change of a previous edit or null
+   * if the change should not be reverted. The change is transformed against
+   * the later changes of the model by comparing the current state of the cell
+   * with the state after the given change: If the property has been changed
+   * since, or the cell has been removed, the change is not reverted.
+   *
+   * @param model {@link GraphDataModel} that contains the cells.
+   * @param change Change to be reverted.
+   */
+  createInverseChange(
+    model: GraphDataModel,
+    change: UndoableChange
+  ): UndoableChange | null {
+    if (change instanceof ChildChange) {
+      const { child } = change;
+
+      if (child.getParent() !== change.parent) {
+        return null;
+      } else if (change.previous == null) {
+        return new ChildChange(model, null, child);
+      } else if (model.contains(change.previous)) {
+        return new ChildChange(
+          model,
+          change.previous,
+          child,
+          Math.min(change.previousIndex, change.previous.getChildCount())
+        );
+      }
+      return null;
+    } else if (
+      change instanceof TerminalChange ||
+      change instanceof ValueChange ||
+      change instanceof StyleChange ||
+      change instanceof GeometryChange ||
+      change instanceof CollapseChange ||
+      change instanceof VisibleChange ||
+      change instanceof CellAttributeChange
+    ) {
+      const { cell } = change;
+
+      if (!model.contains(cell)) {
+        return null;
+      } else if (change instanceof TerminalChange) {
+        return cell.getTerminal(change.source) === change.terminal &&
+          (change.previous == null || model.contains(change.previous))
+          ? new TerminalChange(model, cell, change.previous, change.source)
+          : null;
+      } else if (change instanceof ValueChange) {
+        return cell.getValue() === change.value
+          ? new ValueChange(model, cell, change.previous)
+          : null;
+      } else if (change instanceof StyleChange) {
+        return cell.getStyle() === change.style
+          ? new StyleChange(model, cell, change.previous)
+          : null;
+      } else if (change instanceof GeometryChange) {
+        return cell.getGeometry() === change.geometry
+          ? new GeometryChange(model, cell, change.previous)
+          : null;
+      } else if (change instanceof CollapseChange) {
+        return cell.isCollapsed() === change.collapsed
+          ? new CollapseChange(model, cell, change.previous)
+          : null;
+      } else if (change instanceof VisibleChange) {
+        return cell.isVisible() === change.visible
+          ? new VisibleChange(model, cell, change.previous)
+          : null;
+      }
+      return cell.getAttribute(change.attribute) === change.value
+        ? new CellAttributeChange(cell, change.attribute, change.previous)
+        : null;
+    }
+    return null;
+  }
+
   /**
    * Returns true if a redo is possible.
    */
@@ -174,6 +358,11 @@ class UndoManager extends EventSource {
    * Method to be called to add new undoable edits to the <history>.
    */
   undoableEditHappened(undoableEdit: UndoableEdit): void {
+    if (this.undoing) {
+      this.inverseEdit = undoableEdit;
+      return;
+    }
+
     this.trim();
 
     if (this.size > 0 && this.size == this.history.length) {
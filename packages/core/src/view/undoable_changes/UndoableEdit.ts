@@ -83,6 +83,15 @@ class UndoableEdit {
    */
   significant = true;
 
+  /**
+   * Specifies where the edit comes from. This is null for edits of the local
+   * user, `remote` for edits that were received by a
+   * {@link CollaborationManager} and `layout` for edits of the
+   * {@link LayoutManager} and {@link WorkerLayout}. See
+   * {@link UndoManager.selective}. Default is null.
+   */
+  origin: string | null = null;
+
   /**
    * Specifies if this edit has been undone. Default is false.
    */
@@ -113,6 +122,14 @@ class UndoableEdit {
     return this.significant;
   }
 
+  /**
+   * Returns true if this edit was made by the local user, ie. if
+   * {@link origin} is null.
+   */
+  isLocal() {
+    return this.origin == null;
+  }
+
   /**
    * Adds the specified change to this edit. The change is an object that is
    * expected to either have an undo and redo, or an execute function.